@@ -0,0 +1,9 @@
+// Landing page — fills card download sizes from the model registry and sets up offline support
+import { defaultModel, downloadSizeMB, formatSize } from './lib/model-registry.js';
+import { setupOfflineSupport } from './lib/offline.js';
+
+document.querySelectorAll('[data-model-size]').forEach((el) => {
+  el.textContent = formatSize(downloadSizeMB(defaultModel(el.dataset.modelSize)));
+});
+
+setupOfflineSupport();
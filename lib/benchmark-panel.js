@@ -0,0 +1,199 @@
+// Benchmark panel — DOM wiring shared by experiment pages.
+// Loads the page's current model under each selected device and dtype through a
+// loader of its own (its own worker, so the page's model is never reloaded or
+// disposed), times warm-up and measured runs on the page's current input and
+// renders load time, p50/p95 latency and throughput with a JSON export.
+import { createLoader } from './model-loader.js';
+import { downloadFile } from './download.js';
+import { formatLatency } from './compare.js';
+import {
+  BENCHMARK_DEVICES, BENCHMARK_DTYPES, DEFAULT_WARMUP_RUNS, DEFAULT_TIMED_RUNS, MAX_BENCHMARK_RUNS,
+  parseRunCount, benchmarkConfigs, runBenchmark, benchmarkReport, benchmarkFileName,
+} from './benchmark.js';
+
+const DEVICE_NAMES = { wasm: 'WASM (CPU)', webgpu: 'WebGPU' };
+const PHASE_TEXT = {
+  load: () => 'loading…',
+  warmup: (p) => `warm-up ${p.done + 1}/${p.total}`,
+  timed: (p) => `run ${p.done + 1}/${p.total}`,
+};
+const STATUS_TEXT = { 'load-failed': 'Failed to load', 'run-failed': 'Inference failed' };
+
+async function hasWebGpu() {
+  try {
+    return Boolean(await navigator.gpu?.requestAdapter());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.task
+ * @param {HTMLElement} options.root - Empty container the panel renders into
+ * @param {ReturnType<typeof import('./experiment-controller.js').createExperimentController>} options.controller
+ * @param {() => boolean} options.canRun - Whether the page has valid input
+ * @param {() => *} options.getInput - Reads the page's current input
+ * @param {(pipe: Function, input: *) => Promise<*>} options.runOnce - One inference, as the page runs it
+ * @param {string} options.inputNote - Describes which input is benchmarked
+ * @returns {{ refresh: () => void }}
+ */
+export function mountBenchmarkPanel({ task, root, controller, canRun, getInput, runOnce, inputNote }) {
+  root.innerHTML = `
+    <p class="batch-source benchmark-note"></p>
+    <fieldset class="compare-models">
+      <legend class="section-label">Device</legend>
+      <div class="compare-model-list" id="benchmark-devices">
+        ${BENCHMARK_DEVICES.map(d => `
+          <label class="compare-model-option">
+            <input type="checkbox" name="benchmark-device" value="${d}" />
+            <span>${DEVICE_NAMES[d]}</span>
+          </label>`).join('')}
+      </div>
+    </fieldset>
+    <fieldset class="compare-models">
+      <legend class="section-label">Precision</legend>
+      <div class="compare-model-list" id="benchmark-dtypes">
+        ${BENCHMARK_DTYPES.map(d => `
+          <label class="compare-model-option">
+            <input type="checkbox" name="benchmark-dtype" value="${d}" />
+            <span>${d}</span>
+          </label>`).join('')}
+      </div>
+    </fieldset>
+    <div class="benchmark-runs">
+      <span class="batch-option">
+        <label for="benchmark-warmup">Warm-up runs</label>
+        <input type="number" class="number-input" id="benchmark-warmup" min="0" max="${MAX_BENCHMARK_RUNS}" value="${DEFAULT_WARMUP_RUNS}" />
+      </span>
+      <span class="batch-option">
+        <label for="benchmark-iterations">Timed runs</label>
+        <input type="number" class="number-input" id="benchmark-iterations" min="1" max="${MAX_BENCHMARK_RUNS}" value="${DEFAULT_TIMED_RUNS}" />
+      </span>
+    </div>
+    <div class="benchmark-actions">
+      <button type="button" class="btn-primary" id="benchmark-run-btn" disabled>Run benchmark</button>
+      <button type="button" class="secondary-btn" id="benchmark-cancel-btn" hidden>Cancel</button>
+      <span class="benchmark-progress" id="benchmark-progress" aria-live="polite"></span>
+    </div>
+    <div id="benchmark-result-area" aria-live="polite"></div>`;
+
+  root.querySelector('.benchmark-note').textContent = `${inputNote} fp16 and q4 load only for models that publish those weights.`;
+  const deviceBoxes = [...root.querySelectorAll('input[name="benchmark-device"]')];
+  const dtypeBoxes = [...root.querySelectorAll('input[name="benchmark-dtype"]')];
+  const warmupInput = root.querySelector('#benchmark-warmup');
+  const iterationsInput = root.querySelector('#benchmark-iterations');
+  const runBtn = root.querySelector('#benchmark-run-btn');
+  const cancelBtn = root.querySelector('#benchmark-cancel-btn');
+  const progressText = root.querySelector('#benchmark-progress');
+  const resultArea = root.querySelector('#benchmark-result-area');
+
+  let loader = null; // Created on the first run so an unopened panel never spawns a worker
+  let running = null; // AbortController of the run in progress
+  let webGpu = false;
+
+  const checked = (boxes) => boxes.filter(b => b.checked && !b.disabled).map(b => b.value);
+
+  function refresh() {
+    [...deviceBoxes, ...dtypeBoxes, warmupInput, iterationsInput].forEach(el => {
+      el.disabled = running !== null || (el.value === 'webgpu' && !webGpu);
+    });
+    runBtn.disabled = running !== null || !canRun() || checked(deviceBoxes).length === 0 || checked(dtypeBoxes).length === 0;
+    cancelBtn.hidden = running === null;
+  }
+
+  deviceBoxes.forEach(b => {
+    b.checked = b.value === 'wasm';
+  });
+  dtypeBoxes.forEach(b => {
+    b.checked = controller.state.model.dtypes.includes(b.value);
+  });
+  [...deviceBoxes, ...dtypeBoxes].forEach(b => b.addEventListener('change', refresh));
+
+  hasWebGpu().then(available => {
+    webGpu = available;
+    const webGpuBox = deviceBoxes.find(b => b.value === 'webgpu');
+    webGpuBox.checked = available;
+    if (!available) webGpuBox.nextElementSibling.textContent = `${DEVICE_NAMES.webgpu} (not available in this browser)`;
+    refresh();
+  });
+
+  function renderResults(results, report) {
+    resultArea.innerHTML = `
+      <div class="result-area benchmark-result">
+        <div class="batch-table-wrap">
+          <table class="batch-table benchmark-table">
+            <thead><tr>
+              <th scope="col">Device</th><th scope="col">Precision</th><th scope="col">Load</th>
+              <th scope="col">p50</th><th scope="col">p95</th><th scope="col">Throughput</th>
+            </tr></thead>
+            <tbody>
+              ${results.map(r => `
+                <tr data-device="${r.device}" data-dtype="${r.dtype}">
+                  <td>${DEVICE_NAMES[r.device]}</td>
+                  <td class="batch-cell-score">${r.dtype}</td>
+                  ${r.status === 'ok'
+                    ? `<td class="batch-cell-score">${formatLatency(r.loadMs)}</td>
+                       <td class="batch-cell-score">${formatLatency(r.p50Ms)}</td>
+                       <td class="batch-cell-score">${formatLatency(r.p95Ms)}</td>
+                       <td class="batch-cell-score">${r.throughputPerSec.toFixed(2)} runs/s</td>`
+                    : `<td colspan="4" class="batch-card-status--error">${STATUS_TEXT[r.status]}</td>`}
+                </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+        <button type="button" class="secondary-btn" id="benchmark-export-btn">Export JSON</button>
+      </div>`;
+    resultArea.querySelector('#benchmark-export-btn').addEventListener('click', () => {
+      downloadFile(benchmarkFileName(report.model, new Date(report.createdAt)), JSON.stringify(report, null, 2), 'application/json');
+    });
+  }
+
+  async function run() {
+    const model = controller.state.loadedModelId ?? controller.state.model.id; // The fallback that actually loaded
+    const input = getInput();
+    const warmupRuns = parseRunCount(warmupInput.value, { fallback: DEFAULT_WARMUP_RUNS });
+    const timedRuns = parseRunCount(iterationsInput.value, { min: 1, fallback: DEFAULT_TIMED_RUNS });
+    warmupInput.value = warmupRuns;
+    iterationsInput.value = timedRuns;
+    const configs = benchmarkConfigs(checked(deviceBoxes), checked(dtypeBoxes)); // Read before the boxes are disabled
+
+    loader ??= createLoader();
+    running = new AbortController();
+    resultArea.innerHTML = '';
+    refresh();
+    runBtn.innerHTML = `<span class="spinner"></span> Benchmarking…`;
+
+    const results = await runBenchmark({
+      configs,
+      load: async (config) => (await loader(task, model, config)).pipeline,
+      release: (config) => loader.unload(task, model, config),
+      runOnce: (pipe) => runOnce(pipe, input),
+      warmupRuns,
+      timedRuns,
+      now: () => performance.now(),
+      onProgress: (p) => {
+        progressText.textContent = `${DEVICE_NAMES[p.config.device]} · ${p.config.dtype}: ${PHASE_TEXT[p.phase](p)}`;
+      },
+      signal: running.signal,
+    });
+
+    const cancelled = running.signal.aborted;
+    running = null;
+    runBtn.textContent = 'Run benchmark';
+    progressText.textContent = cancelled ? 'Benchmark cancelled.' : '';
+    if (results.length > 0) {
+      renderResults(results, benchmarkReport({
+        task, model, warmupRuns, timedRuns, results, userAgent: navigator.userAgent, date: new Date(),
+      }));
+    }
+    refresh();
+  }
+
+  runBtn.addEventListener('click', run);
+  cancelBtn.addEventListener('click', () => running?.abort());
+  controller.subscribe(refresh);
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,165 @@
+// Inference benchmarking — pure functions (no DOM, no browser APIs)
+
+export const BENCHMARK_DEVICES = ['wasm', 'webgpu'];
+export const BENCHMARK_DTYPES = ['fp32', 'fp16', 'q8', 'q4'];
+
+export const DEFAULT_WARMUP_RUNS = 2;
+export const DEFAULT_TIMED_RUNS = 10;
+export const MAX_BENCHMARK_RUNS = 100;
+
+/**
+ * Parse a run-count field, falling back when it is not a whole number and
+ * clamping to [min, max].
+ * @param {string|number} value
+ * @param {{ min?: number, max?: number, fallback: number }} options
+ * @returns {number}
+ */
+export function parseRunCount(value, { min = 0, max = MAX_BENCHMARK_RUNS, fallback }) {
+  const n = Number(value);
+  if (!Number.isInteger(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
+/**
+ * Every selected device × dtype combination, devices outermost.
+ * @param {string[]} devices
+ * @param {string[]} dtypes
+ * @returns {Array<{ device: string, dtype: string }>}
+ */
+export function benchmarkConfigs(devices, dtypes) {
+  return devices.flatMap(device => dtypes.map(dtype => ({ device, dtype })));
+}
+
+/**
+ * Percentile by linear interpolation between the closest ranks.
+ * @param {number[]} values - Need not be sorted
+ * @param {number} p - 0–100
+ * @returns {number|null} null for an empty list
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Latency statistics for a set of timed runs. Throughput is runs per second
+ * at the mean latency, since runs execute one after another.
+ * @param {number[]} timingsMs
+ * @returns {{ p50Ms: number|null, p95Ms: number|null, meanMs: number|null, throughputPerSec: number|null }}
+ */
+export function summarizeTimings(timingsMs) {
+  if (timingsMs.length === 0) return { p50Ms: null, p95Ms: null, meanMs: null, throughputPerSec: null };
+  const meanMs = timingsMs.reduce((sum, t) => sum + t, 0) / timingsMs.length;
+  return {
+    p50Ms: percentile(timingsMs, 50),
+    p95Ms: percentile(timingsMs, 95),
+    meanMs,
+    throughputPerSec: meanMs > 0 ? 1000 / meanMs : null,
+  };
+}
+
+/**
+ * Load and time one model under each configuration in turn. Each pipeline is
+ * released before the next configuration loads so only one is resident at a time.
+ * A configuration that fails to load or run is recorded and the rest still run.
+ * @param {object} options
+ * @param {Array<{ device: string, dtype: string }>} options.configs
+ * @param {(config: { device: string, dtype: string }) => Promise<Function|null>} options.load
+ * @param {(config: { device: string, dtype: string }) => Promise<void>} options.release
+ * @param {(pipe: Function) => Promise<*>} options.runOnce
+ * @param {number} options.warmupRuns
+ * @param {number} options.timedRuns
+ * @param {() => number} options.now - Millisecond clock
+ * @param {(progress: { config: object, phase: 'load'|'warmup'|'timed', done: number, total: number }) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Stops after the current run; unfinished configurations are left out
+ * @returns {Promise<Array<object>>} One result per configuration, with status 'ok', 'load-failed' or 'run-failed'
+ */
+export async function runBenchmark({ configs, load, release, runOnce, warmupRuns, timedRuns, now, onProgress, signal }) {
+  const results = [];
+  for (const config of configs) {
+    if (signal?.aborted) break;
+    onProgress?.({ config, phase: 'load', done: 0, total: 1 });
+    const loadStart = now();
+    const pipe = await load(config);
+    const loadMs = now() - loadStart;
+    if (!pipe) {
+      results.push({ ...config, status: 'load-failed', loadMs: null, timingsMs: [], ...summarizeTimings([]) });
+      continue;
+    }
+
+    const timingsMs = [];
+    let status = 'ok';
+    try {
+      for (let i = 0; i < warmupRuns && !signal?.aborted; i++) {
+        onProgress?.({ config, phase: 'warmup', done: i, total: warmupRuns });
+        await runOnce(pipe);
+      }
+      for (let i = 0; i < timedRuns && !signal?.aborted; i++) {
+        onProgress?.({ config, phase: 'timed', done: i, total: timedRuns });
+        const start = now();
+        await runOnce(pipe);
+        timingsMs.push(now() - start);
+      }
+    } catch (err) {
+      console.error(`Benchmark run failed (${config.device}, ${config.dtype}):`, err);
+      status = 'run-failed';
+    } finally {
+      await release(config);
+    }
+    if (status === 'ok' && timingsMs.length < timedRuns) break; // Cancelled part-way
+    results.push({ ...config, status, loadMs, timingsMs, ...summarizeTimings(timingsMs) });
+  }
+  return results;
+}
+
+const round2 = (n) => (n === null ? null : Math.round(n * 100) / 100);
+
+/**
+ * JSON export for perf tracking. Raw timings are kept so runs can be
+ * re-aggregated later.
+ * @param {object} options
+ * @param {string} options.task
+ * @param {string} options.model
+ * @param {number} options.warmupRuns
+ * @param {number} options.timedRuns
+ * @param {Array<object>} options.results - From runBenchmark
+ * @param {string} options.userAgent
+ * @param {Date} options.date
+ * @returns {object}
+ */
+export function benchmarkReport({ task, model, warmupRuns, timedRuns, results, userAgent, date }) {
+  return {
+    task,
+    model,
+    createdAt: date.toISOString(),
+    userAgent,
+    warmupRuns,
+    timedRuns,
+    results: results.map(r => ({
+      device: r.device,
+      dtype: r.dtype,
+      status: r.status,
+      loadMs: round2(r.loadMs),
+      p50Ms: round2(r.p50Ms),
+      p95Ms: round2(r.p95Ms),
+      meanMs: round2(r.meanMs),
+      throughputPerSec: round2(r.throughputPerSec),
+      timingsMs: r.timingsMs.map(round2),
+    })),
+  };
+}
+
+/**
+ * File name for a benchmark export, e.g. "benchmark-distilbert-base-uncased-2026-10-18.json".
+ * @param {string} model
+ * @param {Date} date
+ * @returns {string}
+ */
+export function benchmarkFileName(model, date) {
+  const name = model.split('/').pop().replace(/[^\w.-]+/g, '-');
+  return `benchmark-${name}-${date.toISOString().slice(0, 10)}.json`;
+}
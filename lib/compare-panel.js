@@ -0,0 +1,168 @@
+// Side-by-side comparison panel — DOM wiring shared by experiment pages.
+// Loads each selected model through loadModel (the task::model cache keeps them all
+// resident), runs the same input through each one in turn and renders the outputs in
+// adjacent columns with latency and top-label agreement. Loads show per-column
+// progress and only use downloaded files while offline, like the page's own model.
+// Cancelling stops the comparison waiting for them; the loads themselves carry on,
+// since the page may share them.
+import { loadModel } from './model-loader.js';
+import { modelsForTask } from './model-registry.js';
+import { MODEL_ENV, modelSourceName } from './model-env.js';
+import { LOAD_ERRORS, loadErrorGuidance } from './load-errors.js';
+import { formatProgress, trackProgress } from './model-status.js';
+import { isOffline } from './offline.js';
+import { MIN_COMPARE_MODELS, MAX_COMPARE_MODELS, toggleCompareSelection, summarizeAgreement, formatLatency } from './compare.js';
+
+const AGREEMENT_TEXT = {
+  agree: (a) => `All ${a.voting} models agree: ${a.majorityLabel}`,
+  partial: (a) => `${a.agreeing} of ${a.voting} models agree: ${a.majorityLabel}`,
+  disagree: () => 'Models disagree',
+  none: () => 'No model produced a result',
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.task
+ * @param {HTMLElement} options.modelsEl - Container for the model checkboxes
+ * @param {HTMLButtonElement} options.runBtn
+ * @param {HTMLElement} options.resultArea
+ * @param {string[]} options.initialSelection - Model ids checked on mount, topped up to the minimum
+ * @param {() => boolean} options.canRun - Whether the page has valid input
+ * @param {() => *} options.getInput - Reads the page's current input
+ * @param {(pipe: Function, input: *, entry: object) => Promise<{ html: string, topLabel: string|null }>} options.runModel
+ * @returns {{ refresh: () => void }}
+ */
+export function mountComparePanel({ task, modelsEl, runBtn, resultArea, initialSelection, canRun, getInput, runModel }) {
+  const models = modelsForTask(task);
+  let selected = initialSelection.filter(id => models.some(m => m.id === id)).slice(0, MAX_COMPARE_MODELS);
+  // Top up to the minimum so the panel is runnable without extra clicks
+  for (const m of models) {
+    if (selected.length >= MIN_COMPARE_MODELS) break;
+    if (!selected.includes(m.id)) selected.push(m.id);
+  }
+  let running = false;
+
+  modelsEl.innerHTML = models.map((m, i) => `
+    <label class="compare-model-option">
+      <input type="checkbox" value="${m.id}" id="compare-model-${i}" />
+      <span>${m.name}</span>
+    </label>`).join('');
+
+  const checkboxes = [...modelsEl.querySelectorAll('input[type="checkbox"]')];
+
+  function refresh() {
+    checkboxes.forEach(cb => {
+      cb.checked = selected.includes(cb.value);
+      cb.disabled = running || (!cb.checked && selected.length >= MAX_COMPARE_MODELS);
+    });
+    runBtn.disabled = running || selected.length < MIN_COMPARE_MODELS || !canRun();
+  }
+
+  checkboxes.forEach(cb => cb.addEventListener('change', () => {
+    selected = toggleCompareSelection(selected, cb.value);
+    refresh();
+  }));
+
+  function renderColumns(entries) {
+    resultArea.innerHTML = `
+      <div class="result-area compare-result">
+        <div class="compare-agreement" id="compare-agreement"></div>
+        <button type="button" class="secondary-btn compare-cancel-btn" id="compare-cancel-btn">Cancel loading</button>
+        <div class="compare-columns" style="--compare-columns: ${entries.length}">
+          ${entries.map((m, i) => `
+            <section class="compare-column" data-column="${i}" aria-label="${m.name}">
+              <header class="compare-column-header">
+                <span class="compare-column-name">${m.name}</span>
+                <span class="compare-column-latency"></span>
+              </header>
+              <div class="compare-column-body"><span class="batch-card-status"><span class="spinner"></span> <span class="compare-load-text">Loading model…</span></span></div>
+            </section>`).join('')}
+        </div>
+      </div>`;
+    return [...resultArea.querySelectorAll('.compare-column')];
+  }
+
+  async function run() {
+    const entries = selected.map(id => models.find(m => m.id === id));
+    const input = getInput();
+    running = true;
+    refresh();
+    runBtn.innerHTML = `<span class="spinner"></span> Comparing…`;
+
+    const columnEls = renderColumns(entries);
+    const abort = new AbortController();
+    const cancelBtn = document.getElementById('compare-cancel-btn');
+    cancelBtn.addEventListener('click', () => abort.abort());
+    const cacheOnly = isOffline();
+    // loadModel shares one load per model, so aborting it would also fail the page's
+    // load of the same model; the panel only stops waiting instead
+    const cancelled = new Promise((resolve) => {
+      abort.signal.addEventListener('abort', () => resolve({ pipeline: null, error: { kind: LOAD_ERRORS.CANCELLED, message: 'Model load cancelled' } }));
+    });
+    const loads = await Promise.all(entries.map((m, i) => {
+      const loadText = columnEls[i].querySelector('.compare-load-text');
+      let tracker = null;
+      return Promise.race([cancelled, loadModel(task, m.id, {
+        cacheOnly,
+        onProgress: (e) => {
+          tracker = trackProgress(tracker, e);
+          const p = formatProgress(tracker);
+          if (!p.isIndeterminate) loadText.textContent = `Loading model… ${p.percent}%${p.detailText ? ` · ${p.detailText}` : ''}`;
+        },
+      })]);
+    }));
+    cancelBtn.remove();
+    const outcomes = [];
+
+    // Run sequentially so latency reflects one model at a time, not contention
+    for (let i = 0; i < entries.length; i++) {
+      const body = columnEls[i].querySelector('.compare-column-body');
+      if (!loads[i].pipeline || abort.signal.aborted) {
+        body.innerHTML = `<span class="batch-card-status batch-card-status--error"></span>`;
+        body.firstElementChild.textContent = abort.signal.aborted
+          ? 'Loading cancelled'
+          : loadErrorGuidance(loads[i].error, { host: modelSourceName(MODEL_ENV) }).title;
+        outcomes.push({ topLabel: null });
+        continue;
+      }
+      body.innerHTML = `<span class="batch-card-status"><span class="spinner"></span> Running…</span>`;
+      try {
+        const start = performance.now();
+        const outcome = await runModel(loads[i].pipeline, input, entries[i]);
+        const elapsed = performance.now() - start;
+        body.innerHTML = outcome.html;
+        columnEls[i].querySelector('.compare-column-latency').textContent = formatLatency(elapsed);
+        outcomes.push(outcome);
+      } catch (err) {
+        console.error(`Comparison failed for ${entries[i].id}:`, err);
+        body.innerHTML = `<span class="batch-card-status batch-card-status--error">Inference failed</span>`;
+        outcomes.push({ topLabel: null });
+      }
+    }
+
+    const agreement = summarizeAgreement(outcomes);
+    const banner = document.getElementById('compare-agreement');
+    banner.className = `compare-agreement compare-agreement--${agreement.status}`;
+    banner.textContent = abort.signal.aborted ? 'Comparison cancelled' : AGREEMENT_TEXT[agreement.status](agreement);
+
+    columnEls.forEach((col, i) => {
+      if (outcomes[i].topLabel === null) return;
+      col.classList.add(outcomes[i].topLabel === agreement.majorityLabel ? 'compare-column--agree' : 'compare-column--disagree');
+      col.querySelectorAll('[data-label]').forEach(el => {
+        el.classList.toggle('compare-match', el.dataset.label === agreement.majorityLabel);
+      });
+    });
+
+    running = false;
+    runBtn.textContent = 'Compare';
+    refresh();
+  }
+
+  runBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    run();
+  });
+
+  refresh();
+  return { refresh };
+}
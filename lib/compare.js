@@ -0,0 +1,47 @@
+// Model comparison — pure functions (no DOM, no browser APIs)
+
+export const MIN_COMPARE_MODELS = 2;
+export const MAX_COMPARE_MODELS = 3;
+
+/**
+ * Toggle a model in the comparison selection, refusing to exceed the maximum.
+ * @param {string[]} selected
+ * @param {string} id
+ * @param {number} [max]
+ * @returns {string[]}
+ */
+export function toggleCompareSelection(selected, id, max = MAX_COMPARE_MODELS) {
+  if (selected.includes(id)) return selected.filter(s => s !== id);
+  if (selected.length >= max) return selected;
+  return [...selected, id];
+}
+
+/**
+ * Summarize whether the compared models agree on their top label.
+ * Columns that failed (topLabel null) are left out of the vote.
+ * @param {Array<{ topLabel: string|null }>} columns
+ * @returns {{ status: 'agree'|'partial'|'disagree'|'none', majorityLabel: string|null, agreeing: number, voting: number }}
+ */
+export function summarizeAgreement(columns) {
+  const labels = columns.map(c => c.topLabel).filter(l => l !== null && l !== undefined);
+  if (labels.length === 0) return { status: 'none', majorityLabel: null, agreeing: 0, voting: 0 };
+
+  const counts = new Map();
+  labels.forEach(l => counts.set(l, (counts.get(l) || 0) + 1));
+  const [majorityLabel, agreeing] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+
+  let status = 'disagree';
+  if (agreeing === labels.length) status = 'agree';
+  else if (agreeing > 1) status = 'partial';
+
+  return { status, majorityLabel: status === 'disagree' ? null : majorityLabel, agreeing, voting: labels.length };
+}
+
+/**
+ * Latency for display: whole milliseconds below a second, otherwise seconds.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatLatency(ms) {
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
@@ -0,0 +1,72 @@
+// CSV helpers — pure functions (no DOM, no browser APIs)
+
+/**
+ * Quote a value for CSV when it contains a delimiter, quote or newline (RFC 4180).
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows of objects to CSV with a header row.
+ * @param {string[]} columns - Object keys, in output order
+ * @param {Array<Record<string, *>>} rows
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(escapeCsvField).join(',')];
+  for (const row of rows) lines.push(columns.map(c => escapeCsvField(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of string fields (RFC 4180: quoted fields may
+ * contain commas, doubled quotes and newlines). Blank lines and a leading
+ * byte-order mark (as written by Excel) are skipped.
+ * @param {string} input
+ * @returns {string[][]}
+ */
+export function parseCsv(input) {
+  const text = input.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
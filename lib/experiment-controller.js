@@ -0,0 +1,190 @@
+// Experiment controller — model lifecycle and inference locking for one page (no DOM)
+//
+// Owns the model-status state machine, the load token that drops superseded loads,
+// download progress, cancel/unload and the "one inference at a time" lock. Pages
+// subscribe to state snapshots and render them; lib/experiment-page.js does the
+// rendering shared by every page.
+import { loadModel } from './model-loader.js';
+import { STATES, EVENTS, LOAD_POLICIES, nextModelStatus, formatProgress, trackProgress } from './model-status.js';
+
+/**
+ * Default load strategy: the registry entry's own model id.
+ * @param {Function} loader - loadModel-compatible function
+ * @param {string} task
+ * @param {object} entry - Registry entry
+ * @param {object} options - onProgress, signal, cacheOnly and device, forwarded to the loader
+ * @returns {Promise<{ pipeline: Function|null, model: string, error: { kind: string, message: string }|null }>}
+ */
+export async function loadEntry(loader, task, entry, options) {
+  const { pipeline, error } = await loader(task, entry.id, options);
+  return { pipeline, model: entry.id, error };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.task
+ * @param {object} options.model - Registry entry to load first
+ * @param {Function} [options.loader] - loadModel-compatible function (injectable for tests)
+ * @param {typeof loadEntry} [options.loadPipeline] - Override to load fallbacks, etc.
+ * @param {() => number} [options.now] - Clock for download rate, injectable for tests
+ * @param {() => boolean} [options.isOffline] - Checked at each load; offline loads only use downloaded files
+ * @param {(entry: object) => string} [options.loadPolicy] - When start() loads an entry, one of LOAD_POLICIES
+ */
+export function createExperimentController({
+  task, model, loader = loadModel, loadPipeline = loadEntry, now = Date.now, isOffline = () => false, loadPolicy = () => LOAD_POLICIES.EAGER,
+}) {
+  let state = {
+    status: STATES.IDLE,
+    model,
+    pipeline: null,
+    loadedModelId: null, // May differ from model.id when a fallback loaded
+    cacheOnly: false, // The current load may not download (the browser was offline)
+    device: null, // Set once the user picks a backend after a failure; null is the default
+    error: null, // { kind, message } of the last failed load, see lib/load-errors.js
+    progress: null,
+    inferring: false,
+  };
+  let loadToken = 0; // Identifies the newest load so stale results from a replaced model are dropped
+  let loadAbort = null;
+  let loadOptions = {}; // Extra loader options chosen through retry(), e.g. { device: 'wasm' }
+  let hasInput = false; // The user gave the page input before its model started loading
+  const listeners = new Set();
+
+  function set(patch) {
+    state = { ...state, ...patch };
+    listeners.forEach(fn => fn(state));
+  }
+
+  function transition(event, patch = {}) {
+    set({ status: nextModelStatus(state.status, event), ...patch });
+  }
+
+  async function load(event = EVENTS.LOAD_START) {
+    if (nextModelStatus(state.status, event) !== STATES.LOADING) return;
+
+    const token = ++loadToken;
+    const entry = state.model;
+    loadAbort?.abort(); // Stop downloading a model the user has moved away from
+    const abort = new AbortController();
+    loadAbort = abort;
+    let tracker = null;
+    const cacheOnly = isOffline();
+    transition(event, { pipeline: null, loadedModelId: null, progress: null, cacheOnly, error: null });
+
+    const loaded = await loadPipeline(loader, task, entry, {
+      ...loadOptions,
+      signal: abort.signal,
+      cacheOnly,
+      onProgress: (e) => {
+        if (token !== loadToken) return;
+        tracker = trackProgress(tracker, e, now());
+        set({ progress: formatProgress(tracker) });
+      },
+    });
+    if (token !== loadToken) return; // Superseded by a newer model choice, or cancelled
+    loadAbort = null;
+
+    if (loaded.pipeline) transition(EVENTS.LOAD_SUCCESS, { pipeline: loaded.pipeline, loadedModelId: loaded.model });
+    else transition(EVENTS.LOAD_FAILURE, { error: loaded.error });
+  }
+
+  // Load the current entry now, or wait for input or a click, as its policy says
+  function applyPolicy() {
+    const policy = loadPolicy(state.model);
+    if (policy === LOAD_POLICIES.EAGER || (policy === LOAD_POLICIES.ON_INPUT && hasInput)) return load();
+    transition(policy === LOAD_POLICIES.ON_INPUT ? EVENTS.WAIT_FOR_INPUT : EVENTS.WAIT_FOR_CONSENT);
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /**
+     * Call fn with every new state snapshot.
+     * @param {(state: object) => void} fn
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    load,
+
+    /** Load the first model, or wait for input or consent, as the load policy says. */
+    async start() {
+      if (state.status === STATES.IDLE) await applyPolicy();
+    },
+
+    /** Tell the controller the user has given the page input; starts a load waiting for it. */
+    notifyInput() {
+      hasInput = true;
+      if (state.status === STATES.AWAITING_INPUT) return load(EVENTS.INPUT);
+    },
+
+    /**
+     * Load again after a failure.
+     * @param {{ device?: string }} [options] - Switch backend for this and later loads
+     */
+    retry(options) {
+      if (options?.device) {
+        loadOptions = { ...loadOptions, device: options.device };
+        set({ device: options.device });
+      }
+      return load(EVENTS.RETRY);
+    },
+
+    /** Abort the in-flight download. */
+    cancel() {
+      if (state.status !== STATES.LOADING) return;
+      loadToken++;
+      loadAbort?.abort();
+      loadAbort = null;
+      transition(EVENTS.CANCEL, { progress: null });
+    },
+
+    /** Dispose the loaded pipeline. Refused while an inference is running. */
+    async unload() {
+      if (state.status !== STATES.READY || state.inferring) return;
+      const id = state.loadedModelId;
+      transition(EVENTS.UNLOAD, { pipeline: null, loadedModelId: null });
+      await loader.unload?.(task, id, loadOptions);
+    },
+
+    /**
+     * Load a different registry entry, superseding any load in progress.
+     * @param {object} entry
+     */
+    switchModel(entry) {
+      set({ model: entry });
+      if (state.status === STATES.IDLE) return load();
+      // A page still waiting for its first load asks the policy again: the new model may be larger
+      if (state.status === STATES.AWAITING_INPUT || state.status === STATES.AWAITING_CONSENT) return applyPolicy();
+      return load(EVENTS.SWITCH_MODEL);
+    },
+
+    /** @returns {boolean} Whether run() would start an inference now */
+    canRun() {
+      return state.status === STATES.READY && !state.inferring;
+    },
+
+    /**
+     * Run one inference with the loaded pipeline, holding the inference lock
+     * until it settles.
+     * @template T
+     * @param {(pipeline: Function, model: object) => Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    async run(fn) {
+      if (state.status !== STATES.READY) throw new Error('Model is not ready');
+      if (state.inferring) throw new Error('An inference is already running');
+      set({ inferring: true });
+      try {
+        return await fn(state.pipeline, state.model);
+      } finally {
+        set({ inferring: false });
+      }
+    },
+  };
+}
@@ -0,0 +1,257 @@
+// Experiment page — DOM wiring shared by every experiment page.
+// Mounts the model picker, size warning and status area around an experiment
+// controller, and binds run buttons to the controller's inference lock.
+import { STATES, chooseLoadPolicy } from './model-status.js';
+import { downloadSizeMB, formatSize, modelLoadChain } from './model-registry.js';
+import { initialModel, mountModelPicker } from './model-picker.js';
+import { createExperimentController } from './experiment-controller.js';
+import { isOffline, onConnectivityChange, setupOfflineSupport } from './offline.js';
+import { readAlwaysLoad, writeAlwaysLoad } from './load-preference.js';
+import { LOAD_ACTIONS, LOAD_ERRORS, loadErrorGuidance } from './load-errors.js';
+import { MODEL_ENV, modelSourceName } from './model-env.js';
+import { CACHE_NAME, parseCacheUrl } from './model-cache.js';
+
+const STORAGE_LINK = '<a class="model-status-link" href="/pages/cache/">Manage storage</a>';
+
+const ACTION_BUTTONS = {
+  [LOAD_ACTIONS.RETRY]: { id: 'retry-btn', label: 'Retry' },
+  [LOAD_ACTIONS.CLEAR_CACHE_RETRY]: { id: 'clear-retry-btn', label: 'Clear cache and retry' },
+  [LOAD_ACTIONS.USE_WASM]: { id: 'wasm-retry-btn', label: 'Use WASM backend' },
+  [LOAD_ACTIONS.SWITCH_MODEL]: { id: 'switch-model-btn', label: 'Choose another model' },
+};
+
+// Deletes every stored file of the model and its fallbacks, so the retry downloads fresh copies
+async function clearModelCache(entry) {
+  if (!('caches' in globalThis)) return;
+  const ids = modelLoadChain(entry);
+  const cache = await caches.open(CACHE_NAME);
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => ids.includes(parseCacheUrl(request.url, MODEL_ENV)?.modelId))
+    .map(request => cache.delete(request)));
+}
+
+function renderError(statusEl, state, controller, { idPrefix, modelSelect }) {
+  const guidance = loadErrorGuidance(state.error, { host: modelSourceName(MODEL_ENV), device: state.device });
+  const buttons = guidance.actions.map(action => `<button class="retry-btn" id="${idPrefix}${ACTION_BUTTONS[action].id}">${ACTION_BUTTONS[action].label}</button>`);
+  statusEl.innerHTML = `<span class="status-dot status-dot--error"></span><span class="model-status-message"><strong></strong> <span class="model-status-hint"></span></span>${buttons.join('')}${STORAGE_LINK}`;
+  statusEl.querySelector('.model-status-message strong').textContent = guidance.title;
+  statusEl.querySelector('.model-status-hint').textContent = guidance.detail;
+
+  const handlers = {
+    [LOAD_ACTIONS.RETRY]: () => controller.retry(),
+    [LOAD_ACTIONS.CLEAR_CACHE_RETRY]: async () => {
+      await clearModelCache(state.model).catch(err => console.error('Clearing the model cache failed:', err));
+      controller.retry();
+    },
+    [LOAD_ACTIONS.USE_WASM]: () => controller.retry({ device: 'wasm' }),
+    [LOAD_ACTIONS.SWITCH_MODEL]: () => modelSelect.focus(),
+  };
+  for (const action of guidance.actions) {
+    statusEl.querySelector(`#${idPrefix}${ACTION_BUTTONS[action].id}`).addEventListener('click', handlers[action]);
+  }
+}
+
+function renderStatus(statusEl, state, controller, { idPrefix, modelSelect }) {
+  statusEl.className = `model-status model-status--${state.status}`;
+  const on = (id, handler) => statusEl.querySelector(`#${idPrefix}${id}`).addEventListener('click', handler);
+
+  if (state.status === STATES.AWAITING_INPUT || state.status === STATES.AWAITING_CONSENT) {
+    const size = formatSize(downloadSizeMB(state.model));
+    const text = state.status === STATES.AWAITING_INPUT ? `Model loads when you add input (${size})` : `Model not loaded (${size} download)`;
+    statusEl.innerHTML = `<span class="status-dot status-dot--idle"></span><span>${text}</span><label class="model-status-option"><input type="checkbox" id="${idPrefix}always-load" /> Always load automatically</label><button class="retry-btn" id="${idPrefix}load-btn">Load model</button>`;
+    on('load-btn', () => controller.load());
+    statusEl.querySelector(`#${idPrefix}always-load`).addEventListener('change', (e) => {
+      if (!e.target.checked) return;
+      writeAlwaysLoad(true);
+      controller.load();
+    });
+  } else if (state.status === STATES.LOADING) {
+    const text = state.cacheOnly ? 'Loading downloaded model…' : 'Loading model…';
+    statusEl.innerHTML = `<span class="spinner"></span><span>${text}</span><span class="model-status-detail" id="${idPrefix}load-detail"></span><button class="retry-btn" id="${idPrefix}cancel-load-btn">Cancel</button><div class="progress-bar-track"><div class="progress-bar-fill progress-bar-fill--indeterminate" id="${idPrefix}load-progress-bar"></div></div><span class="model-status-files" id="${idPrefix}load-files"></span>`;
+    on('cancel-load-btn', () => controller.cancel());
+  } else if (state.status === STATES.READY) {
+    statusEl.innerHTML = `<span class="status-dot status-dot--ready"></span><span>Model ready</span><button class="retry-btn" id="${idPrefix}unload-btn">Unload</button>${STORAGE_LINK}`;
+    on('unload-btn', () => controller.unload());
+  } else if (state.status === STATES.ERROR) {
+    renderError(statusEl, state, controller, { idPrefix, modelSelect });
+  } else if (state.status === STATES.CANCELLED || state.status === STATES.UNLOADED) {
+    const text = state.status === STATES.CANCELLED ? 'Download cancelled' : 'Model unloaded';
+    statusEl.innerHTML = `<span class="status-dot status-dot--idle"></span><span>${text}</span><button class="retry-btn" id="${idPrefix}load-btn">Load model</button>${STORAGE_LINK}`;
+    on('load-btn', () => controller.load());
+  }
+}
+
+// Updates the loading status in place so the Cancel button survives progress events
+function renderProgress(statusEl, p, idPrefix) {
+  const bar = statusEl.querySelector(`#${idPrefix}load-progress-bar`);
+  if (!bar) return;
+  bar.classList.toggle('progress-bar-fill--indeterminate', p.isIndeterminate);
+  bar.style.width = p.isIndeterminate ? '' : `${p.percent}%`;
+  statusEl.querySelector(`#${idPrefix}load-detail`).textContent = p.detailText;
+  statusEl.querySelector(`#${idPrefix}load-files`).textContent = p.weightsText;
+}
+
+/**
+ * Show a spinner and busy text on a button.
+ * @param {HTMLButtonElement} button
+ * @param {string} text
+ */
+export function setButtonBusy(button, text) {
+  button.innerHTML = `<span class="spinner"></span> ${text}`;
+}
+
+/**
+ * Replace a result area's contents with an error message.
+ * @param {HTMLElement} resultArea
+ * @param {string} message
+ */
+export function showResultError(resultArea, message) {
+  resultArea.innerHTML = `<div class="result-area result-area--error"></div>`;
+  resultArea.firstElementChild.textContent = message;
+}
+
+/**
+ * Call run once, as soon as the controller's model is ready and idle (now, if it
+ * already is).
+ * @param {ReturnType<typeof createExperimentController>} controller
+ * @param {() => void} run
+ * @returns {() => void} Cancels a run that has not started yet
+ */
+export function runWhenReady(controller, run) {
+  let done = false;
+  const check = ({ status, inferring }) => {
+    if (done || status !== STATES.READY || inferring) return;
+    done = true;
+    unsubscribe();
+    run();
+  };
+  const unsubscribe = controller.subscribe(check);
+  check(controller.state);
+  return () => {
+    done = true;
+    unsubscribe();
+  };
+}
+
+/**
+ * Mount the shared page chrome around a new experiment controller. Call
+ * start() once the page has subscribed its own listeners.
+ * @param {object} options
+ * @param {string} options.task
+ * @param {HTMLElement} options.statusEl
+ * @param {HTMLSelectElement} options.modelSelect
+ * @param {HTMLElement} [options.modelMeta]
+ * @param {HTMLElement} [options.sizeWarning]
+ * @param {Function} [options.loadPipeline] - See createExperimentController
+ * @param {string} [options.idPrefix] - Prefix for the status controls' ids when a page hosts several models
+ * @param {string} [options.urlParam] - Query parameter for the model choice; a page's second picker needs its own
+ * @param {string} [options.loadPolicy] - One of LOAD_POLICIES for every model; by default it follows the
+ *   model's size, the connection and the user's preference (see chooseLoadPolicy)
+ * @returns {{ controller: ReturnType<typeof createExperimentController>, bindRun: Function, start: () => Promise<void> }}
+ */
+export function mountExperimentPage({ task, statusEl, modelSelect, modelMeta, sizeWarning, loadPipeline, idPrefix = '', urlParam, loadPolicy }) {
+  setupOfflineSupport();
+  const controller = createExperimentController({
+    task,
+    model: initialModel(task, urlParam),
+    loadPipeline,
+    isOffline,
+    loadPolicy: (entry) => loadPolicy ?? chooseLoadPolicy({
+      sizeMB: downloadSizeMB(entry),
+      connection: navigator.connection,
+      alwaysLoad: readAlwaysLoad(),
+    }),
+  });
+  const picker = mountModelPicker(modelSelect, task, {
+    selected: controller.state.model,
+    metaEl: modelMeta,
+    urlParam,
+    onChange: (entry) => controller.switchModel(entry),
+  });
+
+  let renderedStatus = null;
+  let renderedStatusModel = null;
+  let renderedModel = null;
+  const isWaiting = (status) => status === STATES.AWAITING_INPUT || status === STATES.AWAITING_CONSENT;
+  controller.subscribe((state) => {
+    // Waiting states show the model's size, so picking another model redraws them
+    if (state.status !== renderedStatus || (isWaiting(state.status) && state.model !== renderedStatusModel)) {
+      renderStatus(statusEl, state, controller, { idPrefix, modelSelect });
+      renderedStatus = state.status;
+      renderedStatusModel = state.model;
+    }
+    if (state.status === STATES.LOADING && state.progress) renderProgress(statusEl, state.progress, idPrefix);
+    if (sizeWarning && state.model !== renderedModel) {
+      sizeWarning.textContent = `This model requires ${formatSize(downloadSizeMB(state.model))} download on first use`;
+      renderedModel = state.model;
+    }
+    picker.setDisabled(state.inferring);
+  });
+
+  // Offline loads fail when the model was never downloaded; it loads again once back online
+  onConnectivityChange((offline) => {
+    if (!offline && controller.state.status === STATES.ERROR && controller.state.error?.kind === LOAD_ERRORS.OFFLINE) controller.retry();
+  });
+
+  /**
+   * Wire a run button: enabled while the model is ready, idle and the input is
+   * valid; shows a spinner while running; renders the result or an error.
+   * Valid input also starts a model load that waits for it.
+   * @param {object} run
+   * @param {HTMLButtonElement} run.button
+   * @param {HTMLElement} run.resultArea
+   * @param {string} run.busyLabel - e.g. 'Analyzing…'
+   * @param {() => *} run.readInput
+   * @param {(input: *) => boolean} [run.isValid]
+   * @param {HTMLElement[]} [run.watch] - Inputs whose `input` events re-check validity
+   * @param {(pipeline: Function, input: *, model: object, ui: { setBusyLabel: (text: string) => void }) => Promise<*>} run.infer
+   * @param {(output: *, input: *) => void} run.render
+   * @param {string} run.errorMessage
+   * @param {() => void} [run.onDone] - Runs after every attempt (e.g. restore focus)
+   * @returns {{ refresh: () => void, run: () => Promise<void> }} refresh() re-checks the input after
+   *   the page changes it; run() does what a click does
+   */
+  function bindRun({ button, resultArea, busyLabel, readInput, isValid = () => true, watch = [], infer, render, errorMessage, onDone }) {
+    const idleLabel = button.textContent;
+    const updateButton = () => {
+      button.disabled = !controller.canRun() || !isValid(readInput());
+    };
+    const refresh = () => {
+      if (isValid(readInput())) controller.notifyInput();
+      updateButton();
+    };
+    controller.subscribe(updateButton);
+    watch.forEach(el => el.addEventListener('input', refresh));
+
+    async function run() {
+      const input = readInput();
+      if (!controller.canRun() || !isValid(input)) return;
+
+      setButtonBusy(button, busyLabel);
+      try {
+        const output = await controller.run((pipe, model) => infer(pipe, input, model, {
+          setBusyLabel: (text) => setButtonBusy(button, text),
+        }));
+        render(output, input);
+      } catch (err) {
+        console.error('Inference failed:', err);
+        showResultError(resultArea, errorMessage);
+      } finally {
+        button.textContent = idleLabel;
+        refresh();
+        onDone?.();
+      }
+    }
+
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      run();
+    });
+
+    refresh();
+    return { refresh, run };
+  }
+
+  return { controller, bindRun, start: () => controller.start() };
+}
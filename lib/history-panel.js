@@ -0,0 +1,243 @@
+// History panel — DOM wiring shared by experiment pages.
+// Keeps each experiment's past runs in IndexedDB and lists them in a side panel
+// opened from the page header, with search, pinning, delete, re-run and JSON
+// export/import. If IndexedDB is unavailable the history lasts for the visit only.
+import { idbGetAll, idbPut, idbDelete } from './idb.js';
+import { downloadFile } from './download.js';
+import { findModel } from './model-registry.js';
+import { downscaledDataUrl } from './image-data-url.js';
+import {
+  createHistoryEntry, sortHistory, filterHistory, entriesToPrune, formatHistoryTime, historyToJson, parseHistoryImport, newHistoryEntries,
+} from './history.js';
+
+const STORE = 'history';
+const THUMBNAIL_MAX_SIDE = 96;
+
+/**
+ * History input for an image run: a small thumbnail to show, plus the original
+ * file so the run can be repeated.
+ * @param {File} file
+ * @returns {Promise<{ kind: 'image', name: string, thumbnail: string, file: File }>}
+ */
+export async function imageHistoryInput(file) {
+  return { kind: 'image', name: file.name, thumbnail: await downscaledDataUrl(file, THUMBNAIL_MAX_SIDE, 0.7), file };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.task
+ * @param {HTMLButtonElement} options.toggle - Header button that opens the panel
+ * @param {HTMLElement} options.panel - Empty <aside> the panel renders into
+ * @param {(entry: object) => void} options.onRerun - Restores the entry's input and runs it
+ * @param {(entry: object) => boolean} [options.canRerun] - e.g. false for imported images without the original file
+ * @returns {{ record: (run: object) => Promise<void> }}
+ */
+export function mountHistoryPanel({ task, toggle, panel, onRerun, canRerun = () => true }) {
+  panel.innerHTML = `
+    <div class="history-header">
+      <h2 class="section-label" id="history-title">History</h2>
+      <button type="button" class="secondary-btn" id="history-close-btn">Close</button>
+    </div>
+    <input type="search" class="text-input" id="history-search" placeholder="Search inputs, results and models" aria-label="Search history" />
+    <ul class="history-list" id="history-list"></ul>
+    <p class="history-empty" id="history-empty"></p>
+    <div class="history-actions">
+      <button type="button" class="secondary-btn" id="history-export-btn">Export JSON</button>
+      <button type="button" class="secondary-btn" id="history-import-btn">Import JSON</button>
+      <input type="file" accept=".json,application/json" id="history-import-input" hidden />
+    </div>
+    <p class="history-message" id="history-message" aria-live="polite"></p>`;
+  panel.setAttribute('aria-labelledby', 'history-title');
+
+  const searchInput = panel.querySelector('#history-search');
+  const list = panel.querySelector('#history-list');
+  const emptyText = panel.querySelector('#history-empty');
+  const exportBtn = panel.querySelector('#history-export-btn');
+  const importInput = panel.querySelector('#history-import-input');
+  const message = panel.querySelector('#history-message');
+
+  let entries = [];
+  let persistent = true;
+
+  // Writes that fail (quota, storage disabled) keep the in-memory history intact
+  async function persist(write) {
+    if (!persistent) return;
+    try {
+      await write();
+    } catch (err) {
+      console.error('Saving history failed:', err);
+    }
+  }
+
+  // --- Rendering ---
+
+  function renderToggle() {
+    toggle.textContent = entries.length > 0 ? `History (${entries.length})` : 'History';
+  }
+
+  function itemHtml(entry) {
+    return `
+      <li class="history-item">
+        ${entry.input.kind === 'image' ? '<img class="history-thumb" alt="" />' : ''}
+        <div class="history-body">
+          <p class="history-input"></p>
+          <p class="history-summary"></p>
+          <p class="history-meta"></p>
+          <div class="history-item-actions">
+            <button type="button" class="secondary-btn" data-action="rerun">Re-run</button>
+            <button type="button" class="secondary-btn" data-action="pin"></button>
+            <button type="button" class="secondary-btn" data-action="delete">Delete</button>
+          </div>
+        </div>
+      </li>`;
+  }
+
+  function render() {
+    const shown = filterHistory(sortHistory(entries), searchInput.value);
+    list.innerHTML = shown.map(itemHtml).join('');
+    // Inputs, labels and imported fields are untrusted — set as text
+    list.querySelectorAll('.history-item').forEach((item, i) => {
+      const entry = shown[i];
+      item.dataset.id = entry.id;
+      const model = findModel(task, entry.model)?.name ?? entry.model;
+      const duration = Number.isFinite(entry.durationMs) ? ` · ${Math.round(entry.durationMs)} ms` : '';
+      if (entry.input.kind === 'image') item.querySelector('.history-thumb').src = entry.input.thumbnail;
+      item.querySelector('.history-input').textContent = entry.input.kind === 'image' ? entry.input.name : entry.input.text;
+      item.querySelector('.history-summary').textContent = entry.summary;
+      item.querySelector('.history-meta').textContent = `${model}${duration} · ${formatHistoryTime(entry.createdAt, Date.now())}`;
+      const pin = item.querySelector('[data-action="pin"]');
+      pin.textContent = entry.pinned ? 'Unpin' : 'Pin';
+      pin.setAttribute('aria-pressed', String(entry.pinned));
+      const rerun = item.querySelector('[data-action="rerun"]');
+      rerun.disabled = !canRerun(entry);
+      if (rerun.disabled) rerun.title = 'The original image is not included in imported history';
+      item.classList.toggle('history-item--pinned', entry.pinned);
+    });
+
+    if (entries.length === 0) emptyText.textContent = 'Runs on this page will appear here.';
+    else if (shown.length === 0) emptyText.textContent = 'No runs match your search.';
+    else emptyText.textContent = '';
+    exportBtn.disabled = entries.length === 0;
+    renderToggle();
+  }
+
+  // --- Entry actions ---
+
+  async function setPinned(entry, pinned) {
+    const updated = { ...entry, pinned };
+    entries = entries.map(e => (e.id === entry.id ? updated : e));
+    render();
+    await persist(() => idbPut(STORE, updated.id, updated));
+  }
+
+  async function remove(ids) {
+    const doomed = new Set(ids);
+    entries = entries.filter(e => !doomed.has(e.id));
+    render();
+    await persist(() => Promise.all(ids.map(id => idbDelete(STORE, id))));
+  }
+
+  list.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const entry = entries.find(x => x.id === button.closest('.history-item').dataset.id);
+    if (!entry) return;
+    if (button.dataset.action === 'pin') setPinned(entry, !entry.pinned);
+    else if (button.dataset.action === 'delete') remove([entry.id]);
+    else if (button.dataset.action === 'rerun') {
+      onRerun(entry);
+      if (window.matchMedia('(max-width: 768px)').matches) setOpen(false); // The panel covers the page on small screens
+    }
+  });
+
+  // --- Export / import ---
+
+  function exportHistory() {
+    const json = historyToJson(entries, { task, date: new Date() });
+    downloadFile(`${task}-history.json`, JSON.stringify(json, null, 2), 'application/json');
+  }
+
+  async function importHistory(file) {
+    let imported;
+    try {
+      imported = parseHistoryImport(await file.text(), task);
+    } catch (err) {
+      message.textContent = err.message;
+      return;
+    }
+    const added = newHistoryEntries(entries, imported.entries);
+    // Imports count towards the limit like new runs: the oldest unpinned runs go first
+    const pruned = new Set(entriesToPrune([...entries, ...added]));
+    const evicted = entries.filter(e => pruned.has(e.id)).map(e => e.id);
+    const kept = added.filter(e => !pruned.has(e.id));
+    entries = [...entries, ...kept].filter(e => !pruned.has(e.id));
+    render();
+    const skipped = imported.skipped > 0 ? ` (${imported.skipped} invalid skipped)` : '';
+    message.textContent = `Imported ${added.length} run${added.length === 1 ? '' : 's'}${skipped}.`;
+    await persist(async () => {
+      await Promise.all(kept.map(entry => idbPut(STORE, entry.id, entry)));
+      await Promise.all(evicted.map(id => idbDelete(STORE, id)));
+    });
+  }
+
+  exportBtn.addEventListener('click', exportHistory);
+  panel.querySelector('#history-import-btn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    if (importInput.files[0]) importHistory(importInput.files[0]);
+    importInput.value = '';
+  });
+  searchInput.addEventListener('input', render);
+
+  // --- Open / close ---
+
+  function setOpen(open) {
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(open));
+    if (open) render(); // Refresh the relative times
+  }
+
+  toggle.setAttribute('aria-controls', panel.id);
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.addEventListener('click', () => setOpen(panel.hidden));
+  panel.querySelector('#history-close-btn').addEventListener('click', () => {
+    setOpen(false);
+    toggle.focus();
+  });
+  panel.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    setOpen(false);
+    toggle.focus();
+  });
+
+  idbGetAll(STORE)
+    .then(all => {
+      // Runs recorded before the stored history arrived are kept
+      entries = [...all.filter(e => e.task === task), ...entries.filter(e => !all.some(s => s.id === e.id))];
+      render();
+    })
+    .catch(err => {
+      persistent = false;
+      console.error('History storage is unavailable:', err);
+      message.textContent = 'History will not be kept after you leave this page (storage is unavailable).';
+      render();
+    });
+  render();
+
+  return {
+    /**
+     * Add a completed run to the history, pruning the oldest unpinned runs.
+     * @param {{ model: string, input: object, output: *, viewModel: *, summary: string, durationMs: number }} run
+     */
+    async record(run) {
+      const entry = createHistoryEntry({ task, ...run }, { id: crypto.randomUUID(), now: Date.now() });
+      entries = [...entries, entry];
+      const pruned = entriesToPrune(entries);
+      entries = entries.filter(e => !pruned.includes(e.id));
+      render();
+      await persist(async () => {
+        await idbPut(STORE, entry.id, entry);
+        await Promise.all(pruned.map(id => idbDelete(STORE, id)));
+      });
+    },
+  };
+}
@@ -0,0 +1,149 @@
+// Inference history — pure functions (no DOM, no browser APIs)
+//
+// An entry records one single-input run:
+//   { id, task, createdAt, model, pinned, durationMs, summary, output, viewModel,
+//     input: { kind: 'text', text } | { kind: 'image', name, thumbnail, file? } }
+// `output` is the raw pipeline output, `viewModel` what the page rendered and
+// `summary` a one-line description used in the list and by search. Image entries
+// keep the original file (a Blob) so they can be re-run; exports leave it out.
+
+export const MAX_HISTORY_ENTRIES = 200; // Per experiment; pinned entries never count towards pruning
+export const HISTORY_EXPORT_FORMAT = 'model-student-history';
+export const HISTORY_EXPORT_VERSION = 1;
+
+/**
+ * @param {object} run
+ * @param {string} run.task
+ * @param {string} run.model
+ * @param {object} run.input
+ * @param {*} run.output
+ * @param {*} run.viewModel
+ * @param {string} run.summary
+ * @param {number} run.durationMs
+ * @param {{ id: string, now: number }} meta
+ * @returns {object}
+ */
+export function createHistoryEntry({ task, model, input, output, viewModel, summary, durationMs }, { id, now }) {
+  return { id, task, createdAt: now, model, pinned: false, durationMs, summary, output, viewModel, input };
+}
+
+/**
+ * Pinned entries first, then newest first.
+ * @param {Array<object>} entries
+ * @returns {Array<object>}
+ */
+export function sortHistory(entries) {
+  return [...entries].sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.createdAt - a.createdAt);
+}
+
+/**
+ * Entries matching every word of the query in their input text or file name,
+ * model id or result summary (case-insensitive). An empty query matches all.
+ * @param {Array<object>} entries
+ * @param {string} query
+ * @returns {Array<object>}
+ */
+export function filterHistory(entries, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return entries;
+  return entries.filter(e => {
+    const haystack = [e.input.text ?? e.input.name ?? '', e.model, e.summary].join('\n').toLowerCase();
+    return terms.every(t => haystack.includes(t));
+  });
+}
+
+/**
+ * Ids of the oldest unpinned entries beyond the limit.
+ * @param {Array<object>} entries
+ * @param {number} [max]
+ * @returns {string[]}
+ */
+export function entriesToPrune(entries, max = MAX_HISTORY_ENTRIES) {
+  return entries
+    .filter(e => !e.pinned)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(max)
+    .map(e => e.id);
+}
+
+/**
+ * Short age for the history list: "just now", "5 min ago", "3 h ago", then the date.
+ * @param {number} timestamp
+ * @param {number} now
+ * @returns {string}
+ */
+export function formatHistoryTime(timestamp, now) {
+  const minutes = Math.floor((now - timestamp) / 60_000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * JSON export of an experiment's history. Original image files are left out;
+ * thumbnails are kept.
+ * @param {Array<object>} entries
+ * @param {{ task: string, date: Date }} options
+ * @returns {object}
+ */
+export function historyToJson(entries, { task, date }) {
+  return {
+    format: HISTORY_EXPORT_FORMAT,
+    version: HISTORY_EXPORT_VERSION,
+    task,
+    exportedAt: date.toISOString(),
+    entries: sortHistory(entries).map(({ input: { file, ...input }, ...entry }) => ({ ...entry, input })),
+  };
+}
+
+// Entry ids come from crypto.randomUUID()
+const ENTRY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidEntry(e, task) {
+  if (!e || typeof e !== 'object') return false;
+  if (typeof e.id !== 'string' || !ENTRY_ID_PATTERN.test(e.id) || e.task !== task || typeof e.model !== 'string') return false;
+  if (!Number.isFinite(e.createdAt) || typeof e.summary !== 'string') return false;
+  const input = e.input;
+  if (input?.kind === 'text') return typeof input.text === 'string';
+  // Thumbnails end up in an <img src>, so only inline images are accepted
+  if (input?.kind === 'image') return typeof input.name === 'string' && typeof input.thumbnail === 'string' && input.thumbnail.startsWith('data:image/');
+  return false;
+}
+
+/**
+ * Parse and validate an exported history file for this experiment.
+ * @param {string} text - File contents
+ * @param {string} task
+ * @returns {{ entries: Array<object>, skipped: number }} Invalid entries are skipped, not fatal
+ * @throws {Error} When the file is not a history export for this task
+ */
+export function parseHistoryImport(text, task) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('That file is not valid JSON.');
+  }
+  if (data?.format !== HISTORY_EXPORT_FORMAT || !Array.isArray(data.entries)) {
+    throw new Error('That file is not a history export.');
+  }
+  if (data.version !== HISTORY_EXPORT_VERSION) throw new Error('That history export is from an unsupported version.');
+  if (data.task !== task) throw new Error(`That history is from a different experiment (${data.task}).`);
+
+  const entries = data.entries
+    .filter(e => isValidEntry(e, task))
+    .map(e => ({ ...e, pinned: e.pinned === true, durationMs: Number.isFinite(e.durationMs) ? e.durationMs : null }));
+  return { entries, skipped: data.entries.length - entries.length };
+}
+
+/**
+ * Imported entries whose ids are not already in the history.
+ * @param {Array<object>} existing
+ * @param {Array<object>} imported
+ * @returns {Array<object>}
+ */
+export function newHistoryEntries(existing, imported) {
+  const ids = new Set(existing.map(e => e.id));
+  return imported.filter(e => !ids.has(e.id));
+}
@@ -0,0 +1,92 @@
+// IndexedDB — a minimal promise wrapper over the app's one database.
+// Every object store is declared here so a single version number covers the schema;
+// adding a store means adding it to STORES and bumping DB_VERSION.
+
+const DB_NAME = 'model-student';
+const DB_VERSION = 2;
+const STORES = ['shared-images', 'history'];
+
+let dbPromise = null;
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      for (const name of STORES) {
+        if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab is upgrading the schema: step aside so its upgrade is not blocked
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null; // Let a later call try again
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openDatabase();
+  return requestResult(fn(db.transaction(storeName, mode).objectStore(storeName)));
+}
+
+/**
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<*>} undefined when the key is missing
+ */
+export function idbGet(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @param {*} value - Anything structured-clonable, including Blobs
+ * @returns {Promise<void>}
+ */
+export async function idbPut(storeName, key, value) {
+  await withStore(storeName, 'readwrite', store => store.put(value, key));
+}
+
+/**
+ * Every value in a store, in key order.
+ * @param {string} storeName
+ * @returns {Promise<Array<*>>}
+ */
+export function idbGetAll(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Every key in a store, in key order (matching idbGetAll).
+ * @param {string} storeName
+ * @returns {Promise<IDBValidKey[]>}
+ */
+export function idbGetAllKeys(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAllKeys());
+}
+
+/**
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<void>}
+ */
+export async function idbDelete(storeName, key) {
+  await withStore(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,32 @@
+// Image data URLs — encode uploads for storage in links and IndexedDB.
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Re-encode an image as a JPEG no larger than maxSide on either edge.
+ * @param {Blob} blob
+ * @param {number} maxSide
+ * @param {number} [quality] - JPEG quality, 0–1
+ * @returns {Promise<string>}
+ */
+export async function downscaledDataUrl(blob, maxSide, quality = 0.85) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', quality);
+}
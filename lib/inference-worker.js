@@ -0,0 +1,28 @@
+// Inference worker — owns the Transformers.js pipelines off the main thread.
+// Spawned by lib/model-loader.js; see lib/worker-pipeline.js for the protocol.
+import { pipeline, env, RawImage } from '@huggingface/transformers';
+import { createWorkerHandler, createAbortableFetch } from './worker-pipeline.js';
+import { withModelEnv } from './model-env.js';
+
+// Transformers.js downloads through the global fetch; route it through a wrapper
+// so a cancelled load really stops its downloads.
+const fetchControl = createAbortableFetch(self.fetch.bind(self));
+self.fetch = fetchControl.fetch;
+
+async function deserializeInput(payload) {
+  if (payload?.kind === 'blob') {
+    return RawImage.fromBlob(new Blob([payload.buffer], { type: payload.mimeType }));
+  }
+  if (payload?.kind === 'image') {
+    return new RawImage(payload.data, payload.width, payload.height, payload.channels);
+  }
+  return payload;
+}
+
+// Each load carries the loader's model environment (Hub, mirror or local files)
+self.addEventListener('message', createWorkerHandler(
+  withModelEnv(pipeline, env),
+  (message, transfer) => self.postMessage(message, transfer),
+  deserializeInput,
+  fetchControl,
+));
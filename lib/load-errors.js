@@ -0,0 +1,99 @@
+// Model load errors — classification and recovery guidance (no DOM, no browser APIs)
+//
+// Transformers.js and onnxruntime report failures as plain Errors, so the kind is
+// inferred from the error's name and message. The loader attaches the result to
+// every failed load (see lib/model-loader.js); pages turn it into a message and
+// the actions that can fix it.
+
+export const LOAD_ERRORS = {
+  NETWORK: 'network',
+  BLOCKED: 'blocked',
+  QUOTA: 'quota',
+  UNSUPPORTED_BACKEND: 'unsupported-backend',
+  NOT_FOUND: 'not-found',
+  CORRUPT_CACHE: 'corrupt-cache',
+  OFFLINE: 'offline', // A cache-only load found the model was never downloaded
+  CANCELLED: 'cancelled',
+  UNKNOWN: 'unknown',
+};
+
+export const LOAD_ACTIONS = {
+  RETRY: 'retry',
+  CLEAR_CACHE_RETRY: 'clear-cache-retry',
+  USE_WASM: 'use-wasm',
+  SWITCH_MODEL: 'switch-model',
+};
+
+// fetch() rejects with a bare TypeError whose text differs per browser
+const FETCH_FAILED = /failed to fetch|networkerror|load failed|network error|fetch failed/i;
+// Transformers.js builds these from the HTTP status of a model file
+const NOT_FOUND = /could not locate file|unauthorized access to file|was not found locally|invalid model id/i;
+const FORBIDDEN = /forbidden access to file|blocked/i;
+const SERVER = /request timeout|internal server error|bad gateway|service unavailable|gateway timeout/i;
+const QUOTA = /quota|out of memory|allocation failed|cannot allocate/i;
+const BACKEND = /backend|webgpu|gpu adapter|unsupported device|webassembly|wasm/i;
+// A truncated or garbled cached file fails to parse as ONNX or JSON
+const CORRUPT = /protobuf|can't create a session|failed to load model|invalid (onnx )?model|json|unexpected (token|end)/i;
+
+/**
+ * Classify a model load failure.
+ * @param {*} err - What the pipeline rejected with
+ * @param {{ cacheOnly?: boolean, online?: boolean }} [context] - Whether the load
+ *   was cache-only (offline), and whether the browser reports a connection
+ * @returns {{ kind: string, message: string }}
+ */
+export function classifyLoadError(err, { cacheOnly = false, online = true } = {}) {
+  const name = err?.name ?? '';
+  const message = err?.message || String(err);
+  const error = (kind) => ({ kind, message });
+
+  if (name === 'AbortError') return error(LOAD_ERRORS.CANCELLED);
+  if (name === 'QuotaExceededError' || QUOTA.test(message)) return error(LOAD_ERRORS.QUOTA);
+  if (NOT_FOUND.test(message)) return error(cacheOnly ? LOAD_ERRORS.OFFLINE : LOAD_ERRORS.NOT_FOUND);
+  if (FORBIDDEN.test(message)) return error(LOAD_ERRORS.BLOCKED);
+  if (SERVER.test(message)) return error(LOAD_ERRORS.NETWORK);
+  // Without a connection every fetch fails; with one, a failed fetch means the
+  // host was refused — a firewall, content blocker or missing CORS headers
+  if (FETCH_FAILED.test(message)) return error(online ? LOAD_ERRORS.BLOCKED : LOAD_ERRORS.NETWORK);
+  if (BACKEND.test(message)) return error(LOAD_ERRORS.UNSUPPORTED_BACKEND);
+  if (CORRUPT.test(message)) return error(LOAD_ERRORS.CORRUPT_CACHE);
+  return error(LOAD_ERRORS.UNKNOWN);
+}
+
+/**
+ * What to tell the user about a failed load, and which actions to offer.
+ * @param {{ kind: string }|null} error - From classifyLoadError; null reads as unknown
+ * @param {{ host: string, device?: string }} context - The model host, and the
+ *   device the load asked for (none means the default)
+ * @returns {{ title: string, detail: string, actions: string[] }}
+ */
+export function loadErrorGuidance(error, { host, device }) {
+  const { RETRY, CLEAR_CACHE_RETRY, USE_WASM, SWITCH_MODEL } = LOAD_ACTIONS;
+  switch (error?.kind) {
+    case LOAD_ERRORS.NETWORK:
+      return { title: 'Network error', detail: 'The model download was interrupted. Check your connection and retry.', actions: [RETRY] };
+    case LOAD_ERRORS.BLOCKED:
+      return {
+        title: 'Model host unreachable',
+        detail: `${host} could not be reached. It may be blocked by your network, a content blocker or a CORS policy.`,
+        actions: [RETRY],
+      };
+    case LOAD_ERRORS.QUOTA:
+      return { title: 'Not enough space', detail: 'The browser ran out of storage or memory for this model. Free up space or pick a smaller model.', actions: [RETRY, SWITCH_MODEL] };
+    case LOAD_ERRORS.UNSUPPORTED_BACKEND:
+      return {
+        title: 'Backend not supported',
+        detail: 'This browser cannot run the model on the requested backend.',
+        actions: device === 'wasm' ? [SWITCH_MODEL] : [USE_WASM, SWITCH_MODEL],
+      };
+    case LOAD_ERRORS.NOT_FOUND:
+      return { title: 'Model not found', detail: `The model files are missing from ${host}.`, actions: [SWITCH_MODEL, RETRY] };
+    case LOAD_ERRORS.CORRUPT_CACHE:
+      return { title: 'Model files are damaged', detail: 'A stored copy of the model could not be read. Clearing it downloads a fresh copy.', actions: [CLEAR_CACHE_RETRY] };
+    case LOAD_ERRORS.OFFLINE:
+      // Experiment pages retry by themselves once the connection is back
+      return { title: 'Model not downloaded', detail: 'You are offline. Reconnect to download this model.', actions: [RETRY] };
+    default:
+      return { title: 'Failed to load model', detail: '', actions: [RETRY, CLEAR_CACHE_RETRY] };
+  }
+}
@@ -0,0 +1,24 @@
+// Load preference — the user's "Always load automatically" choice, kept in
+// localStorage. Experiment pages read it when picking a load policy (see
+// chooseLoadPolicy in lib/model-status.js); the storage page can turn it off.
+
+const STORAGE_KEY = 'model-student:always-load';
+
+/** @returns {boolean} Whether models should load as soon as a page opens, whatever their size */
+export function readAlwaysLoad() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) === 'true';
+  } catch {
+    return false; // Storage disabled (private mode, sandboxed iframe)
+  }
+}
+
+/** @param {boolean} alwaysLoad */
+export function writeAlwaysLoad(alwaysLoad) {
+  try {
+    if (alwaysLoad) localStorage.setItem(STORAGE_KEY, 'true');
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Non-fatal: the choice applies to this page only
+  }
+}
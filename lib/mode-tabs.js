@@ -0,0 +1,32 @@
+// Mode tabs — ARIA tablist wiring shared by pages with several input modes.
+// Each tab's aria-controls names the panel it shows.
+
+/**
+ * Wire click and arrow-key selection for a set of role="tab" buttons.
+ * @param {HTMLElement[]} tabs
+ * @param {{ onSelect?: (tab: HTMLElement) => void }} [options] - Called after the panels switch
+ * @returns {{ select: (tab: HTMLElement) => void }}
+ */
+export function mountModeTabs(tabs, { onSelect } = {}) {
+  function select(tab) {
+    tabs.forEach(t => {
+      const selected = t === tab;
+      t.setAttribute('aria-selected', String(selected));
+      t.tabIndex = selected ? 0 : -1;
+      document.getElementById(t.getAttribute('aria-controls')).hidden = !selected;
+    });
+    onSelect?.(tab);
+  }
+
+  tabs.forEach((tab, i) => {
+    tab.addEventListener('click', () => select(tab));
+    tab.addEventListener('keydown', (e) => {
+      if (e.key !== 'ArrowRight' && e.key !== 'ArrowLeft') return;
+      const next = tabs[(i + (e.key === 'ArrowRight' ? 1 : tabs.length - 1)) % tabs.length];
+      select(next);
+      next.focus();
+    });
+  });
+
+  return { select };
+}
@@ -0,0 +1,41 @@
+// Model cache — where Transformers.js keeps downloaded model files (no DOM).
+// Shared by the storage page and the experiment pages' "Clear cache and retry".
+import { DEFAULT_MODEL_ENV } from './model-env.js';
+
+// Cache Storage bucket Transformers.js writes downloaded model files into
+export const CACHE_NAME = 'transformers-cache';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Remote file URLs follow the host's path template — on the Hub,
+// https://huggingface.co/{model}/resolve/{revision}/{file}. Files served from
+// this site sit directly under the local model path: /models/{org}/{name}/{file}.
+function cacheUrlPatterns({ remoteHost, remotePathTemplate, localModelPath }) {
+  const template = escapeRegExp(new URL(remoteHost).pathname + remotePathTemplate)
+    .replace('\\{model\\}', '(?<modelId>.+?)')
+    .replace('\\{revision\\}', '(?<revision>[^/]+)');
+  return [
+    new RegExp(`^${template}(?<file>.+)$`),
+    new RegExp(`^${escapeRegExp(localModelPath)}(?<modelId>[^/]+/[^/]+)/(?<file>.+)$`),
+  ];
+}
+
+/**
+ * Split a cached file URL into the model it belongs to and its path within the repo.
+ * @param {string} url
+ * @param {typeof DEFAULT_MODEL_ENV} [modelEnv] - Where this build loads models from
+ * @returns {{ modelId: string, revision: string|null, file: string } | null} null for URLs that are not model files; revision is null for local files
+ */
+export function parseCacheUrl(url, modelEnv = DEFAULT_MODEL_ENV) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url).pathname);
+  } catch {
+    return null;
+  }
+  for (const pattern of cacheUrlPatterns(modelEnv)) {
+    const match = pathname.match(pattern);
+    if (match) return { modelId: match.groups.modelId, revision: match.groups.revision ?? null, file: match.groups.file };
+  }
+  return null;
+}
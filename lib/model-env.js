@@ -0,0 +1,121 @@
+// Model environment — where Transformers.js fetches model files from (no DOM, no browser APIs)
+//
+// By default every file comes from the Hugging Face Hub. A deployment that cannot
+// reach the Hub can point the loader at a mirror with the same layout
+// (remoteHost + remotePathTemplate), or serve the files itself from
+// localModelPath — `public/models/{model}/{file}` in this repo, filled by
+// `npm run models:download`. Builds read the settings from VITE_MODEL_* variables
+// (see .env.example); createLoader also accepts them directly.
+
+export const DEFAULT_MODEL_ENV = Object.freeze({
+  remoteHost: 'https://huggingface.co/',
+  remotePathTemplate: '{model}/resolve/{revision}/',
+  localModelPath: '/models/',
+  allowRemoteModels: true,
+  allowLocalModels: false,
+});
+
+const VITE_VARIABLES = {
+  remoteHost: 'VITE_MODEL_REMOTE_HOST',
+  remotePathTemplate: 'VITE_MODEL_REMOTE_PATH_TEMPLATE',
+  localModelPath: 'VITE_MODEL_LOCAL_PATH',
+  allowRemoteModels: 'VITE_MODEL_ALLOW_REMOTE',
+  allowLocalModels: 'VITE_MODEL_ALLOW_LOCAL',
+};
+
+const withTrailingSlash = (path) => (path.endsWith('/') ? path : `${path}/`);
+
+function parseFlag(name, value) {
+  if (typeof value === 'boolean') return value;
+  if (['true', '1'].includes(value)) return true;
+  if (['false', '0'].includes(value)) return false;
+  throw new Error(`${name} must be true or false (got "${value}")`);
+}
+
+/**
+ * Fill in defaults and check a model environment.
+ * @param {Partial<typeof DEFAULT_MODEL_ENV>} [overrides]
+ * @returns {typeof DEFAULT_MODEL_ENV} Paths normalized to end in a slash
+ * @throws {Error} When a setting is invalid or every source is disabled
+ */
+export function resolveModelEnv(overrides = {}) {
+  const config = { ...DEFAULT_MODEL_ENV, ...overrides };
+
+  let host;
+  try {
+    host = new URL(config.remoteHost);
+  } catch {
+    throw new Error(`remoteHost must be an absolute URL (got "${config.remoteHost}")`);
+  }
+  if (!['http:', 'https:'].includes(host.protocol)) throw new Error(`remoteHost must be an http(s) URL (got "${config.remoteHost}")`);
+  // The model id in the URL is what the cache page and download cancelling match on
+  if (!config.remotePathTemplate.includes('{model}')) throw new Error('remotePathTemplate must contain {model}');
+  if (!config.localModelPath.startsWith('/')) throw new Error(`localModelPath must start with / (got "${config.localModelPath}")`);
+
+  const resolved = {
+    remoteHost: withTrailingSlash(config.remoteHost),
+    remotePathTemplate: withTrailingSlash(config.remotePathTemplate),
+    localModelPath: withTrailingSlash(config.localModelPath),
+    allowRemoteModels: parseFlag('allowRemoteModels', config.allowRemoteModels),
+    allowLocalModels: parseFlag('allowLocalModels', config.allowLocalModels),
+  };
+  if (!resolved.allowRemoteModels && !resolved.allowLocalModels) {
+    throw new Error('At least one of allowRemoteModels and allowLocalModels must be enabled');
+  }
+  return resolved;
+}
+
+/**
+ * Model environment settings from Vite's import.meta.env. Unset variables are
+ * left out so the defaults apply.
+ * @param {Record<string, string>} viteEnv
+ * @returns {Partial<typeof DEFAULT_MODEL_ENV>}
+ */
+export function modelEnvFromViteEnv(viteEnv) {
+  const config = {};
+  for (const [key, variable] of Object.entries(VITE_VARIABLES)) {
+    const value = viteEnv[variable]?.trim();
+    if (value) config[key] = value;
+  }
+  return config;
+}
+
+/**
+ * URL of a model file on the remote host, as Transformers.js builds it.
+ * @param {typeof DEFAULT_MODEL_ENV} config - A resolved environment
+ * @param {string} model
+ * @param {string} file - Path within the model repo, e.g. `onnx/model_quantized.onnx`
+ * @param {string} [revision]
+ * @returns {string}
+ */
+export function remoteFileUrl(config, model, file, revision = 'main') {
+  const path = config.remotePathTemplate.replaceAll('{model}', model).replaceAll('{revision}', encodeURIComponent(revision));
+  return `${config.remoteHost}${path}${file}`;
+}
+
+/**
+ * Where model files come from, for messages: the remote host's name, or this
+ * site when only local files are allowed.
+ * @param {typeof DEFAULT_MODEL_ENV} config - A resolved environment
+ * @returns {string}
+ */
+export function modelSourceName(config) {
+  return config.allowRemoteModels ? new URL(config.remoteHost).host : 'this site';
+}
+
+/**
+ * Wrap a Transformers.js `pipeline` so each load first applies the `modelEnv`
+ * option (sent by createLoader) to Transformers.js's global `env`.
+ * @param {Function} pipelineFn
+ * @param {object} env - Transformers.js `env`
+ * @returns {(task: string, model: string, options?: object) => Promise<Function>}
+ */
+export function withModelEnv(pipelineFn, env) {
+  return (task, model, { modelEnv, ...options } = {}) => {
+    if (modelEnv) Object.assign(env, modelEnv);
+    return pipelineFn(task, model, options);
+  };
+}
+
+// The environment this build was configured with
+export const MODEL_ENV = resolveModelEnv(modelEnvFromViteEnv(import.meta.env ?? {}));
@@ -1,30 +1,77 @@
-import { pipeline } from '@huggingface/transformers';
+import { createWorkerPipeline, pipelineKey } from './worker-pipeline.js';
+import { MODEL_ENV, resolveModelEnv, withModelEnv } from './model-env.js';
+import { LOAD_ERRORS, classifyLoadError } from './load-errors.js';
+
+// In the browser, pipelines run in a Web Worker so inference never blocks the UI.
+// Environments without Worker (Node unit tests, old browsers) use the main-thread pipeline,
+// imported only then so browsers download Transformers.js once, in the worker chunk.
+async function mainThreadPipeline(task, model, options) {
+  const { pipeline, env } = await import('@huggingface/transformers');
+  return withModelEnv(pipeline, env)(task, model, options);
+}
+
+function defaultPipelineFn() {
+  if (globalThis.__TEST_PIPELINE_FN) return globalThis.__TEST_PIPELINE_FN;
+  if (typeof Worker === 'undefined') return mainThreadPipeline;
+  return createWorkerPipeline(() => new Worker(new URL('./inference-worker.js', import.meta.url), { type: 'module' }));
+}
 
 // createLoader accepts an injected pipeline function for testability.
-// In production: uses the real pipeline import.
+// In production: uses the worker-backed pipeline proxy.
 // In E2E tests: globalThis.__TEST_PIPELINE_FN is set by Playwright's addInitScript.
 // In unit tests: createLoader(mockFn) is called directly.
-export function createLoader(pipelineFn = globalThis.__TEST_PIPELINE_FN || pipeline) {
+//
+// loadModel resolves to { pipeline, error }: the pipeline on success, otherwise
+// null and a classified error ({ kind, message }, see lib/load-errors.js) that
+// pages turn into a specific message and recovery actions. It never rejects.
+//
+// Pipelines load as q8 on the default device unless `dtype` / `device` are passed;
+// each combination is cached separately. Pass `signal` to cancel a load (it applies
+// to the shared load for that key); a cancelled load fails with kind 'cancelled'.
+// loadModel.unload(task, model, options) drops a pipeline from the cache and
+// disposes it.
+//
+// `env` says where model files come from (Hub, a mirror, or this site's
+// /models/ folder); see lib/model-env.js. It defaults to the build's VITE_MODEL_*
+// settings and reaches the pipeline as the `modelEnv` option.
+export function createLoader(pipelineFn = defaultPipelineFn(), { env: envOverrides } = {}) {
+  const modelEnv = envOverrides ? resolveModelEnv(envOverrides) : MODEL_ENV;
   const cache = new Map(); // Same-page dedup only; MPA destroys this on navigation.
-                            // Cross-visit caching is handled by Transformers.js via Cache API.
+                            // Cross-visit caching is handled by Transformers.js via Cache API
+                            // (inspected and evicted from pages/cache/).
 
-  return function loadModel(task, model, { onProgress, ...options } = {}) {
-    const key = `${task}::${model}`;
+  function loadModel(task, model, { onProgress, dtype = 'q8', ...options } = {}) {
+    const key = pipelineKey(task, model, { dtype, device: options.device });
     if (cache.has(key)) return cache.get(key);
 
     const promise = pipelineFn(task, model, {
-      dtype: 'q8',
+      dtype,
+      modelEnv,
       progress_callback: onProgress || undefined,
       ...options,
-    }).catch((err) => {
-      console.error(`Failed to load ${task} model (${model}):`, err);
-      cache.delete(key);
-      return null;
-    });
+    }).then(
+      pipe => ({ pipeline: pipe, error: null }),
+      (err) => {
+        const error = classifyLoadError(err, { cacheOnly: options.cacheOnly, online: globalThis.navigator?.onLine !== false });
+        if (error.kind !== LOAD_ERRORS.CANCELLED) console.error(`Failed to load ${task} model (${model}) [${error.kind}]:`, err);
+        if (cache.get(key) === promise) cache.delete(key);
+        return { pipeline: null, error };
+      },
+    );
 
     cache.set(key, promise);
     return promise;
+  }
+
+  loadModel.unload = async function unload(task, model, { dtype = 'q8', device } = {}) {
+    const key = pipelineKey(task, model, { dtype, device });
+    const promise = cache.get(key);
+    cache.delete(key);
+    const loaded = await promise;
+    await loaded?.pipeline?.dispose?.();
   };
+
+  return loadModel;
 }
 
 export const loadModel = createLoader();
@@ -0,0 +1,70 @@
+// Model picker — DOM wiring shared by every experiment page.
+// Reads the initial choice from ?model= or localStorage, renders a <select> from
+// the registry and persists changes back to both. A page with a second picker
+// gives it another URL parameter so the two choices do not overwrite each other.
+import { modelsForTask, findModel, resolveModelChoice, downloadSizeMB, formatSize } from './model-registry.js';
+
+const DEFAULT_URL_PARAM = 'model';
+const storageKey = (task) => `model-student:model:${task}`;
+
+function readStoredChoice(task) {
+  try {
+    return localStorage.getItem(storageKey(task));
+  } catch {
+    return null; // Storage disabled (private mode, sandboxed iframe)
+  }
+}
+
+function persistChoice(task, id, urlParam) {
+  try {
+    localStorage.setItem(storageKey(task), id);
+  } catch {
+    // Non-fatal: the URL still carries the choice
+  }
+  const url = new URL(location.href);
+  url.searchParams.set(urlParam, id);
+  history.replaceState(history.state, '', url);
+}
+
+/**
+ * Registry entry the page should load on startup.
+ * @param {string} task
+ * @param {string} [urlParam] - Query parameter carrying the choice
+ * @returns {object}
+ */
+export function initialModel(task, urlParam = DEFAULT_URL_PARAM) {
+  const fromUrl = new URLSearchParams(location.search).get(urlParam);
+  return resolveModelChoice(task, { fromUrl, fromStorage: readStoredChoice(task) });
+}
+
+/**
+ * Populate a <select> with the task's models and call onChange with the new
+ * registry entry whenever the user picks one.
+ * @param {HTMLSelectElement} selectEl
+ * @param {string} task
+ * @param {{ selected: object, metaEl?: HTMLElement, urlParam?: string, onChange: (entry: object) => void }} options
+ * @returns {{ setDisabled: (disabled: boolean) => void }}
+ */
+export function mountModelPicker(selectEl, task, { selected, metaEl, urlParam = DEFAULT_URL_PARAM, onChange }) {
+  const models = modelsForTask(task);
+  selectEl.innerHTML = models.map(m => `<option value="${m.id}">${m.name} (${formatSize(downloadSizeMB(m))})</option>`).join('');
+  selectEl.value = selected.id;
+
+  const renderMeta = (entry) => {
+    if (metaEl) metaEl.textContent = `${entry.id} · ${entry.license}`;
+  };
+  renderMeta(selected);
+
+  selectEl.addEventListener('change', () => {
+    const entry = findModel(task, selectEl.value);
+    persistChoice(task, entry.id, urlParam);
+    renderMeta(entry);
+    onChange(entry);
+  });
+
+  return {
+    setDisabled(disabled) {
+      selectEl.disabled = disabled;
+    },
+  };
+}
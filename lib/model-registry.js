@@ -0,0 +1,345 @@
+// Model registry — pure data and lookups (no DOM, no browser APIs)
+//
+// Every model an experiment can load is described here once: the picker on each
+// page, the size warnings and the landing page cards all read from this list.
+// Sizes are approximate download sizes in MB per dtype (all ONNX files combined).
+
+export const MODELS = [
+  {
+    id: 'Xenova/distilbert-base-uncased-finetuned-sst-2-english',
+    task: 'sentiment-analysis',
+    name: 'DistilBERT SST-2',
+    sizes: { q8: 67, fp32: 268 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+    default: true,
+  },
+  {
+    id: 'Xenova/twitter-roberta-base-sentiment-latest',
+    task: 'sentiment-analysis',
+    name: 'Twitter RoBERTa (3-class)',
+    sizes: { q8: 126, fp32: 499 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: { negative: 'NEGATIVE', neutral: 'NEUTRAL', positive: 'POSITIVE' },
+    license: 'cc-by-4.0',
+  },
+  {
+    id: 'Xenova/vit-base-patch16-224',
+    task: 'image-classification',
+    name: 'ViT Base',
+    sizes: { q8: 88, fp32: 346 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+    default: true,
+  },
+  {
+    id: 'Xenova/resnet-50',
+    task: 'image-classification',
+    name: 'ResNet-50',
+    sizes: { q8: 26, fp32: 103 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+  },
+  {
+    id: 'Xenova/convnext-tiny-224',
+    task: 'image-classification',
+    name: 'ConvNeXt Tiny',
+    sizes: { q8: 29, fp32: 114 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+  },
+  {
+    id: 'Xenova/clip-vit-base-patch32',
+    task: 'zero-shot-image-classification',
+    name: 'CLIP ViT-B/32',
+    sizes: { q8: 153, fp32: 605 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'mit',
+    default: true,
+  },
+  {
+    id: 'Xenova/clip-vit-base-patch16',
+    task: 'zero-shot-image-classification',
+    name: 'CLIP ViT-B/16',
+    sizes: { q8: 151, fp32: 599 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'mit',
+  },
+  {
+    id: 'Xenova/detr-resnet-50',
+    task: 'object-detection',
+    name: 'DETR ResNet-50',
+    sizes: { q8: 43, fp32: 167 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+    default: true,
+  },
+  {
+    id: 'Xenova/yolos-tiny',
+    task: 'object-detection',
+    name: 'YOLOS Tiny',
+    sizes: { q8: 8, fp32: 26 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+  },
+  {
+    id: 'Xenova/distilbart-cnn-6-6',
+    task: 'summarization',
+    name: 'DistilBART CNN 6-6',
+    sizes: { q8: 284, fp32: 1130 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+    // Known loading failures on Transformers.js v3 (transformers.js#1120)
+    fallbacks: ['onnx-community/distilbart-cnn-6-6', 'Xenova/distilbart-cnn-12-6'],
+    default: true,
+  },
+  {
+    id: 'Xenova/distilbart-cnn-12-6',
+    task: 'summarization',
+    name: 'DistilBART CNN 12-6',
+    sizes: { q8: 391, fp32: 1550 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+  },
+  {
+    id: 'Xenova/bert-base-NER',
+    task: 'token-classification',
+    name: 'BERT base NER',
+    sizes: { q8: 108, fp32: 431 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'mit',
+    default: true,
+  },
+  {
+    id: 'Xenova/distilbert-base-multilingual-cased-ner-hrl',
+    task: 'token-classification',
+    name: 'DistilBERT multilingual NER',
+    sizes: { q8: 135, fp32: 539 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'afl-3.0',
+  },
+  {
+    id: 'Xenova/distilbert-base-cased-distilled-squad',
+    task: 'question-answering',
+    name: 'DistilBERT SQuAD (cased)',
+    sizes: { q8: 65, fp32: 261 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+    default: true,
+  },
+  {
+    id: 'Xenova/distilbert-base-uncased-distilled-squad',
+    task: 'question-answering',
+    name: 'DistilBERT SQuAD (uncased)',
+    sizes: { q8: 67, fp32: 265 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+  },
+  {
+    id: 'Xenova/whisper-tiny',
+    task: 'automatic-speech-recognition',
+    name: 'Whisper tiny (multilingual)',
+    sizes: { q8: 41, fp32: 151 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+    default: true,
+  },
+  {
+    id: 'Xenova/whisper-tiny.en',
+    task: 'automatic-speech-recognition',
+    name: 'Whisper tiny (English)',
+    sizes: { q8: 41, fp32: 151 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+  },
+  {
+    id: 'Xenova/whisper-base',
+    task: 'automatic-speech-recognition',
+    name: 'Whisper base (multilingual)',
+    sizes: { q8: 77, fp32: 291 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+  },
+  {
+    id: 'Xenova/all-MiniLM-L6-v2',
+    task: 'feature-extraction',
+    name: 'all-MiniLM-L6-v2',
+    sizes: { q8: 23, fp32: 90 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+    default: true,
+  },
+  {
+    id: 'Xenova/bge-small-en-v1.5',
+    task: 'feature-extraction',
+    name: 'BGE small (English)',
+    sizes: { q8: 34, fp32: 133 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'mit',
+  },
+  {
+    id: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2',
+    task: 'feature-extraction',
+    name: 'Multilingual MiniLM L12',
+    sizes: { q8: 118, fp32: 470 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'apache-2.0',
+  },
+  // Translation models name their languages: multilingual ones by code scheme
+  // (`languageCodes`), Opus-MT ones by the single direction they translate
+  {
+    id: 'Xenova/m2m100_418M',
+    task: 'translation',
+    name: 'M2M100 418M (multilingual)',
+    sizes: { q8: 560, fp32: 2200 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'mit',
+    languageCodes: 'm2m100',
+    default: true,
+  },
+  {
+    id: 'Xenova/nllb-200-distilled-600M',
+    task: 'translation',
+    name: 'NLLB-200 distilled 600M (multilingual)',
+    sizes: { q8: 900 },
+    dtypes: ['q8'],
+    labelMap: null,
+    license: 'cc-by-nc-4.0',
+    languageCodes: 'nllb',
+  },
+  {
+    id: 'Xenova/opus-mt-en-de',
+    task: 'translation',
+    name: 'Opus-MT English → German',
+    sizes: { q8: 106, fp32: 420 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'cc-by-4.0',
+    languagePair: ['en', 'de'],
+  },
+  {
+    id: 'Xenova/opus-mt-de-en',
+    task: 'translation',
+    name: 'Opus-MT German → English',
+    sizes: { q8: 106, fp32: 420 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'cc-by-4.0',
+    languagePair: ['de', 'en'],
+  },
+  {
+    id: 'Xenova/opus-mt-en-fr',
+    task: 'translation',
+    name: 'Opus-MT English → French',
+    sizes: { q8: 106, fp32: 420 },
+    dtypes: ['q8', 'fp32'],
+    labelMap: null,
+    license: 'cc-by-4.0',
+    languagePair: ['en', 'fr'],
+  },
+];
+
+export const DEFAULT_DTYPE = 'q8';
+
+/**
+ * All registry entries for a task, in display order.
+ * @param {string} task
+ * @returns {Array<object>}
+ */
+export function modelsForTask(task) {
+  return MODELS.filter(m => m.task === task);
+}
+
+/**
+ * Registry entry for a model id within a task, or undefined.
+ * @param {string} task
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function findModel(task, id) {
+  return MODELS.find(m => m.task === task && m.id === id);
+}
+
+/**
+ * The default model for a task.
+ * @param {string} task
+ * @returns {object}
+ */
+export function defaultModel(task) {
+  const models = modelsForTask(task);
+  return models.find(m => m.default) || models[0];
+}
+
+/**
+ * Model to load: a valid URL choice wins over a valid stored choice, which wins
+ * over the task default. Unknown ids (stale links, removed models) are ignored.
+ * @param {string} task
+ * @param {{ fromUrl?: string|null, fromStorage?: string|null }} choices
+ * @returns {object}
+ */
+export function resolveModelChoice(task, { fromUrl, fromStorage } = {}) {
+  return findModel(task, fromUrl) || findModel(task, fromStorage) || defaultModel(task);
+}
+
+/**
+ * The ids to try when loading an entry: the model itself, then its fallbacks.
+ * @param {object} entry
+ * @returns {string[]}
+ */
+export function modelLoadChain(entry) {
+  return [entry.id, ...(entry.fallbacks || [])];
+}
+
+/**
+ * Approximate download size in MB for a dtype.
+ * @param {object} entry
+ * @param {string} [dtype]
+ * @returns {number|undefined}
+ */
+export function downloadSizeMB(entry, dtype = DEFAULT_DTYPE) {
+  return entry.sizes[dtype];
+}
+
+/**
+ * Human-readable size, e.g. "~67 MB" or "~1.1 GB".
+ * @param {number} mb
+ * @returns {string}
+ */
+export function formatSize(mb) {
+  return mb >= 1000 ? `~${(mb / 1000).toFixed(1)} GB` : `~${Math.round(mb)} MB`;
+}
+
+/**
+ * Map model-specific labels onto the labels the page knows how to render
+ * (e.g. 'positive' → 'POSITIVE'). Labels without a mapping pass through.
+ * @param {Array<{label: string, score: number}>} rawResults
+ * @param {Record<string, string>|null} labelMap
+ * @returns {Array<{label: string, score: number}>}
+ */
+export function normalizeLabels(rawResults, labelMap) {
+  if (!labelMap) return rawResults;
+  return rawResults.map(r => (Array.isArray(r)
+    ? normalizeLabels(r, labelMap)
+    : { ...r, label: labelMap[r.label] ?? r.label }));
+}
@@ -1,24 +1,165 @@
-export const STATES = { IDLE: 'idle', LOADING: 'loading', READY: 'ready', ERROR: 'error' };
-export const EVENTS = { LOAD_START: 'LOAD_START', LOAD_SUCCESS: 'LOAD_SUCCESS', LOAD_FAILURE: 'LOAD_FAILURE', RETRY: 'RETRY' };
+import { formatBytes } from './bytes.js';
 
+export const STATES = {
+  IDLE: 'idle', AWAITING_INPUT: 'awaiting-input', AWAITING_CONSENT: 'awaiting-consent', LOADING: 'loading', READY: 'ready', ERROR: 'error',
+  CANCELLED: 'cancelled', UNLOADED: 'unloaded',
+};
+export const EVENTS = {
+  LOAD_START: 'LOAD_START', LOAD_SUCCESS: 'LOAD_SUCCESS', LOAD_FAILURE: 'LOAD_FAILURE', RETRY: 'RETRY', SWITCH_MODEL: 'SWITCH_MODEL',
+  CANCEL: 'CANCEL', UNLOAD: 'UNLOAD', WAIT_FOR_INPUT: 'WAIT_FOR_INPUT', WAIT_FOR_CONSENT: 'WAIT_FOR_CONSENT', INPUT: 'INPUT',
+};
+
+// SWITCH_MODEL starts loading a different model from any non-idle state;
+// pages discard the result of the load it supersedes.
+// CANCEL aborts an in-flight download; UNLOAD disposes a loaded pipeline. Both
+// leave the page without a model until the user loads one again.
+// WAIT_FOR_INPUT and WAIT_FOR_CONSENT hold off the first load (see
+// chooseLoadPolicy): INPUT starts it once the user has given the page input,
+// LOAD_START when they ask for it. Picking another model while waiting re-applies
+// the policy for that model, so the waiting states move between each other.
 const transitions = {
-  idle:    { LOAD_START: 'loading' },
-  loading: { LOAD_SUCCESS: 'ready', LOAD_FAILURE: 'error' },
-  error:   { RETRY: 'loading' },
-  ready:   {},
+  idle:               { LOAD_START: 'loading', WAIT_FOR_INPUT: 'awaiting-input', WAIT_FOR_CONSENT: 'awaiting-consent' },
+  'awaiting-input':   { LOAD_START: 'loading', INPUT: 'loading', WAIT_FOR_INPUT: 'awaiting-input', WAIT_FOR_CONSENT: 'awaiting-consent' },
+  'awaiting-consent': { LOAD_START: 'loading', WAIT_FOR_INPUT: 'awaiting-input', WAIT_FOR_CONSENT: 'awaiting-consent' },
+  loading:            { LOAD_SUCCESS: 'ready', LOAD_FAILURE: 'error', SWITCH_MODEL: 'loading', CANCEL: 'cancelled' },
+  error:              { RETRY: 'loading', SWITCH_MODEL: 'loading' },
+  ready:              { SWITCH_MODEL: 'loading', UNLOAD: 'unloaded' },
+  cancelled:          { LOAD_START: 'loading', SWITCH_MODEL: 'loading' },
+  unloaded:           { LOAD_START: 'loading', SWITCH_MODEL: 'loading' },
 };
 
 export function nextModelStatus(current, event) {
   return transitions[current]?.[event] ?? current;
 }
 
-export function formatProgress(progressEvent) {
-  if (!progressEvent || progressEvent.status !== 'progress') {
-    return { percent: 0, isIndeterminate: true, file: '' };
+export const LOAD_POLICIES = { EAGER: 'eager', ON_INPUT: 'on-input', ON_CLICK: 'on-click' };
+
+// Download sizes (MB) above which a page stops loading its model by itself
+export const AUTO_LOAD_LIMIT_MB = 100;
+export const ON_INPUT_LIMIT_MB = 200;
+const SLOW_CONNECTIONS = ['slow-2g', '2g'];
+
+/**
+ * When a page should load its model: straight away (eager), once the user gives
+ * it input, or only when they click to load. Small models load eagerly; larger
+ * ones wait, and on a metered or slow connection nothing downloads unasked.
+ * @param {object} options
+ * @param {number} [options.sizeMB] - Download size; unknown sizes load eagerly
+ * @param {{ saveData?: boolean, effectiveType?: string }} [options.connection] - navigator.connection, where supported
+ * @param {boolean} [options.alwaysLoad] - The user's "Always load automatically" preference
+ * @returns {string} One of LOAD_POLICIES
+ */
+export function chooseLoadPolicy({ sizeMB, connection, alwaysLoad = false } = {}) {
+  if (alwaysLoad) return LOAD_POLICIES.EAGER;
+  if (connection?.saveData || SLOW_CONNECTIONS.includes(connection?.effectiveType)) return LOAD_POLICIES.ON_CLICK;
+  if (sizeMB > ON_INPUT_LIMIT_MB) return LOAD_POLICIES.ON_CLICK;
+  if (sizeMB > AUTO_LOAD_LIMIT_MB || connection?.effectiveType === '3g') return LOAD_POLICIES.ON_INPUT;
+  return LOAD_POLICIES.EAGER;
+}
+
+/**
+ * Fold one Transformers.js progress event into the running download totals for
+ * a load. Multi-file models (tokenizer, config, encoder and decoder weights)
+ * report each file separately; files are keyed by model and path so fallback
+ * models with the same file names do not collide.
+ * @param {{ startedAt: number|null, updatedAt: number|null, files: Record<string, { loaded: number, total: number, done: boolean }> }|null} tracker
+ * @param {object} progressEvent
+ * @param {number} [now] - Timestamp in ms, injectable for tests
+ * @returns {{ startedAt: number|null, updatedAt: number|null, files: Record<string, { loaded: number, total: number, done: boolean }> }}
+ */
+export function trackProgress(tracker, progressEvent, now = Date.now()) {
+  const state = tracker ?? { startedAt: null, updatedAt: null, files: {} };
+  const { status, file } = progressEvent ?? {};
+  if (!file || !['initiate', 'download', 'progress', 'done'].includes(status)) return state;
+
+  const key = `${progressEvent.name ?? ''}/${file}`;
+  const prev = state.files[key] ?? { loaded: 0, total: 0, done: false };
+  let next = prev;
+  if (status === 'progress') {
+    next = { loaded: progressEvent.loaded ?? prev.loaded, total: progressEvent.total ?? prev.total, done: prev.done };
+  } else if (status === 'done') {
+    next = { ...prev, loaded: Math.max(prev.loaded, prev.total), done: true };
   }
+
   return {
-    percent: Math.round(progressEvent.progress),
+    startedAt: state.startedAt ?? now,
+    updatedAt: now,
+    files: { ...state.files, [key]: next },
+  };
+}
+
+function formatEta(seconds) {
+  if (seconds < 60) return `${Math.max(1, Math.round(seconds))} s left`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min left`;
+  return `${Math.floor(seconds / 3600)} h ${Math.round((seconds % 3600) / 60)} min left`;
+}
+
+// Files at least this large are model weights (encoder, decoder, ...) and get
+// their own entry in the breakdown; configs and tokenizers are too small to matter
+const WEIGHT_FILE_MIN_BYTES = 1024 * 1024;
+
+const fileLabel = (key) => key.split('/').pop().replace(/\.onnx(_data)?$/, '');
+
+/**
+ * View model for download progress. Accepts either a single progress event
+ * (per-file percent only) or a tracker from trackProgress, which adds overall
+ * bytes, transfer rate and ETA across every file of the model, plus per-file
+ * progress for the weight files of multi-file (e.g. encoder/decoder) models.
+ * Totals only include files whose size is known, so the overall percent can
+ * step back briefly when a new file starts.
+ * @param {object|null} progress - A progress event or a trackProgress tracker
+ * @returns {{ percent: number, isIndeterminate: boolean, file: string, loadedBytes: number, totalBytes: number, bytesPerSecond: number|null, etaSeconds: number|null, fileCount: number, filesDone: number, detailText: string, weights: Array<{ label: string, percent: number, done: boolean }>, weightsText: string }}
+ */
+export function formatProgress(progress) {
+  if (progress?.files) return formatTrackedProgress(progress);
+
+  const base = { loadedBytes: 0, totalBytes: 0, bytesPerSecond: null, etaSeconds: null, fileCount: 0, filesDone: 0, detailText: '', weights: [], weightsText: '' };
+  if (!progress || progress.status !== 'progress') {
+    return { ...base, percent: 0, isIndeterminate: true, file: '' };
+  }
+  return {
+    ...base,
+    percent: Math.round(progress.progress),
     isIndeterminate: false,
-    file: progressEvent.file,
+    file: progress.file,
+    fileCount: 1,
+  };
+}
+
+function formatTrackedProgress({ startedAt, updatedAt, files }) {
+  const entries = Object.values(files);
+  const loadedBytes = entries.reduce((sum, f) => sum + f.loaded, 0);
+  const totalBytes = entries.reduce((sum, f) => sum + f.total, 0);
+  const filesDone = entries.filter(f => f.done).length;
+  const elapsedSeconds = startedAt === null ? 0 : (updatedAt - startedAt) / 1000;
+
+  const bytesPerSecond = elapsedSeconds > 0 && loadedBytes > 0 ? loadedBytes / elapsedSeconds : null;
+  const remaining = Math.max(0, totalBytes - loadedBytes);
+  const etaSeconds = bytesPerSecond && totalBytes > 0 ? remaining / bytesPerSecond : null;
+
+  const parts = [];
+  if (totalBytes > 0) parts.push(`${formatBytes(loadedBytes)} of ${formatBytes(totalBytes)}`);
+  if (bytesPerSecond) parts.push(`${formatBytes(bytesPerSecond)}/s`);
+  if (etaSeconds !== null && remaining > 0) parts.push(formatEta(etaSeconds));
+  if (entries.length > 1) parts.push(`${filesDone}/${entries.length} files`);
+
+  // In download order; a single weight file is already described by the totals
+  const weights = Object.entries(files)
+    .filter(([, f]) => f.total >= WEIGHT_FILE_MIN_BYTES)
+    .map(([key, f]) => ({ label: fileLabel(key), percent: f.done ? 100 : Math.round((f.loaded / f.total) * 100), done: f.done }));
+
+  return {
+    percent: totalBytes > 0 ? Math.round((loadedBytes / totalBytes) * 100) : 0,
+    isIndeterminate: totalBytes === 0,
+    file: '',
+    loadedBytes,
+    totalBytes,
+    bytesPerSecond,
+    etaSeconds,
+    fileCount: entries.length,
+    filesDone,
+    detailText: parts.join(' · '),
+    weights,
+    weightsText: weights.length > 1 ? weights.map(w => `${w.label} ${w.done ? 'done' : `${w.percent}%`}`).join(' · ') : '',
   };
 }
@@ -0,0 +1,58 @@
+// Offline support — DOM wiring shared by every page.
+// Registers the service worker that precaches the app (see pwa/service-worker.js)
+// and shows an indicator while the browser is offline. Experiment pages also pass
+// isOffline() to their controller so loads only use downloaded model files.
+
+let mounted = false;
+
+/** @returns {boolean} Whether the browser reports no network connection */
+export function isOffline() {
+  return globalThis.navigator?.onLine === false;
+}
+
+/**
+ * Call fn whenever the browser goes online or offline.
+ * @param {(offline: boolean) => void} fn
+ * @returns {() => void} Unsubscribe
+ */
+export function onConnectivityChange(fn) {
+  const handler = () => fn(isOffline());
+  window.addEventListener('online', handler);
+  window.addEventListener('offline', handler);
+  return () => {
+    window.removeEventListener('online', handler);
+    window.removeEventListener('offline', handler);
+  };
+}
+
+function registerServiceWorker() {
+  // The dev server serves no /sw.js, and a worker caching dev modules would get in the way
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker registration failed:', err));
+  }, { once: true });
+}
+
+/**
+ * Register the service worker and mount the offline indicator. Safe to call
+ * more than once per page (pages with several experiments do).
+ */
+export function setupOfflineSupport() {
+  if (mounted) return;
+  mounted = true;
+  registerServiceWorker();
+
+  const indicator = document.createElement('div');
+  indicator.className = 'offline-indicator';
+  indicator.setAttribute('role', 'status');
+  indicator.innerHTML = '<span class="status-dot status-dot--idle"></span><span class="offline-indicator-text"></span>';
+  const text = indicator.querySelector('.offline-indicator-text');
+  const render = (offline) => {
+    // The live region stays in the page; changing its text is what gets announced
+    text.textContent = offline ? 'Offline — only downloaded models can load' : '';
+    indicator.classList.toggle('offline-indicator--visible', offline);
+  };
+  render(isOffline());
+  onConnectivityChange(render);
+  document.body.append(indicator);
+}
@@ -0,0 +1,114 @@
+// Result permalinks — pure functions (no DOM)
+//
+// A permalink is the page URL with the model in ?model= (the picker already reads
+// it) and the input in the hash as #s=<payload>, where the payload is JSON,
+// deflate-compressed and base64url-encoded. The hash never reaches the server.
+
+const HASH_PREFIX = '#s=';
+export const PERMALINK_VERSION = 1;
+
+// Data URLs longer than this are kept out of the link (URLs this long still open
+// in browsers, but chat apps and issue trackers start truncating them)
+export const MAX_INLINE_IMAGE_CHARS = 64 * 1024;
+
+// Images too large for a link are kept in IndexedDB; the oldest go beyond this many
+export const MAX_STORED_IMAGES = 20;
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function pipeThrough(bytes, transform) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+}
+
+/**
+ * Compress and encode page state for the URL hash.
+ * @param {object} state
+ * @returns {Promise<string>}
+ */
+export async function encodeState(state) {
+  const json = new TextEncoder().encode(JSON.stringify({ v: PERMALINK_VERSION, ...state }));
+  return toBase64Url(await pipeThrough(json, new CompressionStream('deflate-raw')));
+}
+
+/**
+ * Decode a payload written by encodeState. Anything malformed, or written by an
+ * incompatible version, yields null rather than throwing — links get truncated.
+ * @param {string} encoded
+ * @returns {Promise<object|null>}
+ */
+export async function decodeState(encoded) {
+  try {
+    const json = new TextDecoder().decode(await pipeThrough(fromBase64Url(encoded), new DecompressionStream('deflate-raw')));
+    const state = JSON.parse(json);
+    if (!state || typeof state !== 'object' || state.v !== PERMALINK_VERSION) return null;
+    const { v, ...rest } = state;
+    return rest;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The encoded payload in a location hash, or null when it is not a permalink.
+ * @param {string} hash - e.g. location.hash
+ * @returns {string|null}
+ */
+export function readPermalinkHash(hash) {
+  return hash.startsWith(HASH_PREFIX) && hash.length > HASH_PREFIX.length ? hash.slice(HASH_PREFIX.length) : null;
+}
+
+/**
+ * Permalink for the page at href: the model id in ?model= and the encoded state
+ * in the hash. Other query parameters are kept.
+ * @param {string} href
+ * @param {{ model: string, encoded: string }} options
+ * @returns {string}
+ */
+export function buildPermalink(href, { model, encoded }) {
+  const url = new URL(href);
+  url.searchParams.set('model', model);
+  url.hash = `${HASH_PREFIX.slice(1)}${encoded}`;
+  return url.toString();
+}
+
+/**
+ * Whether an image data URL is short enough to travel inside a link.
+ * @param {string} dataUrl
+ * @returns {boolean}
+ */
+export function canInlineImage(dataUrl) {
+  return dataUrl.length <= MAX_INLINE_IMAGE_CHARS;
+}
+
+/**
+ * Key for a stored image: the SHA-256 of its bytes, so sharing the same file
+ * again reuses its copy instead of storing another.
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {Promise<string>} Hex digest
+ */
+export async function storedImageKey(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Keys of the stored images to delete: all but the `max` most recently saved.
+ * @param {Array<{ key: string, savedAt: number }>} records
+ * @param {number} [max]
+ * @returns {string[]}
+ */
+export function storedImagesToPrune(records, max = MAX_STORED_IMAGES) {
+  return [...records]
+    .sort((a, b) => b.savedAt - a.savedAt)
+    .slice(max)
+    .map(r => r.key);
+}
@@ -0,0 +1,99 @@
+// Result permalinks — DOM wiring shared by pages whose results can be shared.
+// Copying a link writes the page state into the URL (see lib/permalink.js); opening
+// one restores the input and runs it once, as soon as the model is ready.
+import { runWhenReady } from './experiment-page.js';
+import { idbGet, idbPut, idbGetAll, idbGetAllKeys, idbDelete } from './idb.js';
+import { readAsDataUrl, downscaledDataUrl } from './image-data-url.js';
+import {
+  encodeState, decodeState, readPermalinkHash, buildPermalink, canInlineImage, storedImageKey, storedImagesToPrune,
+} from './permalink.js';
+
+const IMAGE_STORE = 'shared-images';
+const SHARE_IMAGE_MAX_SIDE = 512;
+
+// Stored images are { file, savedAt }; links made before that stored the bare Blob
+const storedFile = (value) => (value instanceof Blob ? value : value?.file ?? null);
+
+async function pruneStoredImages() {
+  const [keys, values] = await Promise.all([idbGetAllKeys(IMAGE_STORE), idbGetAll(IMAGE_STORE)]);
+  const records = keys.map((key, i) => ({ key, savedAt: values[i]?.savedAt ?? 0 }));
+  await Promise.all(storedImagesToPrune(records).map(key => idbDelete(IMAGE_STORE, key)));
+}
+
+/**
+ * Link state for an image. Small images travel in the link as-is; larger ones
+ * are re-encoded as a smaller JPEG. If even that is too long, the original is
+ * kept in IndexedDB, keyed by its content, and the link carries the key, so it
+ * only opens in this browser. Only the most recently shared images are kept.
+ * @param {File} file
+ * @returns {Promise<{ state: object, local: boolean }>}
+ */
+export async function imageShareState(file) {
+  const original = await readAsDataUrl(file);
+  if (canInlineImage(original)) return { state: { image: original, name: file.name }, local: false };
+
+  const smaller = await downscaledDataUrl(file, SHARE_IMAGE_MAX_SIDE);
+  if (canInlineImage(smaller)) return { state: { image: smaller, name: file.name }, local: false };
+
+  const imageKey = await storedImageKey(await file.arrayBuffer());
+  await idbPut(IMAGE_STORE, imageKey, { file, savedAt: Date.now() });
+  await pruneStoredImages();
+  return { state: { imageKey, name: file.name }, local: true };
+}
+
+/**
+ * Rebuild the shared image from link state.
+ * @param {{ image?: string, imageKey?: string, name?: string }} state
+ * @returns {Promise<File|null>} null when the link has no image or its stored copy is gone
+ */
+export async function imageFromShareState({ image, imageKey, name = 'shared-image' }) {
+  let blob = null;
+  if (typeof image === 'string' && image.startsWith('data:image/')) blob = await (await fetch(image)).blob();
+  else if (typeof imageKey === 'string') blob = storedFile(await idbGet(IMAGE_STORE, imageKey).catch(() => null));
+  return blob ? new File([blob], String(name), { type: blob.type }) : null;
+}
+
+/**
+ * Put a permalink in the address bar and on the clipboard, confirming on the button.
+ * @param {HTMLButtonElement} button
+ * @param {{ model: string, state: object }} link - Registry model id and page state
+ * @returns {Promise<void>}
+ */
+export async function copyPermalink(button, { model, state }) {
+  const url = buildPermalink(location.href, { model, encoded: await encodeState(state) });
+  history.replaceState(history.state, '', url);
+  const idleLabel = (button.dataset.idleLabel ??= button.textContent); // A second click mid-confirmation keeps the real label
+  try {
+    await navigator.clipboard.writeText(url);
+    button.textContent = 'Link copied';
+  } catch {
+    button.textContent = 'Link is in the address bar'; // Clipboard access denied or unavailable
+  }
+  setTimeout(() => {
+    button.textContent = idleLabel;
+  }, 2000);
+}
+
+/**
+ * If the page was opened from a permalink, hand its state to apply() and then
+ * run once the model is ready. The model itself comes from ?model=, which the
+ * picker reads on startup.
+ * @param {ReturnType<typeof import('./experiment-controller.js').createExperimentController>} controller
+ * @param {object} options
+ * @param {(state: object) => Promise<boolean>|boolean} options.apply - Restores the input; false skips the run
+ * @param {() => void} options.run
+ * @returns {Promise<void>}
+ */
+export async function restoreFromPermalink(controller, { apply, run }) {
+  const encoded = readPermalinkHash(location.hash);
+  if (!encoded) return;
+  const state = await decodeState(encoded);
+  if (!state) return;
+  try {
+    if (!(await apply(state))) return;
+  } catch (err) {
+    console.error('Restoring the shared input failed:', err);
+    return;
+  }
+  runWhenReady(controller, run);
+}
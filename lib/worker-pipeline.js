@@ -0,0 +1,264 @@
+// Worker-backed pipeline proxy.
+//
+// createWorkerPipeline returns a drop-in replacement for Transformers.js `pipeline`
+// that can be handed to createLoader. Pipeline creation, progress events and every
+// inference call are proxied to a Web Worker over postMessage, so model loading and
+// inference never block the main thread.
+//
+// createWorkerHandler is the worker-side half of the protocol. It takes the real
+// pipeline function and a post function so both halves can be unit tested without
+// a real Worker.
+//
+// Messages (main → worker):
+//   { type: 'load', id, task, model, options }  — options.cacheOnly: no downloads, see createAbortableFetch
+//   { type: 'run', id, pipelineId, input, options }
+//   { type: 'cancel', id }              — aborts the downloads of load `id`; no reply
+//   { type: 'dispose', id, pipelineId }
+// Messages (worker → main):
+//   { type: 'progress', id, event }
+//   { type: 'loaded', id }
+//   { type: 'result', id, output }
+//   { type: 'disposed', id }
+//   { type: 'error', id, message, name }  — name lets the main thread classify the failure
+
+/**
+ * Collect ArrayBuffers and ImageBitmaps inside a message payload so they are
+ * transferred instead of copied.
+ * @param {*} value
+ * @param {Set<Transferable>} [found] - Accumulator for the recursive walk
+ * @returns {Transferable[]}
+ */
+export function collectTransferables(value, found = new Set()) {
+  if (!value || typeof value !== 'object') return [...found];
+
+  if (value instanceof ArrayBuffer) {
+    found.add(value);
+  } else if (ArrayBuffer.isView(value)) {
+    found.add(value.buffer);
+  } else if (typeof ImageBitmap !== 'undefined' && value instanceof ImageBitmap) {
+    found.add(value);
+  } else {
+    for (const v of Array.isArray(value) ? value : Object.values(value)) collectTransferables(v, found);
+  }
+  return [...found];
+}
+
+/**
+ * Convert an inference input into a clonable payload. Blobs (e.g. an uploaded
+ * File) are read into an ArrayBuffer and ImageData keeps its pixel buffer, both
+ * of which are transferred rather than copied.
+ * @param {*} input
+ * @returns {Promise<*>}
+ */
+export async function serializeInput(input) {
+  if (typeof Blob !== 'undefined' && input instanceof Blob) {
+    return { kind: 'blob', buffer: await input.arrayBuffer(), mimeType: input.type };
+  }
+  if (typeof ImageData !== 'undefined' && input instanceof ImageData) {
+    return { kind: 'image', data: input.data, width: input.width, height: input.height, channels: 4 };
+  }
+  return input;
+}
+
+/**
+ * Convert pipeline output into a structured-clonable value. Tensors carry
+ * methods and native handles, so only their dims, type and data are sent.
+ * @param {*} output
+ * @returns {*}
+ */
+export function serializeOutput(output) {
+  if (Array.isArray(output)) return output.map(serializeOutput);
+  if (output && typeof output === 'object' && Array.isArray(output.dims) && ArrayBuffer.isView(output.data)) {
+    return { dims: output.dims, type: output.type, data: output.data };
+  }
+  return output;
+}
+
+/**
+ * Cache key for a loaded pipeline. The same model loaded at another dtype or on
+ * another device is a different session, so both are part of the key.
+ * @param {string} task
+ * @param {string} model
+ * @param {{ dtype?: string, device?: string }} [options]
+ * @returns {string}
+ */
+export function pipelineKey(task, model, { dtype, device } = {}) {
+  return [task, model, dtype, device].filter(Boolean).join('::');
+}
+
+// Errors cross postMessage as text; the name (TypeError, QuotaExceededError…) is kept
+function workerError({ message, name }) {
+  const err = new Error(message);
+  if (name) err.name = name;
+  return err;
+}
+
+function abortError() {
+  return new DOMException('Model load cancelled', 'AbortError');
+}
+
+/**
+ * Wrap fetch so a model's downloads can be aborted. Transformers.js takes no
+ * AbortSignal, but it fetches every file through the global fetch with URLs of
+ * the form {host}/{model}/resolve/{revision}/{file}, so requests are matched to
+ * the model being loaded by URL.
+ *
+ * A model tracked with `cacheOnly` (loaded while offline) gets no network at all:
+ * Transformers.js checks its Cache Storage before fetching, so only files that
+ * were never downloaded reach the wrapper, which answers 404 at once (a 404 is
+ * also what sends a local-files lookup on to the remote host). Required files
+ * then fail the load; optional ones are skipped as they would be online.
+ * @param {typeof fetch} fetchFn
+ * @returns {{ fetch: typeof fetch, track: (model: string, options?: { cacheOnly?: boolean }) => () => void, abort: (model: string) => void }}
+ */
+export function createAbortableFetch(fetchFn) {
+  const tracked = new Map(); // model -> { controller: AbortController, cacheOnly: boolean }
+
+  return {
+    fetch(resource, init = {}) {
+      const url = typeof resource === 'string' ? resource : String(resource?.url ?? resource);
+      for (const [model, { controller, cacheOnly }] of tracked) {
+        if (!url.includes(`/${model}/`)) continue;
+        if (cacheOnly) return Promise.resolve(new Response(null, { status: 404, statusText: 'Not downloaded (offline)' }));
+        return fetchFn(resource, { ...init, signal: controller.signal });
+      }
+      return fetchFn(resource, init);
+    },
+    track(model, { cacheOnly = false } = {}) {
+      const entry = { controller: new AbortController(), cacheOnly };
+      tracked.set(model, entry);
+      return () => {
+        if (tracked.get(model) === entry) tracked.delete(model);
+      };
+    },
+    abort(model) {
+      tracked.get(model)?.controller.abort();
+      tracked.delete(model);
+    },
+  };
+}
+
+/**
+ * Main-thread side: a `pipeline`-compatible function backed by a worker.
+ * Pass `signal` in the options to cancel a load: the pending promise rejects with
+ * an AbortError and the worker aborts the model's in-flight downloads.
+ * Returned pipelines have a `dispose()` that frees the model inside the worker.
+ * @param {() => Worker} createWorker - Called lazily on the first pipeline request
+ * @returns {(task: string, model: string, options?: object) => Promise<(input: *, ...args: *[]) => Promise<*>>}
+ */
+export function createWorkerPipeline(createWorker) {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map(); // id -> { resolve, reject, onProgress }
+
+  function getWorker() {
+    if (worker) return worker;
+    worker = createWorker();
+    worker.addEventListener('message', ({ data }) => {
+      const entry = pending.get(data.id);
+      if (!entry) return;
+      if (data.type === 'progress') {
+        entry.onProgress?.(data.event);
+        return;
+      }
+      pending.delete(data.id);
+      if (data.type === 'error') entry.reject(workerError(data));
+      else entry.resolve(data.type === 'result' ? data.output : undefined);
+    });
+    worker.addEventListener('error', (e) => {
+      // An uncaught worker error leaves every pending request without a reply
+      for (const entry of pending.values()) entry.reject(new Error(e.message || 'Inference worker crashed'));
+      pending.clear();
+    });
+    return worker;
+  }
+
+  function request(message, { onProgress, transfer = [], signal } = {}) {
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+      pending.set(id, { resolve, reject, onProgress });
+      getWorker().postMessage({ ...message, id }, transfer);
+      signal?.addEventListener('abort', () => {
+        if (!pending.delete(id)) return; // Already settled
+        getWorker().postMessage({ type: 'cancel', id });
+        reject(abortError());
+      }, { once: true });
+    });
+  }
+
+  return async function workerPipeline(task, model, { progress_callback, signal, ...options } = {}) {
+    await request({ type: 'load', task, model, options }, { onProgress: progress_callback, signal });
+    const pipelineId = pipelineKey(task, model, options);
+
+    // Most pipelines take (input, options); zero-shot ones take (input, labels, options)
+    async function runInWorker(input, ...args) {
+      const payload = await serializeInput(input);
+      return request(
+        { type: 'run', pipelineId, input: payload, args },
+        { transfer: collectTransferables(payload) },
+      );
+    }
+    runInWorker.dispose = () => request({ type: 'dispose', pipelineId });
+    return runInWorker;
+  };
+}
+
+/**
+ * Worker side: builds the `message` handler that owns the real pipelines.
+ * @param {(task: string, model: string, options?: object) => Promise<Function>} pipelineFn
+ * @param {(message: object, transfer?: Transferable[]) => void} post
+ * @param {(payload: *) => Promise<*>} [deserializeInput] - Rebuilds images from serialized payloads
+ * @param {ReturnType<typeof createAbortableFetch>|null} [fetchControl] - Lets `cancel` abort a load's downloads
+ * @returns {(event: { data: object }) => Promise<void>}
+ */
+export function createWorkerHandler(pipelineFn, post, deserializeInput = async (x) => x, fetchControl = null) {
+  const pipelines = new Map(); // pipelineId -> Promise<pipeline>
+  const activeLoads = new Map(); // load message id -> model
+
+  return async function onMessage({ data }) {
+    const { type, id } = data;
+    try {
+      if (type === 'load') {
+        const { cacheOnly, ...options } = data.options ?? {};
+        const key = pipelineKey(data.task, data.model, options);
+        if (!pipelines.has(key)) {
+          const untrack = fetchControl?.track(data.model, { cacheOnly });
+          const promise = pipelineFn(data.task, data.model, {
+            ...options,
+            progress_callback: (event) => post({ type: 'progress', id, event }),
+          });
+          pipelines.set(key, promise);
+          promise.catch(() => pipelines.delete(key)).finally(() => untrack?.());
+        }
+        activeLoads.set(id, data.model);
+        try {
+          await pipelines.get(key);
+        } finally {
+          activeLoads.delete(id);
+        }
+        post({ type: 'loaded', id });
+      } else if (type === 'cancel') {
+        const model = activeLoads.get(id);
+        if (model) fetchControl?.abort(model);
+      } else if (type === 'dispose') {
+        const promise = pipelines.get(data.pipelineId);
+        pipelines.delete(data.pipelineId);
+        const pipe = await promise?.catch(() => null);
+        await pipe?.dispose?.();
+        post({ type: 'disposed', id });
+      } else if (type === 'run') {
+        const pipe = await pipelines.get(data.pipelineId);
+        if (!pipe) throw new Error(`Pipeline ${data.pipelineId} is not loaded`);
+        const output = serializeOutput(await pipe(await deserializeInput(data.input), ...(data.args ?? [])));
+        // Output buffers may be views into memory the runtime reuses, so they are copied, not transferred
+        post({ type: 'result', id, output });
+      }
+    } catch (err) {
+      post({ type: 'error', id, message: err?.message || String(err), name: err?.name });
+    }
+  };
+}
@@ -0,0 +1,102 @@
+// Model cache manager — pure functions (no DOM, no browser APIs)
+import { formatBytes } from '../../lib/bytes.js';
+import { DEFAULT_MODEL_ENV } from '../../lib/model-env.js';
+import { parseCacheUrl } from '../../lib/model-cache.js';
+
+/**
+ * Group cached files by model, largest model first. Unrecognized URLs are
+ * grouped under a null modelId so they can still be inspected and deleted.
+ * Files of unknown size (null bytes) count as zero in the totals and mark
+ * the group's total as a lower bound.
+ * @param {Array<{ url: string, bytes: number|null }>} entries
+ * @param {typeof DEFAULT_MODEL_ENV} [modelEnv]
+ * @returns {Array<{ modelId: string|null, totalBytes: number, sizeUnknown: boolean, files: Array<{ url: string, file: string, bytes: number|null }> }>}
+ */
+export function groupCacheEntries(entries, modelEnv = DEFAULT_MODEL_ENV) {
+  const groups = new Map();
+  for (const { url, bytes } of entries) {
+    const parsed = parseCacheUrl(url, modelEnv);
+    const modelId = parsed ? parsed.modelId : null;
+    if (!groups.has(modelId)) groups.set(modelId, { modelId, totalBytes: 0, sizeUnknown: false, files: [] });
+    const group = groups.get(modelId);
+    group.files.push({ url, file: parsed ? parsed.file : url, bytes });
+    if (bytes === null) group.sizeUnknown = true;
+    else group.totalBytes += bytes;
+  }
+  return [...groups.values()]
+    .map(g => ({ ...g, files: g.files.sort((a, b) => (b.bytes ?? -1) - (a.bytes ?? -1)) }))
+    .sort((a, b) => b.totalBytes - a.totalBytes);
+}
+
+/**
+ * Total bytes across all groups.
+ * @param {Array<{ totalBytes: number }>} groups
+ * @returns {number}
+ */
+export function totalCachedBytes(groups) {
+  return groups.reduce((sum, g) => sum + g.totalBytes, 0);
+}
+
+/**
+ * Size label for a file or group: "Unknown size" when nothing is known, and a
+ * trailing "+" when some files of a total have no known size.
+ * @param {number|null} bytes
+ * @param {boolean} [sizeUnknown] - Part of the total is missing
+ * @returns {string}
+ */
+export function formatCachedSize(bytes, sizeUnknown = false) {
+  if (bytes === null || (sizeUnknown && bytes === 0)) return 'Unknown size';
+  return sizeUnknown ? `${formatBytes(bytes)}+` : formatBytes(bytes);
+}
+
+/**
+ * View model for navigator.storage.estimate() output.
+ * @param {{ usage?: number, quota?: number }} estimate
+ * @returns {{ usageText: string, quotaText: string, percent: number }}
+ */
+export function formatStorageEstimate({ usage = 0, quota = 0 }) {
+  return {
+    usageText: formatBytes(usage),
+    quotaText: formatBytes(quota),
+    percent: quota > 0 ? Math.min(100, (usage / quota) * 100) : 0,
+  };
+}
+
+// localStorage key for the ids of models the user keeps for offline use
+export const OFFLINE_MODELS_KEY = 'model-student:offline-models';
+
+/**
+ * Read the stored offline model ids, tolerating missing or corrupt values.
+ * @param {string|null} raw - localStorage value
+ * @returns {string[]}
+ */
+export function parseOfflineModels(raw) {
+  try {
+    const ids = JSON.parse(raw);
+    return Array.isArray(ids) ? [...new Set(ids.filter(id => typeof id === 'string'))] : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Whether a model's weights are in the cache. Config and tokenizer files alone
+ * do not count: they are fetched before the weights and are all an interrupted
+ * download may leave behind.
+ * @param {Array<{ modelId: string|null, files: Array<{ file: string }> }>} groups
+ * @param {string} modelId
+ * @returns {boolean}
+ */
+export function isModelDownloaded(groups, modelId) {
+  return groups.some(g => g.modelId === modelId && g.files.some(f => f.file.endsWith('.onnx')));
+}
+
+/**
+ * Groups "Clear all" deletes: everything except the models kept for offline use.
+ * @param {Array<{ modelId: string|null }>} groups
+ * @param {string[]} offlineIds
+ * @returns {Array<{ modelId: string|null }>}
+ */
+export function groupsToClear(groups, offlineIds) {
+  return groups.filter(g => !offlineIds.includes(g.modelId));
+}
@@ -0,0 +1,283 @@
+// Model cache manager — DOM wiring layer
+// Transformers.js stores every downloaded model file in Cache Storage; this page
+// lists those files per model and lets the user reclaim the space, or download
+// chosen models ahead of time to keep them for offline use.
+import { MODELS, downloadSizeMB, formatSize } from '../../lib/model-registry.js';
+import { MODEL_ENV, modelSourceName } from '../../lib/model-env.js';
+import { loadErrorGuidance } from '../../lib/load-errors.js';
+import { CACHE_NAME } from '../../lib/model-cache.js';
+import { trackProgress, formatProgress } from '../../lib/model-status.js';
+import { isOffline, onConnectivityChange, setupOfflineSupport } from '../../lib/offline.js';
+import { readAlwaysLoad, writeAlwaysLoad } from '../../lib/load-preference.js';
+import {
+  OFFLINE_MODELS_KEY, groupCacheEntries, totalCachedBytes, formatCachedSize, formatStorageEstimate, parseOfflineModels, isModelDownloaded, groupsToClear,
+} from './cache-logic.js';
+
+const usageText = document.getElementById('storage-usage-text');
+const usageBar = document.getElementById('storage-usage-bar');
+const persistStatus = document.getElementById('persist-status');
+const persistBtn = document.getElementById('persist-btn');
+const clearAllBtn = document.getElementById('clear-all-btn');
+const cacheList = document.getElementById('cache-list');
+const offlineList = document.getElementById('offline-model-list');
+const alwaysLoadToggle = document.getElementById('always-load-toggle');
+
+let groups = [];
+let offlineIds = readOfflineIds();
+const downloads = new Map(); // model id -> progress text while downloading
+const failedDownloads = new Map(); // model id -> why the last download failed
+
+// --- Offline models ---
+
+function readOfflineIds() {
+  try {
+    return parseOfflineModels(localStorage.getItem(OFFLINE_MODELS_KEY));
+  } catch {
+    return []; // Storage disabled (private mode, sandboxed iframe)
+  }
+}
+
+function setOfflineIds(ids) {
+  offlineIds = ids;
+  try {
+    localStorage.setItem(OFFLINE_MODELS_KEY, JSON.stringify(ids));
+  } catch {
+    // Non-fatal: the model files are cached either way
+  }
+}
+
+// --- Reading the cache ---
+
+async function entrySize(cache, request) {
+  const response = await cache.match(request);
+  if (!response) return 0;
+  const length = Number(response.headers.get('content-length'));
+  // Opaque or chunked responses carry no length header. Reading the body to
+  // measure it would pull whole model weights into memory, so it stays unknown.
+  return length > 0 ? length : null;
+}
+
+async function readCacheEntries() {
+  const cache = await caches.open(CACHE_NAME);
+  const requests = await cache.keys();
+  return Promise.all(requests.map(async (request) => ({ url: request.url, bytes: await entrySize(cache, request) })));
+}
+
+// --- Rendering ---
+
+function modelName(modelId) {
+  if (modelId === null) return 'Other files';
+  return MODELS.find(m => m.id === modelId)?.name ?? modelId;
+}
+
+function renderList() {
+  clearAllBtn.disabled = groups.length === 0;
+  if (groups.length === 0) {
+    cacheList.innerHTML = `<div class="result-area cache-empty">No models are cached. Models download on first use and appear here.</div>`;
+    return;
+  }
+
+  cacheList.innerHTML = `
+    <p class="cache-total">${groups.length} model${groups.length === 1 ? '' : 's'} · ${formatCachedSize(totalCachedBytes(groups), groups.some(g => g.sizeUnknown))} cached</p>
+    ${groups.map((g, i) => `
+      <section class="cache-model" data-index="${i}">
+        <header class="cache-model-header">
+          <div>
+            <h2 class="cache-model-name"></h2>
+            <span class="cache-model-id"></span>
+            ${offlineIds.includes(g.modelId) ? '<span class="offline-badge">Kept offline</span>' : ''}
+          </div>
+          <span class="cache-model-size">${formatCachedSize(g.totalBytes, g.sizeUnknown)}</span>
+          <button type="button" class="secondary-btn cache-delete-btn" data-index="${i}">Delete</button>
+        </header>
+        <details class="cache-files">
+          <summary>${g.files.length} file${g.files.length === 1 ? '' : 's'}</summary>
+          <ul>${g.files.map(f => `<li><span class="cache-file-name"></span><span class="cache-file-size">${formatCachedSize(f.bytes)}</span></li>`).join('')}</ul>
+        </details>
+      </section>`).join('')}`;
+
+  // Cache keys are URLs we did not write — set as text, never as HTML
+  cacheList.querySelectorAll('.cache-model').forEach((section, i) => {
+    const g = groups[i];
+    section.querySelector('.cache-model-name').textContent = modelName(g.modelId);
+    section.querySelector('.cache-model-id').textContent = g.modelId ?? '';
+    section.querySelectorAll('.cache-file-name').forEach((el, j) => {
+      el.textContent = g.files[j].file;
+    });
+    section.querySelector('.cache-delete-btn').setAttribute('aria-label', `Delete ${modelName(g.modelId)}`);
+  });
+
+  cacheList.querySelectorAll('.cache-delete-btn').forEach(btn => {
+    btn.addEventListener('click', () => deleteModel(groups[Number(btn.dataset.index)]));
+  });
+}
+
+function offlineModelState(model) {
+  const downloaded = isModelDownloaded(groups, model.id);
+  const kept = offlineIds.includes(model.id);
+  if (downloads.has(model.id)) return { text: downloads.get(model.id), action: null };
+  if (failedDownloads.has(model.id)) return { text: `Download failed · ${failedDownloads.get(model.id)}`, action: 'download', label: 'Try again' };
+  if (kept && !downloaded) return { text: 'Kept offline · files missing', action: 'download', label: 'Download again' };
+  if (kept) return { text: 'Kept offline', action: 'release', label: 'Stop keeping' };
+  return { text: downloaded ? 'Downloaded' : `Not downloaded · ${formatSize(downloadSizeMB(model))}`, action: 'keep', label: 'Keep offline' };
+}
+
+function renderOfflineModels() {
+  const focusedId = document.activeElement?.closest('.offline-model')?.dataset.id;
+  offlineList.innerHTML = MODELS.map(m => `
+    <li class="offline-model" data-id="${m.id}">
+      <div>
+        <span class="offline-model-name">${m.name}</span>
+        <span class="cache-model-id">${m.id}</span>
+      </div>
+      <span class="offline-model-state"></span>
+      <button type="button" class="secondary-btn offline-model-btn"></button>
+    </li>`).join('');
+
+  offlineList.querySelectorAll('.offline-model').forEach((item, i) => {
+    const model = MODELS[i];
+    const state = offlineModelState(model);
+    item.querySelector('.offline-model-state').textContent = state.text;
+    const button = item.querySelector('.offline-model-btn');
+    button.hidden = state.action === null;
+    button.textContent = state.label ?? '';
+    button.setAttribute('aria-label', `${state.label} ${model.name}`);
+    // Downloads need the network; releasing a model does not
+    button.disabled = state.action !== 'release' && isOffline();
+    button.addEventListener('click', () => {
+      if (state.action === 'release') releaseModel(model);
+      else keepOffline(model);
+    });
+    if (model.id === focusedId && !button.hidden) button.focus();
+  });
+}
+
+async function renderStorage() {
+  if (!navigator.storage?.estimate) {
+    usageText.textContent = 'Storage estimate unavailable in this browser';
+    return;
+  }
+  const s = formatStorageEstimate(await navigator.storage.estimate());
+  usageText.textContent = `${s.usageText} of ${s.quotaText} (${s.percent.toFixed(1)}%)`;
+  usageBar.style.width = `${s.percent}%`;
+}
+
+async function renderPersistence() {
+  if (!navigator.storage?.persisted) {
+    persistStatus.textContent = '';
+    persistBtn.hidden = true;
+    return;
+  }
+  const persisted = await navigator.storage.persisted();
+  persistStatus.textContent = persisted
+    ? 'Storage is persistent — the browser will not evict models automatically'
+    : 'The browser may evict cached models when storage is low';
+  persistBtn.hidden = persisted;
+}
+
+async function refresh() {
+  try {
+    groups = groupCacheEntries(await readCacheEntries(), MODEL_ENV);
+    renderList();
+    renderOfflineModels();
+  } catch (err) {
+    console.error('Reading the model cache failed:', err);
+    cacheList.innerHTML = `<div class="result-area result-area--error">Could not read the model cache.</div>`;
+  }
+  await renderStorage();
+}
+
+// --- Actions ---
+
+async function deleteModel(group) {
+  setOfflineIds(offlineIds.filter(id => id !== group.modelId));
+  const cache = await caches.open(CACHE_NAME);
+  await Promise.all(group.files.map(f => cache.delete(f.url)));
+  await refresh();
+  clearAllBtn.focus();
+}
+
+async function clearAll() {
+  const doomed = groupsToClear(groups, offlineIds);
+  if (doomed.length === groups.length) {
+    const size = formatCachedSize(totalCachedBytes(groups), groups.some(g => g.sizeUnknown));
+    if (!confirm(`Delete all cached models (${size})? They will download again on next use.`)) return;
+    await caches.delete(CACHE_NAME);
+  } else {
+    const kept = groups.length - doomed.length;
+    const size = formatCachedSize(totalCachedBytes(doomed), doomed.some(g => g.sizeUnknown));
+    if (!confirm(`Delete ${doomed.length} cached model${doomed.length === 1 ? '' : 's'} (${size})? ${kept} kept for offline use will stay. The others download again on next use.`)) return;
+    const cache = await caches.open(CACHE_NAME);
+    await Promise.all(doomed.flatMap(g => g.files.map(f => cache.delete(f.url))));
+  }
+  await refresh();
+}
+
+// Loading a model is what downloads it; the pipeline is freed straight away.
+// The loader is imported on demand so the page stays light until a download starts.
+async function downloadModel(model) {
+  failedDownloads.delete(model.id);
+  downloads.set(model.id, 'Downloading…');
+  renderOfflineModels();
+
+  const { loadModel } = await import('../../lib/model-loader.js');
+  let tracker = null;
+  const { pipeline, error } = await loadModel(model.task, model.id, {
+    onProgress: (e) => {
+      tracker = trackProgress(tracker, e);
+      const p = formatProgress(tracker);
+      downloads.set(model.id, p.isIndeterminate ? 'Downloading…' : `Downloading… ${p.percent}%`);
+      // Only the state text changes, so focus stays on the list's buttons
+      const stateEl = offlineList.querySelector(`[data-id="${CSS.escape(model.id)}"] .offline-model-state`);
+      if (stateEl) stateEl.textContent = downloads.get(model.id);
+    },
+  });
+  downloads.delete(model.id);
+  if (pipeline) await loadModel.unload(model.task, model.id);
+  else failedDownloads.set(model.id, loadErrorGuidance(error, { host: modelSourceName(MODEL_ENV) }).title);
+  await refresh();
+}
+
+async function keepOffline(model) {
+  setOfflineIds([...offlineIds.filter(id => id !== model.id), model.id]);
+  // Kept models are only safe from eviction in persistent storage
+  if (navigator.storage?.persist && !(await navigator.storage.persisted())) {
+    await navigator.storage.persist();
+    await renderPersistence();
+  }
+  if (isModelDownloaded(groups, model.id)) renderOfflineModels();
+  else await downloadModel(model);
+}
+
+function releaseModel(model) {
+  setOfflineIds(offlineIds.filter(id => id !== model.id));
+  renderList();
+  renderOfflineModels();
+}
+
+async function requestPersistence() {
+  persistBtn.disabled = true;
+  const granted = await navigator.storage.persist();
+  persistBtn.disabled = false;
+  await renderPersistence();
+  if (!granted) persistStatus.textContent = 'The browser declined persistent storage for this site';
+}
+
+// --- Event listeners ---
+
+clearAllBtn.addEventListener('click', clearAll);
+persistBtn.addEventListener('click', requestPersistence);
+alwaysLoadToggle.addEventListener('change', () => writeAlwaysLoad(alwaysLoadToggle.checked));
+onConnectivityChange(renderOfflineModels);
+
+// --- Init ---
+setupOfflineSupport();
+alwaysLoadToggle.checked = readAlwaysLoad();
+if (!('caches' in globalThis)) {
+  cacheList.innerHTML = `<div class="result-area result-area--error">Cache Storage is unavailable (it requires HTTPS or localhost).</div>`;
+  offlineList.closest('section').hidden = true; // Without it nothing can be kept
+  renderStorage();
+} else {
+  refresh();
+}
+renderPersistence();
@@ -0,0 +1,220 @@
+// Embedding explorer — pure functions (no DOM, no browser APIs)
+
+export const TASK = 'feature-extraction';
+
+// One vector per sentence: token embeddings averaged, then scaled to unit
+// length so the dot product of two vectors is their cosine similarity
+export const EMBED_OPTIONS = { pooling: 'mean', normalize: true };
+
+// The heatmap has one cell per pair, so it stops being readable well before this
+export const MAX_SENTENCES = 64;
+
+export const SEARCH_RESULTS = 5;
+
+/**
+ * Non-empty lines of the input, trimmed.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseSentences(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Comparing needs at least two sentences; more than MAX_SENTENCES are refused.
+ * @param {string[]} sentences
+ * @returns {boolean}
+ */
+export function isInputValid(sentences) {
+  return sentences.length >= 2 && sentences.length <= MAX_SENTENCES;
+}
+
+/**
+ * Split feature-extraction output into one vector per input. The pipeline
+ * returns a [count, dimensions] tensor (or, from the worker, its dims and data).
+ * @param {{ dims: number[], data: ArrayLike<number> }} output
+ * @returns {Float32Array[]}
+ */
+export function toVectors({ dims, data }) {
+  const [count, size] = dims.length === 1 ? [1, dims[0]] : dims;
+  const flat = Float32Array.from(data);
+  return Array.from({ length: count }, (_, i) => flat.subarray(i * size, (i + 1) * size));
+}
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+/**
+ * Cosine similarity of two vectors; 0 when either is all zeros.
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  if (a.length !== b.length) throw new Error(`Embedding sizes differ (${a.length} and ${b.length})`);
+  const norms = Math.sqrt(dot(a, a) * dot(b, b));
+  return norms === 0 ? 0 : dot(a, b) / norms;
+}
+
+/**
+ * Pairwise cosine similarities, symmetric with ones on the diagonal.
+ * @param {ArrayLike<number>[]} vectors
+ * @returns {number[][]}
+ */
+export function similarityMatrix(vectors) {
+  const matrix = vectors.map(() => new Array(vectors.length));
+  vectors.forEach((a, i) => {
+    for (let j = i; j < vectors.length; j++) {
+      matrix[i][j] = matrix[j][i] = i === j ? 1 : cosineSimilarity(a, vectors[j]);
+    }
+  });
+  return matrix;
+}
+
+/**
+ * The vectors most similar to a query, best first.
+ * @param {ArrayLike<number>} query
+ * @param {ArrayLike<number>[]} vectors
+ * @param {number} [limit]
+ * @returns {Array<{ index: number, score: number }>}
+ */
+export function rankBySimilarity(query, vectors, limit = SEARCH_RESULTS) {
+  return vectors
+    .map((v, index) => ({ index, score: cosineSimilarity(query, v) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit);
+}
+
+/**
+ * How strongly to shade a heatmap cell: similarity clamped to 0–1. Unrelated
+ * sentences score near 0 and the odd negative score means nothing more.
+ * @param {number} score
+ * @returns {number}
+ */
+export function heatLevel(score) {
+  return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * Score text, e.g. "0.87".
+ * @param {number} score
+ * @returns {string}
+ */
+export function formatSimilarity(score) {
+  return score.toFixed(2);
+}
+
+// Leading eigenvector of the covariance of the (centered) rows, found by power
+// iteration on Xᵀ(Xv) so the d×d covariance matrix is never built
+function principalAxis(rows, size, iterations = 200) {
+  let v = Float64Array.from({ length: size }, (_, j) => 1 + (j % 7) / 7); // Fixed start, so reruns give the same plot
+  for (let it = 0; it < iterations; it++) {
+    const next = new Float64Array(size);
+    for (const row of rows) {
+      const p = dot(row, v);
+      for (let j = 0; j < size; j++) next[j] += p * row[j];
+    }
+    const norm = Math.sqrt(dot(next, next));
+    if (norm === 0) return new Float64Array(size);
+    const delta = next.reduce((sum, x, j) => sum + Math.abs(x / norm - v[j]), 0);
+    v = next.map(x => x / norm);
+    if (delta < 1e-9) break;
+  }
+  // Eigenvectors have no sign; pick the one whose largest loading is positive so reruns agree
+  const largest = v.reduce((best, x) => (Math.abs(x) > Math.abs(best) ? x : best), 0);
+  return largest < 0 ? v.map(x => -x) : v;
+}
+
+/**
+ * Project vectors onto their first two principal components.
+ * @param {ArrayLike<number>[]} vectors
+ * @returns {{ points: Array<{ x: number, y: number }>, explained: [number, number] }} explained - Share of the total variance along each axis
+ */
+export function pca2d(vectors) {
+  if (vectors.length === 0) return { points: [], explained: [0, 0] };
+  const size = vectors[0].length;
+  const mean = new Float64Array(size);
+  for (const v of vectors) for (let j = 0; j < size; j++) mean[j] += v[j] / vectors.length;
+  const rows = vectors.map(v => Float64Array.from(v, (x, j) => x - mean[j]));
+  const total = rows.reduce((sum, row) => sum + dot(row, row), 0);
+
+  const first = principalAxis(rows, size);
+  const xs = rows.map(row => dot(row, first));
+  // Remove the first component, so power iteration finds the second
+  const deflated = rows.map((row, i) => row.map((x, j) => x - xs[i] * first[j]));
+  const second = principalAxis(deflated, size);
+  const ys = rows.map(row => dot(row, second));
+
+  const variance = (coords) => coords.reduce((sum, c) => sum + c * c, 0);
+  return {
+    points: xs.map((x, i) => ({ x, y: ys[i] })),
+    explained: total === 0 ? [0, 0] : [variance(xs) / total, variance(ys) / total],
+  };
+}
+
+/**
+ * Scale points into a width×height box with padding on every side, keeping
+ * the aspect ratio and centring the result. A single point (or points all in
+ * one place) lands in the middle.
+ * @param {Array<{ x: number, y: number }>} points
+ * @param {{ width: number, height: number, padding: number }} box
+ * @returns {Array<{ x: number, y: number }>} SVG coordinates (y grows downwards)
+ */
+export function fitPoints(points, { width, height, padding }) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const spanX = maxX - minX;
+  const spanY = maxY - minY;
+  const scale = Math.min(
+    spanX > 0 ? (width - 2 * padding) / spanX : Infinity,
+    spanY > 0 ? (height - 2 * padding) / spanY : Infinity,
+  );
+  const s = Number.isFinite(scale) ? scale : 0;
+  return points.map(p => ({
+    x: width / 2 + (p.x - (minX + maxX) / 2) * s,
+    y: height / 2 - (p.y - (minY + maxY) / 2) * s,
+  }));
+}
+
+/**
+ * JSON export: each sentence with its embedding.
+ * @param {object} options
+ * @param {string} options.model
+ * @param {string[]} options.sentences
+ * @param {ArrayLike<number>[]} options.vectors
+ * @returns {{ model: string, dimensions: number, pooling: string, normalized: boolean, sentences: Array<{ text: string, embedding: number[] }> }}
+ */
+export function toEmbeddingsJson({ model, sentences, vectors }) {
+  return {
+    model,
+    dimensions: vectors[0]?.length ?? 0,
+    pooling: EMBED_OPTIONS.pooling,
+    normalized: EMBED_OPTIONS.normalize,
+    sentences: sentences.map((text, i) => ({ text, embedding: Array.from(vectors[i]) })),
+  };
+}
+
+/**
+ * The embeddings as a NumPy .npy file (format 1.0): a float32 matrix with one
+ * row per sentence, loadable with numpy.load().
+ * @param {ArrayLike<number>[]} vectors
+ * @returns {ArrayBuffer}
+ */
+export function toNpy(vectors) {
+  const rows = vectors.length;
+  const cols = vectors[0]?.length ?? 0;
+  // The header is padded with spaces so the data starts at a multiple of 64 bytes
+  let header = `{'descr': '<f4', 'fortran_order': False, 'shape': (${rows}, ${cols}), }`;
+  header += ' '.repeat(63 - ((10 + header.length) % 64)) + '\n';
+
+  const buffer = new ArrayBuffer(10 + header.length + rows * cols * 4);
+  const bytes = new Uint8Array(buffer);
+  bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]); // "\x93NUMPY", version 1.0
+  const view = new DataView(buffer);
+  view.setUint16(8, header.length, true);
+  bytes.set([...header].map(c => c.charCodeAt(0)), 10);
+  vectors.forEach((v, i) => {
+    for (let j = 0; j < cols; j++) view.setFloat32(10 + header.length + (i * cols + j) * 4, v[j], true);
+  });
+  return buffer;
+}
@@ -0,0 +1,202 @@
+// Embedding explorer — DOM wiring layer
+import { mountExperimentPage } from '../../lib/experiment-page.js';
+import { downloadFile } from '../../lib/download.js';
+import { mountBenchmarkPanel } from '../../lib/benchmark-panel.js';
+import {
+  TASK, EMBED_OPTIONS, MAX_SENTENCES, parseSentences, isInputValid, toVectors, similarityMatrix, rankBySimilarity, heatLevel, formatSimilarity,
+  pca2d, fitPoints, toEmbeddingsJson, toNpy,
+} from './embeddings-logic.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SCATTER_BOX = { width: 480, height: 320, padding: 24 };
+
+const sentencesInput = document.getElementById('sentences-input');
+const sentencesMeta = document.getElementById('sentences-meta');
+const runBtn = document.getElementById('run-btn');
+const resultArea = document.getElementById('result-area');
+const embedResults = document.getElementById('embed-results');
+const dimensionsLabel = document.getElementById('embed-dimensions');
+const sentenceList = document.getElementById('embed-sentences');
+const heatmap = document.getElementById('heatmap');
+const scatter = document.getElementById('embed-scatter');
+const scatterCaption = document.getElementById('scatter-caption');
+const searchInput = document.getElementById('search-input');
+const searchBtn = document.getElementById('search-btn');
+const searchResults = document.getElementById('search-results');
+const exportJsonBtn = document.getElementById('export-json-btn');
+const exportNpyBtn = document.getElementById('export-npy-btn');
+
+const page = mountExperimentPage({
+  task: TASK,
+  statusEl: document.getElementById('model-status'),
+  modelSelect: document.getElementById('model-select'),
+  modelMeta: document.getElementById('model-meta'),
+  sizeWarning: document.getElementById('size-warning'),
+});
+const { controller } = page;
+
+let sentences = [];
+let vectors = [];
+let embeddedWith = null; // Model id the vectors came from; searching needs the same model
+
+// --- Rendering ---
+
+function renderSentencesMeta() {
+  const count = parseSentences(sentencesInput.value).length;
+  sentencesMeta.textContent = count > MAX_SENTENCES
+    ? `${count} sentences: up to ${MAX_SENTENCES} can be compared at once`
+    : count > 0 ? `${count} sentence${count === 1 ? '' : 's'}` : '';
+}
+
+// Sentences are numbered in the list; the heatmap and plot refer to them by number
+function renderSentenceList() {
+  sentenceList.replaceChildren(...sentences.map((text) => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    return item;
+  }));
+}
+
+function renderHeatmap() {
+  const matrix = similarityMatrix(vectors);
+  const headerCell = (tag, i) => {
+    const cell = document.createElement(tag);
+    cell.textContent = String(i + 1);
+    cell.title = sentences[i];
+    return cell;
+  };
+
+  const head = document.createElement('tr');
+  const corner = document.createElement('td');
+  head.append(corner, ...sentences.map((_, i) => {
+    const th = headerCell('th', i);
+    th.scope = 'col';
+    return th;
+  }));
+
+  const rows = matrix.map((row, i) => {
+    const tr = document.createElement('tr');
+    const th = headerCell('th', i);
+    th.scope = 'row';
+    tr.append(th, ...row.map((score, j) => {
+      const td = document.createElement('td');
+      td.className = 'heatmap-cell';
+      td.style.setProperty('--similarity', heatLevel(score));
+      td.textContent = formatSimilarity(score);
+      td.title = `${i + 1} and ${j + 1}: ${formatSimilarity(score)}`;
+      return td;
+    }));
+    return tr;
+  });
+  heatmap.replaceChildren(head, ...rows);
+}
+
+function renderScatter() {
+  const { points, explained } = pca2d(vectors);
+  const fitted = fitPoints(points, SCATTER_BOX);
+  scatter.replaceChildren(...fitted.map(({ x, y }, i) => {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'embed-point');
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = `${i + 1}. ${sentences[i]}`;
+    const dot = document.createElementNS(SVG_NS, 'circle');
+    dot.setAttribute('cx', x);
+    dot.setAttribute('cy', y);
+    dot.setAttribute('r', 5);
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', x + 8);
+    label.setAttribute('y', y + 4);
+    label.textContent = String(i + 1);
+    group.append(title, dot, label);
+    return group;
+  }));
+  const percent = (share) => `${Math.round(share * 100)}%`;
+  scatterCaption.textContent = `Sentences placed by their first two principal components, which explain ${percent(explained[0])} and ${percent(explained[1])} of the variance. Nearby points have similar embeddings.`;
+}
+
+function showResults(output, input) {
+  sentences = input;
+  vectors = toVectors(output);
+  embeddedWith = controller.state.loadedModelId;
+  resultArea.innerHTML = '';
+  searchResults.replaceChildren();
+  embedResults.hidden = false;
+  dimensionsLabel.textContent = `${vectors.length} embeddings · ${vectors[0]?.length ?? 0} dimensions`;
+  renderSentenceList();
+  renderHeatmap();
+  renderScatter();
+  search.refresh();
+}
+
+function showMatches(output, query) {
+  resultArea.innerHTML = '';
+  const ranked = rankBySimilarity(toVectors(output)[0], vectors);
+  searchResults.replaceChildren(...ranked.map(({ index, score }) => {
+    const item = document.createElement('li');
+    item.className = 'embed-search-result';
+    const scoreEl = document.createElement('span');
+    scoreEl.className = 'embed-search-score';
+    scoreEl.textContent = formatSimilarity(score);
+    item.append(scoreEl, `${index + 1}. ${sentences[index]}`);
+    return item;
+  }));
+  searchResults.setAttribute('aria-label', `Sentences most similar to “${query.trim()}”`);
+}
+
+// --- Export ---
+
+function exportJson() {
+  const json = toEmbeddingsJson({ model: embeddedWith, sentences, vectors });
+  downloadFile('embeddings.json', JSON.stringify(json, null, 2), 'application/json');
+}
+
+function exportNpy() {
+  downloadFile('embeddings.npy', toNpy(vectors), 'application/octet-stream');
+}
+
+// --- Event listeners ---
+
+const readSentences = () => parseSentences(sentencesInput.value);
+
+page.bindRun({
+  button: runBtn,
+  resultArea,
+  busyLabel: 'Embedding…',
+  readInput: readSentences,
+  isValid: isInputValid,
+  watch: [sentencesInput],
+  infer: (extractor, input) => extractor(input, EMBED_OPTIONS),
+  render: showResults,
+  errorMessage: 'Embedding failed. Please try again.',
+});
+
+const search = page.bindRun({
+  button: searchBtn,
+  resultArea,
+  busyLabel: 'Searching…',
+  readInput: () => searchInput.value,
+  isValid: (query) => query.trim().length > 0 && vectors.length > 0 && embeddedWith === controller.state.loadedModelId,
+  watch: [searchInput],
+  infer: (extractor, query) => extractor([query.trim()], EMBED_OPTIONS),
+  render: showMatches,
+  errorMessage: 'Search failed. Please try again.',
+  onDone: () => searchInput.focus(),
+});
+
+sentencesInput.addEventListener('input', renderSentencesMeta);
+exportJsonBtn.addEventListener('click', exportJson);
+exportNpyBtn.addEventListener('click', exportNpy);
+
+const benchmarkPanel = mountBenchmarkPanel({
+  task: TASK,
+  root: document.getElementById('benchmark-panel'),
+  controller,
+  canRun: () => isInputValid(readSentences()),
+  getInput: readSentences,
+  runOnce: (extractor, input) => extractor(input, EMBED_OPTIONS),
+  inputNote: 'Times the current model embedding the sentences above, loaded separately under each configuration.',
+});
+sentencesInput.addEventListener('input', () => benchmarkPanel.refresh());
+
+// --- Init: load the model, or wait for input, as the load policy says ---
+page.start();
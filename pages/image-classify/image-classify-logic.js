@@ -1,7 +1,7 @@
 // Image classification — pure functions (no DOM, no browser APIs)
 
 export const TASK = 'image-classification';
-export const MODEL = 'Xenova/vit-base-patch16-224';
+export const ZERO_SHOT_TASK = 'zero-shot-image-classification';
 
 /**
  * Transform raw pipeline output into a view model for rendering.
@@ -32,3 +32,175 @@ export function formatClassificationResults(rawResults) {
 export function isValidImageFile(file) {
   return file?.type?.startsWith('image/') === true;
 }
+
+/**
+ * Split a file list into images to classify and rejected non-image files.
+ * @param {Iterable<File>} files
+ * @returns {{ images: File[], rejected: File[] }}
+ */
+export function partitionImageFiles(files) {
+  const images = [];
+  const rejected = [];
+  for (const file of files) (isValidImageFile(file) ? images : rejected).push(file);
+  return { images, rejected };
+}
+
+/**
+ * Classify items one at a time. Cancellation via the AbortSignal takes effect
+ * between items; remaining items are reported as cancelled.
+ * @param {Array<*>} items
+ * @param {(item: *) => Promise<Array<{label: string, score: number}>>} classify
+ * @param {{ signal?: AbortSignal, onItemStart?: (index: number) => void, onItemDone?: (index: number, entry: object) => void }} [options]
+ * @returns {Promise<Array<{ status: 'done'|'error'|'cancelled', results: Array<object> }>>}
+ */
+export async function runClassificationQueue(items, classify, { signal, onItemStart, onItemDone } = {}) {
+  const entries = [];
+  for (let i = 0; i < items.length; i++) {
+    let entry;
+    if (signal?.aborted) {
+      entry = { status: 'cancelled', results: [] };
+    } else {
+      onItemStart?.(i);
+      try {
+        entry = { status: 'done', results: formatClassificationResults(await classify(items[i])) };
+      } catch (err) {
+        entry = { status: 'error', results: [] };
+      }
+    }
+    entries.push(entry);
+    onItemDone?.(i, entry);
+  }
+  return entries;
+}
+
+/**
+ * Flatten batch results to one row per (image, prediction) for CSV export.
+ * Images without predictions keep a single row carrying their status.
+ * @param {Array<{ name: string, status: string, results: Array<object> }>} entries
+ * @returns {Array<{ file: string, status: string, rank: number|string, label: string, score: number|string }>}
+ */
+export function batchResultsToRows(entries) {
+  return entries.flatMap(({ name, status, results }) => (results.length === 0
+    ? [{ file: name, status, rank: '', label: '', score: '' }]
+    : results.map(r => ({ file: name, status, rank: r.rank, label: r.label, score: r.score }))));
+}
+
+/**
+ * Shape batch results for JSON export.
+ * @param {Array<{ name: string, status: string, results: Array<object> }>} entries
+ * @returns {Array<{ file: string, status: string, predictions: Array<{rank: number, label: string, score: number}> }>}
+ */
+export function batchResultsToJson(entries) {
+  return entries.map(({ name, status, results }) => ({
+    file: name,
+    status,
+    predictions: results.map(({ rank, label, score }) => ({ rank, label, score })),
+  }));
+}
+
+// --- Live camera mode ---
+
+// Minimum time between the starts of two sampled frames. Inference usually takes
+// longer than this on CPU, in which case frames are classified back to back.
+export const LIVE_SAMPLE_INTERVAL_MS = 500;
+
+// Longest side of a sampled frame; classifiers resize to ~224px anyway, so
+// full-resolution frames only cost transfer and resize time.
+export const LIVE_FRAME_MAX_SIDE = 448;
+
+/**
+ * How long to wait before sampling the next frame so frames start at most once
+ * per interval.
+ * @param {number} lastStartedAt - When the previous frame was sampled (ms)
+ * @param {number} now - Current time (ms)
+ * @param {number} [intervalMs]
+ * @returns {number} Delay in ms, 0 when the next frame is already due
+ */
+export function nextFrameDelay(lastStartedAt, now, intervalMs = LIVE_SAMPLE_INTERVAL_MS) {
+  return Math.max(0, intervalMs - (now - lastStartedAt));
+}
+
+/**
+ * Scale frame dimensions down so the longest side fits maxSide, keeping the
+ * aspect ratio. Frames that already fit are returned unchanged.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [maxSide]
+ * @returns {{ width: number, height: number }}
+ */
+export function fitFrameSize(width, height, maxSide = LIVE_FRAME_MAX_SIDE) {
+  const scale = Math.min(1, maxSide / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+/**
+ * Camera picker options from navigator.mediaDevices.enumerateDevices().
+ * Labels are empty until the user grants camera access.
+ * @param {Array<{ kind: string, deviceId: string, label: string }>} devices
+ * @returns {Array<{ id: string, label: string }>}
+ */
+export function cameraOptions(devices) {
+  return devices
+    .filter(d => d.kind === 'videoinput')
+    .map((d, i) => ({ id: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+/**
+ * User-facing message for a getUserMedia failure.
+ * @param {{ name?: string }|null|undefined} err
+ * @returns {string}
+ */
+export function cameraErrorMessage(err) {
+  switch (err?.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera access was denied. Allow camera access in your browser settings to use live mode.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No camera was found.';
+    case 'NotReadableError':
+      return 'The camera is in use by another application.';
+    default:
+      return 'Could not start the camera.';
+  }
+}
+
+// --- Zero-shot mode ---
+
+// Transformers.js substitutes each candidate label for {} before encoding it
+export const DEFAULT_HYPOTHESIS_TEMPLATE = 'This is a photo of {}.';
+
+// Every label is encoded by the text tower on each run, so long lists get slow
+export const MAX_CANDIDATE_LABELS = 50;
+
+/**
+ * Split user input into candidate labels: comma or newline separated, trimmed,
+ * with blanks and case-insensitive duplicates dropped (first spelling wins).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseCandidateLabels(text) {
+  const seen = new Set();
+  const labels = [];
+  for (const part of (text ?? '').split(/[,\n]/)) {
+    const label = part.trim();
+    const key = label.toLowerCase();
+    if (!label || seen.has(key)) continue;
+    seen.add(key);
+    labels.push(label);
+  }
+  return labels;
+}
+
+/**
+ * Check zero-shot inputs. Scores are a softmax over the labels, so a single
+ * label would always score 100%.
+ * @param {{ labels: string[], template: string }} input
+ * @returns {{ valid: boolean, message: string }}
+ */
+export function validateZeroShotInput({ labels, template }) {
+  if (labels.length < 2) return { valid: false, message: 'Enter at least two labels' };
+  if (labels.length > MAX_CANDIDATE_LABELS) return { valid: false, message: `Use at most ${MAX_CANDIDATE_LABELS} labels` };
+  if (!template.includes('{}')) return { valid: false, message: 'The template needs a {} where each label goes' };
+  return { valid: true, message: `${labels.length} labels` };
+}
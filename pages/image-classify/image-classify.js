@@ -1,43 +1,60 @@
 // Image classification — DOM wiring layer
-import { loadModel } from '../../lib/model-loader.js';
-import { STATES, EVENTS, nextModelStatus, formatProgress } from '../../lib/model-status.js';
-import { TASK, MODEL, formatClassificationResults, isValidImageFile } from './image-classify-logic.js';
+import { mountExperimentPage, runWhenReady, setButtonBusy, showResultError } from '../../lib/experiment-page.js';
+import { toCsv } from '../../lib/csv.js';
+import { downloadFile } from '../../lib/download.js';
+import { mountComparePanel } from '../../lib/compare-panel.js';
+import { mountBenchmarkPanel } from '../../lib/benchmark-panel.js';
+import { mountModeTabs } from '../../lib/mode-tabs.js';
+import { copyPermalink, restoreFromPermalink, imageShareState, imageFromShareState } from '../../lib/share-link.js';
+import { mountHistoryPanel, imageHistoryInput } from '../../lib/history-panel.js';
+import { mountLiveCamera } from './live-camera.js';
+import { mountZeroShot } from './zero-shot.js';
+import {
+  TASK, formatClassificationResults, partitionImageFiles, runClassificationQueue, batchResultsToRows, batchResultsToJson,
+} from './image-classify-logic.js';
+
+const TOP_K = 5;
 
-const statusEl = document.getElementById('model-status');
 const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
+const folderInput = document.getElementById('folder-input');
 const runBtn = document.getElementById('run-btn');
 const resultArea = document.getElementById('result-area');
 
-let modelState = STATES.IDLE;
-let classifier = null;
-let inferring = false;
-let currentFile = null;
+const page = mountExperimentPage({
+  task: TASK,
+  statusEl: document.getElementById('model-status'),
+  modelSelect: document.getElementById('model-select'),
+  modelMeta: document.getElementById('model-meta'),
+  sizeWarning: document.getElementById('size-warning'),
+});
+const { controller } = page;
+
+let currentFiles = [];
+let thumbnailUrls = [];
+let batchEntries = [];
+let batchAbort = null;
+let comparePanel = null;
+let benchmarkPanel = null;
 
 // Store default drop zone HTML for reset
 const defaultDropZoneHTML = dropZone.innerHTML;
 
 // --- State rendering ---
 
-function renderStatus(state, progressHtml = '') {
-  statusEl.className = `model-status model-status--${state}`;
-  if (state === STATES.LOADING) {
-    statusEl.innerHTML = `<span class="spinner"></span><span>Loading model…</span>${progressHtml}`;
-  } else if (state === STATES.READY) {
-    statusEl.innerHTML = `<span class="status-dot status-dot--ready"></span><span>Model ready</span>`;
-  } else if (state === STATES.ERROR) {
-    statusEl.innerHTML = `<span class="status-dot status-dot--error"></span><span>Failed to load model</span><button class="retry-btn" id="retry-btn">Retry</button>`;
-    document.getElementById('retry-btn').addEventListener('click', startModelLoad);
-  }
+function updateButtonState() {
+  runBtn.disabled = !controller.canRun() || currentFiles.length === 0;
+  comparePanel?.refresh();
+  benchmarkPanel?.refresh();
 }
 
-function updateButtonState() {
-  runBtn.disabled = modelState !== STATES.READY || !currentFile || inferring;
+function runButtonLabel() {
+  return currentFiles.length > 1 ? `Classify ${currentFiles.length} images` : 'Classify';
 }
 
-function renderResults(viewModel) {
-  const rows = viewModel.map(r => `
-    <div class="classify-row" data-rank="${r.rank}" style="animation-delay: ${(r.rank - 1) * 80}ms">
+function classifyRowsHtml(viewModel) {
+  return viewModel.map(r => `
+    <div class="classify-row" data-rank="${r.rank}" data-label="${r.label}" style="animation-delay: ${(r.rank - 1) * 80}ms">
       <span class="classify-rank">${r.rank}</span>
       <span class="classify-label">${r.label}</span>
       <div class="classify-bar-track">
@@ -46,17 +63,101 @@ function renderResults(viewModel) {
       <span class="classify-percent">${r.percentText}</span>
     </div>
   `).join('');
+}
 
-  resultArea.innerHTML = `<div class="result-area classify-results">${rows}</div>`;
-
-  // Animate bars after paint
+// Animate bars after paint
+function animateBars(container) {
   requestAnimationFrame(() => {
-    resultArea.querySelectorAll('.classify-bar-fill').forEach(bar => {
+    container.querySelectorAll('.classify-bar-fill').forEach(bar => {
       bar.style.width = bar.dataset.width + '%';
     });
   });
 }
 
+function renderResults(viewModel, classified) {
+  resultArea.innerHTML = `
+    <div class="result-area classify-results">${classifyRowsHtml(viewModel)}</div>
+    <div class="share-row">
+      <button type="button" class="secondary-btn" id="share-btn">Copy link</button>
+      <span class="share-note" id="share-note"></span>
+    </div>`;
+  document.getElementById('share-btn').addEventListener('click', (e) => shareResult(e.currentTarget, classified));
+  animateBars(resultArea);
+}
+
+async function shareResult(button, { file, model }) {
+  const { state, local } = await imageShareState(file);
+  document.getElementById('share-note').textContent = local
+    ? 'This image is too large to fit in a link, so the link only opens in this browser.'
+    : '';
+  await copyPermalink(button, { model, state });
+}
+
+// --- Batch rendering ---
+
+function renderBatchGrid() {
+  const cards = currentFiles.map((file, i) => `
+    <figure class="batch-card" data-index="${i}">
+      <img class="batch-thumb" src="${thumbnailUrls[i]}" alt="" />
+      <figcaption class="batch-card-name"></figcaption>
+      <div class="batch-card-body"><span class="batch-card-status">Queued</span></div>
+    </figure>
+  `).join('');
+
+  resultArea.innerHTML = `
+    <div class="result-area batch-results">
+      <div class="batch-toolbar">
+        <span class="batch-progress-text" id="batch-progress-text">Classified 0 of ${currentFiles.length}</span>
+        <button type="button" class="secondary-btn" id="cancel-btn">Cancel</button>
+        <button type="button" class="secondary-btn" id="export-csv-btn" hidden>Export CSV</button>
+        <button type="button" class="secondary-btn" id="export-json-btn" hidden>Export JSON</button>
+      </div>
+      <div class="progress-bar-track"><div class="progress-bar-fill" id="batch-progress-bar" style="width: 0%"></div></div>
+      <div class="batch-grid">${cards}</div>
+    </div>`;
+
+  // File names come from the user's disk — set as text, never as HTML
+  resultArea.querySelectorAll('.batch-card').forEach((card, i) => {
+    card.querySelector('.batch-card-name').textContent = currentFiles[i].name;
+  });
+
+  document.getElementById('cancel-btn').addEventListener('click', cancelBatch);
+  document.getElementById('export-csv-btn').addEventListener('click', exportCsv);
+  document.getElementById('export-json-btn').addEventListener('click', exportJson);
+}
+
+function batchCardBody(index) {
+  return resultArea.querySelector(`.batch-card[data-index="${index}"] .batch-card-body`);
+}
+
+function renderBatchItemStart(index) {
+  batchCardBody(index).innerHTML = `<span class="batch-card-status"><span class="spinner"></span> Classifying…</span>`;
+}
+
+function renderBatchItemDone(index, entry, doneCount) {
+  const body = batchCardBody(index);
+  if (entry.status === 'done') {
+    body.innerHTML = `<div class="classify-results">${classifyRowsHtml(entry.results)}</div>`;
+    animateBars(body);
+  } else {
+    const text = entry.status === 'error' ? 'Classification failed' : 'Cancelled';
+    body.innerHTML = `<span class="batch-card-status batch-card-status--${entry.status}">${text}</span>`;
+  }
+
+  document.getElementById('batch-progress-text').textContent = `Classified ${doneCount} of ${currentFiles.length}`;
+  document.getElementById('batch-progress-bar').style.width = `${(doneCount / currentFiles.length) * 100}%`;
+}
+
+function renderBatchFinished(cancelled) {
+  const classified = batchEntries.filter(e => e.status === 'done').length;
+  document.getElementById('batch-progress-text').textContent = cancelled
+    ? `Cancelled — classified ${classified} of ${currentFiles.length}`
+    : `Classified ${classified} of ${currentFiles.length}`;
+  document.getElementById('cancel-btn').hidden = true;
+  document.getElementById('export-csv-btn').hidden = false;
+  document.getElementById('export-json-btn').hidden = false;
+}
+
 function showError(message) {
   // Remove existing error message
   const existing = document.getElementById('error-message');
@@ -76,6 +177,11 @@ function clearError() {
 
 // --- File handling ---
 
+function revokeThumbnails() {
+  thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+  thumbnailUrls = [];
+}
+
 function showPreview(file) {
   const blobUrl = URL.createObjectURL(file);
   dropZone.innerHTML = `
@@ -84,8 +190,24 @@ function showPreview(file) {
   `;
   dropZone.classList.add('drop-zone--has-image');
 
+  bindChangeImage();
+}
+
+function showBatchPreview(files) {
+  thumbnailUrls = files.map(file => URL.createObjectURL(file));
+  dropZone.innerHTML = `
+    <div class="batch-preview">${thumbnailUrls.slice(0, 8).map(url => `<img src="${url}" alt="" />`).join('')}</div>
+    <p>${files.length} images selected</p>
+    <button type="button" class="change-image-link" id="change-image">Change images</button>
+  `;
+  dropZone.classList.add('drop-zone--has-image');
+  bindChangeImage();
+}
+
+function bindChangeImage() {
   document.getElementById('change-image').addEventListener('click', (e) => {
     e.stopPropagation();
+    if (controller.state.inferring) return; // Cancel the running batch first
     resetDropZone();
     fileInput.click();
   });
@@ -94,80 +216,184 @@ function showPreview(file) {
 function resetDropZone() {
   dropZone.innerHTML = defaultDropZoneHTML;
   dropZone.classList.remove('drop-zone--has-image');
-  currentFile = null;
+  bindChooseFolder();
+  currentFiles = [];
+  batchEntries = [];
+  revokeThumbnails();
   resultArea.innerHTML = '';
   fileInput.value = '';
+  folderInput.value = '';
+  runBtn.textContent = runButtonLabel();
   updateButtonState();
   clearError();
 }
 
-function handleFile(file) {
+function handleFiles(files) {
   clearError();
-  if (!isValidImageFile(file)) {
+  const { images, rejected } = partitionImageFiles(files);
+  if (images.length === 0) {
     showError('Please upload an image file (JPEG, PNG, etc.)');
     return;
   }
-  currentFile = file;
-  showPreview(file);
-  updateButtonState();
-}
 
-// --- Model loading ---
+  revokeThumbnails();
+  currentFiles = images;
+  batchEntries = [];
+  resultArea.innerHTML = '';
+  if (images.length === 1) showPreview(images[0]);
+  else showBatchPreview(images);
+  if (rejected.length > 0) showError(`Skipped ${rejected.length} non-image file${rejected.length === 1 ? '' : 's'}`);
 
-function transition(event) {
-  modelState = nextModelStatus(modelState, event);
+  runBtn.textContent = runButtonLabel();
   updateButtonState();
+  controller.notifyInput();
 }
 
-async function startModelLoad() {
-  transition(EVENTS.LOAD_START);
-  renderStatus(STATES.LOADING);
+// Folders dropped onto the page arrive as FileSystemEntry trees, not in dataTransfer.files.
+// webkitGetAsEntry() must be called synchronously inside the drop handler.
+async function collectDroppedFiles(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])].map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+  if (entries.length === 0) return [...dataTransfer.files];
+
+  const files = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      let batch;
+      // readEntries returns results in pages; an empty page means the directory is exhausted
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) await walk(child);
+      } while (batch.length > 0);
+    }
+  };
+  for (const entry of entries) await walk(entry);
+  return files;
+}
 
-  const pipe = await loadModel(TASK, MODEL, {
-    onProgress: (e) => {
-      const p = formatProgress(e);
-      const barClass = p.isIndeterminate ? 'progress-bar-fill progress-bar-fill--indeterminate' : 'progress-bar-fill';
-      const width = p.isIndeterminate ? '' : `width: ${p.percent}%`;
-      renderStatus(STATES.LOADING, `<div class="progress-bar-track"><div class="${barClass}" style="${width}"></div></div>`);
-    },
+function bindChooseFolder() {
+  document.getElementById('choose-folder')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    folderInput.click();
   });
-
-  if (pipe) {
-    classifier = pipe;
-    transition(EVENTS.LOAD_SUCCESS);
-    renderStatus(STATES.READY);
-  } else {
-    transition(EVENTS.LOAD_FAILURE);
-    renderStatus(STATES.ERROR);
-  }
 }
 
-// --- Inference ---
+// --- Export ---
 
-async function runInference() {
-  if (!classifier || !currentFile) return;
+function exportCsv() {
+  const csv = toCsv(['file', 'status', 'rank', 'label', 'score'], batchResultsToRows(batchEntries));
+  downloadFile('image-classifications.csv', csv, 'text/csv');
+}
 
-  inferring = true;
-  updateButtonState();
-  runBtn.innerHTML = `<span class="spinner"></span> Classifying…`;
+function exportJson() {
+  const json = JSON.stringify({ task: TASK, model: controller.state.loadedModelId, images: batchResultsToJson(batchEntries) }, null, 2);
+  downloadFile('image-classifications.json', json, 'application/json');
+}
+
+// --- Inference ---
 
-  const blobUrl = URL.createObjectURL(currentFile);
+// The pipeline reads a File like any Blob
+function classifyFile(file, pipe) {
+  return pipe(file, { top_k: TOP_K });
+}
 
+async function runSingle(classifier) {
   try {
-    const rawResult = await classifier(blobUrl, { topk: 5 });
+    const file = currentFiles[0];
+    const model = controller.state.model.id;
+    const start = performance.now();
+    const rawResult = await classifyFile(file, classifier);
+    const durationMs = performance.now() - start;
     const viewModel = formatClassificationResults(rawResult);
-    renderResults(viewModel);
+    renderResults(viewModel, { file, model });
+    recordHistory({ file, model, rawResult, viewModel, durationMs });
   } catch (err) {
     console.error('Inference failed:', err);
-    resultArea.innerHTML = `<div class="result-area result-area--error">Classification failed. Please try again.</div>`;
+    showResultError(resultArea, 'Classification failed. Please try again.');
+  }
+}
+
+async function runBatch(classifier) {
+  const files = currentFiles;
+  batchAbort = new AbortController();
+  batchEntries = [];
+  renderBatchGrid();
+
+  let doneCount = 0;
+  const entries = await runClassificationQueue(files, async (file) => {
+    try {
+      return await classifyFile(file, classifier);
+    } catch (err) {
+      console.error(`Inference failed for ${file.name}:`, err);
+      throw err;
+    }
+  }, {
+    signal: batchAbort.signal,
+    onItemStart: (i) => {
+      setButtonBusy(runBtn, `Classifying ${i + 1}/${files.length}…`);
+      renderBatchItemStart(i);
+    },
+    onItemDone: (i, entry) => {
+      batchEntries.push({ name: files[i].name, ...entry });
+      renderBatchItemDone(i, entry, ++doneCount);
+    },
+  });
+
+  renderBatchFinished(entries.some(e => e.status === 'cancelled'));
+  batchAbort = null;
+}
+
+function cancelBatch() {
+  if (!batchAbort) return;
+  batchAbort.abort();
+  const cancelBtn = document.getElementById('cancel-btn');
+  if (cancelBtn) {
+    cancelBtn.disabled = true;
+    cancelBtn.textContent = 'Cancelling…';
+  }
+}
+
+async function runInference() {
+  if (!controller.canRun() || currentFiles.length === 0) return;
+
+  setButtonBusy(runBtn, 'Classifying…');
+  try {
+    await controller.run((classifier) => (currentFiles.length === 1 ? runSingle(classifier) : runBatch(classifier)));
   } finally {
-    URL.revokeObjectURL(blobUrl);
-    inferring = false;
-    runBtn.textContent = 'Classify';
+    runBtn.textContent = runButtonLabel();
     updateButtonState();
   }
 }
 
+// --- History ---
+
+async function recordHistory({ file, model, rawResult, viewModel, durationMs }) {
+  try {
+    historyPanel.record({
+      model,
+      input: await imageHistoryInput(file),
+      output: rawResult,
+      viewModel,
+      summary: viewModel[0] ? `${viewModel[0].label} ${viewModel[0].percentText}` : 'No labels',
+      durationMs,
+    });
+  } catch (err) {
+    console.error('Recording history failed:', err); // e.g. an image format the canvas cannot decode
+  }
+}
+
+// --- Compare mode ---
+
+async function compareImage(pipe, file) {
+  const viewModel = formatClassificationResults(await classifyFile(file, pipe));
+  return {
+    html: `<div class="classify-results">${classifyRowsHtml(viewModel)}</div>`,
+    topLabel: viewModel[0]?.label ?? null,
+  };
+}
+
 // --- Event listeners ---
 
 // Click-to-upload
@@ -178,9 +404,15 @@ dropZone.addEventListener('click', () => {
 });
 
 fileInput.addEventListener('change', () => {
-  if (fileInput.files[0]) handleFile(fileInput.files[0]);
+  if (fileInput.files.length > 0) handleFiles([...fileInput.files]);
+});
+
+folderInput.addEventListener('change', () => {
+  if (folderInput.files.length > 0) handleFiles([...folderInput.files]);
 });
 
+bindChooseFolder();
+
 // Drag-and-drop
 dropZone.addEventListener('dragover', (e) => {
   e.preventDefault();
@@ -191,11 +423,12 @@ dropZone.addEventListener('dragleave', () => {
   dropZone.classList.remove('drop-zone--dragover');
 });
 
-dropZone.addEventListener('drop', (e) => {
+dropZone.addEventListener('drop', async (e) => {
   e.preventDefault();
   dropZone.classList.remove('drop-zone--dragover');
-  const file = e.dataTransfer.files[0];
-  if (file) handleFile(file);
+  if (controller.state.inferring) return;
+  const files = await collectDroppedFiles(e.dataTransfer);
+  if (files.length > 0) handleFiles(files);
 });
 
 // Classify button
@@ -204,5 +437,74 @@ runBtn.addEventListener('click', (e) => {
   runInference();
 });
 
-// --- Init: eager model load ---
-startModelLoad();
+// Mode tabs: leaving the camera tab releases the camera; the zero-shot tab shows
+// its own model in place of the classifier's
+const uploadTab = document.getElementById('tab-upload');
+const cameraTab = document.getElementById('tab-camera');
+const zeroShotTab = document.getElementById('tab-zero-shot');
+const classifierModelSection = document.getElementById('classifier-model-section');
+const liveCamera = mountLiveCamera({
+  controller,
+  topK: TOP_K,
+  rowsHtml: classifyRowsHtml,
+  onSnapshot: (file) => {
+    modeTabs.select(uploadTab);
+    handleFiles([file]);
+  },
+});
+const zeroShot = mountZeroShot({ rowsHtml: classifyRowsHtml, animateBars });
+const modeTabs = mountModeTabs([...document.querySelectorAll('.mode-tab')], {
+  onSelect: (tab) => {
+    if (tab !== cameraTab) liveCamera.stop();
+    classifierModelSection.hidden = tab === zeroShotTab;
+    if (tab === zeroShotTab) zeroShot.activate();
+  },
+});
+
+// --- Init: load the model, or wait for input, as the load policy says ---
+controller.subscribe(updateButtonState);
+comparePanel = mountComparePanel({
+  task: TASK,
+  modelsEl: document.getElementById('compare-models'),
+  runBtn: document.getElementById('compare-run-btn'),
+  resultArea: document.getElementById('compare-result-area'),
+  initialSelection: [controller.state.model.id],
+  canRun: () => currentFiles.length === 1 && !controller.state.inferring,
+  getInput: () => currentFiles[0],
+  runModel: compareImage,
+});
+benchmarkPanel = mountBenchmarkPanel({
+  task: TASK,
+  root: document.getElementById('benchmark-panel'),
+  controller,
+  canRun: () => currentFiles.length === 1,
+  getInput: () => currentFiles[0],
+  runOnce: (pipe, file) => classifyFile(file, pipe),
+  inputNote: 'Times the current model on the uploaded image, loaded separately under each configuration.',
+});
+// Re-running a past input always uses the model selected now
+let cancelReplay = () => {};
+const historyPanel = mountHistoryPanel({
+  task: TASK,
+  toggle: document.getElementById('history-toggle'),
+  panel: document.getElementById('history-panel'),
+  canRerun: (entry) => entry.input.file instanceof Blob,
+  onRerun: (entry) => {
+    if (controller.state.inferring) return;
+    cancelReplay();
+    modeTabs.select(uploadTab);
+    const { file, name } = entry.input;
+    handleFiles([file instanceof File ? file : new File([file], name, { type: file.type })]);
+    cancelReplay = runWhenReady(controller, runInference);
+  },
+});
+page.start();
+restoreFromPermalink(controller, {
+  apply: async (state) => {
+    const file = await imageFromShareState(state);
+    if (!file) return false;
+    handleFiles([file]);
+    return currentFiles.length === 1;
+  },
+  run: runInference,
+});
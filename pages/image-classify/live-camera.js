@@ -0,0 +1,230 @@
+// Image classification — live camera mode (DOM wiring)
+// Streams getUserMedia video and classifies sampled frames. The sampling loop
+// holds the controller's inference lock for as long as it runs, so the model
+// picker and the upload mode stay disabled until the camera is paused or stopped.
+import { showResultError } from '../../lib/experiment-page.js';
+import {
+  formatClassificationResults, nextFrameDelay, fitFrameSize, cameraOptions, cameraErrorMessage,
+} from './image-classify-logic.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {object} options
+ * @param {ReturnType<typeof import('../../lib/experiment-controller.js').createExperimentController>} options.controller
+ * @param {number} options.topK
+ * @param {(viewModel: Array<object>) => string} options.rowsHtml - Markup for a list of classify rows
+ * @param {(file: File) => void} options.onSnapshot - Receives the captured frame as a PNG file
+ * @returns {{ stop: () => void }}
+ */
+export function mountLiveCamera({ controller, topK, rowsHtml, onSnapshot }) {
+  const video = document.getElementById('camera-video');
+  const placeholder = document.getElementById('camera-placeholder');
+  const startBtn = document.getElementById('camera-start-btn');
+  const toolbar = document.getElementById('camera-toolbar');
+  const pauseBtn = document.getElementById('camera-pause-btn');
+  const snapshotBtn = document.getElementById('camera-snapshot-btn');
+  const cameraSelectGroup = document.getElementById('camera-select-group');
+  const cameraSelect = document.getElementById('camera-select');
+  const rateText = document.getElementById('camera-rate');
+  const liveResultArea = document.getElementById('live-result-area');
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  let stream = null;
+  let paused = false;
+  let sampling = false;
+  let stopRequested = false;
+
+  // --- Frames ---
+
+  function hasFrame() {
+    return video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA && video.videoWidth > 0;
+  }
+
+  function captureFrame() {
+    const { width, height } = fitFrameSize(video.videoWidth, video.videoHeight);
+    canvas.width = width;
+    canvas.height = height;
+    ctx.drawImage(video, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+  }
+
+  // --- Rendering ---
+
+  // Rows are built once and then updated in place, so the entry animation does
+  // not replay on every frame and the bars glide between predictions.
+  function renderLiveResults(viewModel) {
+    let list = liveResultArea.querySelector('.classify-results--live');
+    if (!list || list.children.length !== viewModel.length) {
+      liveResultArea.innerHTML = `<div class="result-area classify-results classify-results--live">${rowsHtml(viewModel)}</div>`;
+      list = liveResultArea.firstElementChild;
+    }
+    viewModel.forEach((r, i) => {
+      const row = list.children[i];
+      row.dataset.label = r.label;
+      row.querySelector('.classify-label').textContent = r.label;
+      row.querySelector('.classify-percent').textContent = r.percentText;
+      row.querySelector('.classify-bar-fill').style.width = `${r.barWidthPercent}%`;
+    });
+  }
+
+  function renderControls() {
+    const live = stream !== null;
+    video.hidden = !live;
+    placeholder.hidden = live;
+    toolbar.hidden = !live;
+    pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    pauseBtn.setAttribute('aria-pressed', String(paused));
+    if (!live || paused) rateText.textContent = paused ? 'Paused' : '';
+    else if (!sampling) rateText.textContent = 'Waiting for the model…';
+  }
+
+  async function populateCameras() {
+    const options = cameraOptions(await navigator.mediaDevices.enumerateDevices());
+    const activeId = stream?.getVideoTracks()[0]?.getSettings().deviceId;
+    cameraSelect.innerHTML = '';
+    for (const { id, label } of options) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label; // Device labels come from the OS — set as text
+      option.selected = id === activeId;
+      cameraSelect.appendChild(option);
+    }
+    cameraSelectGroup.hidden = options.length < 2;
+  }
+
+  // --- Sampling loop ---
+
+  async function sampleLoop(classifier) {
+    let lastStartedAt = -Infinity;
+    while (!stopRequested) {
+      await sleep(nextFrameDelay(lastStartedAt, performance.now()));
+      if (stopRequested) break;
+      if (!hasFrame()) continue;
+
+      const startedAt = performance.now();
+      if (lastStartedAt > -Infinity) rateText.textContent = `${(1000 / (startedAt - lastStartedAt)).toFixed(1)} frames/s`;
+      lastStartedAt = startedAt;
+      renderLiveResults(formatClassificationResults(await classifier(captureFrame(), { top_k: topK })));
+    }
+  }
+
+  async function startSampling() {
+    if (sampling || paused || !stream || !controller.canRun()) return;
+    sampling = true;
+    stopRequested = false;
+    renderControls();
+    let failed = false;
+    try {
+      await controller.run(sampleLoop);
+    } catch (err) {
+      failed = true;
+      console.error('Live classification failed:', err);
+      showResultError(liveResultArea, 'Classification failed. Pause and resume to try again.');
+    } finally {
+      sampling = false;
+      renderControls();
+    }
+    // The camera may have been resumed or restarted while the last frame was in flight
+    if (!failed) startSampling();
+  }
+
+  function stopSampling() {
+    stopRequested = true;
+  }
+
+  // --- Camera ---
+
+  async function openStream(deviceId) {
+    const next = await navigator.mediaDevices.getUserMedia({
+      video: deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'environment' },
+      audio: false,
+    });
+    stream?.getTracks().forEach(track => track.stop());
+    stream = next;
+    video.srcObject = stream;
+    if (!paused) await video.play();
+  }
+
+  async function start(deviceId) {
+    startBtn.disabled = true;
+    try {
+      await openStream(deviceId);
+    } catch (err) {
+      console.error('Camera failed to start:', err);
+      showResultError(liveResultArea, cameraErrorMessage(err));
+      return;
+    } finally {
+      startBtn.disabled = false;
+    }
+    liveResultArea.innerHTML = '';
+    renderControls();
+    await populateCameras();
+    startSampling();
+  }
+
+  function stop() {
+    stopSampling();
+    stream?.getTracks().forEach(track => track.stop());
+    stream = null;
+    paused = false;
+    video.srcObject = null;
+    liveResultArea.innerHTML = '';
+    renderControls();
+  }
+
+  function togglePause() {
+    paused = !paused;
+    if (paused) {
+      stopSampling();
+      video.pause(); // Freeze the frame the bars describe
+    } else {
+      video.play();
+      startSampling();
+    }
+    renderControls();
+  }
+
+  function snapshot() {
+    if (!hasFrame()) return;
+    const still = document.createElement('canvas');
+    still.width = video.videoWidth;
+    still.height = video.videoHeight;
+    still.getContext('2d').drawImage(video, 0, 0);
+    still.toBlob((blob) => {
+      if (blob) onSnapshot(new File([blob], `snapshot-${Date.now()}.png`, { type: 'image/png' }));
+    }, 'image/png');
+  }
+
+  // --- Event listeners ---
+
+  startBtn.addEventListener('click', () => start());
+  pauseBtn.addEventListener('click', togglePause);
+  snapshotBtn.addEventListener('click', snapshot);
+  cameraSelect.addEventListener('change', async () => {
+    try {
+      await openStream(cameraSelect.value);
+    } catch (err) {
+      console.error('Switching camera failed:', err);
+      showResultError(liveResultArea, cameraErrorMessage(err));
+    }
+  });
+  navigator.mediaDevices?.addEventListener('devicechange', () => {
+    if (stream) populateCameras();
+  });
+  window.addEventListener('pagehide', stop);
+
+  // Start sampling as soon as the model is ready if the camera was opened first
+  controller.subscribe(() => {
+    if (!sampling) startSampling();
+  });
+
+  if (!navigator.mediaDevices?.getUserMedia) {
+    startBtn.disabled = true;
+    showResultError(liveResultArea, 'Camera access is unavailable (it requires HTTPS or localhost).');
+  }
+
+  return { stop };
+}
@@ -0,0 +1,100 @@
+// Image classification — zero-shot mode (DOM wiring)
+// A CLIP-style model scores an image against labels the user types. The mode has
+// its own model and status area, and its model only downloads once the tab is opened.
+import { mountExperimentPage } from '../../lib/experiment-page.js';
+import {
+  ZERO_SHOT_TASK, DEFAULT_HYPOTHESIS_TEMPLATE, formatClassificationResults, isValidImageFile, parseCandidateLabels, validateZeroShotInput,
+} from './image-classify-logic.js';
+
+/**
+ * @param {object} options
+ * @param {(viewModel: Array<object>) => string} options.rowsHtml - Markup for a list of classify rows
+ * @param {(container: HTMLElement) => void} options.animateBars
+ * @returns {{ activate: () => void }}
+ */
+export function mountZeroShot({ rowsHtml, animateBars }) {
+  const fileInput = document.getElementById('zs-file-input');
+  const chooseBtn = document.getElementById('zs-choose-btn');
+  const preview = document.getElementById('zs-preview');
+  const labelsInput = document.getElementById('zs-labels');
+  const inputHint = document.getElementById('zs-input-hint');
+  const templateInput = document.getElementById('zs-template');
+  const runBtn = document.getElementById('zs-run-btn');
+  const resultArea = document.getElementById('zs-result-area');
+
+  const page = mountExperimentPage({
+    task: ZERO_SHOT_TASK,
+    statusEl: document.getElementById('zs-model-status'),
+    modelSelect: document.getElementById('zs-model-select'),
+    modelMeta: document.getElementById('zs-model-meta'),
+    sizeWarning: document.getElementById('zs-size-warning'),
+    idPrefix: 'zs-',
+    urlParam: 'zsModel', // ?model= is the classifier's, and result permalinks carry it
+  });
+
+  let file = null;
+  let started = false;
+  templateInput.value = DEFAULT_HYPOTHESIS_TEMPLATE;
+
+  const readInput = () => ({ file, labels: parseCandidateLabels(labelsInput.value), template: templateInput.value.trim() });
+
+  function renderInputHint() {
+    inputHint.textContent = validateZeroShotInput(readInput()).message;
+  }
+
+  // Labels are user-typed — rows are built without them and filled in as text
+  function renderResults(viewModel) {
+    resultArea.innerHTML = `<div class="result-area classify-results">${rowsHtml(viewModel.map(r => ({ ...r, label: '' })))}</div>`;
+    resultArea.querySelectorAll('.classify-row').forEach((row, i) => {
+      row.dataset.label = viewModel[i].label;
+      row.querySelector('.classify-label').textContent = viewModel[i].label;
+    });
+    animateBars(resultArea);
+  }
+
+  const run = page.bindRun({
+    button: runBtn,
+    resultArea,
+    busyLabel: 'Classifying…',
+    readInput,
+    isValid: (input) => input.file !== null && validateZeroShotInput(input).valid,
+    watch: [labelsInput, templateInput],
+    infer: async (classifier, { file: image, labels, template }) => formatClassificationResults(
+      await classifier(image, labels, { hypothesis_template: template }),
+    ),
+    render: renderResults,
+    errorMessage: 'Classification failed. Please try again.',
+  });
+
+  function selectFile(selected) {
+    if (!isValidImageFile(selected)) {
+      resultArea.innerHTML = `<div class="error-message">Please choose an image file (JPEG, PNG, etc.)</div>`;
+      return;
+    }
+    if (preview.src) URL.revokeObjectURL(preview.src);
+    file = selected;
+    preview.src = URL.createObjectURL(file);
+    preview.hidden = false;
+    chooseBtn.textContent = 'Change image';
+    resultArea.innerHTML = '';
+    run.refresh();
+  }
+
+  chooseBtn.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length > 0) selectFile(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  labelsInput.addEventListener('input', renderInputHint);
+  templateInput.addEventListener('input', renderInputHint);
+  renderInputHint();
+
+  return {
+    /** Start loading the model the first time the mode is shown. */
+    activate() {
+      if (started) return;
+      started = true;
+      page.start();
+    },
+  };
+}
@@ -0,0 +1,215 @@
+// Named entity recognition — pure functions (no DOM, no browser APIs)
+
+export const TASK = 'token-classification';
+
+// Display names and highlight colours for the CoNLL-2003 types the registry
+// models predict; types from other models take a palette colour
+export const ENTITY_TYPES = {
+  PER: { name: 'Person', color: '#58a6ff' },
+  ORG: { name: 'Organization', color: '#3fb950' },
+  LOC: { name: 'Location', color: '#d29922' },
+  MISC: { name: 'Miscellaneous', color: '#bc8cff' },
+};
+const EXTRA_COLORS = ['#39c5cf', '#ff7b72', '#e3b341', '#f85149'];
+
+/**
+ * Returns false for empty or whitespace-only strings.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isInputValid(text) {
+  return text.trim().length > 0;
+}
+
+/**
+ * Split a token tag such as "B-PER" into its IOB prefix and entity type.
+ * Tags without a prefix ("PER", IO-scheme models) keep a null prefix; "O" has no type.
+ * @param {string} tag
+ * @returns {{ prefix: 'B'|'I'|null, type: string|null }}
+ */
+export function parseEntityTag(tag) {
+  if (!tag || tag === 'O') return { prefix: null, type: null };
+  const match = tag.match(/^([BI])-(.+)$/);
+  return match ? { prefix: match[1], type: match[2] } : { prefix: null, type: tag };
+}
+
+/**
+ * Name and colour for an entity type.
+ * @param {string} type
+ * @returns {{ name: string, color: string }}
+ */
+export function entityTypeInfo(type) {
+  if (ENTITY_TYPES[type]) return ENTITY_TYPES[type];
+  const hash = [...type].reduce((sum, ch) => sum + ch.codePointAt(0), 0);
+  return { name: type, color: EXTRA_COLORS[hash % EXTRA_COLORS.length] };
+}
+
+// WordPiece marks word continuations with "##"; SentencePiece and byte-level
+// BPE mark word starts with "▁" or "Ġ"
+const tokenText = (word) => word.replace(/^##/, '').replace(/^[▁Ġ]/, '').trim();
+
+// Words and single punctuation marks: what tokenizers split on before subwords
+const PRE_TOKEN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+const isWordChar = (ch) => ch !== undefined && /[\p{L}\p{N}]/u.test(ch);
+
+/**
+ * Character offsets of each token in the text. Transformers.js reports the
+ * decoded token and its position in the token sequence, but not where it came
+ * from, so tokens are searched for in order:
+ * - case-sensitively, unless every token is lowercase (uncased models);
+ * - at a word boundary, except "##" continuations, which follow their word's
+ *   previous piece directly when that piece was reported too;
+ * - skipping the "O" tokens the pipeline leaves out: a token at sequence
+ *   position `index` has at most index - 1 words before it (position 0 is
+ *   [CLS], and words may split into several tokens), so the last match
+ *   within that bound is taken.
+ * Offsets the pipeline does report are kept; tokens that cannot be found get
+ * null offsets.
+ * @param {string} text
+ * @param {Array<{ word: string, index?: number, start?: number|null, end?: number|null }>} tokens
+ * @returns {Array<object>} The tokens with start and end set
+ */
+export function alignTokens(text, tokens) {
+  const cased = tokens.some(t => /\p{Lu}/u.test(t.word ?? ''));
+  const haystack = cased ? text : text.toLowerCase();
+  const wordStarts = [...text.matchAll(PRE_TOKEN)].map(m => m.index);
+  const wordsBefore = (offset) => wordStarts.filter(s => s < offset).length;
+
+  function find(needle, from, { index, continuation }) {
+    let found = -1;
+    for (let pos = haystack.indexOf(needle, from); pos !== -1; pos = haystack.indexOf(needle, pos + 1)) {
+      if (!continuation && isWordChar(text[pos]) && isWordChar(text[pos - 1])) continue; // Inside a word
+      if (index === undefined) return pos;
+      if (wordsBefore(pos) > index - 1) break;
+      found = pos;
+    }
+    return found;
+  }
+
+  let cursor = 0;
+  let lastIndex = 0;
+  return tokens.map((token) => {
+    const previousIndex = lastIndex;
+    lastIndex = token.index ?? lastIndex;
+    if (Number.isInteger(token.start) && Number.isInteger(token.end)) {
+      cursor = token.end;
+      return token;
+    }
+    const word = token.word ?? '';
+    const piece = tokenText(word);
+    const needle = cased ? piece : piece.toLowerCase();
+    const continuation = word.startsWith('##');
+    let start = -1;
+    if (needle && continuation && token.index !== undefined && token.index === previousIndex + 1) {
+      start = haystack.startsWith(needle, cursor) ? cursor : -1;
+    } else if (needle) {
+      start = find(needle, cursor, { index: token.index, continuation });
+    }
+    if (start === -1) return { ...token, start: null, end: null };
+    cursor = start + needle.length;
+    return { ...token, start, end: cursor };
+  });
+}
+
+/**
+ * Merge token predictions into entity spans. A token joins the span before it
+ * when it has the same type, directly follows it in the token sequence, and
+ * either carries an I- tag or continues the same word (subword pieces are
+ * sometimes tagged B-). The span score is the mean of its tokens' scores.
+ * @param {string} text
+ * @param {Array<{ entity: string, score: number, index?: number, word: string }>} tokens - token-classification output
+ * @returns {Array<{ type: string, start: number, end: number, text: string, score: number }>} In text order
+ */
+export function mergeEntities(text, tokens) {
+  const spans = [];
+  let current = null;
+  for (const token of alignTokens(text, tokens)) {
+    const { prefix, type } = parseEntityTag(token.entity);
+    if (type === null || token.start === null) {
+      current = null;
+      continue;
+    }
+    const adjacent = token.index === undefined || token.index === current?.lastIndex + 1;
+    if (current && current.type === type && adjacent && (prefix !== 'B' || token.start === current.end)) {
+      current.end = token.end;
+      current.scores.push(token.score);
+      current.lastIndex = token.index;
+    } else {
+      current = { type, start: token.start, end: token.end, scores: [token.score], lastIndex: token.index };
+      spans.push(current);
+    }
+  }
+  return spans.map(({ type, start, end, scores }) => ({
+    type,
+    start,
+    end,
+    text: text.slice(start, end),
+    score: scores.reduce((sum, s) => sum + s, 0) / scores.length,
+  }));
+}
+
+/**
+ * Spans whose type is not hidden.
+ * @param {Array<{ type: string }>} spans
+ * @param {Set<string>} [hiddenTypes]
+ * @returns {Array<object>}
+ */
+export function filterEntities(spans, hiddenTypes = new Set()) {
+  return spans.filter(s => !hiddenTypes.has(s.type));
+}
+
+/**
+ * Cut the text into plain and entity segments for inline highlighting.
+ * @param {string} text
+ * @param {Array<{ start: number, end: number }>} spans - Non-overlapping, in text order
+ * @returns {Array<{ text: string, span: object|null }>}
+ */
+export function segmentText(text, spans) {
+  const segments = [];
+  let cursor = 0;
+  for (const span of spans) {
+    if (span.start > cursor) segments.push({ text: text.slice(cursor, span.start), span: null });
+    segments.push({ text: text.slice(span.start, span.end), span });
+    cursor = span.end;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), span: null });
+  return segments;
+}
+
+/**
+ * Legend entries: every type found, most frequent first.
+ * @param {Array<{ type: string }>} spans
+ * @returns {Array<{ type: string, count: number }>}
+ */
+export function summarizeEntityTypes(spans) {
+  const counts = new Map();
+  for (const { type } of spans) counts.set(type, (counts.get(type) ?? 0) + 1);
+  return [...counts]
+    .map(([type, count]) => ({ type, count }))
+    .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+}
+
+/**
+ * Tooltip text for an entity, e.g. "Person · 99.2%".
+ * @param {{ type: string, score: number }} span
+ * @returns {string}
+ */
+export function formatEntityLabel({ type, score }) {
+  return `${entityTypeInfo(type).name} · ${(score * 100).toFixed(1)}%`;
+}
+
+/**
+ * Export document: the analyzed text and its entities with character offsets.
+ * @param {object} options
+ * @param {string} options.text
+ * @param {Array<{ type: string, start: number, end: number, text: string, score: number }>} options.spans
+ * @param {string} options.model
+ * @returns {{ model: string, text: string, entities: Array<object> }}
+ */
+export function toEntitiesJson({ text, spans, model }) {
+  return {
+    model,
+    text,
+    entities: spans.map(s => ({ type: s.type, text: s.text, start: s.start, end: s.end, score: Number(s.score.toFixed(4)) })),
+  };
+}
@@ -0,0 +1,134 @@
+// Named entity recognition — DOM wiring layer
+import { mountExperimentPage } from '../../lib/experiment-page.js';
+import { downloadFile } from '../../lib/download.js';
+import { mountBenchmarkPanel } from '../../lib/benchmark-panel.js';
+import {
+  TASK, isInputValid, mergeEntities, filterEntities, segmentText, summarizeEntityTypes, entityTypeInfo, formatEntityLabel, toEntitiesJson,
+} from './ner-logic.js';
+
+const textInput = document.getElementById('text-input');
+const runBtn = document.getElementById('run-btn');
+const resultArea = document.getElementById('result-area');
+const nerResults = document.getElementById('ner-results');
+const nerText = document.getElementById('ner-text');
+const legend = document.getElementById('ner-legend');
+const summary = document.getElementById('ner-summary');
+const exportJsonBtn = document.getElementById('export-json-btn');
+
+const page = mountExperimentPage({
+  task: TASK,
+  statusEl: document.getElementById('model-status'),
+  modelSelect: document.getElementById('model-select'),
+  modelMeta: document.getElementById('model-meta'),
+  sizeWarning: document.getElementById('size-warning'),
+});
+const { controller } = page;
+
+let analyzedText = '';
+let entities = [];
+let taggedWith = null; // Model id the entities came from
+const hiddenTypes = new Set();
+
+// --- Rendering ---
+
+// Built node by node: both the text and the entity types are untrusted
+function renderText() {
+  nerText.replaceChildren(...segmentText(analyzedText, filterEntities(entities, hiddenTypes)).map(({ text, span }) => {
+    if (!span) return document.createTextNode(text);
+    const mark = document.createElement('mark');
+    mark.className = 'ner-entity';
+    mark.style.setProperty('--entity-color', entityTypeInfo(span.type).color);
+    mark.title = formatEntityLabel(span);
+    const tag = document.createElement('span');
+    tag.className = 'ner-entity-type';
+    tag.textContent = span.type;
+    mark.append(text, tag);
+    return mark;
+  }));
+}
+
+function renderLegend() {
+  const entries = summarizeEntityTypes(entities);
+  legend.innerHTML = entries.map(() => `
+    <button type="button" class="detect-legend-item">
+      <span class="detect-legend-swatch"></span>
+      <span class="detect-legend-label"></span>
+      <span class="detect-legend-count"></span>
+    </button>
+  `).join('');
+
+  legend.querySelectorAll('.detect-legend-item').forEach((btn, i) => {
+    const { type, count } = entries[i];
+    btn.setAttribute('aria-pressed', String(!hiddenTypes.has(type)));
+    btn.querySelector('.detect-legend-swatch').style.background = entityTypeInfo(type).color;
+    btn.querySelector('.detect-legend-label').textContent = entityTypeInfo(type).name;
+    btn.querySelector('.detect-legend-count').textContent = count;
+    btn.addEventListener('click', () => {
+      if (hiddenTypes.has(type)) hiddenTypes.delete(type);
+      else hiddenTypes.add(type);
+      renderEntities();
+      legend.children[i]?.focus(); // Toggling keeps the legend order, so keep focus on the same entry
+    });
+  });
+}
+
+function renderEntities() {
+  const shown = filterEntities(entities, hiddenTypes).length;
+  summary.textContent = entities.length === 0
+    ? 'No entities found in this text.'
+    : `Showing ${shown} of ${entities.length} entit${entities.length === 1 ? 'y' : 'ies'}`;
+  exportJsonBtn.disabled = shown === 0;
+  renderText();
+  renderLegend();
+}
+
+function showResults(tokens, text) {
+  analyzedText = text;
+  entities = mergeEntities(text, tokens);
+  taggedWith = controller.state.loadedModelId;
+  hiddenTypes.clear();
+  resultArea.innerHTML = '';
+  nerResults.hidden = false;
+  renderEntities();
+}
+
+// --- Export ---
+
+function exportJson() {
+  const json = toEntitiesJson({ text: analyzedText, spans: filterEntities(entities, hiddenTypes), model: taggedWith });
+  downloadFile('entities.json', JSON.stringify(json, null, 2), 'application/json');
+}
+
+// --- Event listeners ---
+
+page.bindRun({
+  button: runBtn,
+  resultArea,
+  busyLabel: 'Finding entities…',
+  readInput: () => textInput.value,
+  isValid: isInputValid,
+  watch: [textInput],
+  infer: (tagger, text) => {
+    nerResults.hidden = true;
+    return tagger(text);
+  },
+  render: showResults,
+  errorMessage: 'Entity recognition failed. Please try again.',
+  onDone: () => textInput.focus(),
+});
+
+exportJsonBtn.addEventListener('click', exportJson);
+
+const benchmarkPanel = mountBenchmarkPanel({
+  task: TASK,
+  root: document.getElementById('benchmark-panel'),
+  controller,
+  canRun: () => isInputValid(textInput.value),
+  getInput: () => textInput.value,
+  runOnce: (tagger, text) => tagger(text),
+  inputNote: 'Times the current model on the text above, loaded separately under each configuration.',
+});
+textInput.addEventListener('input', () => benchmarkPanel.refresh());
+
+// --- Init: load the model, or wait for input, as the load policy says ---
+page.start();
@@ -0,0 +1,141 @@
+// Object detection — pure functions (no DOM, no browser APIs)
+
+export const TASK = 'object-detection';
+
+// The pipeline runs once at this floor; the threshold slider filters client-side
+// so moving it never re-runs the model.
+export const MIN_SCORE = 0.1;
+export const DEFAULT_THRESHOLD = 0.5;
+
+// Box colours, assigned to labels in order of first appearance
+export const BOX_COLORS = ['#58a6ff', '#3fb950', '#d29922', '#f85149', '#bc8cff', '#39c5cf', '#ff7b72', '#e3b341'];
+
+/**
+ * Detections at or above the threshold whose label is not hidden, highest score first.
+ * @param {Array<{ label: string, score: number, box: object }>} detections
+ * @param {{ threshold?: number, hiddenLabels?: Set<string> }} [options]
+ * @returns {Array<{ label: string, score: number, box: object }>}
+ */
+export function filterDetections(detections, { threshold = DEFAULT_THRESHOLD, hiddenLabels = new Set() } = {}) {
+  return detections
+    .filter(d => d.score >= threshold && !hiddenLabels.has(d.label))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Map a box in source-image pixels ({xmin, ymin, xmax, ymax}) onto a canvas
+ * drawn at a different size. Boxes are clamped to the image bounds first —
+ * models occasionally predict slightly outside them.
+ * @param {{ xmin: number, ymin: number, xmax: number, ymax: number }} box
+ * @param {{ width: number, height: number }} from - Source image size
+ * @param {{ width: number, height: number }} to - Drawn size
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function scaleBox(box, from, to) {
+  const clamp = (v, max) => Math.min(Math.max(v, 0), max);
+  const xmin = clamp(box.xmin, from.width);
+  const ymin = clamp(box.ymin, from.height);
+  const xmax = clamp(box.xmax, from.width);
+  const ymax = clamp(box.ymax, from.height);
+  const sx = to.width / from.width;
+  const sy = to.height / from.height;
+  return { x: xmin * sx, y: ymin * sy, width: (xmax - xmin) * sx, height: (ymax - ymin) * sy };
+}
+
+/**
+ * Largest size that fits the image inside maxWidth, never upscaling.
+ * @param {{ width: number, height: number }} image
+ * @param {number} maxWidth
+ * @returns {{ width: number, height: number }}
+ */
+export function fitToWidth(image, maxWidth) {
+  const scale = Math.min(1, maxWidth / image.width);
+  return { width: Math.round(image.width * scale), height: Math.round(image.height * scale) };
+}
+
+/**
+ * Stable label -> colour map: labels take palette colours in order of first
+ * appearance, so toggling or re-thresholding never recolours a class.
+ * @param {Array<{ label: string }>} detections
+ * @returns {Map<string, string>}
+ */
+export function assignLabelColors(detections) {
+  const colors = new Map();
+  for (const { label } of detections) {
+    if (!colors.has(label)) colors.set(label, BOX_COLORS[colors.size % BOX_COLORS.length]);
+  }
+  return colors;
+}
+
+/**
+ * Legend entries: every label with at least one detection above the threshold
+ * (hidden or not, so hidden classes can be toggled back on), most frequent first.
+ * @param {Array<{ label: string, score: number }>} detections
+ * @param {number} threshold
+ * @returns {Array<{ label: string, count: number }>}
+ */
+export function summarizeLabels(detections, threshold) {
+  const counts = new Map();
+  for (const d of detections) {
+    if (d.score >= threshold) counts.set(d.label, (counts.get(d.label) ?? 0) + 1);
+  }
+  return [...counts]
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+/**
+ * One-line result for the run history, e.g. "2 person · 1 dog".
+ * @param {Array<{ label: string, score: number }>} detections
+ * @param {number} [threshold]
+ * @returns {string}
+ */
+export function detectionSummary(detections, threshold = DEFAULT_THRESHOLD) {
+  const labels = summarizeLabels(detections, threshold);
+  return labels.length === 0 ? 'No objects' : labels.map(({ label, count }) => `${count} ${label}`).join(' · ');
+}
+
+/**
+ * Box caption, e.g. "dog 92%".
+ * @param {{ label: string, score: number }} detection
+ * @returns {string}
+ */
+export function formatDetectionLabel({ label, score }) {
+  return `${label} ${Math.round(score * 100)}%`;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * COCO-style results for one image: bbox is [x, y, width, height] in source
+ * pixels. Category ids follow the order labels first appear in.
+ * @param {object} options
+ * @param {Array<{ label: string, score: number, box: object }>} options.detections
+ * @param {{ fileName: string, width: number, height: number }} options.image
+ * @param {string} options.model
+ * @returns {{ info: object, images: Array<object>, categories: Array<object>, annotations: Array<object> }}
+ */
+export function toCocoJson({ detections, image, model }) {
+  const categoryIds = new Map();
+  for (const { label } of detections) {
+    if (!categoryIds.has(label)) categoryIds.set(label, categoryIds.size + 1);
+  }
+
+  return {
+    info: { description: `Object detections from ${model}`, model },
+    images: [{ id: 1, file_name: image.fileName, width: image.width, height: image.height }],
+    categories: [...categoryIds].map(([name, id]) => ({ id, name })),
+    annotations: detections.map((d, i) => {
+      const { x, y, width, height } = scaleBox(d.box, image, image);
+      return {
+        id: i + 1,
+        image_id: 1,
+        category_id: categoryIds.get(d.label),
+        bbox: [round2(x), round2(y), round2(width), round2(height)],
+        area: round2(width * height),
+        score: Number(d.score.toFixed(4)),
+        iscrowd: 0,
+      };
+    }),
+  };
+}
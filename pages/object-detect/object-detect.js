@@ -0,0 +1,277 @@
+// Object detection — DOM wiring layer
+import { mountExperimentPage, runWhenReady } from '../../lib/experiment-page.js';
+import { downloadFile } from '../../lib/download.js';
+import { mountBenchmarkPanel } from '../../lib/benchmark-panel.js';
+import { mountHistoryPanel, imageHistoryInput } from '../../lib/history-panel.js';
+import { isValidImageFile } from '../image-classify/image-classify-logic.js';
+import {
+  TASK, MIN_SCORE, filterDetections, scaleBox, fitToWidth, assignLabelColors, summarizeLabels, detectionSummary, formatDetectionLabel, toCocoJson,
+} from './object-detect-logic.js';
+
+const dropZone = document.getElementById('drop-zone');
+const fileInput = document.getElementById('file-input');
+const runBtn = document.getElementById('run-btn');
+const resultArea = document.getElementById('result-area');
+const detectResults = document.getElementById('detect-results');
+const thresholdInput = document.getElementById('threshold');
+const thresholdValue = document.getElementById('threshold-value');
+const exportJsonBtn = document.getElementById('export-json-btn');
+const canvas = document.getElementById('detect-canvas');
+const legend = document.getElementById('detect-legend');
+const summary = document.getElementById('detect-summary');
+
+const page = mountExperimentPage({
+  task: TASK,
+  statusEl: document.getElementById('model-status'),
+  modelSelect: document.getElementById('model-select'),
+  modelMeta: document.getElementById('model-meta'),
+  sizeWarning: document.getElementById('size-warning'),
+});
+const { controller } = page;
+
+let currentFile = null;
+let bitmap = null; // Decoded upload, drawn under the boxes
+let detections = [];
+let detectedWith = null; // Model id the detections came from
+let colors = new Map();
+const hiddenLabels = new Set();
+
+// --- Rendering ---
+
+const threshold = () => Number(thresholdInput.value);
+
+function drawDetections() {
+  const size = fitToWidth(bitmap, canvas.parentElement.clientWidth);
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(size.width * dpr);
+  canvas.height = Math.round(size.height * dpr);
+  canvas.style.width = `${size.width}px`;
+  canvas.style.height = `${size.height}px`;
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.drawImage(bitmap, 0, 0, size.width, size.height);
+  ctx.lineWidth = 2;
+  ctx.font = '600 12px Inter, system-ui, sans-serif';
+  ctx.textBaseline = 'top';
+
+  // Lowest scores first so the most confident boxes and captions end up on top
+  for (const d of filterDetections(detections, { threshold: threshold(), hiddenLabels }).reverse()) {
+    const { x, y, width, height } = scaleBox(d.box, bitmap, size);
+    const color = colors.get(d.label);
+    ctx.strokeStyle = color;
+    ctx.strokeRect(x, y, width, height);
+
+    const caption = formatDetectionLabel(d);
+    const captionWidth = ctx.measureText(caption).width + 8;
+    const captionY = y >= 18 ? y - 18 : y; // Inside the box when it touches the top edge
+    ctx.fillStyle = color;
+    ctx.fillRect(x - 1, captionY, captionWidth, 18);
+    ctx.fillStyle = '#0d1117';
+    ctx.fillText(caption, x + 3, captionY + 3);
+  }
+}
+
+function renderLegend() {
+  const entries = summarizeLabels(detections, threshold());
+  legend.innerHTML = entries.map(() => `
+    <button type="button" class="detect-legend-item">
+      <span class="detect-legend-swatch"></span>
+      <span class="detect-legend-label"></span>
+      <span class="detect-legend-count"></span>
+    </button>
+  `).join('');
+
+  // Labels come from the model's config — set as text, never as HTML
+  legend.querySelectorAll('.detect-legend-item').forEach((btn, i) => {
+    const { label, count } = entries[i];
+    btn.setAttribute('aria-pressed', String(!hiddenLabels.has(label)));
+    btn.querySelector('.detect-legend-swatch').style.background = colors.get(label);
+    btn.querySelector('.detect-legend-label').textContent = label;
+    btn.querySelector('.detect-legend-count').textContent = count;
+    btn.addEventListener('click', () => {
+      if (hiddenLabels.has(label)) hiddenLabels.delete(label);
+      else hiddenLabels.add(label);
+      renderDetections();
+      legend.children[i]?.focus(); // Toggling keeps the legend order, so keep focus on the same entry
+    });
+  });
+}
+
+function renderDetections() {
+  const shown = filterDetections(detections, { threshold: threshold(), hiddenLabels }).length;
+  const aboveThreshold = filterDetections(detections, { threshold: threshold() }).length;
+  thresholdValue.textContent = `${Math.round(threshold() * 100)}%`;
+  summary.textContent = aboveThreshold === 0
+    ? 'No objects above this score. Lower the minimum score to see weaker detections.'
+    : `Showing ${shown} of ${aboveThreshold} object${aboveThreshold === 1 ? '' : 's'}`;
+  exportJsonBtn.disabled = shown === 0;
+  drawDetections();
+  renderLegend();
+}
+
+function showResults(output) {
+  detections = output;
+  detectedWith = controller.state.loadedModelId;
+  colors = assignLabelColors(detections);
+  hiddenLabels.clear();
+  resultArea.innerHTML = '';
+  detectResults.hidden = false;
+  renderDetections();
+}
+
+function clearResults() {
+  detections = [];
+  detectResults.hidden = true;
+  resultArea.innerHTML = '';
+}
+
+// --- File handling ---
+
+function showError(message) {
+  resultArea.innerHTML = `<div class="error-message" id="error-message"></div>`;
+  resultArea.firstElementChild.textContent = message;
+}
+
+async function handleFile(file) {
+  if (controller.state.inferring) return;
+  if (!isValidImageFile(file)) {
+    showError('Please upload an image file (JPEG, PNG, etc.)');
+    return;
+  }
+  clearResults();
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (err) {
+    console.error('Decoding the image failed:', err);
+    showError('That image could not be read. Try a different file.');
+    return;
+  }
+  currentFile = file;
+  benchmarkPanel.refresh();
+
+  const previewUrl = URL.createObjectURL(file);
+  dropZone.innerHTML = `<img src="${previewUrl}" alt="Uploaded image preview" style="max-height: 300px; max-width: 100%; object-fit: contain;" />
+    <button type="button" class="change-image-link" id="change-image">Change image</button>`;
+  dropZone.querySelector('img').addEventListener('load', () => URL.revokeObjectURL(previewUrl), { once: true });
+  dropZone.classList.add('drop-zone--has-image');
+  document.getElementById('change-image').addEventListener('click', (e) => {
+    e.stopPropagation();
+    fileInput.click();
+  });
+  run.refresh();
+}
+
+// --- History ---
+
+async function recordHistory({ file, output, durationMs }) {
+  try {
+    historyPanel.record({
+      model: controller.state.loadedModelId,
+      input: await imageHistoryInput(file),
+      output,
+      viewModel: summarizeLabels(output, threshold()),
+      summary: detectionSummary(output, threshold()),
+      durationMs,
+    });
+  } catch (err) {
+    console.error('Recording history failed:', err); // e.g. an image format the canvas cannot decode
+  }
+}
+
+// --- Export ---
+
+function exportJson() {
+  const coco = toCocoJson({
+    detections: filterDetections(detections, { threshold: threshold(), hiddenLabels }),
+    image: { fileName: currentFile.name, width: bitmap.width, height: bitmap.height },
+    model: detectedWith,
+  });
+  const baseName = currentFile.name.replace(/\.[^.]+$/, '');
+  downloadFile(`${baseName}-detections.json`, JSON.stringify(coco, null, 2), 'application/json');
+}
+
+// --- Event listeners ---
+
+const run = page.bindRun({
+  button: runBtn,
+  resultArea,
+  busyLabel: 'Detecting…',
+  readInput: () => currentFile,
+  isValid: (file) => file !== null,
+  infer: async (detector, file) => {
+    const start = performance.now();
+    const output = await detector(file, { threshold: MIN_SCORE, percentage: false });
+    return { output, durationMs: performance.now() - start };
+  },
+  render: ({ output, durationMs }, file) => {
+    showResults(output);
+    recordHistory({ file, output, durationMs });
+  },
+  errorMessage: 'Detection failed. Please try again.',
+});
+
+dropZone.addEventListener('click', () => {
+  if (!dropZone.classList.contains('drop-zone--has-image')) fileInput.click();
+});
+
+fileInput.addEventListener('change', () => {
+  if (fileInput.files.length > 0) handleFile(fileInput.files[0]);
+  fileInput.value = '';
+});
+
+dropZone.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  dropZone.classList.add('drop-zone--dragover');
+});
+
+dropZone.addEventListener('dragleave', () => {
+  dropZone.classList.remove('drop-zone--dragover');
+});
+
+dropZone.addEventListener('drop', (e) => {
+  e.preventDefault();
+  dropZone.classList.remove('drop-zone--dragover');
+  const file = e.dataTransfer.files[0];
+  if (file) handleFile(file);
+});
+
+thresholdInput.addEventListener('input', () => {
+  if (detections.length > 0) renderDetections();
+  else thresholdValue.textContent = `${Math.round(threshold() * 100)}%`;
+});
+
+exportJsonBtn.addEventListener('click', exportJson);
+
+window.addEventListener('resize', () => {
+  if (!detectResults.hidden) drawDetections();
+});
+
+const benchmarkPanel = mountBenchmarkPanel({
+  task: TASK,
+  root: document.getElementById('benchmark-panel'),
+  controller,
+  canRun: () => currentFile !== null,
+  getInput: () => currentFile,
+  runOnce: (detector, file) => detector(file, { threshold: MIN_SCORE, percentage: false }),
+  inputNote: 'Times the current model on the uploaded image, loaded separately under each configuration.',
+});
+
+// Re-running a past input always uses the model selected now
+let cancelReplay = () => {};
+const historyPanel = mountHistoryPanel({
+  task: TASK,
+  toggle: document.getElementById('history-toggle'),
+  panel: document.getElementById('history-panel'),
+  canRerun: (entry) => entry.input.file instanceof Blob,
+  onRerun: async (entry) => {
+    if (controller.state.inferring) return;
+    cancelReplay();
+    const { file, name } = entry.input;
+    await handleFile(file instanceof File ? file : new File([file], name, { type: file.type }));
+    if (currentFile !== null) cancelReplay = runWhenReady(controller, run.run);
+  },
+});
+
+// --- Init: load the model, or wait for input, as the load policy says ---
+page.start();
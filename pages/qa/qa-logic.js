@@ -0,0 +1,126 @@
+// Question answering — pure functions (no DOM, no browser APIs)
+
+export const TASK = 'question-answering';
+
+// The SQuAD models read at most 384–512 tokens of question plus context and
+// silently drop the rest. At ~1.3 tokens per word, 250-word windows leave room
+// for the question; the overlap keeps an answer that straddles a window edge
+// whole in at least one window.
+export const WINDOW_WORDS = 250;
+export const OVERLAP_WORDS = 50;
+
+// Extractive models always return some span; below this score it is usually a guess
+export const LOW_CONFIDENCE = 0.1;
+
+/**
+ * Returns false for empty or whitespace-only strings.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isInputValid(text) {
+  return text.trim().length > 0;
+}
+
+/**
+ * Overlapping windows of at most windowWords words, each a slice of the
+ * context with its character offsets.
+ * @param {string} context
+ * @param {{ windowWords?: number, overlapWords?: number }} [options]
+ * @returns {Array<{ text: string, start: number, end: number }>}
+ */
+export function slidingWindows(context, { windowWords = WINDOW_WORDS, overlapWords = OVERLAP_WORDS } = {}) {
+  if (overlapWords >= windowWords) throw new Error('overlapWords must be smaller than windowWords');
+  const words = [...context.matchAll(/\S+/g)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+  const windows = [];
+  for (let i = 0; i < words.length; i += windowWords - overlapWords) {
+    const last = words[Math.min(i + windowWords, words.length) - 1];
+    windows.push({ text: context.slice(words[i].start, last.end), start: words[i].start, end: last.end });
+    if (i + windowWords >= words.length) break;
+  }
+  return windows;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Where an answer occurs in the text it came from. Offsets the pipeline reports
+ * are used as they are; without them the decoded answer is searched for,
+ * ignoring spacing around punctuation ("U . S ." vs "U.S."). An exact-case
+ * match wins over one that only matches ignoring case.
+ * @param {string} text
+ * @param {string} answer
+ * @param {{ start?: number, end?: number }} [offsets] from the pipeline, when it reports them
+ * @returns {{ start: number, end: number }|null}
+ */
+export function locateAnswer(text, answer, { start, end } = {}) {
+  if (Number.isInteger(start) && Number.isInteger(end) && start >= 0 && start < end && end <= text.length) return { start, end };
+  const pieces = answer.trim().split(/\s+/).filter(Boolean);
+  if (pieces.length === 0) return null;
+  const pattern = pieces.map(escapeRegExp).join('\\s*');
+  const match = text.match(new RegExp(pattern)) ?? text.match(new RegExp(pattern, 'i'));
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Answer a question from a context of any length: every window is asked and the
+ * highest-scoring answer wins. Offsets are into the full context, or null when
+ * the answer text could not be matched back to it.
+ * @param {(question: string, context: string) => Promise<{ answer: string, score: number, start?: number, end?: number }|Array<{ answer: string, score: number, start?: number, end?: number }>>} qa
+ * @param {string} question
+ * @param {string} context
+ * @param {{ windowWords?: number, overlapWords?: number, onWindow?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<{ answer: string, score: number, start: number|null, end: number|null, windowCount: number }>}
+ */
+export async function answerQuestion(qa, question, context, { windowWords, overlapWords, onWindow } = {}) {
+  const windows = slidingWindows(context, { windowWords, overlapWords });
+  let best = null;
+  for (const [i, window] of windows.entries()) {
+    const output = await qa(question.trim(), window.text);
+    const top = Array.isArray(output) ? output[0] : output;
+    if (!best || top.score > best.score) best = { ...top, window };
+    onWindow?.(i + 1, windows.length);
+  }
+  if (!best) return { answer: '', score: 0, start: null, end: null, windowCount: 0 };
+
+  const found = locateAnswer(best.window.text, best.answer, best);
+  return {
+    answer: found ? context.slice(best.window.start + found.start, best.window.start + found.end) : best.answer.trim(),
+    score: best.score,
+    start: found ? best.window.start + found.start : null,
+    end: found ? best.window.start + found.end : null,
+    windowCount: windows.length,
+  };
+}
+
+/**
+ * Add a question and answer to the conversation about a document. Asking about
+ * a different document starts a new conversation.
+ * @param {{ context: string, turns: Array<object> }|null} thread
+ * @param {string} context
+ * @param {{ question: string, answer: string, score: number, start: number|null, end: number|null }} turn
+ * @returns {{ context: string, turns: Array<object> }}
+ */
+export function appendTurn(thread, context, turn) {
+  if (!thread || thread.context !== context) return { context, turns: [turn] };
+  return { context, turns: [...thread.turns, turn] };
+}
+
+/**
+ * Confidence text, e.g. "87.3%".
+ * @param {number} score
+ * @returns {string}
+ */
+export function formatConfidence(score) {
+  return `${(score * 100).toFixed(1)}%`;
+}
+
+/**
+ * Split the context around an answer for highlighting.
+ * @param {string} context
+ * @param {{ start: number|null, end: number|null }} turn
+ * @returns {{ before: string, answer: string, after: string }} answer is empty when it was not located
+ */
+export function highlightContext(context, { start, end }) {
+  if (start === null || end === null) return { before: context, answer: '', after: '' };
+  return { before: context.slice(0, start), answer: context.slice(start, end), after: context.slice(end) };
+}
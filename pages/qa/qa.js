@@ -0,0 +1,135 @@
+// Question answering — DOM wiring layer
+import { mountExperimentPage } from '../../lib/experiment-page.js';
+import { mountBenchmarkPanel } from '../../lib/benchmark-panel.js';
+import {
+  TASK, LOW_CONFIDENCE, isInputValid, slidingWindows, answerQuestion, appendTurn, formatConfidence, highlightContext,
+} from './qa-logic.js';
+
+const contextInput = document.getElementById('context-input');
+const contextMeta = document.getElementById('context-meta');
+const questionInput = document.getElementById('question-input');
+const runBtn = document.getElementById('run-btn');
+const resultArea = document.getElementById('result-area');
+const threadEl = document.getElementById('qa-thread');
+const contextView = document.getElementById('context-view');
+const contextText = document.getElementById('context-text');
+
+const page = mountExperimentPage({
+  task: TASK,
+  statusEl: document.getElementById('model-status'),
+  modelSelect: document.getElementById('model-select'),
+  modelMeta: document.getElementById('model-meta'),
+  sizeWarning: document.getElementById('size-warning'),
+});
+const { controller } = page;
+
+let thread = null; // { context, turns } for the document the questions were asked about
+
+// --- Rendering ---
+
+function renderContextMeta() {
+  const windows = slidingWindows(contextInput.value).length;
+  contextMeta.textContent = windows > 1
+    ? `Long document: each question reads it in ${windows} overlapping parts`
+    : '';
+}
+
+// Built node by node: the document, the question and the answer are all untrusted
+function showInDocument(turn) {
+  const { before, answer, after } = highlightContext(thread.context, turn);
+  const mark = document.createElement('mark');
+  mark.className = 'qa-answer-mark';
+  mark.textContent = answer;
+  contextText.replaceChildren(before, mark, after);
+  contextView.hidden = false;
+  mark.scrollIntoView({ block: 'nearest' });
+}
+
+function renderTurn(turn) {
+  const item = document.createElement('li');
+  item.className = 'qa-turn';
+  item.innerHTML = `
+    <p class="qa-question"></p>
+    <div class="qa-answer">
+      <p class="qa-answer-text"></p>
+      <span class="qa-confidence"></span>
+    </div>
+  `;
+  item.querySelector('.qa-question').textContent = turn.question;
+  const answerText = item.querySelector('.qa-answer-text');
+  answerText.textContent = turn.answer || 'No answer found.';
+  item.querySelector('.qa-confidence').textContent = `Confidence ${formatConfidence(turn.score)}`;
+
+  const answer = item.querySelector('.qa-answer');
+  if (turn.score < LOW_CONFIDENCE) {
+    const note = document.createElement('p');
+    note.className = 'qa-low-confidence';
+    note.textContent = 'Low confidence: the document may not contain the answer.';
+    answer.append(note);
+  }
+  if (turn.start !== null) {
+    const showBtn = document.createElement('button');
+    showBtn.type = 'button';
+    showBtn.className = 'secondary-btn qa-show-btn';
+    showBtn.textContent = 'Show in document';
+    showBtn.addEventListener('click', () => showInDocument(turn));
+    answer.append(showBtn);
+  }
+  return item;
+}
+
+function renderThread() {
+  threadEl.replaceChildren(...thread.turns.map(renderTurn));
+  threadEl.hidden = false;
+  threadEl.lastElementChild.scrollIntoView({ block: 'nearest' });
+}
+
+function showAnswer(result, { context, question }) {
+  const turn = { question: question.trim(), ...result };
+  thread = appendTurn(thread, context, turn);
+  resultArea.innerHTML = '';
+  renderThread();
+  if (turn.start !== null) showInDocument(turn);
+  else contextView.hidden = true;
+  questionInput.value = '';
+}
+
+// --- Event listeners ---
+
+const readInput = () => ({ context: contextInput.value, question: questionInput.value });
+const isValid = ({ context, question }) => isInputValid(context) && isInputValid(question);
+
+page.bindRun({
+  button: runBtn,
+  resultArea,
+  busyLabel: 'Reading…',
+  readInput,
+  isValid,
+  watch: [contextInput, questionInput],
+  infer: (qa, { context, question }, model, { setBusyLabel }) => answerQuestion(qa, question, context, {
+    onWindow: (done, total) => total > 1 && setBusyLabel(`Reading ${done}/${total}…`),
+  }),
+  render: showAnswer,
+  errorMessage: 'Could not answer the question. Please try again.',
+  onDone: () => questionInput.focus(),
+});
+
+// The highlighted offsets belong to the document as it was asked about
+contextInput.addEventListener('input', () => {
+  renderContextMeta();
+  if (thread && contextInput.value !== thread.context) contextView.hidden = true;
+});
+
+const benchmarkPanel = mountBenchmarkPanel({
+  task: TASK,
+  root: document.getElementById('benchmark-panel'),
+  controller,
+  canRun: () => isValid(readInput()),
+  getInput: readInput,
+  runOnce: (qa, { context, question }) => answerQuestion(qa, question, context),
+  inputNote: 'Times the current model answering the question above about the document, loaded separately under each configuration.',
+});
+[contextInput, questionInput].forEach(el => el.addEventListener('input', () => benchmarkPanel.refresh()));
+
+// --- Init: load the model, or wait for input, as the load policy says ---
+page.start();
@@ -1,11 +1,12 @@
 // Sentiment analysis — pure functions (no DOM, no browser APIs)
 
 export const TASK = 'sentiment-analysis';
-export const MODEL = 'Xenova/distilbert-base-uncased-finetuned-sst-2-english';
 
+// Labels are normalized through the model registry's labelMap before formatting
 const LABEL_MAP = {
   POSITIVE: { emoji: '\u{1F60A}', colorVar: '--positive' },
   NEGATIVE: { emoji: '\u{1F614}', colorVar: '--negative' },
+  NEUTRAL: { emoji: '\u{1F610}', colorVar: '--text-secondary' },
 };
 
 /**
@@ -34,3 +35,238 @@ export function formatSentimentResult(rawResult) {
 export function isInputValid(text) {
   return text.trim().length > 0;
 }
+
+// --- Batch mode ---
+
+export const DEFAULT_BATCH_SIZE = 8;
+export const MAX_BATCH_SIZE = 64;
+
+/**
+ * One item per non-empty line, trimmed.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Non-empty values of one CSV column, skipping the header row.
+ * @param {string[][]} rows - Parsed CSV rows; rows[0] is the header
+ * @param {number} columnIndex
+ * @returns {string[]}
+ */
+export function extractCsvColumn(rows, columnIndex) {
+  return rows.slice(1).map(row => (row[columnIndex] ?? '').trim()).filter(Boolean);
+}
+
+/**
+ * Pick the header most likely to hold free text: a column named like "text",
+ * otherwise the column with the longest average value.
+ * @param {string[][]} rows
+ * @returns {number}
+ */
+export function guessTextColumn(rows) {
+  if (rows.length === 0) return 0;
+  const header = rows[0];
+  const named = header.findIndex(h => /^(text|review|comment|content|sentence|body|message)s?$/i.test(h.trim()));
+  if (named !== -1) return named;
+
+  let best = 0;
+  let bestLength = -1;
+  header.forEach((_, i) => {
+    const values = rows.slice(1).map(r => r[i] ?? '');
+    const avg = values.length === 0 ? 0 : values.reduce((sum, v) => sum + v.length, 0) / values.length;
+    if (avg > bestLength) {
+      best = i;
+      bestLength = avg;
+    }
+  });
+  return best;
+}
+
+/**
+ * Clamp a user-entered batch size to [1, MAX_BATCH_SIZE], defaulting on junk input.
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function parseBatchSize(value) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_BATCH_SIZE;
+  return Math.min(n, MAX_BATCH_SIZE);
+}
+
+/**
+ * Split items into consecutive batches.
+ * @template T
+ * @param {T[]} items
+ * @param {number} size
+ * @returns {T[][]}
+ */
+export function chunkItems(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+  return batches;
+}
+
+/**
+ * Build table rows from a batch of texts and the pipeline's per-item output.
+ * @param {string[]} texts
+ * @param {Array<{label: string, score: number}>} rawResults - One result per text
+ * @param {number} [offset] - Index of texts[0] within the whole run
+ * @returns {Array<{ index: number, text: string, label: string, score: number, emoji: string, colorVar: string, percentText: string, barWidthPercent: number }>}
+ */
+export function formatSentimentBatch(texts, rawResults, offset = 0) {
+  if (rawResults.length !== texts.length) {
+    throw new Error(`Expected ${texts.length} results, got ${rawResults.length}`);
+  }
+  return texts.map((text, i) => {
+    // Pipelines return a nested array per item when top_k is set
+    const result = Array.isArray(rawResults[i]) ? rawResults[i][0] : rawResults[i];
+    return { index: offset + i + 1, text, score: result.score, ...formatSentimentResult([result]) };
+  });
+}
+
+/**
+ * Positive/negative/neutral counts and percentages across batch rows.
+ * @param {Array<{label: string}>} rows
+ * @returns {{ total: number, positive: number, negative: number, neutral: number, positivePercent: number, negativePercent: number, neutralPercent: number }}
+ */
+export function summarizeDistribution(rows) {
+  const total = rows.length;
+  const positive = rows.filter(r => r.label === 'POSITIVE').length;
+  const negative = rows.filter(r => r.label === 'NEGATIVE').length;
+  const neutral = rows.filter(r => r.label === 'NEUTRAL').length;
+  const pct = (n) => (total === 0 ? 0 : (n / total) * 100);
+  return {
+    total, positive, negative, neutral,
+    positivePercent: pct(positive), negativePercent: pct(negative), neutralPercent: pct(neutral),
+  };
+}
+
+/**
+ * Sort batch rows by a column without mutating the input.
+ * @param {Array<object>} rows
+ * @param {'index'|'text'|'label'|'score'} key
+ * @param {'asc'|'desc'} direction
+ * @returns {Array<object>}
+ */
+export function sortSentimentRows(rows, key, direction) {
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const cmp = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+    return cmp !== 0 ? cmp * sign : a.index - b.index;
+  });
+}
+
+// --- Explanations (occlusion) ---
+
+// Each word costs one extra inference, so very long inputs are not explained
+export const MAX_EXPLAIN_WORDS = 150;
+
+// Score changes smaller than this (in probability) are treated as no effect
+const MIN_EFFECT = 0.005;
+
+// Colour for words that pull away from the predicted label
+const OPPOSING_COLOR_VAR = { POSITIVE: '--negative', NEGATIVE: '--positive', NEUTRAL: '--warning' };
+
+/**
+ * Split text into word and non-word tokens. Joining every token's text gives
+ * back the original input, so the explanation renders the text as written.
+ * @param {string} text
+ * @returns {Array<{ text: string, isWord: boolean }>}
+ */
+export function tokenizeForOcclusion(text) {
+  return text.split(/([\p{L}\p{N}][\p{L}\p{N}'’-]*)/u)
+    .map((part, i) => ({ text: part, isWord: i % 2 === 1 }))
+    .filter(t => t.text !== '');
+}
+
+// The text with one token removed, tidying the whitespace it leaves behind
+function withoutToken(tokens, index) {
+  return tokens.map((t, i) => (i === index ? '' : t.text)).join('')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .trim();
+}
+
+/**
+ * One input per word with that word left out (leave-one-out occlusion).
+ * @param {Array<{ text: string, isWord: boolean }>} tokens
+ * @returns {Array<{ tokenIndex: number, text: string }>}
+ */
+export function occlusionVariants(tokens) {
+  return tokens.flatMap((token, tokenIndex) => (token.isWord ? [{ tokenIndex, text: withoutToken(tokens, tokenIndex) }] : []));
+}
+
+/**
+ * Probability the classifier gave one label. Accepts a single prediction or the
+ * full label distribution (pipeline called with top_k: null).
+ * @param {Array<{label: string, score: number}>|{label: string, score: number}} result
+ * @param {string} label
+ * @returns {number}
+ */
+export function labelScore(result, label) {
+  const list = Array.isArray(result) ? result : [result];
+  return list.find(r => r.label === label)?.score ?? 0;
+}
+
+/**
+ * Per-token effect on the predicted label: the score drop when the token is
+ * left out. Positive deltas mean the word supports the prediction; non-word
+ * tokens get null.
+ * @param {number} baseScore - Score of the predicted label on the full text
+ * @param {Array<{ tokenIndex: number }>} variants
+ * @param {number[]} occludedScores - Score of the predicted label for each variant
+ * @param {number} tokenCount
+ * @returns {Array<number|null>}
+ */
+export function occlusionDeltas(baseScore, variants, occludedScores, tokenCount) {
+  const deltas = new Array(tokenCount).fill(null);
+  variants.forEach(({ tokenIndex }, i) => {
+    deltas[tokenIndex] = baseScore - occludedScores[i];
+  });
+  return deltas;
+}
+
+function formatPoints(delta) {
+  const points = delta * 100;
+  return `${points >= 0 ? '+' : '−'}${Math.abs(points).toFixed(1)} pts`;
+}
+
+/**
+ * View model for the inline heat map. Intensity is relative to the strongest
+ * effect in the text so the most influential word is always fully coloured.
+ * @param {Array<{ text: string, isWord: boolean }>} tokens
+ * @param {Array<number|null>} deltas - From occlusionDeltas
+ * @param {string} label - Predicted label (after labelMap normalization)
+ * @returns {{ tokens: Array<{ text: string, effect: 'supports'|'opposes'|'none', intensity: number, colorVar: string, title: string }>, top: Array<{ text: string, effect: string, deltaText: string }> }}
+ */
+export function formatTokenExplanation(tokens, deltas, label) {
+  const maxEffect = Math.max(0, ...deltas.map(d => Math.abs(d ?? 0)));
+  const supportColor = LABEL_MAP[label]?.colorVar || '--accent';
+  const opposeColor = OPPOSING_COLOR_VAR[label] || '--warning';
+
+  const viewTokens = tokens.map((token, i) => {
+    const delta = deltas[i];
+    if (delta === null || Math.abs(delta) < MIN_EFFECT) {
+      return { text: token.text, effect: 'none', intensity: 0, colorVar: '', title: token.isWord ? `${formatPoints(delta ?? 0)} ${label}` : '' };
+    }
+    return {
+      text: token.text,
+      effect: delta > 0 ? 'supports' : 'opposes',
+      intensity: Math.abs(delta) / maxEffect,
+      colorVar: delta > 0 ? supportColor : opposeColor,
+      title: `${formatPoints(delta)} ${label}`,
+    };
+  });
+
+  const top = tokens
+    .map((token, i) => ({ token, delta: deltas[i] }))
+    .filter(({ delta }) => delta !== null && Math.abs(delta) >= MIN_EFFECT)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, 3)
+    .map(({ token, delta }) => ({ text: token.text, effect: delta > 0 ? 'supports' : 'opposes', deltaText: formatPoints(delta) }));
+
+  return { tokens: viewTokens, top };
+}
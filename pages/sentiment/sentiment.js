@@ -1,39 +1,68 @@
 // Sentiment analysis — DOM wiring layer
-import { loadModel } from '../../lib/model-loader.js';
-import { STATES, EVENTS, nextModelStatus, formatProgress } from '../../lib/model-status.js';
-import { TASK, MODEL, formatSentimentResult, isInputValid } from './sentiment-logic.js';
+import { normalizeLabels } from '../../lib/model-registry.js';
+import { mountExperimentPage, runWhenReady, setButtonBusy, showResultError } from '../../lib/experiment-page.js';
+import { parseCsv, toCsv } from '../../lib/csv.js';
+import { downloadFile } from '../../lib/download.js';
+import { mountComparePanel } from '../../lib/compare-panel.js';
+import { mountBenchmarkPanel } from '../../lib/benchmark-panel.js';
+import { mountModeTabs } from '../../lib/mode-tabs.js';
+import { copyPermalink, restoreFromPermalink } from '../../lib/share-link.js';
+import { mountHistoryPanel } from '../../lib/history-panel.js';
+import {
+  TASK, formatSentimentResult, isInputValid,
+  splitLines, extractCsvColumn, guessTextColumn, parseBatchSize, chunkItems, formatSentimentBatch, summarizeDistribution, sortSentimentRows,
+  DEFAULT_BATCH_SIZE, MAX_EXPLAIN_WORDS, tokenizeForOcclusion, occlusionVariants, labelScore, occlusionDeltas, formatTokenExplanation,
+} from './sentiment-logic.js';
 
-const statusEl = document.getElementById('model-status');
 const textInput = document.getElementById('text-input');
 const runBtn = document.getElementById('run-btn');
 const resultArea = document.getElementById('result-area');
 
-let modelState = STATES.IDLE;
-let classifier = null;
-let inferring = false;
-
-// --- State rendering ---
-
-function renderStatus(state, progressHtml = '') {
-  statusEl.className = `model-status model-status--${state}`;
-  if (state === STATES.LOADING) {
-    statusEl.innerHTML = `<span class="spinner"></span><span>Loading model…</span>${progressHtml}`;
-  } else if (state === STATES.READY) {
-    statusEl.innerHTML = `<span class="status-dot status-dot--ready"></span><span>Model ready</span>`;
-  } else if (state === STATES.ERROR) {
-    statusEl.innerHTML = `<span class="status-dot status-dot--error"></span><span>Failed to load model</span><button class="retry-btn" id="retry-btn">Retry</button>`;
-    document.getElementById('retry-btn').addEventListener('click', startModelLoad);
-  }
+const batchInput = document.getElementById('batch-input');
+const csvUploadBtn = document.getElementById('csv-upload-btn');
+const csvInput = document.getElementById('csv-input');
+const csvColumnGroup = document.getElementById('csv-column-group');
+const csvColumnSelect = document.getElementById('csv-column');
+const csvClearBtn = document.getElementById('csv-clear-btn');
+const batchSizeInput = document.getElementById('batch-size');
+const batchSource = document.getElementById('batch-source');
+const batchRunBtn = document.getElementById('batch-run-btn');
+const batchResultArea = document.getElementById('batch-result-area');
+const compareInput = document.getElementById('compare-input');
+
+const page = mountExperimentPage({
+  task: TASK,
+  statusEl: document.getElementById('model-status'),
+  modelSelect: document.getElementById('model-select'),
+  modelMeta: document.getElementById('model-meta'),
+  sizeWarning: document.getElementById('size-warning'),
+});
+const { controller } = page;
+
+let csvRows = null; // Parsed CSV (header + data rows) while a CSV is the batch source
+let csvFileName = '';
+let batchRows = [];
+let batchSort = { key: 'index', direction: 'asc' };
+let comparePanel = null;
+let benchmarkPanel = null;
+let analyzed = null; // { text, label, model } of the single-mode result on screen
+
+// --- Rendering ---
+
+function updateBatchButtonState() {
+  batchRunBtn.disabled = !controller.canRun() || batchItems().length === 0;
 }
 
-function updateButtonState() {
-  runBtn.disabled = modelState !== STATES.READY || !isInputValid(textInput.value) || inferring;
+// Batch texts count as input for the load policy, like the single text does
+function batchInputChanged() {
+  renderBatchSource();
+  if (batchItems().length > 0) controller.notifyInput();
+  updateBatchButtonState();
 }
 
-function renderResult(viewModel) {
-  resultArea.innerHTML = `
-    <div class="result-area sentiment-result">
-      <div class="sentiment-label" style="color: var(${viewModel.colorVar})">
+function sentimentResultHtml(viewModel) {
+  return `
+      <div class="sentiment-label" data-label="${viewModel.label}" style="color: var(${viewModel.colorVar})">
         <span class="sentiment-emoji">${viewModel.emoji}</span>
         <span class="sentiment-label-text">${viewModel.label}</span>
       </div>
@@ -42,70 +71,347 @@ function renderResult(viewModel) {
           <div class="confidence-bar-fill" style="width: ${viewModel.barWidthPercent}%; background: var(${viewModel.colorVar})"></div>
         </div>
         <span class="confidence-percent">${viewModel.percentText}</span>
+      </div>`;
+}
+
+function renderResult(viewModel, text) {
+  analyzed = { text, label: viewModel.label, model: controller.state.model.id };
+  const wordCount = tokenizeForOcclusion(text).filter(t => t.isWord).length;
+  const note = wordCount > MAX_EXPLAIN_WORDS
+    ? `Explanations are limited to ${MAX_EXPLAIN_WORDS} words`
+    : `Re-scores the text once per word (${wordCount} run${wordCount === 1 ? '' : 's'})`;
+  resultArea.innerHTML = `
+    <div class="result-area sentiment-single-result">
+      <div class="sentiment-result">${sentimentResultHtml(viewModel)}</div>
+      <div class="sentiment-explain">
+        <button type="button" class="secondary-btn" id="explain-btn">Explain prediction</button>
+        <span class="sentiment-explain-note">${note}</span>
+      </div>
+      <div id="explanation" aria-live="polite"></div>
+      <div class="share-row">
+        <button type="button" class="secondary-btn" id="share-btn">Copy link</button>
       </div>
     </div>`;
+  document.getElementById('explain-btn').addEventListener('click', explainPrediction);
+  document.getElementById('share-btn').addEventListener('click', (e) => {
+    copyPermalink(e.currentTarget, { model: analyzed.model, state: { text: analyzed.text } });
+  });
+  updateExplainButtonState();
 }
 
-// --- Model loading ---
+// --- Explanations ---
 
-function transition(event) {
-  modelState = nextModelStatus(modelState, event);
-  updateButtonState();
+function updateExplainButtonState() {
+  const explainBtn = document.getElementById('explain-btn');
+  if (!explainBtn || !analyzed) return;
+  const wordCount = tokenizeForOcclusion(analyzed.text).filter(t => t.isWord).length;
+  explainBtn.disabled = !controller.canRun() || wordCount === 0 || wordCount > MAX_EXPLAIN_WORDS;
 }
 
-async function startModelLoad() {
-  transition(EVENTS.LOAD_START);
-  renderStatus(STATES.LOADING);
-
-  const pipe = await loadModel(TASK, MODEL, {
-    onProgress: (e) => {
-      const p = formatProgress(e);
-      const barClass = p.isIndeterminate ? 'progress-bar-fill progress-bar-fill--indeterminate' : 'progress-bar-fill';
-      const width = p.isIndeterminate ? '' : `width: ${p.percent}%`;
-      renderStatus(STATES.LOADING, `<div class="progress-bar-track"><div class="${barClass}" style="${width}"></div></div>`);
-    },
+function renderExplanation(explanation) {
+  const container = document.getElementById('explanation');
+  container.innerHTML = `
+    <p class="sentiment-explain-legend">
+      Highlighted words moved the score for <strong></strong>: removing a word and re-scoring shows how much it mattered.
+    </p>
+    <p class="explain-text">${explanation.tokens.map(() => '<span></span>').join('')}</p>
+    <ul class="explain-top"></ul>`;
+  container.querySelector('strong').textContent = analyzed.label;
+
+  // Tokens are the user's own text — set as text, never as HTML
+  container.querySelectorAll('.explain-text span').forEach((span, i) => {
+    const token = explanation.tokens[i];
+    span.textContent = token.text;
+    if (token.effect === 'none') return;
+    span.className = `explain-token explain-token--${token.effect}`;
+    span.style.background = `color-mix(in srgb, var(${token.colorVar}) ${Math.round(15 + token.intensity * 45)}%, transparent)`;
+    span.title = token.title;
   });
 
-  if (pipe) {
-    classifier = pipe;
-    transition(EVENTS.LOAD_SUCCESS);
-    renderStatus(STATES.READY);
-  } else {
-    transition(EVENTS.LOAD_FAILURE);
-    renderStatus(STATES.ERROR);
+  const list = container.querySelector('.explain-top');
+  if (explanation.top.length === 0) {
+    list.outerHTML = '<p class="sentiment-explain-note">No single word changed the score noticeably.</p>';
+    return;
+  }
+  for (const { text, effect, deltaText } of explanation.top) {
+    const item = document.createElement('li');
+    item.textContent = `“${text}” ${effect === 'supports' ? 'supports' : 'pulls against'} the prediction (${deltaText})`;
+    list.appendChild(item);
   }
 }
 
-// --- Inference ---
+async function explainPrediction() {
+  const explainBtn = document.getElementById('explain-btn');
+  if (!analyzed || !controller.canRun()) return;
+
+  const { text, label } = analyzed;
+  const tokens = tokenizeForOcclusion(text);
+  const variants = occlusionVariants(tokens);
+  const inputs = [text, ...variants.map(v => v.text)];
+
+  setButtonBusy(explainBtn, 'Explaining…');
+  try {
+    const scores = await controller.run(async (classifier, model) => {
+      const out = [];
+      for (const batch of chunkItems(inputs, DEFAULT_BATCH_SIZE)) {
+        setButtonBusy(explainBtn, `Explaining ${out.length}/${inputs.length}…`);
+        // top_k: null returns every label, so the predicted label's score is there even when it is no longer the top one
+        const results = normalizeLabels(await classifier(batch, { top_k: null }), model.labelMap);
+        out.push(...results.map(r => labelScore(r, label)));
+      }
+      return out;
+    });
+    renderExplanation(formatTokenExplanation(tokens, occlusionDeltas(scores[0], variants, scores.slice(1), tokens.length), label));
+  } catch (err) {
+    console.error('Explanation failed:', err);
+    showResultError(document.getElementById('explanation'), 'Explanation failed. Please try again.');
+  } finally {
+    explainBtn.textContent = 'Explain prediction';
+    updateExplainButtonState();
+  }
+}
+
+// --- Batch rendering ---
+
+const SORT_COLUMNS = [
+  { key: 'index', label: '#' },
+  { key: 'text', label: 'Text' },
+  { key: 'label', label: 'Label' },
+  { key: 'score', label: 'Confidence' },
+];
+
+function renderBatchSource() {
+  const count = batchItems().length;
+  batchSource.textContent = csvRows
+    ? `${count} rows from ${csvFileName}`
+    : `${count} line${count === 1 ? '' : 's'}`;
+}
+
+function renderBatchResults() {
+  const dist = summarizeDistribution(batchRows);
+  const sorted = sortSentimentRows(batchRows, batchSort.key, batchSort.direction);
+
+  const headers = SORT_COLUMNS.map(({ key, label }) => {
+    const active = batchSort.key === key;
+    const ariaSort = active ? (batchSort.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+    const arrow = active ? (batchSort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<th scope="col" aria-sort="${ariaSort}"><button type="button" class="sort-btn" data-sort="${key}">${label}${arrow}</button></th>`;
+  }).join('');
+
+  const rows = sorted.map(r => `
+    <tr>
+      <td class="batch-cell-index">${r.index}</td>
+      <td class="batch-cell-text"></td>
+      <td style="color: var(${r.colorVar})">${r.emoji} ${r.label}</td>
+      <td class="batch-cell-score">${r.percentText}</td>
+    </tr>`).join('');
+
+  batchResultArea.innerHTML = `
+    <div class="result-area sentiment-batch-result">
+      <div class="sentiment-distribution">
+        <div class="sentiment-distribution-bar" role="img" aria-label="${dist.positive} positive, ${dist.negative} negative, ${dist.neutral} neutral">
+          <div style="width: ${dist.positivePercent}%; background: var(--positive)"></div>
+          <div style="width: ${dist.negativePercent}%; background: var(--negative)"></div>
+          <div style="width: ${dist.neutralPercent}%; background: var(--text-secondary)"></div>
+        </div>
+        <div class="sentiment-distribution-legend">
+          <span style="color: var(--positive)">Positive: ${dist.positive} (${dist.positivePercent.toFixed(1)}%)</span>
+          <span style="color: var(--negative)">Negative: ${dist.negative} (${dist.negativePercent.toFixed(1)}%)</span>
+          ${dist.neutral > 0 ? `<span style="color: var(--text-secondary)">Neutral: ${dist.neutral} (${dist.neutralPercent.toFixed(1)}%)</span>` : ''}
+          <button type="button" class="secondary-btn" id="batch-export-btn">Download CSV</button>
+        </div>
+      </div>
+      <div class="batch-table-wrap">
+        <table class="batch-table">
+          <thead><tr>${headers}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>`;
+
+  // Input text is user content — set as text, never as HTML
+  batchResultArea.querySelectorAll('.batch-cell-text').forEach((cell, i) => {
+    cell.textContent = sorted[i].text;
+  });
+
+  batchResultArea.querySelectorAll('.sort-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const key = btn.dataset.sort;
+      const direction = batchSort.key === key && batchSort.direction === 'asc' ? 'desc' : 'asc';
+      batchSort = { key, direction };
+      renderBatchResults();
+      batchResultArea.querySelector(`.sort-btn[data-sort="${key}"]`).focus();
+    });
+  });
+  document.getElementById('batch-export-btn').addEventListener('click', exportBatchCsv);
+}
+
+// --- Batch mode ---
+
+function batchItems() {
+  if (csvRows) return extractCsvColumn(csvRows, Number(csvColumnSelect.value));
+  return splitLines(batchInput.value);
+}
+
+async function loadCsvFile(file) {
+  csvRows = parseCsv(await file.text());
+  csvFileName = file.name;
 
-async function runInference() {
-  if (!classifier || !isInputValid(textInput.value)) return;
+  const header = csvRows[0] || [];
+  csvColumnSelect.innerHTML = header.map((_, i) => `<option value="${i}"></option>`).join('');
+  csvColumnSelect.querySelectorAll('option').forEach((opt, i) => {
+    opt.textContent = header[i] || `Column ${i + 1}`;
+  });
+  csvColumnSelect.value = String(guessTextColumn(csvRows));
+
+  csvColumnGroup.hidden = false;
+  csvClearBtn.hidden = false;
+  batchInput.disabled = true;
+  batchInputChanged();
+}
 
-  inferring = true;
-  updateButtonState();
-  runBtn.innerHTML = `<span class="spinner"></span> Analyzing…`;
+function clearCsv() {
+  csvRows = null;
+  csvFileName = '';
+  csvInput.value = '';
+  csvColumnGroup.hidden = true;
+  csvClearBtn.hidden = true;
+  batchInput.disabled = false;
+  batchInputChanged();
+}
+
+async function runBatchInference() {
+  const items = batchItems();
+  if (!controller.canRun() || items.length === 0) return;
+
+  const batchSize = parseBatchSize(batchSizeInput.value);
+  batchSizeInput.value = batchSize;
 
   try {
-    const rawResult = await classifier(textInput.value);
-    const viewModel = formatSentimentResult(rawResult);
-    renderResult(viewModel);
+    batchRows = await controller.run(async (classifier, model) => {
+      const rows = [];
+      for (const batch of chunkItems(items, batchSize)) {
+        setButtonBusy(batchRunBtn, `Analyzing ${rows.length}/${items.length}…`);
+        const rawResults = normalizeLabels(await classifier(batch), model.labelMap);
+        rows.push(...formatSentimentBatch(batch, rawResults, rows.length));
+      }
+      return rows;
+    });
+    batchSort = { key: 'index', direction: 'asc' };
+    renderBatchResults();
   } catch (err) {
-    resultArea.innerHTML = `<div class="result-area result-area--error">Analysis failed. Please try again.</div>`;
+    console.error('Batch inference failed:', err);
+    showResultError(batchResultArea, 'Batch analysis failed. Please try again.');
   } finally {
-    inferring = false;
-    runBtn.textContent = 'Analyze';
-    updateButtonState();
-    textInput.focus();
+    batchRunBtn.textContent = 'Analyze all';
+    updateBatchButtonState();
   }
 }
 
+function exportBatchCsv() {
+  const csv = toCsv(['index', 'text', 'label', 'score'], batchRows);
+  downloadFile('sentiment-results.csv', csv, 'text/csv');
+}
+
+// --- Compare mode ---
+
+async function compareSentiment(pipe, text, entry) {
+  const viewModel = formatSentimentResult(normalizeLabels(await pipe(text), entry.labelMap));
+  return { html: `<div class="sentiment-result">${sentimentResultHtml(viewModel)}</div>`, topLabel: viewModel.label };
+}
+
 // --- Event listeners ---
 
-textInput.addEventListener('input', updateButtonState);
-runBtn.addEventListener('click', (e) => {
+const modeTabs = mountModeTabs([...document.querySelectorAll('.mode-tab')]);
+
+const single = page.bindRun({
+  button: runBtn,
+  resultArea,
+  busyLabel: 'Analyzing…',
+  readInput: () => textInput.value,
+  isValid: isInputValid,
+  watch: [textInput],
+  infer: async (classifier, text, model) => {
+    const start = performance.now();
+    const output = await classifier(text);
+    return { output, durationMs: performance.now() - start, viewModel: formatSentimentResult(normalizeLabels(output, model.labelMap)) };
+  },
+  render: ({ output, durationMs, viewModel }, text) => {
+    renderResult(viewModel, text);
+    historyPanel.record({
+      model: controller.state.model.id,
+      input: { kind: 'text', text },
+      output,
+      viewModel,
+      summary: `${viewModel.label} ${viewModel.percentText}`,
+      durationMs,
+    });
+  },
+  errorMessage: 'Analysis failed. Please try again.',
+  onDone: () => textInput.focus(),
+});
+controller.subscribe(updateBatchButtonState);
+controller.subscribe(updateExplainButtonState);
+compareInput.addEventListener('input', () => {
+  if (isInputValid(compareInput.value)) controller.notifyInput();
+  comparePanel.refresh();
+});
+textInput.addEventListener('input', () => benchmarkPanel.refresh());
+batchInput.addEventListener('input', batchInputChanged);
+csvUploadBtn.addEventListener('click', () => csvInput.click());
+csvInput.addEventListener('change', () => {
+  if (csvInput.files[0]) loadCsvFile(csvInput.files[0]);
+});
+csvColumnSelect.addEventListener('change', batchInputChanged);
+csvClearBtn.addEventListener('click', clearCsv);
+batchRunBtn.addEventListener('click', (e) => {
   e.preventDefault();
-  runInference();
+  runBatchInference();
 });
 
-// --- Init: eager model load ---
-startModelLoad();
+// --- Init: load the model, or wait for input, as the load policy says ---
+comparePanel = mountComparePanel({
+  task: TASK,
+  modelsEl: document.getElementById('compare-models'),
+  runBtn: document.getElementById('compare-run-btn'),
+  resultArea: document.getElementById('compare-result-area'),
+  initialSelection: [controller.state.model.id],
+  canRun: () => isInputValid(compareInput.value),
+  getInput: () => compareInput.value,
+  runModel: compareSentiment,
+});
+benchmarkPanel = mountBenchmarkPanel({
+  task: TASK,
+  root: document.getElementById('benchmark-panel'),
+  controller,
+  canRun: () => isInputValid(textInput.value),
+  getInput: () => textInput.value,
+  runOnce: (pipe, text) => pipe(text),
+  inputNote: 'Times the current model on the text above, loaded separately under each configuration.',
+});
+// Re-running a past input always uses the model selected now
+let cancelReplay = () => {};
+const historyPanel = mountHistoryPanel({
+  task: TASK,
+  toggle: document.getElementById('history-toggle'),
+  panel: document.getElementById('history-panel'),
+  onRerun: (entry) => {
+    cancelReplay();
+    modeTabs.select(document.getElementById('tab-single'));
+    textInput.value = entry.input.text;
+    single.refresh();
+    benchmarkPanel.refresh();
+    cancelReplay = runWhenReady(controller, single.run);
+  },
+});
+page.start();
+restoreFromPermalink(controller, {
+  apply: ({ text }) => {
+    if (typeof text !== 'string' || !isInputValid(text)) return false;
+    textInput.value = text;
+    single.refresh();
+    benchmarkPanel.refresh();
+    return true;
+  },
+  run: single.run,
+});
@@ -0,0 +1,143 @@
+// Text summarization — pure functions (no DOM, no browser APIs)
+
+export const TASK = 'summarization';
+
+// DistilBART accepts ~1024 input tokens. English averages ~1.3 tokens per word,
+// so 600 words per chunk leaves headroom for punctuation and rare words.
+export const MAX_CHUNK_WORDS = 600;
+export const MIN_WORDS = 30;
+
+function countWords(text) {
+  const trimmed = text.trim();
+  return trimmed === '' ? 0 : trimmed.split(/\s+/).length;
+}
+
+/**
+ * Try each model in order until one loads. Stops without trying the remaining
+ * models once `options.signal` is aborted.
+ * @param {(task: string, model: string, options?: object) => Promise<{ pipeline: Function|null, error: object|null }>} loaderFn
+ * @param {string} task
+ * @param {string[]} models - e.g. modelLoadChain(entry) from the registry
+ * @param {object} [options] - Forwarded to loaderFn (e.g. onProgress, signal)
+ * @returns {Promise<{ pipeline: Function|null, model: string|null, error: object|null }>} On failure, the last model's error
+ */
+export async function loadWithFallback(loaderFn, task, models, options) {
+  let error = null;
+  for (const model of models) {
+    if (options?.signal?.aborted) break;
+    const result = await loaderFn(task, model, options);
+    if (result.pipeline) return { pipeline: result.pipeline, model, error: null };
+    error = result.error;
+  }
+  return { pipeline: null, model: null, error };
+}
+
+/**
+ * Word counts and compression for the stats box.
+ * @param {string} originalText
+ * @param {string} summaryText
+ * @returns {{ originalWords: number, summaryWords: number, compressionPercent: number }}
+ */
+export function computeSummaryStats(originalText, summaryText) {
+  const originalWords = countWords(originalText);
+  const summaryWords = countWords(summaryText);
+  const compressionPercent = originalWords === 0 ? 0 : Math.round((1 - summaryWords / originalWords) * 100);
+  return { originalWords, summaryWords, compressionPercent };
+}
+
+/**
+ * Returns false for empty or whitespace-only strings.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isInputValid(text) {
+  return text.trim().length > 0;
+}
+
+/**
+ * Returns true for empty text or text under minWords words.
+ * @param {string} text
+ * @param {number} [minWords]
+ * @returns {boolean}
+ */
+export function isTooShort(text, minWords = MIN_WORDS) {
+  const trimmed = text.trim();
+  return trimmed === '' || trimmed.split(/\s+/).length < minWords;
+}
+
+/**
+ * Split text into chunks of at most maxWords words, breaking on sentence
+ * boundaries where possible. A single sentence longer than maxWords is split
+ * on word boundaries.
+ * @param {string} text
+ * @param {number} [maxWords]
+ * @returns {string[]}
+ */
+export function splitIntoChunks(text, maxWords = MAX_CHUNK_WORDS) {
+  const trimmed = text.trim();
+  if (trimmed === '') return [];
+
+  const sentences = (trimmed.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g) || [trimmed]).map(s => s.trim()).filter(Boolean);
+  const chunks = [];
+  let current = [];
+  let currentWords = 0;
+
+  const flush = () => {
+    if (current.length > 0) chunks.push(current.join(' '));
+    current = [];
+    currentWords = 0;
+  };
+
+  for (const sentence of sentences) {
+    const words = sentence.split(/\s+/);
+
+    if (words.length > maxWords) {
+      flush();
+      for (let i = 0; i < words.length; i += maxWords) {
+        chunks.push(words.slice(i, i + maxWords).join(' '));
+      }
+      continue;
+    }
+
+    if (currentWords + words.length > maxWords) flush();
+    current.push(sentence);
+    currentWords += words.length;
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Map-reduce summarization. Text within one chunk is summarized directly;
+ * longer text is split, each chunk summarized, and the joined chunk summaries
+ * summarized again (recursively, until they fit in one chunk).
+ * @param {(text: string, options?: object) => Promise<Array<{summary_text: string}>>} summarizer
+ * @param {string} text
+ * @param {{ maxWords?: number, generateOptions?: object, onChunk?: (done: number, total: number) => void }} [options]
+ * @returns {Promise<{ summary: string, chunkCount: number }>}
+ */
+export async function summarizeLongText(summarizer, text, { maxWords = MAX_CHUNK_WORDS, generateOptions = {}, onChunk } = {}) {
+  const chunks = splitIntoChunks(text, maxWords);
+  if (chunks.length === 0) return { summary: '', chunkCount: 0 };
+
+  if (chunks.length === 1) {
+    const [result] = await summarizer(text.trim(), generateOptions);
+    onChunk?.(1, 1);
+    return { summary: result.summary_text.trim(), chunkCount: 1 };
+  }
+
+  const partials = [];
+  for (const chunk of chunks) {
+    const [result] = await summarizer(chunk, generateOptions);
+    partials.push(result.summary_text.trim());
+    onChunk?.(partials.length, chunks.length);
+  }
+
+  const combined = partials.join(' ');
+  // Guard against summaries that fail to shrink the text, which would never converge
+  if (countWords(combined) >= countWords(text)) return { summary: combined, chunkCount: chunks.length };
+
+  const { summary } = await summarizeLongText(summarizer, combined, { maxWords, generateOptions });
+  return { summary, chunkCount: chunks.length };
+}
@@ -1 +1,120 @@
-// Text summarization wiring — implemented in Step 4
+// Text summarization — DOM wiring layer
+import { modelLoadChain } from '../../lib/model-registry.js';
+import { mountExperimentPage, runWhenReady } from '../../lib/experiment-page.js';
+import { mountBenchmarkPanel } from '../../lib/benchmark-panel.js';
+import { mountHistoryPanel } from '../../lib/history-panel.js';
+import { TASK, loadWithFallback, computeSummaryStats, isInputValid, isTooShort, summarizeLongText } from './summarize-logic.js';
+
+const MAX_NEW_TOKENS = 150;
+
+const textInput = document.getElementById('text-input');
+const shortWarning = document.getElementById('short-warning');
+const runBtn = document.getElementById('run-btn');
+const resultArea = document.getElementById('result-area');
+
+const page = mountExperimentPage({
+  task: TASK,
+  statusEl: document.getElementById('model-status'),
+  modelSelect: document.getElementById('model-select'),
+  modelMeta: document.getElementById('model-meta'),
+  sizeWarning: document.getElementById('size-warning'),
+  // Xenova/distilbart-cnn-6-6 has documented loading failures on Transformers.js v3
+  // (transformers.js#1120), so the registry lists equivalent checkpoints to try in order
+  loadPipeline: (loader, task, entry, options) => loadWithFallback(loader, task, modelLoadChain(entry), options),
+});
+
+// --- Rendering ---
+
+function updateShortWarning() {
+  shortWarning.hidden = !isInputValid(textInput.value) || !isTooShort(textInput.value);
+}
+
+function renderResult(summary, stats, chunkCount) {
+  const chunkNote = chunkCount > 1
+    ? `<div class="summary-stats-row">Long text: summarized in ${chunkCount} chunks, then combined</div>`
+    : '';
+
+  resultArea.innerHTML = `
+    <div class="result-area summary-result">
+      <div class="section-label">Summary</div>
+      <blockquote class="summary-text"></blockquote>
+      <div class="summary-stats">
+        <div class="summary-stats-row">Original: ${stats.originalWords} words → Summary: ${stats.summaryWords} words</div>
+        <div class="summary-stats-row">Compression: <span class="summary-compression">${stats.compressionPercent}%</span></div>
+        ${chunkNote}
+      </div>
+    </div>`;
+  // Model output is untrusted text — never interpolate it into HTML
+  resultArea.querySelector('.summary-text').textContent = summary;
+}
+
+// --- Inference ---
+
+async function summarize(summarizer, text, model, { setBusyLabel }) {
+  const start = performance.now();
+  const output = await summarizeLongText(summarizer, text, {
+    generateOptions: { max_new_tokens: MAX_NEW_TOKENS },
+    onChunk: (done, total) => {
+      if (total > 1) setBusyLabel(`Summarizing ${done}/${total}…`);
+    },
+  });
+  return { ...output, durationMs: performance.now() - start };
+}
+
+// --- Event listeners ---
+
+const run = page.bindRun({
+  button: runBtn,
+  resultArea,
+  busyLabel: 'Summarizing…',
+  readInput: () => textInput.value,
+  isValid: isInputValid,
+  watch: [textInput],
+  infer: summarize,
+  render: ({ summary, chunkCount, durationMs }, text) => {
+    const stats = computeSummaryStats(text, summary);
+    renderResult(summary, stats, chunkCount);
+    historyPanel.record({
+      model: page.controller.state.loadedModelId, // A fallback may have loaded instead of the picked model
+      input: { kind: 'text', text },
+      output: { summary, chunkCount },
+      viewModel: { summary, stats, chunkCount },
+      summary,
+      durationMs,
+    });
+  },
+  errorMessage: 'Summarization failed. Please try again.',
+  onDone: () => textInput.focus(),
+});
+textInput.addEventListener('input', updateShortWarning);
+
+// Times one generation pass on the text as-is; long texts are not chunked here
+const benchmarkPanel = mountBenchmarkPanel({
+  task: TASK,
+  root: document.getElementById('benchmark-panel'),
+  controller: page.controller,
+  canRun: () => isInputValid(textInput.value),
+  getInput: () => textInput.value,
+  runOnce: (summarizer, text) => summarizer(text, { max_new_tokens: MAX_NEW_TOKENS }),
+  inputNote: 'Times one summary of the text above with the current model, loaded separately under each configuration.',
+});
+textInput.addEventListener('input', () => benchmarkPanel.refresh());
+
+// Re-running a past input always uses the model selected now
+let cancelReplay = () => {};
+const historyPanel = mountHistoryPanel({
+  task: TASK,
+  toggle: document.getElementById('history-toggle'),
+  panel: document.getElementById('history-panel'),
+  onRerun: (entry) => {
+    cancelReplay();
+    textInput.value = entry.input.text;
+    updateShortWarning();
+    run.refresh();
+    benchmarkPanel.refresh();
+    cancelReplay = runWhenReady(page.controller, run.run);
+  },
+});
+
+// --- Init: load the model, or wait for input, as the load policy says ---
+page.start();
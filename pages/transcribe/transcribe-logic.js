@@ -0,0 +1,182 @@
+// Speech to text — pure functions (no DOM, no browser APIs)
+
+export const TASK = 'automatic-speech-recognition';
+
+// Whisper models take 16 kHz mono audio
+export const SAMPLE_RATE = 16000;
+
+// Whisper reads 30 s at a time. Longer audio is cut into 30 s chunks that
+// overlap by 5 s on each side; the pipeline stitches the text back together
+// and returns one timestamped segment per phrase.
+export const TRANSCRIBE_OPTIONS = { chunk_length_s: 30, stride_length_s: 5, return_timestamps: true };
+
+const AUDIO_TYPES = ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave', 'audio/mpeg', 'audio/mp3'];
+
+// Preferred MediaRecorder formats, most widely decodable first
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+/**
+ * Check if a file is a WAV or MP3 upload. Some systems report no MIME type,
+ * so the extension is accepted too.
+ * @param {File|null|undefined} file
+ * @returns {boolean}
+ */
+export function isValidAudioFile(file) {
+  if (!file) return false;
+  return AUDIO_TYPES.includes(file.type) || (!file.type && /\.(wav|mp3)$/i.test(file.name ?? ''));
+}
+
+/**
+ * Average the channels of decoded audio into one.
+ * @param {Float32Array[]} channels - One array per channel, all the same length
+ * @returns {Float32Array}
+ */
+export function mixToMono(channels) {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0]?.length ?? 0);
+  for (const channel of channels) {
+    for (let i = 0; i < mono.length; i++) mono[i] += channel[i] / channels.length;
+  }
+  return mono;
+}
+
+/**
+ * Resample audio to another rate. Downsampling averages the input samples each
+ * output sample covers, which filters out most of the frequencies the lower
+ * rate cannot represent; upsampling interpolates linearly.
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} [toRate]
+ * @returns {Float32Array}
+ */
+export function resample(samples, fromRate, toRate = SAMPLE_RATE) {
+  if (fromRate === toRate) return samples;
+  const ratio = fromRate / toRate;
+  const out = new Float32Array(Math.round(samples.length / ratio));
+
+  if (ratio > 1) {
+    for (let i = 0; i < out.length; i++) {
+      const from = Math.floor(i * ratio);
+      const to = Math.min(Math.floor((i + 1) * ratio), samples.length);
+      let sum = 0;
+      for (let j = from; j < to; j++) sum += samples[j];
+      out[i] = to > from ? sum / (to - from) : samples[Math.min(from, samples.length - 1)];
+    }
+  } else {
+    for (let i = 0; i < out.length; i++) {
+      const pos = i * ratio;
+      const left = Math.floor(pos);
+      const right = Math.min(left + 1, samples.length - 1);
+      out[i] = samples[left] + (samples[right] - samples[left]) * (pos - left);
+    }
+  }
+  return out;
+}
+
+/**
+ * Transcript segments from pipeline output. Text is trimmed and empty segments
+ * dropped; Whisper leaves the end of the final segment open (null) when the
+ * audio stops mid-phrase, so it ends where the next segment starts or at the
+ * end of the audio.
+ * @param {{ text: string, chunks?: Array<{ text: string, timestamp: [number|null, number|null] }> }|Array<object>} output
+ * @param {number} duration - Audio length in seconds
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+export function toSegments(output, duration) {
+  const result = Array.isArray(output) ? output[0] : output;
+  const chunks = result?.chunks ?? [{ text: result?.text ?? '', timestamp: [0, duration] }];
+  const segments = chunks
+    .map(({ text, timestamp }) => ({ start: timestamp?.[0] ?? 0, end: timestamp?.[1] ?? null, text: text.trim() }))
+    .filter(s => s.text);
+  return segments.map((s, i) => ({
+    ...s,
+    end: Math.max(s.start, Math.min(s.end ?? segments[i + 1]?.start ?? duration, duration)),
+  }));
+}
+
+/**
+ * Whole transcript as one paragraph.
+ * @param {Array<{ text: string }>} segments
+ * @returns {string}
+ */
+export function transcriptText(segments) {
+  return segments.map(s => s.text).join(' ');
+}
+
+/**
+ * Subtitle timestamp, e.g. "00:01:02,500" (SRT) or "00:01:02.500" (VTT).
+ * @param {number} seconds
+ * @param {',' | '.'} [separator]
+ * @returns {string}
+ */
+export function formatTimestamp(seconds, separator = ',') {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const h = Math.floor(ms / 3_600_000);
+  const m = Math.floor(ms / 60_000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Short clock time for the page, e.g. "1:05" or "1:02:03".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatClock(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * SubRip subtitles.
+ * @param {Array<{ start: number, end: number, text: string }>} segments
+ * @returns {string}
+ */
+export function toSrt(segments) {
+  return segments
+    .map((s, i) => `${i + 1}\n${formatTimestamp(s.start)} --> ${formatTimestamp(s.end)}\n${s.text}\n`)
+    .join('\n');
+}
+
+/**
+ * WebVTT subtitles.
+ * @param {Array<{ start: number, end: number, text: string }>} segments
+ * @returns {string}
+ */
+export function toVtt(segments) {
+  const cues = segments.map(s => `${formatTimestamp(s.start, '.')} --> ${formatTimestamp(s.end, '.')}\n${s.text}\n`);
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * First recording format the browser supports, or '' to let it choose.
+ * @param {(type: string) => boolean} isTypeSupported - MediaRecorder.isTypeSupported
+ * @returns {string}
+ */
+export function recordingMimeType(isTypeSupported) {
+  return RECORDING_TYPES.find(type => isTypeSupported(type)) ?? '';
+}
+
+/**
+ * User-facing message for a microphone getUserMedia failure.
+ * @param {{ name?: string }|null|undefined} err
+ * @returns {string}
+ */
+export function microphoneErrorMessage(err) {
+  switch (err?.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Microphone access was denied. Allow microphone access in your browser settings to record.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No microphone was found.';
+    case 'NotReadableError':
+      return 'The microphone is in use by another application.';
+    default:
+      return 'Could not start recording.';
+  }
+}
@@ -0,0 +1,250 @@
+// Speech to text — DOM wiring layer
+import { mountExperimentPage } from '../../lib/experiment-page.js';
+import { downloadFile } from '../../lib/download.js';
+import { mountBenchmarkPanel } from '../../lib/benchmark-panel.js';
+import {
+  TASK, SAMPLE_RATE, TRANSCRIBE_OPTIONS, isValidAudioFile, mixToMono, resample, toSegments, transcriptText, formatClock, toSrt, toVtt,
+  recordingMimeType, microphoneErrorMessage,
+} from './transcribe-logic.js';
+
+const dropZone = document.getElementById('drop-zone');
+const fileInput = document.getElementById('file-input');
+const recordBtn = document.getElementById('record-btn');
+const recordTime = document.getElementById('record-time');
+const audioPreview = document.getElementById('audio-preview');
+const audioPlayer = document.getElementById('audio-player');
+const audioMeta = document.getElementById('audio-meta');
+const runBtn = document.getElementById('run-btn');
+const resultArea = document.getElementById('result-area');
+const transcriptResults = document.getElementById('transcript-results');
+const transcriptTextEl = document.getElementById('transcript-text');
+const segmentList = document.getElementById('transcript-segments');
+const exportSrtBtn = document.getElementById('export-srt-btn');
+const exportVttBtn = document.getElementById('export-vtt-btn');
+
+const page = mountExperimentPage({
+  task: TASK,
+  statusEl: document.getElementById('model-status'),
+  modelSelect: document.getElementById('model-select'),
+  modelMeta: document.getElementById('model-meta'),
+  sizeWarning: document.getElementById('size-warning'),
+});
+const { controller } = page;
+
+let audio = null; // { name, samples: 16 kHz mono Float32Array, duration }
+let segments = [];
+let previewUrl = null;
+let recording = null; // { recorder, stream, timer } while the microphone is on
+
+// The worker takes ownership of the buffers it is sent, so every run gets a copy
+const transcribe = (transcriber, { samples }) => transcriber(samples.slice(), TRANSCRIBE_OPTIONS);
+
+// --- Rendering ---
+
+function showError(message) {
+  resultArea.innerHTML = `<div class="error-message" id="error-message"></div>`;
+  resultArea.firstElementChild.textContent = message;
+}
+
+function clearResults() {
+  segments = [];
+  transcriptResults.hidden = true;
+  resultArea.innerHTML = '';
+}
+
+// Built node by node: the transcript is model output
+function renderSegments() {
+  transcriptTextEl.textContent = transcriptText(segments) || 'No speech was recognized.';
+  segmentList.replaceChildren(...segments.map(({ start, end, text }) => {
+    const item = document.createElement('li');
+    item.className = 'transcript-segment';
+    const seek = document.createElement('button');
+    seek.type = 'button';
+    seek.className = 'transcript-time';
+    seek.textContent = `${formatClock(start)}–${formatClock(end)}`;
+    seek.setAttribute('aria-label', `Play from ${formatClock(start)}`);
+    seek.addEventListener('click', () => {
+      audioPlayer.currentTime = start;
+      audioPlayer.play();
+    });
+    const line = document.createElement('span');
+    line.textContent = text;
+    item.append(seek, line);
+    return item;
+  }));
+  exportSrtBtn.disabled = segments.length === 0;
+  exportVttBtn.disabled = segments.length === 0;
+}
+
+function showResults(output, input) {
+  segments = toSegments(output, input.duration);
+  resultArea.innerHTML = '';
+  transcriptResults.hidden = false;
+  renderSegments();
+}
+
+// --- Audio input ---
+
+// Browsers decode at the file's own rate (or the device's); Whisper wants 16 kHz mono
+async function decodeAudio(blob) {
+  const context = new AudioContext();
+  try {
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+    const samples = resample(mixToMono(channels), buffer.sampleRate, SAMPLE_RATE);
+    return { samples, duration: samples.length / SAMPLE_RATE };
+  } finally {
+    context.close();
+  }
+}
+
+async function handleAudio(blob, name) {
+  if (controller.state.inferring) return;
+  clearResults();
+  let decoded;
+  try {
+    decoded = await decodeAudio(blob);
+  } catch (err) {
+    console.error('Decoding the audio failed:', err);
+    showError('That audio could not be read. Try a different file.');
+    return;
+  }
+  audio = { name, ...decoded };
+  benchmarkPanel.refresh();
+
+  if (previewUrl) URL.revokeObjectURL(previewUrl);
+  previewUrl = URL.createObjectURL(blob);
+  audioPlayer.src = previewUrl;
+  audioMeta.textContent = `${name} · ${formatClock(audio.duration)}`;
+  audioPreview.hidden = false;
+  run.refresh();
+}
+
+function handleFile(file) {
+  if (!isValidAudioFile(file)) {
+    showError('Please upload a WAV or MP3 file.');
+    return;
+  }
+  handleAudio(file, file.name);
+}
+
+// --- Recording ---
+
+function renderRecording() {
+  const live = recording !== null;
+  recordBtn.textContent = live ? 'Stop recording' : 'Record from microphone';
+  recordBtn.setAttribute('aria-pressed', String(live));
+  recordBtn.classList.toggle('record-btn--live', live);
+  if (!live) recordTime.textContent = '';
+}
+
+async function startRecording() {
+  recordBtn.disabled = true;
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (err) {
+    console.error('Microphone failed to start:', err);
+    showError(microphoneErrorMessage(err));
+    return;
+  } finally {
+    recordBtn.disabled = false;
+  }
+
+  const mimeType = recordingMimeType((type) => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const parts = [];
+  recorder.addEventListener('dataavailable', (e) => parts.push(e.data));
+  recorder.addEventListener('stop', () => {
+    handleAudio(new Blob(parts, { type: recorder.mimeType }), 'Recording');
+  });
+
+  const startedAt = performance.now();
+  recording = {
+    recorder,
+    stream,
+    timer: setInterval(() => {
+      recordTime.textContent = `Recording ${formatClock((performance.now() - startedAt) / 1000)}`;
+    }, 250),
+  };
+  recorder.start();
+  resultArea.innerHTML = '';
+  renderRecording();
+  recordTime.textContent = 'Recording 0:00';
+}
+
+function stopRecording() {
+  clearInterval(recording.timer);
+  recording.recorder.stop();
+  recording.stream.getTracks().forEach(track => track.stop());
+  recording = null;
+  renderRecording();
+}
+
+// --- Export ---
+
+function exportSubtitles(format) {
+  const baseName = audio.name.replace(/\.[^.]+$/, '');
+  if (format === 'srt') downloadFile(`${baseName}.srt`, toSrt(segments), 'application/x-subrip');
+  else downloadFile(`${baseName}.vtt`, toVtt(segments), 'text/vtt');
+}
+
+// --- Event listeners ---
+
+const run = page.bindRun({
+  button: runBtn,
+  resultArea,
+  busyLabel: 'Transcribing…',
+  readInput: () => audio,
+  isValid: (input) => input !== null,
+  infer: (transcriber, input) => {
+    transcriptResults.hidden = true;
+    return transcribe(transcriber, input);
+  },
+  render: showResults,
+  errorMessage: 'Transcription failed. Please try again.',
+});
+
+dropZone.addEventListener('click', () => fileInput.click());
+
+fileInput.addEventListener('change', () => {
+  if (fileInput.files.length > 0) handleFile(fileInput.files[0]);
+  fileInput.value = '';
+});
+
+dropZone.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  dropZone.classList.add('drop-zone--dragover');
+});
+
+dropZone.addEventListener('dragleave', () => {
+  dropZone.classList.remove('drop-zone--dragover');
+});
+
+dropZone.addEventListener('drop', (e) => {
+  e.preventDefault();
+  dropZone.classList.remove('drop-zone--dragover');
+  const file = e.dataTransfer.files[0];
+  if (file) handleFile(file);
+});
+
+recordBtn.addEventListener('click', () => {
+  if (recording) stopRecording();
+  else startRecording();
+});
+
+exportSrtBtn.addEventListener('click', () => exportSubtitles('srt'));
+exportVttBtn.addEventListener('click', () => exportSubtitles('vtt'));
+
+const benchmarkPanel = mountBenchmarkPanel({
+  task: TASK,
+  root: document.getElementById('benchmark-panel'),
+  controller,
+  canRun: () => audio !== null,
+  getInput: () => audio,
+  runOnce: transcribe,
+  inputNote: 'Times the current model on the audio above, loaded separately under each configuration.',
+});
+
+// --- Init: load the model, or wait for input, as the load policy says ---
+page.start();
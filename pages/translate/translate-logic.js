@@ -0,0 +1,146 @@
+// Translation — pure functions (no DOM, no browser APIs)
+
+export const TASK = 'translation';
+
+// Languages offered by the multilingual models. M2M100 and Opus-MT use the
+// ISO 639-1 id; NLLB uses FLORES-200 codes that also name the script.
+export const LANGUAGES = [
+  { id: 'en', name: 'English', nllb: 'eng_Latn' },
+  { id: 'fr', name: 'French', nllb: 'fra_Latn' },
+  { id: 'de', name: 'German', nllb: 'deu_Latn' },
+  { id: 'es', name: 'Spanish', nllb: 'spa_Latn' },
+  { id: 'it', name: 'Italian', nllb: 'ita_Latn' },
+  { id: 'pt', name: 'Portuguese', nllb: 'por_Latn' },
+  { id: 'nl', name: 'Dutch', nllb: 'nld_Latn' },
+  { id: 'pl', name: 'Polish', nllb: 'pol_Latn' },
+  { id: 'tr', name: 'Turkish', nllb: 'tur_Latn' },
+  { id: 'ru', name: 'Russian', nllb: 'rus_Cyrl' },
+  { id: 'uk', name: 'Ukrainian', nllb: 'ukr_Cyrl' },
+  { id: 'ar', name: 'Arabic', nllb: 'arb_Arab' },
+  { id: 'hi', name: 'Hindi', nllb: 'hin_Deva' },
+  { id: 'zh', name: 'Chinese', nllb: 'zho_Hans' },
+  { id: 'ja', name: 'Japanese', nllb: 'jpn_Jpan' },
+  { id: 'ko', name: 'Korean', nllb: 'kor_Hang' },
+];
+
+// Languages written without spaces between sentences
+const NO_SPACE_LANGUAGES = new Set(['zh', 'ja']);
+
+const DEFAULT_PAIR = { source: 'en', target: 'fr' };
+
+const language = (id) => LANGUAGES.find(l => l.id === id);
+
+/**
+ * Translating needs text and two different languages.
+ * @param {{ text: string, source: string, target: string }} input
+ * @returns {boolean}
+ */
+export function isInputValid({ text, source, target }) {
+  return text.trim().length > 0 && source !== target;
+}
+
+/**
+ * Languages a model can translate from and to. Opus-MT models each cover one
+ * direction (registry `languagePair`); the others cover every listed language.
+ * @param {{ languagePair?: [string, string] }} entry - Registry entry
+ * @returns {{ sources: Array<{ id: string, name: string }>, targets: Array<{ id: string, name: string }> }}
+ */
+export function languageOptions(entry) {
+  if (entry.languagePair) return { sources: [language(entry.languagePair[0])], targets: [language(entry.languagePair[1])] };
+  return { sources: LANGUAGES, targets: LANGUAGES };
+}
+
+/**
+ * Languages to select after switching models: the previous pair when the new
+ * model supports it, otherwise the model's own pair or English to French.
+ * @param {object} entry - Registry entry
+ * @param {{ source: string, target: string }|null} [previous]
+ * @returns {{ source: string, target: string }}
+ */
+export function chooseLanguages(entry, previous = null) {
+  if (entry.languagePair) return { source: entry.languagePair[0], target: entry.languagePair[1] };
+  if (previous && language(previous.source) && language(previous.target) && previous.source !== previous.target) return previous;
+  return DEFAULT_PAIR;
+}
+
+/**
+ * Pipeline options naming the languages, in the codes the model expects.
+ * Opus-MT models take none.
+ * @param {{ languagePair?: [string, string], languageCodes?: string }} entry - Registry entry
+ * @param {string} source - Language id
+ * @param {string} target - Language id
+ * @returns {{ src_lang?: string, tgt_lang?: string }}
+ */
+export function translateOptions(entry, source, target) {
+  if (entry.languagePair) return {};
+  if (entry.languageCodes === 'nllb') return { src_lang: language(source).nllb, tgt_lang: language(target).nllb };
+  return { src_lang: source, tgt_lang: target };
+}
+
+/**
+ * Model that translates the opposite way: the same model when it is
+ * multilingual, the Opus-MT model for the reversed pair, or null if there is none.
+ * @param {object} entry - Registry entry
+ * @param {Array<object>} models - Registry entries for the task
+ * @returns {object|null}
+ */
+export function reverseModel(entry, models) {
+  if (!entry.languagePair) return entry;
+  const [source, target] = entry.languagePair;
+  return models.find(m => m.languagePair?.[0] === target && m.languagePair?.[1] === source) ?? null;
+}
+
+/**
+ * Split text into sentences, each with what separated it from the next: the
+ * line breaks it was followed by, a space, or nothing (languages written
+ * without spaces). Models translate a sentence at a time far better than a
+ * long passage, and results can be shown as each sentence finishes.
+ * @param {string} text
+ * @param {string} [languageId] - Source language, for sentence rules
+ * @returns {Array<{ text: string, separator: string }>}
+ */
+export function splitSentences(text, languageId = 'en') {
+  const parts = [];
+  for (const { segment } of new Intl.Segmenter(languageId, { granularity: 'sentence' }).segment(text)) {
+    const sentence = segment.trim();
+    const whitespace = segment.slice(segment.trimEnd().length);
+    const separator = whitespace.includes('\n') ? whitespace.replace(/[^\n]/g, '') : whitespace ? ' ' : '';
+    if (sentence) parts.push({ text: sentence, separator });
+    else if (parts.length > 0) parts[parts.length - 1].separator += separator; // A blank line on its own
+  }
+  return parts;
+}
+
+/**
+ * Rejoin translated sentences, keeping the source's line breaks. Sentences are
+ * separated by a space unless the target language is written without spaces.
+ * @param {Array<{ separator: string }>} parts - From splitSentences
+ * @param {string[]} translations - One per part; may be shorter while translating
+ * @param {string} targetId - Target language id
+ * @returns {string}
+ */
+export function joinTranslations(parts, translations, targetId) {
+  const space = NO_SPACE_LANGUAGES.has(targetId) ? '' : ' ';
+  return translations
+    .map((text, i) => text + (parts[i].separator.includes('\n') ? parts[i].separator : space))
+    .join('')
+    .trimEnd();
+}
+
+/**
+ * Translate sentence by sentence, reporting each translation as it finishes.
+ * @param {(text: string, options?: object) => Promise<Array<{ translation_text: string }>|{ translation_text: string }>} translator
+ * @param {Array<{ text: string }>} parts - From splitSentences
+ * @param {object} options - From translateOptions
+ * @param {(translations: string[], total: number) => void} [onSentence]
+ * @returns {Promise<string[]>}
+ */
+export async function translateSentences(translator, parts, options, onSentence) {
+  const translations = [];
+  for (const part of parts) {
+    const output = await translator(part.text, options);
+    translations.push((Array.isArray(output) ? output[0] : output).translation_text.trim());
+    onSentence?.([...translations], parts.length);
+  }
+  return translations;
+}
@@ -0,0 +1,153 @@
+// Translation — DOM wiring layer
+import { mountExperimentPage } from '../../lib/experiment-page.js';
+import { mountBenchmarkPanel } from '../../lib/benchmark-panel.js';
+import { modelsForTask } from '../../lib/model-registry.js';
+import {
+  TASK, isInputValid, languageOptions, chooseLanguages, translateOptions, reverseModel, splitSentences, joinTranslations, translateSentences,
+} from './translate-logic.js';
+
+const modelSelect = document.getElementById('model-select');
+const sourceSelect = document.getElementById('source-lang');
+const targetSelect = document.getElementById('target-lang');
+const swapBtn = document.getElementById('swap-btn');
+const langHint = document.getElementById('lang-hint');
+const textInput = document.getElementById('text-input');
+const runBtn = document.getElementById('run-btn');
+const resultArea = document.getElementById('result-area');
+const translateResults = document.getElementById('translate-results');
+const output = document.getElementById('translate-output');
+const progress = document.getElementById('translate-progress');
+
+const page = mountExperimentPage({
+  task: TASK,
+  statusEl: document.getElementById('model-status'),
+  modelSelect,
+  modelMeta: document.getElementById('model-meta'),
+  sizeWarning: document.getElementById('size-warning'),
+});
+const { controller } = page;
+const models = modelsForTask(TASK);
+
+let languages = null; // { source, target } language ids
+let languagesModel = null; // Registry entry the selectors were filled for
+let translatedText = ''; // Last complete translation, moved into the input by a swap
+
+// --- Languages ---
+
+function fillSelect(select, options, value) {
+  select.replaceChildren(...options.map(l => new Option(l.name, l.id)));
+  select.value = value;
+  select.disabled = options.length < 2;
+}
+
+function renderControls() {
+  const entry = controller.state.model;
+  const reverse = reverseModel(entry, models);
+  swapBtn.disabled = reverse === null || controller.state.inferring;
+  if (languages.source === languages.target) langHint.textContent = 'Pick two different languages.';
+  else if (!entry.languagePair) langHint.textContent = '';
+  else if (reverse) langHint.textContent = 'This model translates one way; swapping switches to the model for the other direction.';
+  else langHint.textContent = 'This model translates one way. Pick a multilingual model for other languages.';
+}
+
+function renderLanguages(entry) {
+  const { sources, targets } = languageOptions(entry);
+  languages = chooseLanguages(entry, languages);
+  fillSelect(sourceSelect, sources, languages.source);
+  fillSelect(targetSelect, targets, languages.target);
+  languagesModel = entry;
+  renderControls();
+}
+
+function swapLanguages() {
+  const entry = controller.state.model;
+  const reverse = reverseModel(entry, models);
+  if (!reverse || controller.state.inferring) return;
+
+  const swapped = { source: languages.target, target: languages.source };
+  if (translatedText) {
+    textInput.value = translatedText;
+    translatedText = '';
+    translateResults.hidden = true;
+  }
+  if (reverse !== entry) {
+    // Through the picker, so the choice is saved like any other
+    modelSelect.value = reverse.id;
+    modelSelect.dispatchEvent(new Event('change'));
+  }
+  languages = swapped;
+  renderLanguages(controller.state.model);
+  run.refresh();
+}
+
+// --- Rendering ---
+
+function showTranslation({ parts, translations }, { target }) {
+  translatedText = joinTranslations(parts, translations, target);
+  output.textContent = translatedText;
+  progress.textContent = `${parts.length} sentence${parts.length === 1 ? '' : 's'} translated`;
+  resultArea.innerHTML = '';
+}
+
+// --- Event listeners ---
+
+const readInput = () => ({ text: textInput.value, source: sourceSelect.value, target: targetSelect.value });
+
+const run = page.bindRun({
+  button: runBtn,
+  resultArea,
+  busyLabel: 'Translating…',
+  readInput,
+  isValid: isInputValid,
+  watch: [textInput, sourceSelect, targetSelect],
+  // Each sentence is shown as soon as it is translated
+  infer: async (translator, { text, source, target }, model, { setBusyLabel }) => {
+    const parts = splitSentences(text, source);
+    translatedText = '';
+    translateResults.hidden = false;
+    output.lang = target;
+    output.textContent = '';
+    output.setAttribute('aria-busy', 'true');
+    progress.textContent = '';
+    const translations = await translateSentences(translator, parts, translateOptions(model, source, target), (done, total) => {
+      output.textContent = joinTranslations(parts, done, target);
+      if (done.length < total) {
+        progress.textContent = `Translated ${done.length} of ${total} sentences`;
+        setBusyLabel(`Translating ${done.length + 1}/${total}…`);
+      }
+    });
+    return { parts, translations };
+  },
+  render: showTranslation,
+  errorMessage: 'Translation failed. Please try again.',
+  onDone: () => output.removeAttribute('aria-busy'),
+});
+
+[sourceSelect, targetSelect].forEach(select => select.addEventListener('input', () => {
+  languages = { source: sourceSelect.value, target: targetSelect.value };
+  renderControls();
+}));
+
+swapBtn.addEventListener('click', swapLanguages);
+
+controller.subscribe((state) => {
+  if (state.model !== languagesModel) renderLanguages(state.model);
+  else renderControls();
+});
+
+const benchmarkPanel = mountBenchmarkPanel({
+  task: TASK,
+  root: document.getElementById('benchmark-panel'),
+  controller,
+  canRun: () => isInputValid(readInput()),
+  getInput: readInput,
+  runOnce: (translator, { text, source, target }) => (
+    translateSentences(translator, splitSentences(text, source), translateOptions(controller.state.model, source, target))
+  ),
+  inputNote: 'Times the current model translating the text above, loaded separately under each configuration.',
+});
+[textInput, sourceSelect, targetSelect].forEach(el => el.addEventListener('input', () => benchmarkPanel.refresh()));
+
+// --- Init: load the model, or wait for input, as the load policy says ---
+renderLanguages(controller.state.model);
+page.start();
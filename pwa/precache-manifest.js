@@ -0,0 +1,64 @@
+// Service worker precache list — pure functions used by the build (see pwa/vite-plugin.js)
+import { createHash } from 'node:crypto';
+
+// Copied from public/ as-is, so they never appear in the Rollup bundle
+export const PUBLIC_FILES = [
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/icon-maskable-512.png',
+];
+
+// onnxruntime-web's own wasm build is bundled but never fetched (Transformers.js
+// loads the runtime from its CDN), and at ~20 MB it would stall every install
+const SKIPPED_FILE = /\.(wasm|map)$/;
+
+/**
+ * URL a built file is served from. Pages are served at their directory URL, so
+ * `pages/sentiment/index.html` becomes `/pages/sentiment/`.
+ * @param {string} fileName - Path relative to the build output
+ * @returns {string}
+ */
+export function fileUrl(fileName) {
+  const url = `/${fileName}`;
+  return url.endsWith('/index.html') ? url.slice(0, -'index.html'.length) : url;
+}
+
+/**
+ * URLs for the service worker to precache: every page, script, stylesheet and
+ * image of the build, plus the public files.
+ * @param {string[]} fileNames - Output file names from the bundle
+ * @param {string[]} [publicFiles]
+ * @returns {string[]} Sorted and unique
+ */
+export function precacheUrls(fileNames, publicFiles = PUBLIC_FILES) {
+  const urls = fileNames.filter(name => !SKIPPED_FILE.test(name)).map(fileUrl);
+  return [...new Set([...urls, ...publicFiles])].sort();
+}
+
+/**
+ * Short content hash for the cache name. Any change to a built file or to the
+ * service worker itself yields a new version, so clients install the update.
+ * @param {Array<{ name: string, source: string|Uint8Array }>} files
+ * @returns {string}
+ */
+export function buildVersion(files) {
+  const hash = createHash('sha256');
+  for (const { name, source } of [...files].sort((a, b) => (a.name < b.name ? -1 : 1))) {
+    hash.update(name).update('\0').update(source).update('\0');
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * Fill the service worker template's placeholders.
+ * @param {string} template - Source of pwa/service-worker.js
+ * @param {{ urls: string[], version: string }} build
+ * @returns {string}
+ */
+export function renderServiceWorker(template, { urls, version }) {
+  return template
+    .replace('self.__PRECACHE_URLS', JSON.stringify(urls, null, 2))
+    .replace('__BUILD_VERSION__', version);
+}
@@ -0,0 +1,86 @@
+// Service worker — template for /sw.js. The build (pwa/vite-plugin.js) fills in
+// the precache list and version; it is not bundled, so it stays a classic script.
+//
+// - App shell (pages, scripts, styles, icons): precached on install and served
+//   from the cache. Pages try the network first so a deploy shows up on the next
+//   visit, falling back to the cached copy offline.
+// - Google Fonts and the ONNX runtime Transformers.js loads from its CDN: cached
+//   on first use, so pages keep their fonts and models keep running offline.
+// - Model files are left alone: Transformers.js keeps them in its own Cache
+//   Storage bucket (see pages/cache/).
+
+const VERSION = '__BUILD_VERSION__';
+const PRECACHE = `model-student-shell-${VERSION}`;
+const RUNTIME = 'model-student-runtime';
+const PRECACHE_URLS = self.__PRECACHE_URLS;
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const RUNTIME_CDN = 'cdn.jsdelivr.net'; // Versioned URLs, so a cached copy never goes stale
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('model-student-shell-') && key !== PRECACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function networkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    // Pages are precached by their directory URL; ?model= and the like do not matter
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const copy = response.clone();
+    caches.open(cacheName).then(cache => cache.put(request, copy));
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached ?? network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin && PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request, PRECACHE));
+  } else if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME));
+  } else if (url.hostname === RUNTIME_CDN) {
+    event.respondWith(cacheFirst(request, RUNTIME));
+  }
+});
@@ -0,0 +1,35 @@
+// Vite plugin — emits /sw.js with the build's precache list (build only; the
+// dev server has no service worker).
+import { readFileSync } from 'node:fs';
+import { precacheUrls, buildVersion, renderServiceWorker } from './precache-manifest.js';
+
+const TEMPLATE_URL = new URL('./service-worker.js', import.meta.url);
+
+// The main-thread copy of Transformers.js, only fetched by browsers without
+// Worker; the worker bundles its own
+const isMainThreadTransformers = item => item.type === 'chunk' && item.isDynamicEntry && /@huggingface[\\/]transformers/.test(item.facadeModuleId ?? '');
+
+export function serviceWorkerPlugin() {
+  return {
+    name: 'model-student:service-worker',
+    apply: 'build',
+    enforce: 'post', // After the HTML pages are added to the bundle
+    generateBundle(_options, bundle) {
+      const template = readFileSync(TEMPLATE_URL, 'utf8');
+      const items = Object.values(bundle);
+      const files = items.map(item => ({
+        name: item.fileName,
+        source: item.type === 'chunk' ? item.code : item.source,
+      }));
+      const precached = items.filter(item => !isMainThreadTransformers(item)).map(item => item.fileName);
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: renderServiceWorker(template, {
+          urls: precacheUrls(precached),
+          version: buildVersion([...files, { name: 'sw.js', source: template }]),
+        }),
+      });
+    },
+  };
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Download registry models into public/models so the app can load them from its
+// own origin instead of the Hugging Face Hub.
+//
+//   npm run models:download -- Xenova/resnet-50
+//   npm run models:download -- --task summarization --dtype q8
+//   npm run models:download -- --all
+//
+// Files come from the Hub, or from the mirror named by VITE_MODEL_REMOTE_HOST /
+// VITE_MODEL_REMOTE_PATH_TEMPLATE (the mirror must also serve the Hub's
+// /api/models/{model} listing), read from the environment and the .env files
+// the way Vite reads them. Build with VITE_MODEL_ALLOW_LOCAL=true to use
+// the downloaded copies; see lib/model-env.js.
+import { mkdir, rename, stat } from 'node:fs/promises';
+import { createWriteStream } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
+import { loadEnv } from 'vite';
+import { MODELS, DEFAULT_DTYPE, modelsForTask } from '../lib/model-registry.js';
+import { modelEnvFromViteEnv, resolveModelEnv, remoteFileUrl } from '../lib/model-env.js';
+import { formatBytes } from '../lib/bytes.js';
+import { selectModelFiles } from './model-files.js';
+
+const USAGE = `Usage: node scripts/download-model.js [options] <model-id>...
+
+Options:
+  --task <task>    Every registry model for a task
+  --all            Every registry model
+  --dtype <dtype>  Weights to fetch (default: ${DEFAULT_DTYPE})
+  --out <dir>      Target folder (default: public/models)
+  --mode <mode>    Vite mode whose .env files to read (default: production)
+  --force          Download files that already exist`;
+
+async function get(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`Could not reach ${url} (${err.cause?.message ?? err.message})`);
+  }
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  return response;
+}
+
+async function listRepoFiles(config, model) {
+  const response = await get(`${config.remoteHost}api/models/${model}`);
+  const info = await response.json();
+  return info.siblings.map(s => s.rfilename);
+}
+
+async function exists(path) {
+  return stat(path).then(() => true, () => false);
+}
+
+// Written to a temporary name first so an interrupted download is never mistaken for a complete file
+async function downloadFile(url, target) {
+  const response = await get(url);
+  await mkdir(dirname(target), { recursive: true });
+  const partial = `${target}.partial`;
+  await pipeline(Readable.fromWeb(response.body), createWriteStream(partial));
+  await rename(partial, target);
+  return (await stat(target)).size;
+}
+
+async function downloadModel(config, model, { dtype, out, force }) {
+  const files = selectModelFiles(await listRepoFiles(config, model), dtype);
+  console.log(`${model} (${dtype}): ${files.length} files`);
+  for (const file of files) {
+    const target = join(out, model, file);
+    if (!force && await exists(target)) {
+      console.log(`  ${file} (exists)`);
+      continue;
+    }
+    const bytes = await downloadFile(remoteFileUrl(config, model, file), target);
+    console.log(`  ${file} ${formatBytes(bytes)}`);
+  }
+}
+
+function modelsToDownload({ values, positionals }) {
+  if (values.all) return MODELS.map(m => m.id);
+  const ids = [...positionals, ...(values.task ? modelsForTask(values.task).map(m => m.id) : [])];
+  const unknown = ids.filter(id => !MODELS.some(m => m.id === id));
+  if (unknown.length > 0) throw new Error(`Not in the model registry: ${unknown.join(', ')}`);
+  if (values.task && modelsForTask(values.task).length === 0) throw new Error(`No registry models for task "${values.task}"`);
+  return [...new Set(ids)];
+}
+
+async function main() {
+  const args = parseArgs({
+    allowPositionals: true,
+    options: {
+      task: { type: 'string' },
+      all: { type: 'boolean', default: false },
+      dtype: { type: 'string', default: DEFAULT_DTYPE },
+      out: { type: 'string', default: 'public/models' },
+      mode: { type: 'string', default: 'production' },
+      force: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  const models = modelsToDownload(args);
+  if (args.values.help || models.length === 0) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Downloads always come from the remote host, even for builds that only load local files
+  const config = resolveModelEnv({ ...modelEnvFromViteEnv(loadEnv(args.values.mode, process.cwd(), 'VITE_')), allowRemoteModels: true });
+  const out = resolve(args.values.out);
+  for (const model of models) {
+    await downloadModel(config, model, { dtype: args.values.dtype, out, force: args.values.force });
+  }
+  console.log(`Done. Files are in ${out}`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,58 @@
+// Model file selection for scripts/download-model.js — pure functions (no I/O)
+
+// File name suffix of each dtype's ONNX weights, as Transformers.js resolves them
+export const DTYPE_SUFFIXES = {
+  fp32: '',
+  fp16: '_fp16',
+  int8: '_int8',
+  uint8: '_uint8',
+  q8: '_quantized',
+  q4: '_q4',
+  q4f16: '_q4f16',
+  bnb4: '_bnb4',
+};
+
+const VARIANT_SUFFIXES = Object.values(DTYPE_SUFFIXES).filter(Boolean);
+
+// Seq2seq models ship split and merged decoders; Transformers.js only loads the merged one
+const UNMERGED_DECODERS = ['decoder_model', 'decoder_with_past_model'];
+
+function onnxStem(file) {
+  const match = file.match(/^onnx\/(.+)\.onnx$/);
+  return match ? match[1] : null;
+}
+
+function hasDtype(stem, dtype) {
+  const suffix = DTYPE_SUFFIXES[dtype];
+  if (suffix) return stem.endsWith(suffix);
+  return !VARIANT_SUFFIXES.some(s => stem.endsWith(s));
+}
+
+/**
+ * Files Transformers.js fetches to run a model at one dtype: the JSON configs and
+ * tokenizer at the repo root, plus that dtype's ONNX weights and any external
+ * weight data next to them.
+ * @param {string[]} repoFiles - Every file path in the model repo
+ * @param {string} dtype - A key of DTYPE_SUFFIXES
+ * @returns {string[]} Sorted
+ * @throws {Error} For an unknown dtype, or a repo with no weights at that dtype
+ */
+export function selectModelFiles(repoFiles, dtype) {
+  if (!(dtype in DTYPE_SUFFIXES)) throw new Error(`Unknown dtype "${dtype}" (expected one of ${Object.keys(DTYPE_SUFFIXES).join(', ')})`);
+
+  const weights = repoFiles.filter(file => {
+    const stem = onnxStem(file);
+    return stem !== null && hasDtype(stem, dtype);
+  });
+  if (weights.length === 0) throw new Error(`No ${dtype} ONNX weights in this model`);
+
+  const merged = weights.some(file => onnxStem(file).startsWith('decoder_model_merged'));
+  const used = weights.filter(file => {
+    const base = onnxStem(file).slice(0, onnxStem(file).length - DTYPE_SUFFIXES[dtype].length);
+    return !(merged && UNMERGED_DECODERS.includes(base));
+  });
+  // Large models keep their weights in external data files beside the graph
+  const data = repoFiles.filter(file => used.some(graph => file !== graph && file.startsWith(`${graph}_data`)));
+  const configs = repoFiles.filter(file => !file.includes('/') && file.endsWith('.json'));
+  return [...configs, ...used, ...data].sort();
+}
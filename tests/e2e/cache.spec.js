@@ -0,0 +1,108 @@
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+
+const HUB = 'https://huggingface.co';
+
+// Write fake model files into the same Cache Storage bucket Transformers.js uses
+async function seedCache(page, files) {
+  await page.goto('/pages/cache/');
+  await page.evaluate(async (files) => {
+    const cache = await caches.open('transformers-cache');
+    for (const { url, bytes } of files) {
+      await cache.put(url, new Response(new Uint8Array(bytes), { headers: { 'content-length': String(bytes) } }));
+    }
+  }, files);
+  await page.reload();
+}
+
+const FILES = [
+  { url: `${HUB}/Xenova/resnet-50/resolve/main/config.json`, bytes: 2048 },
+  { url: `${HUB}/Xenova/resnet-50/resolve/main/onnx/model_quantized.onnx`, bytes: 3 * 1024 * 1024 },
+  { url: `${HUB}/Xenova/vit-base-patch16-224/resolve/main/onnx/model_quantized.onnx`, bytes: 5 * 1024 * 1024 },
+];
+
+test.describe('Model Storage', () => {
+  test('empty cache shows a hint and disables clear-all', async ({ page }) => {
+    await page.goto('/pages/cache/');
+    await expect(page.locator('#cache-list')).toContainText('No models are cached');
+    await expect(page.locator('#clear-all-btn')).toBeDisabled();
+    await expect(page.locator('#storage-usage-text')).not.toHaveText('Checking…');
+  });
+
+  test('lists cached models with registry names and sizes, largest first', async ({ page }) => {
+    await seedCache(page, FILES);
+
+    const models = page.locator('.cache-model');
+    await expect(models).toHaveCount(2);
+    await expect(models.nth(0).locator('.cache-model-name')).toHaveText('ViT Base');
+    await expect(models.nth(1).locator('.cache-model-name')).toHaveText('ResNet-50');
+    await expect(models.nth(1).locator('.cache-model-size')).toHaveText('3.00 MB');
+    await expect(page.locator('.cache-total')).toHaveText('2 models · 8.00 MB cached');
+
+    await models.nth(1).locator('summary').click();
+    await expect(models.nth(1).locator('.cache-files li')).toHaveCount(2);
+    await expect(models.nth(1)).toContainText('onnx/model_quantized.onnx');
+  });
+
+  test('deletes a single model', async ({ page }) => {
+    await seedCache(page, FILES);
+    await page.getByRole('button', { name: 'Delete ResNet-50' }).click();
+
+    await expect(page.locator('.cache-model')).toHaveCount(1);
+    await expect(page.locator('.cache-model-name')).toHaveText('ViT Base');
+  });
+
+  test('clear all empties the cache after confirmation', async ({ page }) => {
+    await seedCache(page, FILES);
+    page.once('dialog', dialog => dialog.accept());
+    await page.click('#clear-all-btn');
+
+    await expect(page.locator('#cache-list')).toContainText('No models are cached');
+    expect(await page.evaluate(() => caches.has('transformers-cache'))).toBe(false);
+  });
+
+  test('models kept for offline use survive clear all', async ({ page }) => {
+    await seedCache(page, FILES);
+    const resnet = page.locator('.offline-model[data-id="Xenova/resnet-50"]');
+    await expect(resnet.locator('.offline-model-state')).toHaveText('Downloaded');
+    await page.getByRole('button', { name: 'Keep offline ResNet-50' }).click();
+    await expect(resnet.locator('.offline-model-state')).toHaveText('Kept offline');
+
+    page.once('dialog', dialog => dialog.accept());
+    await page.click('#clear-all-btn');
+
+    await expect(page.locator('.cache-model')).toHaveCount(1);
+    await expect(page.locator('.cache-model-name')).toHaveText('ResNet-50');
+    await expect(page.locator('.cache-model .offline-badge')).toHaveText('Kept offline');
+
+    await page.reload();
+    await page.getByRole('button', { name: 'Stop keeping ResNet-50' }).click();
+    await expect(resnet.locator('.offline-model-state')).toHaveText('Downloaded');
+  });
+
+  test('offline: shows the indicator and disables downloads', async ({ page, context }) => {
+    await page.goto('/pages/cache/');
+    await expect(page.locator('.offline-indicator')).toBeHidden();
+    await context.setOffline(true);
+
+    await expect(page.locator('.offline-indicator')).toHaveText('Offline — only downloaded models can load');
+    await expect(page.getByRole('button', { name: 'Keep offline ResNet-50' })).toBeDisabled();
+
+    await context.setOffline(false);
+    await expect(page.locator('.offline-indicator')).toBeHidden();
+  });
+
+  test('landing page links here', async ({ page }) => {
+    await page.goto('/');
+    await page.click('.landing-storage-link a');
+    await expect(page.locator('.experiment-title')).toHaveText('Model Storage');
+  });
+
+  test('accessibility: no WCAG AA violations', async ({ page }) => {
+    await seedCache(page, FILES);
+    await expect(page.locator('.cache-model')).toHaveCount(2);
+
+    const results = await new AxeBuilder({ page }).withTags(['wcag2a', 'wcag2aa']).analyze();
+    expect(results.violations).toEqual([]);
+  });
+});
@@ -0,0 +1,123 @@
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+import { mockPipeline, mockPipelineFailure } from './helpers/mock-model.js';
+import { readFileSync } from 'node:fs';
+
+const SENTENCES = ['A cat sleeps on the mat.', 'A kitten naps on a rug.', 'Stocks fell sharply today.'];
+
+// Embeds text by topic words, so the cat sentences land together and apart from finance
+async function mockEmbeddings(page) {
+  await mockPipeline(page, 'feature-extraction', null);
+  await page.addInitScript(() => {
+    const TOPICS = [['cat', 'kitten', 'pet'], ['mat', 'rug', 'sleep', 'nap'], ['stock', 'market', 'fell']];
+    const embed = (text) => {
+      const v = TOPICS.map(words => words.filter(w => text.toLowerCase().includes(w)).length + 0.1);
+      const norm = Math.hypot(...v);
+      return v.map(x => x / norm);
+    };
+    globalThis.__TEST_PIPELINE_FN = async () => async (texts) => ({
+      dims: [texts.length, 3],
+      type: 'float32',
+      data: Float32Array.from(texts.flatMap(embed)),
+    });
+  });
+}
+
+async function embed(page) {
+  await mockEmbeddings(page);
+  await page.goto('/pages/embeddings/');
+  await expect(page.locator('#model-status')).toContainText('Model ready');
+  await page.fill('#sentences-input', SENTENCES.join('\n'));
+  await expect(page.locator('#sentences-meta')).toHaveText('3 sentences');
+  await page.click('#run-btn');
+  await expect(page.locator('#embed-results')).toBeVisible();
+}
+
+test.describe('Embedding Explorer', () => {
+  test('shows a pairwise similarity heatmap', async ({ page }) => {
+    await embed(page);
+
+    await expect(page.locator('#embed-dimensions')).toHaveText('3 embeddings · 3 dimensions');
+    await expect(page.locator('#embed-sentences li')).toHaveText(SENTENCES);
+    const rows = page.locator('#heatmap tr');
+    await expect(rows).toHaveCount(4);
+    await expect(rows.nth(1).locator('.heatmap-cell').first()).toHaveText('1.00');
+    const catKitten = Number(await rows.nth(1).locator('.heatmap-cell').nth(1).textContent());
+    const catStocks = Number(await rows.nth(1).locator('.heatmap-cell').nth(2).textContent());
+    expect(catKitten).toBeGreaterThan(catStocks);
+  });
+
+  test('plots the sentences in 2D', async ({ page }) => {
+    await embed(page);
+
+    await expect(page.locator('#embed-scatter .embed-point')).toHaveCount(3);
+    await expect(page.locator('#embed-scatter title').first()).toHaveText('1. A cat sleeps on the mat.');
+    await expect(page.locator('#scatter-caption')).toContainText('principal components');
+  });
+
+  test('finds the most similar sentences to a query', async ({ page }) => {
+    await embed(page);
+
+    await page.fill('#search-input', 'my pet cat');
+    await page.press('#search-input', 'Enter');
+    const results = page.locator('.embed-search-result');
+    await expect(results).toHaveCount(3);
+    await expect(results.first()).toContainText('A cat sleeps on the mat.');
+    await expect(results.last()).toContainText('Stocks fell sharply today.');
+    await expect(page.locator('#search-input')).toBeFocused();
+  });
+
+  test('exports the embeddings as JSON and NPY', async ({ page }) => {
+    await embed(page);
+
+    let downloadPromise = page.waitForEvent('download');
+    await page.click('#export-json-btn');
+    let download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('embeddings.json');
+    const json = JSON.parse(readFileSync(await download.path(), 'utf8'));
+    expect(json.dimensions).toBe(3);
+    expect(json.sentences.map(s => s.text)).toEqual(SENTENCES);
+    expect(json.sentences[0].embedding).toHaveLength(3);
+
+    downloadPromise = page.waitForEvent('download');
+    await page.click('#export-npy-btn');
+    download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('embeddings.npy');
+    const npy = readFileSync(await download.path());
+    expect(npy.subarray(1, 6).toString('latin1')).toBe('NUMPY');
+    expect(npy.toString('latin1')).toContain("'shape': (3, 3)");
+  });
+
+  test('needs at least two sentences', async ({ page }) => {
+    await mockEmbeddings(page);
+    await page.goto('/pages/embeddings/');
+    await page.fill('#sentences-input', 'Only one sentence.');
+    await expect(page.locator('#run-btn')).toBeDisabled();
+  });
+
+  test('sentences are shown as text, not HTML', async ({ page }) => {
+    await mockEmbeddings(page);
+    await page.goto('/pages/embeddings/');
+    await page.fill('#sentences-input', '<img src=x onerror="globalThis.__XSS = 1">\nA cat.');
+    await page.click('#run-btn');
+
+    await expect(page.locator('#embed-sentences li').first()).toHaveText('<img src=x onerror="globalThis.__XSS = 1">');
+    expect(await page.evaluate(() => globalThis.__XSS)).toBeUndefined();
+  });
+
+  test('error state: model fails to load', async ({ page }) => {
+    await mockPipelineFailure(page);
+    await page.goto('/pages/embeddings/');
+
+    const status = page.locator('#model-status');
+    await expect(status).toContainText('Failed to load model');
+    await expect(status).toHaveClass(/model-status--error/);
+  });
+
+  test('accessibility: no WCAG AA violations', async ({ page }) => {
+    await embed(page);
+
+    const results = await new AxeBuilder({ page }).withTags(['wcag2a', 'wcag2aa']).analyze();
+    expect(results.violations).toEqual([]);
+  });
+});
@@ -2,13 +2,15 @@ export async function mockPipeline(page, task, mockResult) {
   await page.addInitScript(({ mockResult }) => {
     globalThis.__TEST_PIPELINE_FN = async (task, model, options) => {
       if (options?.progress_callback) {
-        options.progress_callback({ status: 'initiate', file: 'model.onnx' });
-        options.progress_callback({ status: 'progress', file: 'model.onnx', progress: 50 });
-        options.progress_callback({ status: 'progress', file: 'model.onnx', progress: 100 });
-        options.progress_callback({ status: 'done', file: 'model.onnx' });
+        const total = 64 * 1024 * 1024;
+        options.progress_callback({ status: 'initiate', name: model, file: 'model.onnx' });
+        options.progress_callback({ status: 'progress', name: model, file: 'model.onnx', progress: 50, loaded: total / 2, total });
+        options.progress_callback({ status: 'progress', name: model, file: 'model.onnx', progress: 100, loaded: total, total });
+        options.progress_callback({ status: 'done', name: model, file: 'model.onnx' });
         options.progress_callback({ status: 'ready' });
       }
-      return async (input, opts) => mockResult;
+      // Batched (array) input gets one result per item, like the real pipeline
+      return async (input, opts) => (Array.isArray(input) ? input.map(() => mockResult[0]) : mockResult);
     };
   }, { mockResult });
 
@@ -17,9 +19,23 @@ export async function mockPipeline(page, task, mockResult) {
   );
 }
 
-export async function mockPipelineFailure(page) {
+export async function mockPipelineFailure(page, message = 'Simulated model loading failure') {
+  await page.addInitScript((message) => {
+    globalThis.__TEST_PIPELINE_FN = async () => { throw new Error(message); };
+  }, message);
+  await page.route(/huggingface\.co/, route => route.abort('failed'));
+}
+
+// Model download that reports partial progress and only settles when the load is cancelled
+export async function mockPipelineStalled(page) {
   await page.addInitScript(() => {
-    globalThis.__TEST_PIPELINE_FN = async () => { throw new Error('Simulated model loading failure'); };
+    globalThis.__TEST_PIPELINE_FN = (task, model, options) => new Promise((resolve, reject) => {
+      options?.progress_callback?.({ status: 'initiate', name: model, file: 'model.onnx' });
+      options?.progress_callback?.({ status: 'progress', name: model, file: 'model.onnx', progress: 25, loaded: 16 * 1024 * 1024, total: 64 * 1024 * 1024 });
+      options?.signal?.addEventListener('abort', () => {
+        globalThis.__TEST_LOAD_ABORTED = true;
+        reject(new DOMException('Model load cancelled', 'AbortError'));
+      });
+    });
   });
-  await page.route(/huggingface\.co/, route => route.abort('failed'));
 }
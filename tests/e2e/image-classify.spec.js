@@ -2,6 +2,7 @@ import { test, expect } from '@playwright/test';
 import AxeBuilder from '@axe-core/playwright';
 import { mockPipeline, mockPipelineFailure } from './helpers/mock-model.js';
 import path from 'node:path';
+import { readFileSync } from 'node:fs';
 
 const CLASSIFICATION_RESULT = [
   { label: 'golden retriever', score: 0.85 },
@@ -28,7 +29,7 @@ test.describe('Image Classification', () => {
     await page.goto('/pages/image-classify/');
 
     const dropZone = page.locator('#drop-zone');
-    await expect(dropZone).toContainText('Drop an image here or click to upload');
+    await expect(dropZone).toContainText('Drop images or a folder here, or click to upload');
     await expect(dropZone).toContainText('PNG, JPG, WebP');
   });
 
@@ -91,6 +92,60 @@ test.describe('Image Classification', () => {
     await expect(page.locator('#error-message')).toContainText('Please upload an image file');
   });
 
+  test('batch flow: multiple files render a results grid with export', async ({ page }) => {
+    await mockPipeline(page, 'image-classification', CLASSIFICATION_RESULT);
+    await page.goto('/pages/image-classify/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+
+    await page.locator('#file-input').setInputFiles([
+      TEST_IMAGE,
+      { name: 'second.jpg', mimeType: 'image/jpeg', buffer: readFileSync(TEST_IMAGE) },
+    ]);
+    await expect(page.locator('#drop-zone')).toContainText('2 images selected');
+    await expect(page.locator('#run-btn')).toHaveText('Classify 2 images');
+    await page.click('#run-btn');
+
+    const cards = page.locator('.batch-card');
+    await expect(cards).toHaveCount(2);
+    await expect(page.locator('#batch-progress-text')).toHaveText('Classified 2 of 2');
+    await expect(cards.nth(1)).toContainText('second.jpg');
+    await expect(cards.nth(1).locator('[data-rank]')).toHaveCount(5);
+
+    const download = page.waitForEvent('download');
+    await page.click('#export-csv-btn');
+    expect((await download).suggestedFilename()).toBe('image-classifications.csv');
+  });
+
+  test('batch flow: skips non-image files with a notice', async ({ page }) => {
+    await mockPipeline(page, 'image-classification', CLASSIFICATION_RESULT);
+    await page.goto('/pages/image-classify/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+
+    await page.locator('#file-input').setInputFiles([
+      TEST_IMAGE,
+      { name: 'notes.txt', mimeType: 'text/plain', buffer: Buffer.from('hello') },
+    ]);
+    await expect(page.locator('#drop-zone img')).toBeVisible();
+    await expect(page.locator('#error-message')).toContainText('Skipped 1 non-image file');
+  });
+
+  test('compare: one image through up to three models', async ({ page }) => {
+    await mockPipeline(page, 'image-classification', CLASSIFICATION_RESULT);
+    await page.goto('/pages/image-classify/');
+    await page.locator('#compare-section summary').click();
+    await expect(page.locator('#compare-run-btn')).toBeDisabled();
+
+    await page.locator('#file-input').setInputFiles(TEST_IMAGE);
+    await page.locator('#compare-models input').nth(2).check();
+    await page.click('#compare-run-btn');
+
+    const columns = page.locator('.compare-column');
+    await expect(columns).toHaveCount(3);
+    await expect(columns.nth(0).locator('[data-rank]')).toHaveCount(5);
+    await expect(page.locator('#compare-agreement')).toHaveText('All 3 models agree: golden retriever');
+    await expect(columns.nth(2).locator('.compare-match')).toContainText('golden retriever');
+  });
+
   test('error state: model fails to load', async ({ page }) => {
     await mockPipelineFailure(page);
     await page.goto('/pages/image-classify/');
@@ -109,3 +164,180 @@ test.describe('Image Classification', () => {
     expect(results.violations).toEqual([]);
   });
 });
+
+test.describe('Image Classification — permalinks', () => {
+  test('a copied link restores the image and classifies it once the model is ready', async ({ page, context }) => {
+    await mockPipeline(page, 'image-classification', CLASSIFICATION_RESULT);
+    await page.goto('/pages/image-classify/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await page.locator('#file-input').setInputFiles(TEST_IMAGE);
+    await page.click('#run-btn');
+    await expect(page.locator('#result-area')).toContainText('golden retriever');
+
+    await page.click('#share-btn');
+    await expect(page).toHaveURL(/#s=/);
+    // The fixture is tiny, so it travels inside the link
+    await expect(page.locator('#share-note')).toBeEmpty();
+
+    const shared = await context.newPage();
+    await mockPipeline(shared, 'image-classification', CLASSIFICATION_RESULT);
+    await shared.goto(page.url());
+    await expect(shared.locator('#drop-zone img')).toBeVisible();
+    await expect(shared.locator('#result-area')).toContainText('golden retriever');
+  });
+});
+
+test.describe('Image Classification — zero-shot', () => {
+  const ZERO_SHOT_RESULT = [
+    { label: 'a dog', score: 0.9 },
+    { label: 'a cat', score: 0.07 },
+    { label: 'a car', score: 0.03 },
+  ];
+
+  test('scores the image against typed labels with the template', async ({ page }) => {
+    await mockPipeline(page, 'zero-shot-image-classification', ZERO_SHOT_RESULT);
+    await page.addInitScript(() => {
+      const makePipeline = globalThis.__TEST_PIPELINE_FN;
+      globalThis.__TEST_PIPELINE_FN = async (task, model, options) => {
+        const pipe = await makePipeline(task, model, options);
+        return async (...args) => {
+          globalThis.__ZERO_SHOT_ARGS = args.slice(1);
+          return pipe(...args);
+        };
+      };
+    });
+    await page.goto('/pages/image-classify/');
+
+    await page.click('#tab-zero-shot');
+    await expect(page.locator('#classifier-model-section')).toBeHidden();
+    // CLIP is a mid-sized download, so it waits until there is something to classify
+    await expect(page.locator('#zs-model-status')).toContainText('Model loads when you add input');
+    await expect(page.locator('#zs-run-btn')).toBeDisabled();
+
+    await page.locator('#zs-file-input').setInputFiles(TEST_IMAGE);
+    await page.fill('#zs-labels', 'a dog, a cat\na car, A DOG');
+    await expect(page.locator('#zs-input-hint')).toHaveText('3 labels');
+    await expect(page.locator('#zs-model-status')).toContainText('Model ready');
+    await page.fill('#zs-template', 'a blurry photo of {}');
+    await page.click('#zs-run-btn');
+
+    const rows = page.locator('#zs-result-area [data-rank]');
+    await expect(rows).toHaveCount(3);
+    await expect(rows.first()).toContainText('a dog');
+    await expect(rows.first()).toContainText('90.0%');
+    expect(await page.evaluate(() => globalThis.__ZERO_SHOT_ARGS)).toEqual([
+      ['a dog', 'a cat', 'a car'],
+      { hypothesis_template: 'a blurry photo of {}' },
+    ]);
+  });
+
+  test('labels are rendered as text, not markup', async ({ page }) => {
+    await mockPipeline(page, 'zero-shot-image-classification', [
+      { label: '<img src=x onerror="globalThis.__XSS = 1">', score: 0.6 },
+      { label: 'a cat', score: 0.4 },
+    ]);
+    await page.goto('/pages/image-classify/');
+    await page.click('#tab-zero-shot');
+    await page.locator('#zs-file-input').setInputFiles(TEST_IMAGE);
+    await page.fill('#zs-labels', '<img src=x onerror="globalThis.__XSS = 1">, a cat');
+    await page.click('#zs-run-btn');
+
+    await expect(page.locator('#zs-result-area [data-rank]').first()).toContainText('<img src=x');
+    expect(await page.evaluate(() => globalThis.__XSS)).toBeUndefined();
+  });
+
+  test('a template without {} disables classification', async ({ page }) => {
+    await mockPipeline(page, 'zero-shot-image-classification', ZERO_SHOT_RESULT);
+    await page.goto('/pages/image-classify/');
+    await page.click('#tab-zero-shot');
+    await page.locator('#zs-file-input').setInputFiles(TEST_IMAGE);
+    await expect(page.locator('#zs-run-btn')).toBeEnabled();
+
+    await page.fill('#zs-template', 'a photo');
+    await expect(page.locator('#zs-input-hint')).toContainText('needs a {}');
+    await expect(page.locator('#zs-run-btn')).toBeDisabled();
+  });
+
+  test('each picker keeps its own model in the URL', async ({ page }) => {
+    await mockPipeline(page, 'zero-shot-image-classification', ZERO_SHOT_RESULT);
+    await page.goto('/pages/image-classify/');
+    await page.selectOption('#model-select', 'Xenova/resnet-50');
+    await page.click('#tab-zero-shot');
+    await page.selectOption('#zs-model-select', 'Xenova/clip-vit-base-patch16');
+    await expect(page).toHaveURL(/[?&]model=Xenova%2Fresnet-50/);
+    await expect(page).toHaveURL(/[?&]zsModel=Xenova%2Fclip-vit-base-patch16/);
+
+    await page.reload();
+    await expect(page.locator('#model-select')).toHaveValue('Xenova/resnet-50');
+    await expect(page.locator('#zs-model-select')).toHaveValue('Xenova/clip-vit-base-patch16');
+  });
+});
+
+test.describe('Image Classification — live camera', () => {
+  // Chromium serves a synthetic video stream instead of a real camera
+  test.use({
+    launchOptions: { args: ['--use-fake-ui-for-media-stream', '--use-fake-device-for-media-stream'] },
+    permissions: ['camera'],
+  });
+
+  test('classifies camera frames and updates the bars in place', async ({ page, browserName }) => {
+    test.skip(browserName !== 'chromium', 'Fake media streams are Chromium-only');
+    await mockPipeline(page, 'image-classification', CLASSIFICATION_RESULT);
+    await page.goto('/pages/image-classify/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+
+    await page.click('#tab-camera');
+    await page.click('#camera-start-btn');
+    await expect(page.locator('#camera-video')).toBeVisible();
+
+    const rows = page.locator('#live-result-area [data-rank]');
+    await expect(rows).toHaveCount(5);
+    await expect(rows.first()).toContainText('golden retriever');
+    await expect(page.locator('#camera-rate')).toContainText('frames/s');
+
+    // The same row elements survive later frames
+    await rows.first().evaluate(row => { row.__original = true; });
+    await page.waitForTimeout(1200);
+    expect(await rows.first().evaluate(row => row.__original === true)).toBe(true);
+
+    // Sampling holds the inference lock
+    await expect(page.locator('#model-select')).toBeDisabled();
+  });
+
+  test('pause releases the model; snapshot hands the frame to upload mode', async ({ page, browserName }) => {
+    test.skip(browserName !== 'chromium', 'Fake media streams are Chromium-only');
+    await mockPipeline(page, 'image-classification', CLASSIFICATION_RESULT);
+    await page.goto('/pages/image-classify/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+
+    await page.click('#tab-camera');
+    await page.click('#camera-start-btn');
+    await expect(page.locator('#live-result-area [data-rank]')).toHaveCount(5);
+
+    await page.click('#camera-pause-btn');
+    await expect(page.locator('#camera-pause-btn')).toHaveText('Resume');
+    await expect(page.locator('#camera-rate')).toHaveText('Paused');
+    await expect(page.locator('#model-select')).toBeEnabled();
+
+    await page.click('#camera-snapshot-btn');
+    await expect(page.locator('#tab-upload')).toHaveAttribute('aria-selected', 'true');
+    await expect(page.locator('#drop-zone img')).toBeVisible();
+    await page.click('#run-btn');
+    await expect(page.locator('#result-area [data-rank]')).toHaveCount(5);
+  });
+
+  test('denied camera access shows an explanation', async ({ page, context, browserName }) => {
+    test.skip(browserName !== 'chromium', 'Fake media streams are Chromium-only');
+    await context.clearPermissions();
+    await page.addInitScript(() => {
+      navigator.mediaDevices.getUserMedia = async () => { throw new DOMException('Permission denied', 'NotAllowedError'); };
+    });
+    await mockPipeline(page, 'image-classification', CLASSIFICATION_RESULT);
+    await page.goto('/pages/image-classify/');
+
+    await page.click('#tab-camera');
+    await page.click('#camera-start-btn');
+    await expect(page.locator('#live-result-area')).toContainText('Camera access was denied');
+    await expect(page.locator('#camera-start-btn')).toBeVisible();
+  });
+});
@@ -14,9 +14,9 @@ test.describe('Landing Page', () => {
     await expect(subtitle).toHaveText('Run ML models in your browser. No server required.');
   });
 
-  test('renders three experiment cards', async ({ page }) => {
+  test('renders nine experiment cards', async ({ page }) => {
     const cards = page.locator('.experiment-card');
-    await expect(cards).toHaveCount(3);
+    await expect(cards).toHaveCount(9);
   });
 
   test('sentiment card links to /pages/sentiment/', async ({ page }) => {
@@ -34,6 +34,36 @@ test.describe('Landing Page', () => {
     await expect(card).toHaveAttribute('href', '/pages/summarize/');
   });
 
+  test('object detection card links to /pages/object-detect/', async ({ page }) => {
+    const card = page.locator('.experiment-card', { hasText: 'Object Detection' });
+    await expect(card).toHaveAttribute('href', '/pages/object-detect/');
+  });
+
+  test('named entity recognition card links to /pages/ner/', async ({ page }) => {
+    const card = page.locator('.experiment-card', { hasText: 'Named Entity Recognition' });
+    await expect(card).toHaveAttribute('href', '/pages/ner/');
+  });
+
+  test('question answering card links to /pages/qa/', async ({ page }) => {
+    const card = page.locator('.experiment-card', { hasText: 'Question Answering' });
+    await expect(card).toHaveAttribute('href', '/pages/qa/');
+  });
+
+  test('speech to text card links to /pages/transcribe/', async ({ page }) => {
+    const card = page.locator('.experiment-card', { hasText: 'Speech to Text' });
+    await expect(card).toHaveAttribute('href', '/pages/transcribe/');
+  });
+
+  test('embedding explorer card links to /pages/embeddings/', async ({ page }) => {
+    const card = page.locator('.experiment-card', { hasText: 'Embedding Explorer' });
+    await expect(card).toHaveAttribute('href', '/pages/embeddings/');
+  });
+
+  test('translation card links to /pages/translate/', async ({ page }) => {
+    const card = page.locator('.experiment-card', { hasText: 'Translation' });
+    await expect(card).toHaveAttribute('href', '/pages/translate/');
+  });
+
   test('footer contains Transformers.js link', async ({ page }) => {
     const footer = page.locator('.landing-footer');
     const link = footer.locator('a');
@@ -0,0 +1,99 @@
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+import { mockPipeline, mockPipelineFailure } from './helpers/mock-model.js';
+import { readFileSync } from 'node:fs';
+
+const TEXT = 'Ada Lovelace worked with Charles Babbage in London.';
+
+const NER_RESULT = [
+  { entity: 'B-PER', score: 0.99, index: 1, word: 'Ada' },
+  { entity: 'I-PER', score: 0.98, index: 2, word: 'Love' },
+  { entity: 'I-PER', score: 0.97, index: 3, word: '##lace' },
+  { entity: 'B-PER', score: 0.99, index: 6, word: 'Charles' },
+  { entity: 'I-PER', score: 0.99, index: 7, word: 'Babbage' },
+  { entity: 'B-LOC', score: 0.95, index: 9, word: 'London' },
+];
+
+// The default model is a mid-sized download, so typing the text starts the load
+async function tag(page) {
+  await mockPipeline(page, 'token-classification', NER_RESULT);
+  await page.goto('/pages/ner/');
+  await page.fill('#text-input', TEXT);
+  await expect(page.locator('#model-status')).toContainText('Model ready');
+  await page.click('#run-btn');
+  await expect(page.locator('#ner-results')).toBeVisible();
+}
+
+test.describe('Named Entity Recognition', () => {
+  test('highlights merged entities inline with a legend', async ({ page }) => {
+    await tag(page);
+
+    const marks = page.locator('#ner-text .ner-entity');
+    await expect(marks).toHaveCount(3);
+    await expect(marks.nth(0)).toContainText('Ada Lovelace');
+    await expect(marks.nth(0)).toHaveAttribute('title', 'Person · 98.0%');
+    await expect(page.locator('#ner-text')).toContainText('worked with');
+    await expect(page.locator('#ner-summary')).toHaveText('Showing 3 of 3 entities');
+
+    const legend = page.locator('.detect-legend-item');
+    await expect(legend).toHaveCount(2);
+    await expect(legend.first()).toContainText('Person');
+  });
+
+  test('legend toggles hide an entity type', async ({ page }) => {
+    await tag(page);
+
+    const person = page.locator('.detect-legend-item', { hasText: 'Person' });
+    await person.click();
+    await expect(person).toHaveAttribute('aria-pressed', 'false');
+    await expect(person).toBeFocused();
+    await expect(page.locator('#ner-text .ner-entity')).toHaveCount(1);
+    await expect(page.locator('#ner-text')).toContainText('Ada Lovelace worked with');
+    await expect(page.locator('#ner-summary')).toHaveText('Showing 1 of 3 entities');
+  });
+
+  test('exports the visible entities as JSON', async ({ page }) => {
+    await tag(page);
+    await page.locator('.detect-legend-item', { hasText: 'Location' }).click();
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.click('#export-json-btn');
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('entities.json');
+
+    const json = JSON.parse(readFileSync(await download.path(), 'utf8'));
+    expect(json.text).toBe(TEXT);
+    expect(json.entities.map(e => [e.type, e.text, e.start, e.end])).toEqual([
+      ['PER', 'Ada Lovelace', 0, 12],
+      ['PER', 'Charles Babbage', 25, 40],
+    ]);
+  });
+
+  test('entity text from the model is shown as text, not HTML', async ({ page }) => {
+    await mockPipeline(page, 'token-classification', [{ entity: 'B-<img src=x onerror="globalThis.__XSS = 1">', score: 0.9, index: 1, word: 'Bob' }]);
+    await page.goto('/pages/ner/');
+    await page.fill('#text-input', 'Bob <b>says</b> hi');
+    await page.click('#run-btn');
+
+    await expect(page.locator('#ner-text')).toContainText('<b>says</b>');
+    await expect(page.locator('.detect-legend-item')).toContainText('<img src=x');
+    expect(await page.evaluate(() => globalThis.__XSS)).toBeUndefined();
+  });
+
+  test('error state: model fails to load', async ({ page }) => {
+    await mockPipelineFailure(page);
+    await page.goto('/pages/ner/');
+    await page.fill('#text-input', TEXT);
+
+    const status = page.locator('#model-status');
+    await expect(status).toContainText('Failed to load model');
+    await expect(status).toHaveClass(/model-status--error/);
+  });
+
+  test('accessibility: no WCAG AA violations', async ({ page }) => {
+    await tag(page);
+
+    const results = await new AxeBuilder({ page }).withTags(['wcag2a', 'wcag2aa']).analyze();
+    expect(results.violations).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+import { mockPipeline, mockPipelineFailure } from './helpers/mock-model.js';
+import path from 'node:path';
+import { readFileSync } from 'node:fs';
+
+const DETECTION_RESULT = [
+  { label: 'dog', score: 0.97, box: { xmin: 20, ymin: 30, xmax: 180, ymax: 200 } },
+  { label: 'cat', score: 0.81, box: { xmin: 150, ymin: 40, xmax: 250, ymax: 160 } },
+  { label: 'cat', score: 0.35, box: { xmin: 0, ymin: 0, xmax: 40, ymax: 40 } },
+];
+
+const TEST_IMAGE = path.resolve('tests/e2e/fixtures/test-image.jpg');
+
+async function detect(page) {
+  await mockPipeline(page, 'object-detection', DETECTION_RESULT);
+  await page.goto('/pages/object-detect/');
+  await expect(page.locator('#model-status')).toContainText('Model ready');
+  await page.locator('#file-input').setInputFiles(TEST_IMAGE);
+  await page.click('#run-btn');
+  await expect(page.locator('#detect-results')).toBeVisible();
+}
+
+test.describe('Object Detection', () => {
+  test('draws the image and lists detected classes', async ({ page }) => {
+    await detect(page);
+
+    await expect(page.locator('#detect-canvas')).toBeVisible();
+    await expect(page.locator('#detect-summary')).toHaveText('Showing 2 of 2 objects');
+    const legend = page.locator('.detect-legend-item');
+    await expect(legend).toHaveCount(2);
+    await expect(legend.first()).toContainText('cat');
+  });
+
+  test('threshold slider filters without re-running the model', async ({ page }) => {
+    await detect(page);
+
+    await page.locator('#threshold').fill('0.3');
+    await expect(page.locator('#threshold-value')).toHaveText('30%');
+    await expect(page.locator('#detect-summary')).toHaveText('Showing 3 of 3 objects');
+
+    await page.locator('#threshold').fill('1');
+    await expect(page.locator('#detect-summary')).toContainText('No objects above this score');
+    await expect(page.locator('#export-json-btn')).toBeDisabled();
+  });
+
+  test('legend toggles hide a class', async ({ page }) => {
+    await detect(page);
+
+    const cat = page.locator('.detect-legend-item', { hasText: 'cat' });
+    await cat.click();
+    await expect(cat).toHaveAttribute('aria-pressed', 'false');
+    await expect(cat).toBeFocused();
+    await expect(page.locator('#detect-summary')).toHaveText('Showing 1 of 2 objects');
+
+    await cat.click();
+    await expect(page.locator('#detect-summary')).toHaveText('Showing 2 of 2 objects');
+  });
+
+  test('exports the visible detections as COCO JSON', async ({ page }) => {
+    await detect(page);
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.click('#export-json-btn');
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('test-image-detections.json');
+
+    const coco = JSON.parse(readFileSync(await download.path(), 'utf8'));
+    expect(coco.images[0].file_name).toBe('test-image.jpg');
+    expect(coco.categories.map(c => c.name)).toEqual(['dog', 'cat']);
+    expect(coco.annotations[0].bbox).toEqual([20, 30, 160, 170]);
+  });
+
+  test('records runs in the history and re-runs them', async ({ page }) => {
+    await detect(page);
+    await page.click('#history-toggle');
+
+    const items = page.locator('.history-item');
+    await expect(items).toHaveCount(1);
+    await expect(items.first().locator('.history-input')).toHaveText('test-image.jpg');
+    await expect(items.first()).toContainText('1 cat · 1 dog');
+
+    await items.first().getByRole('button', { name: 'Re-run' }).click();
+    await expect(items).toHaveCount(2);
+    await expect(page.locator('#detect-summary')).toHaveText('Showing 2 of 2 objects');
+  });
+
+  test('rejects non-image file with error message', async ({ page }) => {
+    await mockPipeline(page, 'object-detection', DETECTION_RESULT);
+    await page.goto('/pages/object-detect/');
+
+    await page.locator('#file-input').setInputFiles({ name: 'notes.txt', mimeType: 'text/plain', buffer: Buffer.from('hello') });
+    await expect(page.locator('#error-message')).toContainText('Please upload an image file');
+    await expect(page.locator('#run-btn')).toBeDisabled();
+  });
+
+  test('error state: model fails to load', async ({ page }) => {
+    await mockPipelineFailure(page);
+    await page.goto('/pages/object-detect/');
+
+    const status = page.locator('#model-status');
+    await expect(status).toContainText('Failed to load model');
+    await expect(status).toHaveClass(/model-status--error/);
+  });
+
+  test('accessibility: no WCAG AA violations', async ({ page }) => {
+    await detect(page);
+
+    const results = await new AxeBuilder({ page }).withTags(['wcag2a', 'wcag2aa']).analyze();
+    expect(results.violations).toEqual([]);
+  });
+});
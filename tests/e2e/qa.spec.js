@@ -0,0 +1,92 @@
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+import { mockPipeline, mockPipelineFailure } from './helpers/mock-model.js';
+
+const CONTEXT = 'Ada Lovelace wrote the first published program for the Analytical Engine in 1843.';
+
+// The default model is a small download, so it loads as soon as the page opens
+async function ask(page, question) {
+  await page.fill('#question-input', question);
+  await page.click('#run-btn');
+  await expect(page.locator('.qa-turn').last().locator('.qa-question')).toHaveText(question);
+}
+
+async function openWithDocument(page, result = { answer: 'ada lovelace', score: 0.93 }) {
+  await mockPipeline(page, 'question-answering', result);
+  await page.goto('/pages/qa/');
+  await expect(page.locator('#model-status')).toContainText('Model ready');
+  await page.fill('#context-input', CONTEXT);
+}
+
+test.describe('Question Answering', () => {
+  test('answers with a confidence score and highlights the span in the document', async ({ page }) => {
+    await openWithDocument(page);
+    await ask(page, 'Who wrote the first program?');
+
+    const turn = page.locator('.qa-turn').first();
+    await expect(turn.locator('.qa-answer-text')).toHaveText('Ada Lovelace');
+    await expect(turn.locator('.qa-confidence')).toHaveText('Confidence 93.0%');
+    await expect(page.locator('#context-view')).toBeVisible();
+    await expect(page.locator('#context-text .qa-answer-mark')).toHaveText('Ada Lovelace');
+    await expect(page.locator('#context-text')).toContainText('Analytical Engine');
+    await expect(page.locator('#question-input')).toHaveValue('');
+    await expect(page.locator('#question-input')).toBeFocused();
+  });
+
+  test('keeps earlier questions about the same document', async ({ page }) => {
+    await openWithDocument(page);
+    await ask(page, 'Who wrote the first program?');
+    await ask(page, 'Who was the author?');
+    await expect(page.locator('.qa-turn')).toHaveCount(2);
+
+    await page.fill('#context-input', 'A different document about Ada Lovelace.');
+    await expect(page.locator('#context-view')).toBeHidden();
+    await ask(page, 'Who is it about?');
+    await expect(page.locator('.qa-turn')).toHaveCount(1);
+  });
+
+  test('enter in the question box asks it', async ({ page }) => {
+    await openWithDocument(page);
+    await page.fill('#question-input', 'Who wrote it?');
+    await page.press('#question-input', 'Enter');
+    await expect(page.locator('.qa-turn')).toHaveCount(1);
+    await expect(page).toHaveURL(/\/pages\/qa\/$/);
+  });
+
+  test('flags low-confidence answers', async ({ page }) => {
+    await openWithDocument(page, { answer: '1843', score: 0.04 });
+    await ask(page, 'What is the capital of France?');
+    await expect(page.locator('.qa-low-confidence')).toBeVisible();
+  });
+
+  test('long documents are read in overlapping parts', async ({ page }) => {
+    await mockPipeline(page, 'question-answering', { answer: 'Ada', score: 0.9 });
+    await page.goto('/pages/qa/');
+    await page.fill('#context-input', `Ada ${'word '.repeat(400)}`);
+    await expect(page.locator('#context-meta')).toHaveText('Long document: each question reads it in 2 overlapping parts');
+  });
+
+  test('the question and answer are shown as text, not HTML', async ({ page }) => {
+    await openWithDocument(page, { answer: '<img src=x onerror="globalThis.__XSS = 1">', score: 0.5 });
+    await ask(page, '<b>Who</b>?');
+    await expect(page.locator('.qa-answer-text')).toContainText('<img src=x');
+    expect(await page.evaluate(() => globalThis.__XSS)).toBeUndefined();
+  });
+
+  test('error state: model fails to load', async ({ page }) => {
+    await mockPipelineFailure(page);
+    await page.goto('/pages/qa/');
+
+    const status = page.locator('#model-status');
+    await expect(status).toContainText('Failed to load model');
+    await expect(status).toHaveClass(/model-status--error/);
+  });
+
+  test('accessibility: no WCAG AA violations', async ({ page }) => {
+    await openWithDocument(page);
+    await ask(page, 'Who wrote the first program?');
+
+    const results = await new AxeBuilder({ page }).withTags(['wcag2a', 'wcag2aa']).analyze();
+    expect(results.violations).toEqual([]);
+  });
+});
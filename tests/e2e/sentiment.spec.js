@@ -1,6 +1,6 @@
 import { test, expect } from '@playwright/test';
 import AxeBuilder from '@axe-core/playwright';
-import { mockPipeline, mockPipelineFailure } from './helpers/mock-model.js';
+import { mockPipeline, mockPipelineFailure, mockPipelineStalled } from './helpers/mock-model.js';
 
 const POSITIVE_RESULT = [{ label: 'POSITIVE', score: 0.9998 }];
 const NEGATIVE_RESULT = [{ label: 'NEGATIVE', score: 0.9854 }];
@@ -13,6 +13,7 @@ test.describe('Sentiment Analysis', () => {
     const status = page.locator('#model-status');
     await expect(status).toContainText('Model ready');
     await expect(status).toHaveClass(/model-status--ready/);
+    await expect(status.locator('a')).toHaveAttribute('href', '/pages/cache/');
   });
 
   test('analyze button disabled until model ready', async ({ page }) => {
@@ -80,6 +81,21 @@ test.describe('Sentiment Analysis', () => {
     await expect(status).toHaveClass(/model-status--error/);
   });
 
+  test('error state: unsupported backend offers the WASM backend', async ({ page }) => {
+    await mockPipelineFailure(page, 'no available backend found. ERR: [webgpu] backend not found.');
+    await page.goto('/pages/sentiment/');
+
+    const status = page.locator('#model-status');
+    await expect(status).toContainText('Backend not supported');
+    await page.click('#wasm-retry-btn');
+
+    // Still failing on WASM leaves only the model switch
+    await expect(status).toContainText('Backend not supported');
+    await expect(page.locator('#wasm-retry-btn')).toHaveCount(0);
+    await page.click('#switch-model-btn');
+    await expect(page.locator('#model-select')).toBeFocused();
+  });
+
   test('second submission works without page refresh', async ({ page }) => {
     await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
     await page.goto('/pages/sentiment/');
@@ -132,6 +148,148 @@ test.describe('Sentiment Analysis', () => {
     expect(errors).toHaveLength(0);
   });
 
+  test('batch mode: one item per line renders a table and distribution', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+
+    await page.click('#tab-batch');
+    await page.fill('#batch-input', 'Loved it\nGreat service\n\nWould return');
+    await expect(page.locator('#batch-source')).toHaveText('3 lines');
+    await page.fill('#batch-size', '2');
+    await page.click('#batch-run-btn');
+
+    const result = page.locator('#batch-result-area');
+    await expect(result.locator('tbody tr')).toHaveCount(3);
+    await expect(result).toContainText('Positive: 3 (100.0%)');
+
+    const download = page.waitForEvent('download');
+    await page.click('#batch-export-btn');
+    expect((await download).suggestedFilename()).toBe('sentiment-results.csv');
+  });
+
+  test('batch mode: uploaded CSV with selectable text column', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', NEGATIVE_RESULT);
+    await page.goto('/pages/sentiment/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+
+    await page.click('#tab-batch');
+    await page.locator('#csv-input').setInputFiles({
+      name: 'reviews.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from('id,review\n1,"Cold food, slow service"\n2,Never again\n'),
+    });
+    await expect(page.locator('#csv-column')).toHaveValue('1');
+    await expect(page.locator('#batch-source')).toHaveText('2 rows from reviews.csv');
+    await page.click('#batch-run-btn');
+
+    const result = page.locator('#batch-result-area');
+    await expect(result).toContainText('Cold food, slow service');
+    await expect(result).toContainText('Negative: 2 (100.0%)');
+  });
+
+  test('batch mode: input starts a load that waits for input', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/?model=Xenova/twitter-roberta-base-sentiment-latest');
+    await expect(page.locator('#model-status')).not.toContainText('Model ready');
+
+    await page.click('#tab-batch');
+    await page.fill('#batch-input', 'Loved it\nNever again');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await expect(page.locator('#batch-run-btn')).toBeEnabled();
+  });
+
+  test('model picker: switching models reloads and persists the choice', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await expect(page.locator('#size-warning')).toContainText('~67 MB');
+
+    await page.selectOption('#model-select', 'Xenova/twitter-roberta-base-sentiment-latest');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await expect(page.locator('#size-warning')).toContainText('~126 MB');
+    await expect(page).toHaveURL(/model=Xenova%2Ftwitter-roberta-base-sentiment-latest/);
+
+    // Stored choice survives a visit without the query string
+    await page.goto('/pages/sentiment/');
+    await expect(page.locator('#model-select')).toHaveValue('Xenova/twitter-roberta-base-sentiment-latest');
+  });
+
+  test('compare mode: runs the text through two models side by side', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/');
+    await page.click('#tab-compare');
+
+    // The current model plus the next registry entry are preselected
+    const checkboxes = page.locator('#compare-models input[type="checkbox"]');
+    await expect(checkboxes).toHaveCount(2);
+    await expect(checkboxes.nth(0)).toBeChecked();
+    await expect(checkboxes.nth(1)).toBeChecked();
+
+    await expect(page.locator('#compare-run-btn')).toBeDisabled();
+    await page.fill('#compare-input', 'Not bad at all.');
+    await page.click('#compare-run-btn');
+
+    const columns = page.locator('.compare-column');
+    await expect(columns).toHaveCount(2);
+    await expect(columns.nth(1)).toContainText('Twitter RoBERTa');
+    await expect(columns.nth(1).locator('.compare-column-latency')).toHaveText(/\d+(\.\d+)? m?s/);
+    await expect(page.locator('#compare-agreement')).toHaveText('All 2 models agree: POSITIVE');
+    await expect(page.locator('.compare-column--agree')).toHaveCount(2);
+
+    // Fewer than two models cannot be compared
+    await checkboxes.nth(1).uncheck();
+    await expect(page.locator('#compare-run-btn')).toBeDisabled();
+  });
+
+  test('compare mode: model loads show progress and can be cancelled', async ({ page }) => {
+    await mockPipelineStalled(page);
+    await page.goto('/pages/sentiment/');
+    await page.click('#tab-compare');
+    await page.fill('#compare-input', 'Not bad at all.');
+    await page.click('#compare-run-btn');
+
+    const columns = page.locator('.compare-column');
+    await expect(columns.nth(1)).toContainText('Loading model… 25%');
+    await page.click('#compare-cancel-btn');
+    await expect(columns.nth(0)).toContainText('Loading cancelled');
+    await expect(columns.nth(1)).toContainText('Loading cancelled');
+    await expect(page.locator('#compare-agreement')).toHaveText('Comparison cancelled');
+    await expect(page.locator('#compare-run-btn')).toBeEnabled();
+    // The loads are shared with the page, so cancelling the comparison leaves them running
+    expect(await page.evaluate(() => globalThis.__TEST_LOAD_ABORTED)).toBeUndefined();
+    await expect(page.locator('#model-status')).not.toHaveClass(/model-status--cancelled/);
+  });
+
+  test('loading shows download stats and Cancel really aborts the load', async ({ page }) => {
+    await mockPipelineStalled(page);
+    await page.goto('/pages/sentiment/');
+
+    const status = page.locator('#model-status');
+    await expect(status.locator('#load-detail')).toContainText('16.0 MB of 64.0 MB');
+    await page.click('#cancel-load-btn');
+
+    await expect(status).toHaveClass(/model-status--cancelled/);
+    await expect(status).toContainText('Download cancelled');
+    expect(await page.evaluate(() => globalThis.__TEST_LOAD_ABORTED)).toBe(true);
+    await expect(page.locator('#run-btn')).toBeDisabled();
+  });
+
+  test('unload frees the model and Load model brings it back', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/');
+    await page.fill('#text-input', 'Lovely.');
+    await expect(page.locator('#run-btn')).toBeEnabled();
+
+    await page.click('#unload-btn');
+    await expect(page.locator('#model-status')).toContainText('Model unloaded');
+    await expect(page.locator('#run-btn')).toBeDisabled();
+
+    await page.click('#load-btn');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await expect(page.locator('#run-btn')).toBeEnabled();
+  });
+
   test('accessibility: no WCAG AA violations', async ({ page }) => {
     await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
     await page.goto('/pages/sentiment/');
@@ -141,3 +299,193 @@ test.describe('Sentiment Analysis', () => {
     expect(results.violations).toEqual([]);
   });
 });
+
+test.describe('Sentiment Analysis — explanations', () => {
+  test('highlights the words that drove the prediction', async ({ page }) => {
+    // Scores POSITIVE 0.95 while "loved" is present, 0.4 without it; "boring" costs 0.1
+    await page.addInitScript(() => {
+      const score = (text) => {
+        let positive = text.includes('loved') ? 0.95 : 0.4;
+        if (text.includes('boring')) positive -= 0.1;
+        return [{ label: 'POSITIVE', score: positive }, { label: 'NEGATIVE', score: 1 - positive }];
+      };
+      globalThis.__TEST_PIPELINE_FN = async () => async (input) => (Array.isArray(input)
+        ? input.map(score)
+        : [score(input).sort((a, b) => b.score - a.score)[0]]);
+    });
+    await page.route(/huggingface\.co/, route => route.fulfill({ status: 200, contentType: 'application/json', body: '{}' }));
+    await page.goto('/pages/sentiment/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+
+    await page.fill('#text-input', 'I loved it, <b>not</b> boring');
+    await page.click('#run-btn');
+    await expect(page.locator('#result-area')).toContainText('POSITIVE');
+    await page.click('#explain-btn');
+
+    const explanation = page.locator('#explanation');
+    await expect(explanation.locator('.explain-token--supports')).toHaveText('loved');
+    await expect(explanation.locator('.explain-token--opposes')).toHaveText('boring');
+    await expect(explanation.locator('.explain-top li').first()).toContainText('“loved” supports the prediction (+55.0 pts)');
+    // The user's text is rendered as text
+    await expect(explanation.locator('.explain-text')).toContainText('<b>not</b>');
+    await expect(explanation.locator('b')).toHaveCount(0);
+  });
+});
+
+test.describe('Sentiment Analysis — benchmark', () => {
+  test('times each precision on the current text and exports JSON', async ({ page }) => {
+    // fp16 weights are "missing" for this model, so that configuration fails to load
+    await page.addInitScript(() => {
+      globalThis.__TEST_PIPELINE_FN = async (task, model, options) => {
+        if (options?.dtype === 'fp16') throw new Error('No fp16 weights');
+        return async () => [{ label: 'POSITIVE', score: 0.99 }];
+      };
+    });
+    await page.route(/huggingface\.co/, route => route.fulfill({ status: 200, contentType: 'application/json', body: '{}' }));
+    await page.goto('/pages/sentiment/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+
+    await page.locator('#benchmark-section summary').click();
+    const runBtn = page.locator('#benchmark-run-btn');
+    await expect(runBtn).toBeDisabled();
+    await page.fill('#text-input', 'Fast enough?');
+    await expect(runBtn).toBeEnabled();
+
+    await page.getByLabel('fp16').check();
+    await page.fill('#benchmark-warmup', '1');
+    await page.fill('#benchmark-iterations', '3');
+    await runBtn.click();
+
+    const rows = page.locator('.benchmark-table tbody tr');
+    await expect(rows).toHaveCount(3);
+    await expect(rows.filter({ hasText: 'fp16' })).toContainText('Failed to load');
+    await expect(rows.filter({ hasText: 'q8' })).toContainText('runs/s');
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.click('#benchmark-export-btn');
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toMatch(/^benchmark-distilbert-base-uncased-finetuned-sst-2-english-\d{4}-\d{2}-\d{2}\.json$/);
+  });
+});
+
+test.describe('Sentiment Analysis — permalinks', () => {
+  test('a copied link reopens with the same model and text, and runs once', async ({ page, context }) => {
+    await context.grantPermissions(['clipboard-read', 'clipboard-write']);
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/?model=Xenova/twitter-roberta-base-sentiment-latest');
+    // The larger model starts loading with the first input
+    await expect(page.locator('#model-status')).toContainText('Model loads when you add input');
+    await page.fill('#text-input', 'Sharing is <i>caring</i> ✨');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await page.click('#run-btn');
+    await page.click('#share-btn');
+    await expect(page.locator('#share-btn')).toHaveText('Link copied');
+    const link = await page.evaluate(() => navigator.clipboard.readText());
+    expect(link).toBe(page.url());
+    expect(new URL(link).hash).toMatch(/^#s=/);
+
+    const shared = await context.newPage();
+    await mockPipeline(shared, 'sentiment-analysis', POSITIVE_RESULT);
+    await shared.goto(link);
+    await expect(shared.locator('#model-select')).toHaveValue('Xenova/twitter-roberta-base-sentiment-latest');
+    await expect(shared.locator('#text-input')).toHaveValue('Sharing is <i>caring</i> ✨');
+    await expect(shared.locator('#result-area')).toContainText('POSITIVE');
+  });
+
+  test('a broken link opens the page normally', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/#s=broken');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await expect(page.locator('#text-input')).toHaveValue('');
+    await expect(page.locator('#result-area')).toBeEmpty();
+  });
+});
+
+test.describe('Sentiment Analysis — history', () => {
+  async function analyze(page, text) {
+    await page.fill('#text-input', text);
+    await page.click('#run-btn');
+    await expect(page.locator('#run-btn')).toHaveText('Analyze');
+  }
+
+  test('keeps past runs across reloads, with search, pin, delete and re-run', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await analyze(page, 'The soup was <b>great</b>');
+    await analyze(page, 'Lovely staff');
+
+    const toggle = page.locator('#history-toggle');
+    await expect(toggle).toHaveText('History (2)');
+    await toggle.click();
+    await expect(toggle).toHaveAttribute('aria-expanded', 'true');
+    const items = page.locator('.history-item');
+    await expect(items).toHaveCount(2);
+    await expect(items.first()).toContainText('Lovely staff'); // Newest first
+    await expect(items.last().locator('.history-input')).toHaveText('The soup was <b>great</b>');
+    await expect(items.first()).toContainText('POSITIVE 100.0%');
+
+    await page.fill('#history-search', 'soup');
+    await expect(items).toHaveCount(1);
+    await items.first().getByRole('button', { name: 'Pin' }).click();
+    await page.fill('#history-search', '');
+    await expect(items.first()).toContainText('The soup'); // Pinned entries come first
+
+    await page.reload();
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await page.click('#history-toggle');
+    await expect(items).toHaveCount(2);
+    await expect(items.first().getByRole('button', { name: 'Unpin' })).toHaveAttribute('aria-pressed', 'true');
+
+    await items.last().getByRole('button', { name: 'Delete' }).click();
+    await expect(items).toHaveCount(1);
+
+    await items.first().getByRole('button', { name: 'Re-run' }).click();
+    await expect(page.locator('#text-input')).toHaveValue('The soup was <b>great</b>');
+    await expect(page.locator('#result-area')).toContainText('POSITIVE');
+    await expect(items).toHaveCount(2);
+  });
+
+  test('exports history as JSON and rejects foreign imports', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await analyze(page, 'Export me');
+    await page.click('#history-toggle');
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.click('#history-export-btn');
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('sentiment-analysis-history.json');
+
+    await page.locator('#history-import-input').setInputFiles({
+      name: 'other.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify({ format: 'model-student-history', version: 1, task: 'summarization', entries: [] })),
+    });
+    await expect(page.locator('#history-message')).toHaveText('That history is from a different experiment (summarization).');
+  });
+
+  test('skips imported entries with forged ids', async ({ page }) => {
+    await mockPipeline(page, 'sentiment-analysis', POSITIVE_RESULT);
+    await page.goto('/pages/sentiment/');
+    await page.click('#history-toggle');
+
+    const forged = {
+      id: '"><img src=x onerror="globalThis.__XSS = 1">',
+      task: 'sentiment-analysis',
+      model: 'Xenova/distilbert-base-uncased-finetuned-sst-2-english',
+      createdAt: 1,
+      summary: 'POSITIVE',
+      input: { kind: 'text', text: 'Hi' },
+    };
+    await page.locator('#history-import-input').setInputFiles({
+      name: 'history.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify({ format: 'model-student-history', version: 1, task: 'sentiment-analysis', entries: [forged] })),
+    });
+    await expect(page.locator('#history-message')).toHaveText('Imported 0 runs (1 invalid skipped).');
+    await expect(page.locator('.history-item')).toHaveCount(0);
+    expect(await page.evaluate(() => globalThis.__XSS)).toBeUndefined();
+  });
+});
@@ -0,0 +1,104 @@
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+import { mockPipeline, mockPipelineFailure } from './helpers/mock-model.js';
+
+const SUMMARY_RESULT = [{ summary_text: 'The quick brown fox jumped over the lazy dog.' }];
+
+const LONG_TEXT = 'The quick brown fox jumped over the lazy dog while the farmer watched from the porch. '.repeat(5).trim();
+
+// The default model is too large to download unasked: open the page and start the load
+async function openAndLoad(page) {
+  await page.goto('/pages/summarize/');
+  await page.click('#load-btn');
+}
+
+test.describe('Text Summarization', () => {
+  test('waits for a click before downloading, then shows model ready state', async ({ page }) => {
+    await mockPipeline(page, 'summarization', SUMMARY_RESULT);
+    await page.goto('/pages/summarize/');
+
+    const status = page.locator('#model-status');
+    await expect(status).toContainText('Model not loaded (~284 MB download)');
+    await expect(status).toHaveClass(/model-status--awaiting-consent/);
+    await page.fill('#text-input', LONG_TEXT);
+    await expect(status).toHaveClass(/model-status--awaiting-consent/);
+
+    await page.click('#load-btn');
+    await expect(status).toContainText('Model ready');
+    await expect(status).toHaveClass(/model-status--ready/);
+  });
+
+  test('"Always load automatically" loads now and on later visits', async ({ page }) => {
+    await mockPipeline(page, 'summarization', SUMMARY_RESULT);
+    await page.goto('/pages/summarize/');
+
+    await page.check('#always-load');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await page.reload();
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+  });
+
+  test('shows download size warning', async ({ page }) => {
+    await mockPipeline(page, 'summarization', SUMMARY_RESULT);
+    await page.goto('/pages/summarize/');
+
+    await expect(page.locator('.size-warning')).toContainText('~284 MB');
+  });
+
+  test('button disabled when textarea empty', async ({ page }) => {
+    await mockPipeline(page, 'summarization', SUMMARY_RESULT);
+    await openAndLoad(page);
+
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await expect(page.locator('#run-btn')).toBeDisabled();
+  });
+
+  test('full flow: paste text, summarize, see summary with word count stats', async ({ page }) => {
+    await mockPipeline(page, 'summarization', SUMMARY_RESULT);
+    await openAndLoad(page);
+
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await page.fill('#text-input', LONG_TEXT);
+    await page.click('#run-btn');
+
+    const resultArea = page.locator('#result-area');
+    await expect(resultArea).toContainText('The quick brown fox jumped over the lazy dog.');
+    await expect(resultArea).toContainText('Original: 80 words → Summary: 9 words');
+    await expect(resultArea).toContainText('Compression: 89%');
+  });
+
+  test('short text warning for input under 30 words', async ({ page }) => {
+    await mockPipeline(page, 'summarization', SUMMARY_RESULT);
+    await openAndLoad(page);
+
+    const warning = page.locator('#short-warning');
+    await expect(warning).toBeHidden();
+
+    await page.fill('#text-input', 'Just a few words.');
+    await expect(warning).toBeVisible();
+    await expect(warning).toContainText('Text may be too short');
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+    await expect(page.locator('#run-btn')).toBeEnabled();
+
+    await page.fill('#text-input', LONG_TEXT);
+    await expect(warning).toBeHidden();
+  });
+
+  test('error state: model fails to load', async ({ page }) => {
+    await mockPipelineFailure(page);
+    await openAndLoad(page);
+
+    const status = page.locator('#model-status');
+    await expect(status).toContainText('Failed to load model');
+    await expect(status).toHaveClass(/model-status--error/);
+  });
+
+  test('accessibility: no WCAG AA violations', async ({ page }) => {
+    await mockPipeline(page, 'summarization', SUMMARY_RESULT);
+    await openAndLoad(page);
+    await expect(page.locator('#model-status')).toContainText('Model ready');
+
+    const results = await new AxeBuilder({ page }).withTags(['wcag2a', 'wcag2aa']).analyze();
+    expect(results.violations).toEqual([]);
+  });
+});
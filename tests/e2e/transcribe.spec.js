@@ -0,0 +1,124 @@
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+import { mockPipeline, mockPipelineFailure } from './helpers/mock-model.js';
+import { readFileSync } from 'node:fs';
+
+// A 16-bit PCM WAV of a quiet tone; the mocked model never listens to it
+function wavFile(seconds, sampleRate = 44100) {
+  const samples = Math.round(seconds * sampleRate);
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // Mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i++) buffer.writeInt16LE(Math.round(1000 * Math.sin(i / 10)), 44 + i * 2);
+  return { name: 'greeting.wav', mimeType: 'audio/wav', buffer };
+}
+
+const ASR_RESULT = {
+  text: ' Hello there. General Kenobi.',
+  chunks: [
+    { text: ' Hello there.', timestamp: [0, 1.5] },
+    { text: ' General Kenobi.', timestamp: [1.5, null] },
+  ],
+};
+
+// The default model is a small download, so it loads as soon as the page opens
+async function transcribe(page) {
+  await mockPipeline(page, 'automatic-speech-recognition', ASR_RESULT);
+  await page.goto('/pages/transcribe/');
+  await expect(page.locator('#model-status')).toContainText('Model ready');
+  await page.locator('#file-input').setInputFiles(wavFile(3));
+  await expect(page.locator('#audio-meta')).toHaveText('greeting.wav · 0:03');
+  await page.click('#run-btn');
+  await expect(page.locator('#transcript-results')).toBeVisible();
+}
+
+test.describe('Speech to Text', () => {
+  test('transcribes an uploaded file into timestamped segments', async ({ page }) => {
+    await transcribe(page);
+
+    await expect(page.locator('#transcript-text')).toHaveText('Hello there. General Kenobi.');
+    const segments = page.locator('.transcript-segment');
+    await expect(segments).toHaveCount(2);
+    await expect(segments.nth(0)).toContainText('0:00–0:01');
+    // The open final segment runs to the end of the audio
+    await expect(segments.nth(1)).toContainText('0:01–0:03');
+  });
+
+  test('exports SRT and VTT subtitles', async ({ page }) => {
+    await transcribe(page);
+
+    let downloadPromise = page.waitForEvent('download');
+    await page.click('#export-srt-btn');
+    let download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('greeting.srt');
+    expect(readFileSync(await download.path(), 'utf8')).toBe(
+      '1\n00:00:00,000 --> 00:00:01,500\nHello there.\n\n2\n00:00:01,500 --> 00:00:03,000\nGeneral Kenobi.\n',
+    );
+
+    downloadPromise = page.waitForEvent('download');
+    await page.click('#export-vtt-btn');
+    download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('greeting.vtt');
+    expect(readFileSync(await download.path(), 'utf8')).toMatch(/^WEBVTT\n\n00:00:00\.000 --> 00:00:01\.500\nHello there\./);
+  });
+
+  test('rejects files that are not WAV or MP3', async ({ page }) => {
+    await mockPipeline(page, 'automatic-speech-recognition', ASR_RESULT);
+    await page.goto('/pages/transcribe/');
+    await page.locator('#file-input').setInputFiles({ name: 'notes.txt', mimeType: 'text/plain', buffer: Buffer.from('hello') });
+
+    await expect(page.locator('#error-message')).toHaveText('Please upload a WAV or MP3 file.');
+    await expect(page.locator('#run-btn')).toBeDisabled();
+  });
+
+  test('explains a denied microphone', async ({ page }) => {
+    await page.addInitScript(() => {
+      navigator.mediaDevices.getUserMedia = async () => { throw new DOMException('Permission denied', 'NotAllowedError'); };
+    });
+    await mockPipeline(page, 'automatic-speech-recognition', ASR_RESULT);
+    await page.goto('/pages/transcribe/');
+    await page.click('#record-btn');
+
+    await expect(page.locator('#error-message')).toContainText('Microphone access was denied');
+    await expect(page.locator('#record-btn')).toHaveAttribute('aria-pressed', 'false');
+  });
+
+  test('transcript text from the model is shown as text, not HTML', async ({ page }) => {
+    await mockPipeline(page, 'automatic-speech-recognition', {
+      text: '<img src=x onerror="globalThis.__XSS = 1">',
+      chunks: [{ text: '<img src=x onerror="globalThis.__XSS = 1">', timestamp: [0, 1] }],
+    });
+    await page.goto('/pages/transcribe/');
+    await page.locator('#file-input').setInputFiles(wavFile(1));
+    await page.click('#run-btn');
+
+    await expect(page.locator('#transcript-text')).toContainText('<img src=x');
+    expect(await page.evaluate(() => globalThis.__XSS)).toBeUndefined();
+  });
+
+  test('error state: model fails to load', async ({ page }) => {
+    await mockPipelineFailure(page);
+    await page.goto('/pages/transcribe/');
+
+    const status = page.locator('#model-status');
+    await expect(status).toContainText('Failed to load model');
+    await expect(status).toHaveClass(/model-status--error/);
+  });
+
+  test('accessibility: no WCAG AA violations', async ({ page }) => {
+    await transcribe(page);
+
+    const results = await new AxeBuilder({ page }).withTags(['wcag2a', 'wcag2aa']).analyze();
+    expect(results.violations).toEqual([]);
+  });
+});
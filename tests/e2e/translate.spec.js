@@ -0,0 +1,124 @@
+import { test, expect } from '@playwright/test';
+import AxeBuilder from '@axe-core/playwright';
+import { mockPipeline, mockPipelineFailure } from './helpers/mock-model.js';
+
+// Translates by tagging each sentence with the target language, so the output shows which direction ran
+async function mockTranslator(page) {
+  await mockPipeline(page, 'translation', null);
+  await page.addInitScript(() => {
+    globalThis.__TEST_TRANSLATIONS = [];
+    globalThis.__TEST_PIPELINE_FN = async () => async (text, options) => {
+      globalThis.__TEST_TRANSLATIONS.push({ text, options });
+      return [{ translation_text: `[${options?.tgt_lang}] ${text}` }];
+    };
+  });
+}
+
+// The default model is too large to download unasked: open the page and start the load
+async function openAndLoad(page) {
+  await page.goto('/pages/translate/');
+  await page.click('#load-btn');
+  await expect(page.locator('#model-status')).toContainText('Model ready');
+}
+
+test.describe('Translation', () => {
+  test('translates sentence by sentence, keeping line breaks', async ({ page }) => {
+    await mockTranslator(page);
+    await openAndLoad(page);
+
+    await page.fill('#text-input', 'Hello there. How are you?\n\nGoodbye.');
+    await page.click('#run-btn');
+
+    const output = page.locator('#translate-output');
+    await expect(page.locator('#translate-progress')).toHaveText('3 sentences translated');
+    expect(await output.textContent()).toBe('[fr] Hello there. [fr] How are you?\n\n[fr] Goodbye.');
+    await expect(output).toHaveAttribute('lang', 'fr');
+    const calls = await page.evaluate(() => globalThis.__TEST_TRANSLATIONS);
+    expect(calls.map(c => c.text)).toEqual(['Hello there.', 'How are you?', 'Goodbye.']);
+    expect(calls[0].options).toEqual({ src_lang: 'en', tgt_lang: 'fr' });
+  });
+
+  test('swapping languages moves the translation into the input', async ({ page }) => {
+    await mockTranslator(page);
+    await openAndLoad(page);
+
+    await page.fill('#text-input', 'Hello.');
+    await page.click('#run-btn');
+    await expect(page.locator('#translate-output')).toHaveText('[fr] Hello.');
+
+    await page.click('#swap-btn');
+    await expect(page.locator('#source-lang')).toHaveValue('fr');
+    await expect(page.locator('#target-lang')).toHaveValue('en');
+    await expect(page.locator('#text-input')).toHaveValue('[fr] Hello.');
+    await expect(page.locator('#translate-results')).toBeHidden();
+  });
+
+  test('needs two different languages', async ({ page }) => {
+    await mockTranslator(page);
+    await openAndLoad(page);
+
+    await page.fill('#text-input', 'Hello.');
+    await page.selectOption('#target-lang', 'en');
+    await expect(page.locator('#lang-hint')).toHaveText('Pick two different languages.');
+    await expect(page.locator('#run-btn')).toBeDisabled();
+  });
+
+  test('one-way models fix the language pair', async ({ page }) => {
+    await mockTranslator(page);
+    await page.goto('/pages/translate/');
+
+    await page.selectOption('#model-select', 'Xenova/opus-mt-en-fr');
+    await expect(page.locator('#source-lang')).toBeDisabled();
+    await expect(page.locator('#target-lang')).toHaveValue('fr');
+    await expect(page.locator('#swap-btn')).toBeDisabled();
+    await expect(page.locator('#lang-hint')).toContainText('Pick a multilingual model');
+  });
+
+  test('translations are shown as text, not HTML', async ({ page }) => {
+    await mockTranslator(page);
+    await openAndLoad(page);
+
+    await page.fill('#text-input', '<img src=x onerror="globalThis.__XSS = 1">');
+    await page.click('#run-btn');
+
+    await expect(page.locator('#translate-output')).toHaveText('[fr] <img src=x onerror="globalThis.__XSS = 1">');
+    expect(await page.evaluate(() => globalThis.__XSS)).toBeUndefined();
+  });
+
+  test('download progress lists the encoder and decoder files', async ({ page }) => {
+    await page.addInitScript(() => {
+      const MB = 1024 * 1024;
+      globalThis.__TEST_PIPELINE_FN = (task, model, options) => new Promise(() => {
+        const report = (file, loaded, total) => options.progress_callback({ status: 'progress', name: model, file, progress: (loaded / total) * 100, loaded, total });
+        report('onnx/encoder_model_quantized.onnx', 200 * MB, 200 * MB);
+        options.progress_callback({ status: 'done', name: model, file: 'onnx/encoder_model_quantized.onnx' });
+        report('onnx/decoder_model_merged_quantized.onnx', 90 * MB, 360 * MB);
+      });
+    });
+    await page.goto('/pages/translate/');
+    await page.click('#load-btn');
+
+    await expect(page.locator('#load-files')).toHaveText('encoder_model_quantized done · decoder_model_merged_quantized 25%');
+  });
+
+  test('error state: model fails to load', async ({ page }) => {
+    await mockPipelineFailure(page);
+    await page.goto('/pages/translate/');
+    await page.click('#load-btn');
+
+    const status = page.locator('#model-status');
+    await expect(status).toContainText('Failed to load model');
+    await expect(status).toHaveClass(/model-status--error/);
+  });
+
+  test('accessibility: no WCAG AA violations', async ({ page }) => {
+    await mockTranslator(page);
+    await openAndLoad(page);
+    await page.fill('#text-input', 'Hello.');
+    await page.click('#run-btn');
+    await expect(page.locator('#translate-output')).toHaveText('[fr] Hello.');
+
+    const results = await new AxeBuilder({ page }).withTags(['wcag2a', 'wcag2aa']).analyze();
+    expect(results.violations).toEqual([]);
+  });
+});
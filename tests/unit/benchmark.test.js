@@ -0,0 +1,196 @@
+import { describe, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRunCount, benchmarkConfigs, percentile, summarizeTimings, runBenchmark, benchmarkReport, benchmarkFileName,
+} from '../../lib/benchmark.js';
+
+// Clock that advances by the given steps, one per call
+function steppingClock(steps) {
+  let t = 0;
+  let i = 0;
+  return () => {
+    const now = t;
+    t += steps[i++ % steps.length];
+    return now;
+  };
+}
+
+describe('parseRunCount', () => {
+  test('parses whole numbers', () => {
+    assert.strictEqual(parseRunCount('5', { fallback: 1 }), 5);
+  });
+  test('falls back on non-integers', () => {
+    assert.strictEqual(parseRunCount('abc', { fallback: 3 }), 3);
+    assert.strictEqual(parseRunCount('2.5', { fallback: 3 }), 3);
+  });
+  test('clamps to the range', () => {
+    assert.strictEqual(parseRunCount('0', { min: 1, fallback: 3 }), 1);
+    assert.strictEqual(parseRunCount('5000', { fallback: 3 }), 100);
+  });
+});
+
+describe('benchmarkConfigs', () => {
+  test('crosses devices with dtypes, devices outermost', () => {
+    assert.deepStrictEqual(benchmarkConfigs(['wasm', 'webgpu'], ['fp32', 'q8']), [
+      { device: 'wasm', dtype: 'fp32' },
+      { device: 'wasm', dtype: 'q8' },
+      { device: 'webgpu', dtype: 'fp32' },
+      { device: 'webgpu', dtype: 'q8' },
+    ]);
+  });
+  test('is empty when either list is empty', () => {
+    assert.deepStrictEqual(benchmarkConfigs(['wasm'], []), []);
+  });
+});
+
+describe('percentile', () => {
+  test('median of an odd-length list', () => {
+    assert.strictEqual(percentile([30, 10, 20], 50), 20);
+  });
+  test('interpolates between ranks', () => {
+    assert.strictEqual(percentile([10, 20, 30, 40], 50), 25);
+    assert.strictEqual(percentile([0, 100], 95), 95);
+  });
+  test('returns null for no values', () => {
+    assert.strictEqual(percentile([], 50), null);
+  });
+  test('does not mutate the input', () => {
+    const values = [3, 1, 2];
+    percentile(values, 50);
+    assert.deepStrictEqual(values, [3, 1, 2]);
+  });
+});
+
+describe('summarizeTimings', () => {
+  test('computes p50, p95, mean and throughput', () => {
+    const stats = summarizeTimings([100, 100, 100, 100]);
+    assert.deepStrictEqual(stats, { p50Ms: 100, p95Ms: 100, meanMs: 100, throughputPerSec: 10 });
+  });
+  test('all null with no timings', () => {
+    assert.deepStrictEqual(summarizeTimings([]), { p50Ms: null, p95Ms: null, meanMs: null, throughputPerSec: null });
+  });
+});
+
+describe('runBenchmark', () => {
+  const configs = [{ device: 'wasm', dtype: 'q8' }, { device: 'wasm', dtype: 'fp32' }];
+
+  test('times loads and timed runs, skipping warm-up in the stats', async () => {
+    const runOnce = mock.fn(async () => {});
+    const release = mock.fn(async () => {});
+    const results = await runBenchmark({
+      configs: [configs[0]],
+      load: async () => () => {},
+      release,
+      runOnce,
+      warmupRuns: 2,
+      timedRuns: 3,
+      now: steppingClock([50]),
+    });
+    assert.strictEqual(runOnce.mock.calls.length, 5);
+    assert.strictEqual(release.mock.calls.length, 1);
+    assert.strictEqual(results[0].status, 'ok');
+    assert.strictEqual(results[0].loadMs, 50);
+    assert.deepStrictEqual(results[0].timingsMs, [50, 50, 50]);
+    assert.strictEqual(results[0].throughputPerSec, 20);
+  });
+
+  test('records a failed load and moves on', async () => {
+    const results = await runBenchmark({
+      configs,
+      load: async ({ dtype }) => (dtype === 'q8' ? null : () => {}),
+      release: async () => {},
+      runOnce: async () => {},
+      warmupRuns: 0,
+      timedRuns: 1,
+      now: steppingClock([1]),
+    });
+    assert.deepStrictEqual(results.map(r => r.status), ['load-failed', 'ok']);
+    assert.strictEqual(results[0].p50Ms, null);
+  });
+
+  test('records a failed run and still releases the pipeline', async () => {
+    const release = mock.fn(async () => {});
+    const results = await runBenchmark({
+      configs: [configs[0]],
+      load: async () => () => {},
+      release,
+      runOnce: async () => { throw new Error('boom'); },
+      warmupRuns: 1,
+      timedRuns: 1,
+      now: steppingClock([1]),
+    });
+    assert.strictEqual(results[0].status, 'run-failed');
+    assert.strictEqual(release.mock.calls.length, 1);
+  });
+
+  test('stops when aborted, leaving out the unfinished configuration', async () => {
+    const abort = new AbortController();
+    let runs = 0;
+    const results = await runBenchmark({
+      configs,
+      load: async () => () => {},
+      release: async () => {},
+      runOnce: async () => {
+        if (++runs === 4) abort.abort();
+      },
+      warmupRuns: 0,
+      timedRuns: 3,
+      now: steppingClock([1]),
+      signal: abort.signal,
+    });
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].dtype, 'q8');
+  });
+
+  test('reports progress for each phase', async () => {
+    const onProgress = mock.fn();
+    await runBenchmark({
+      configs: [configs[0]],
+      load: async () => () => {},
+      release: async () => {},
+      runOnce: async () => {},
+      warmupRuns: 1,
+      timedRuns: 1,
+      now: steppingClock([1]),
+      onProgress,
+    });
+    assert.deepStrictEqual(onProgress.mock.calls.map(c => c.arguments[0].phase), ['load', 'warmup', 'timed']);
+  });
+});
+
+describe('benchmarkReport', () => {
+  test('rounds to hundredths and keeps raw timings', () => {
+    const report = benchmarkReport({
+      task: 'sentiment-analysis',
+      model: 'org/model',
+      warmupRuns: 2,
+      timedRuns: 2,
+      userAgent: 'test',
+      date: new Date('2026-01-02T03:04:05Z'),
+      results: [{
+        device: 'wasm', dtype: 'q8', status: 'ok', loadMs: 1234.5678, timingsMs: [10.123, 20.456], ...summarizeTimings([10.123, 20.456]),
+      }],
+    });
+    assert.strictEqual(report.createdAt, '2026-01-02T03:04:05.000Z');
+    assert.strictEqual(report.results[0].loadMs, 1234.57);
+    assert.deepStrictEqual(report.results[0].timingsMs, [10.12, 20.46]);
+    assert.strictEqual(report.results[0].p50Ms, 15.29);
+  });
+  test('keeps nulls for failed configurations', () => {
+    const report = benchmarkReport({
+      task: 't', model: 'm', warmupRuns: 0, timedRuns: 1, userAgent: '', date: new Date(0),
+      results: [{ device: 'webgpu', dtype: 'fp16', status: 'load-failed', loadMs: null, timingsMs: [], ...summarizeTimings([]) }],
+    });
+    assert.strictEqual(report.results[0].loadMs, null);
+    assert.strictEqual(report.results[0].throughputPerSec, null);
+  });
+});
+
+describe('benchmarkFileName', () => {
+  test('uses the model name without its organisation and the date', () => {
+    assert.strictEqual(
+      benchmarkFileName('Xenova/distilbert-base-uncased', new Date('2026-10-18T12:00:00Z')),
+      'benchmark-distilbert-base-uncased-2026-10-18.json',
+    );
+  });
+});
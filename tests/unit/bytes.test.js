@@ -0,0 +1,16 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatBytes } from '../../lib/bytes.js';
+
+describe('formatBytes', () => {
+  test('bytes below a kilobyte', () => {
+    assert.strictEqual(formatBytes(0), '0 B');
+    assert.strictEqual(formatBytes(512), '512 B');
+  });
+  test('scales units with precision that shrinks as values grow', () => {
+    assert.strictEqual(formatBytes(1536), '1.50 KB');
+    assert.strictEqual(formatBytes(67.2 * 1024 * 1024), '67.2 MB');
+    assert.strictEqual(formatBytes(284 * 1024 * 1024), '284 MB');
+    assert.strictEqual(formatBytes(1.12 * 1024 ** 3), '1.12 GB');
+  });
+});
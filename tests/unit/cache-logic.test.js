@@ -0,0 +1,94 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  groupCacheEntries, totalCachedBytes, formatCachedSize, formatStorageEstimate, parseOfflineModels, isModelDownloaded, groupsToClear,
+} from '../../pages/cache/cache-logic.js';
+
+const HUB = 'https://huggingface.co';
+
+describe('groupCacheEntries', () => {
+  const entries = [
+    { url: `${HUB}/Xenova/resnet-50/resolve/main/config.json`, bytes: 100 },
+    { url: `${HUB}/Xenova/vit-base-patch16-224/resolve/main/onnx/model_quantized.onnx`, bytes: 5000 },
+    { url: `${HUB}/Xenova/resnet-50/resolve/main/onnx/model_quantized.onnx`, bytes: 2000 },
+    { url: 'https://example.com/other.bin', bytes: 10 },
+  ];
+
+  test('groups by model with totals, largest first', () => {
+    const groups = groupCacheEntries(entries);
+    assert.deepStrictEqual(groups.map(g => [g.modelId, g.totalBytes]), [
+      ['Xenova/vit-base-patch16-224', 5000],
+      ['Xenova/resnet-50', 2100],
+      [null, 10],
+    ]);
+  });
+  test('orders files within a model by size', () => {
+    const resnet = groupCacheEntries(entries).find(g => g.modelId === 'Xenova/resnet-50');
+    assert.deepStrictEqual(resnet.files.map(f => f.file), ['onnx/model_quantized.onnx', 'config.json']);
+  });
+  test('unrecognized URLs keep the full URL as the file name', () => {
+    const other = groupCacheEntries(entries).find(g => g.modelId === null);
+    assert.strictEqual(other.files[0].file, 'https://example.com/other.bin');
+  });
+  test('empty cache', () => {
+    assert.deepStrictEqual(groupCacheEntries([]), []);
+  });
+  test('totalCachedBytes sums every group', () => {
+    assert.strictEqual(totalCachedBytes(groupCacheEntries(entries)), 7110);
+  });
+  test('files of unknown size leave the total as a lower bound', () => {
+    const [resnet] = groupCacheEntries([...entries.slice(0, 1), { url: `${HUB}/Xenova/resnet-50/resolve/main/onnx/model.onnx`, bytes: null }]);
+    assert.strictEqual(resnet.totalBytes, 100);
+    assert.strictEqual(resnet.sizeUnknown, true);
+    assert.deepStrictEqual(resnet.files.map(f => f.bytes), [100, null]);
+    assert.strictEqual(groupCacheEntries(entries)[0].sizeUnknown, false);
+  });
+});
+
+describe('formatCachedSize', () => {
+  test('known sizes', () => {
+    assert.strictEqual(formatCachedSize(2 * 1024 * 1024), '2.00 MB');
+  });
+  test('unknown or partly unknown sizes', () => {
+    assert.strictEqual(formatCachedSize(null), 'Unknown size');
+    assert.strictEqual(formatCachedSize(0, true), 'Unknown size');
+    assert.strictEqual(formatCachedSize(2 * 1024 * 1024, true), '2.00 MB+');
+  });
+});
+
+describe('formatStorageEstimate', () => {
+  test('usage as a share of quota', () => {
+    const result = formatStorageEstimate({ usage: 256 * 1024 * 1024, quota: 1024 ** 3 });
+    assert.deepStrictEqual(result, { usageText: '256 MB', quotaText: '1.00 GB', percent: 25 });
+  });
+  test('missing quota reports zero percent', () => {
+    assert.strictEqual(formatStorageEstimate({}).percent, 0);
+  });
+});
+
+describe('parseOfflineModels', () => {
+  test('reads a stored list of ids, dropping duplicates and non-strings', () => {
+    assert.deepStrictEqual(parseOfflineModels('["a", "b", "a", 3]'), ['a', 'b']);
+  });
+  test('missing or corrupt values read as empty', () => {
+    assert.deepStrictEqual(parseOfflineModels(null), []);
+    assert.deepStrictEqual(parseOfflineModels('{'), []);
+    assert.deepStrictEqual(parseOfflineModels('{"a": 1}'), []);
+  });
+});
+
+describe('offline models', () => {
+  const groups = groupCacheEntries([
+    { url: `${HUB}/Xenova/resnet-50/resolve/main/config.json`, bytes: 10 },
+    { url: `${HUB}/Xenova/resnet-50/resolve/main/onnx/model_quantized.onnx`, bytes: 100 },
+    { url: `${HUB}/Xenova/vit-base-patch16-224/resolve/main/config.json`, bytes: 10 },
+  ]);
+  test('a model counts as downloaded once its weights are cached', () => {
+    assert.strictEqual(isModelDownloaded(groups, 'Xenova/resnet-50'), true);
+    assert.strictEqual(isModelDownloaded(groups, 'Xenova/vit-base-patch16-224'), false);
+    assert.strictEqual(isModelDownloaded(groups, 'Xenova/detr-resnet-50'), false);
+  });
+  test('clear all spares models kept for offline use', () => {
+    assert.deepStrictEqual(groupsToClear(groups, ['Xenova/resnet-50']).map(g => g.modelId), ['Xenova/vit-base-patch16-224']);
+  });
+});
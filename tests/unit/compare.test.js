@@ -0,0 +1,57 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_COMPARE_MODELS, toggleCompareSelection, summarizeAgreement, formatLatency } from '../../lib/compare.js';
+
+describe('toggleCompareSelection', () => {
+  test('adds an unselected model', () => {
+    assert.deepStrictEqual(toggleCompareSelection(['a'], 'b'), ['a', 'b']);
+  });
+  test('removes a selected model', () => {
+    assert.deepStrictEqual(toggleCompareSelection(['a', 'b'], 'a'), ['b']);
+  });
+  test('refuses to exceed the maximum', () => {
+    const full = ['a', 'b', 'c'];
+    assert.strictEqual(full.length, MAX_COMPARE_MODELS);
+    assert.deepStrictEqual(toggleCompareSelection(full, 'd'), full);
+  });
+  test('respects a custom maximum', () => {
+    assert.deepStrictEqual(toggleCompareSelection(['a'], 'b', 1), ['a']);
+  });
+  test('does not mutate the input', () => {
+    const selected = ['a'];
+    toggleCompareSelection(selected, 'b');
+    assert.deepStrictEqual(selected, ['a']);
+  });
+});
+
+describe('summarizeAgreement', () => {
+  test('all models agree', () => {
+    const result = summarizeAgreement([{ topLabel: 'POSITIVE' }, { topLabel: 'POSITIVE' }]);
+    assert.deepStrictEqual(result, { status: 'agree', majorityLabel: 'POSITIVE', agreeing: 2, voting: 2 });
+  });
+  test('two of three agree', () => {
+    const result = summarizeAgreement([{ topLabel: 'cat' }, { topLabel: 'dog' }, { topLabel: 'cat' }]);
+    assert.deepStrictEqual(result, { status: 'partial', majorityLabel: 'cat', agreeing: 2, voting: 3 });
+  });
+  test('no two models agree', () => {
+    const result = summarizeAgreement([{ topLabel: 'cat' }, { topLabel: 'dog' }]);
+    assert.strictEqual(result.status, 'disagree');
+    assert.strictEqual(result.majorityLabel, null);
+  });
+  test('failed columns are left out of the vote', () => {
+    const result = summarizeAgreement([{ topLabel: 'cat' }, { topLabel: null }, { topLabel: 'cat' }]);
+    assert.deepStrictEqual(result, { status: 'agree', majorityLabel: 'cat', agreeing: 2, voting: 2 });
+  });
+  test('no results at all', () => {
+    assert.strictEqual(summarizeAgreement([{ topLabel: null }, { topLabel: null }]).status, 'none');
+  });
+});
+
+describe('formatLatency', () => {
+  test('milliseconds below one second', () => {
+    assert.strictEqual(formatLatency(42.6), '43 ms');
+  });
+  test('seconds from one second up', () => {
+    assert.strictEqual(formatLatency(1234), '1.23 s');
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeCsvField, toCsv, parseCsv } from '../../lib/csv.js';
+
+describe('escapeCsvField', () => {
+  test('leaves plain values unquoted', () => { assert.strictEqual(escapeCsvField('cat'), 'cat'); });
+  test('stringifies numbers', () => { assert.strictEqual(escapeCsvField(0.5), '0.5'); });
+  test('quotes values containing commas', () => { assert.strictEqual(escapeCsvField('a,b'), '"a,b"'); });
+  test('doubles embedded quotes', () => { assert.strictEqual(escapeCsvField('say "hi"'), '"say ""hi"""'); });
+  test('quotes values containing newlines', () => { assert.strictEqual(escapeCsvField('a\nb'), '"a\nb"'); });
+  test('renders null and undefined as empty', () => {
+    assert.strictEqual(escapeCsvField(null), '');
+    assert.strictEqual(escapeCsvField(undefined), '');
+  });
+});
+
+describe('toCsv', () => {
+  test('writes a header row and CRLF-terminated rows', () => {
+    const csv = toCsv(['file', 'score'], [{ file: 'a.jpg', score: 0.9 }, { file: 'b,c.jpg', score: 0.1 }]);
+    assert.strictEqual(csv, 'file,score\r\na.jpg,0.9\r\n"b,c.jpg",0.1\r\n');
+  });
+  test('header only for no rows', () => { assert.strictEqual(toCsv(['a'], []), 'a\r\n'); });
+});
+
+describe('parseCsv', () => {
+  test('parses simple rows', () => {
+    assert.deepStrictEqual(parseCsv('a,b\n1,2\n'), [['a', 'b'], ['1', '2']]);
+  });
+  test('handles CRLF line endings', () => {
+    assert.deepStrictEqual(parseCsv('a,b\r\n1,2'), [['a', 'b'], ['1', '2']]);
+  });
+  test('handles quoted fields with commas, quotes and newlines', () => {
+    assert.deepStrictEqual(parseCsv('text\n"Hello, ""world""\nagain"'), [['text'], ['Hello, "world"\nagain']]);
+  });
+  test('keeps empty fields', () => {
+    assert.deepStrictEqual(parseCsv('a,,c'), [['a', '', 'c']]);
+  });
+  test('strips a leading byte-order mark', () => {
+    assert.deepStrictEqual(parseCsv('\uFEFFtext\nhi'), [['text'], ['hi']]);
+  });
+  test('skips blank lines', () => {
+    assert.deepStrictEqual(parseCsv('a\n\n\nb\n'), [['a'], ['b']]);
+  });
+  test('round-trips toCsv output', () => {
+    const rows = [{ t: 'x,"y"', n: 1 }];
+    assert.deepStrictEqual(parseCsv(toCsv(['t', 'n'], rows)), [['t', 'n'], ['x,"y"', '1']]);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_SENTENCES, parseSentences, isInputValid, toVectors, cosineSimilarity, similarityMatrix, rankBySimilarity, heatLevel, formatSimilarity,
+  pca2d, fitPoints, toEmbeddingsJson, toNpy,
+} from '../../pages/embeddings/embeddings-logic.js';
+
+const close = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+describe('parseSentences', () => {
+  test('one sentence per non-empty line, trimmed', () => {
+    assert.deepStrictEqual(parseSentences(' A cat.\n\n  A dog. \r\n'), ['A cat.', 'A dog.']);
+  });
+});
+
+describe('isInputValid', () => {
+  test('needs two to MAX_SENTENCES sentences', () => {
+    assert.strictEqual(isInputValid(['one']), false);
+    assert.strictEqual(isInputValid(['one', 'two']), true);
+    assert.strictEqual(isInputValid(new Array(MAX_SENTENCES + 1).fill('x')), false);
+  });
+});
+
+describe('toVectors', () => {
+  test('splits a [count, dimensions] tensor into rows', () => {
+    const vectors = toVectors({ dims: [2, 3], data: new Float32Array([1, 2, 3, 4, 5, 6]) });
+    assert.deepStrictEqual(vectors.map(v => [...v]), [[1, 2, 3], [4, 5, 6]]);
+  });
+  test('a single vector', () => {
+    assert.deepStrictEqual(toVectors({ dims: [2], data: [0.5, 0.25] }).map(v => [...v]), [[0.5, 0.25]]);
+  });
+});
+
+describe('cosineSimilarity', () => {
+  test('1 for the same direction, 0 for orthogonal, -1 for opposite', () => {
+    assert.ok(close(cosineSimilarity([1, 2], [2, 4]), 1));
+    assert.strictEqual(cosineSimilarity([1, 0], [0, 3]), 0);
+    assert.ok(close(cosineSimilarity([1, 1], [-1, -1]), -1));
+  });
+  test('zero vectors are not similar to anything', () => {
+    assert.strictEqual(cosineSimilarity([0, 0], [1, 1]), 0);
+  });
+  test('refuses vectors of different sizes', () => {
+    assert.throws(() => cosineSimilarity([1, 0], [1, 0, 0]), /sizes differ/);
+  });
+});
+
+describe('similarityMatrix', () => {
+  test('symmetric with ones on the diagonal', () => {
+    const m = similarityMatrix([[1, 0], [1, 1], [0, 1]]);
+    assert.deepStrictEqual(m.map((row, i) => row[i]), [1, 1, 1]);
+    assert.strictEqual(m[0][2], 0);
+    assert.ok(close(m[0][1], Math.SQRT1_2));
+    assert.strictEqual(m[1][0], m[0][1]);
+  });
+});
+
+describe('rankBySimilarity', () => {
+  test('best matches first, limited', () => {
+    const ranked = rankBySimilarity([1, 0], [[0, 1], [1, 0.1], [1, 1]], 2);
+    assert.deepStrictEqual(ranked.map(r => r.index), [1, 2]);
+    assert.ok(ranked[0].score > ranked[1].score);
+  });
+  test('ties keep list order', () => {
+    assert.deepStrictEqual(rankBySimilarity([1, 0], [[0, 1], [2, 0], [1, 0]]).map(r => r.index), [1, 2, 0]);
+  });
+});
+
+describe('heatLevel', () => {
+  test('clamps to 0–1', () => {
+    assert.strictEqual(heatLevel(-0.2), 0);
+    assert.strictEqual(heatLevel(0.4), 0.4);
+    assert.strictEqual(heatLevel(1.0000001), 1);
+  });
+});
+
+describe('formatSimilarity', () => {
+  test('two decimals', () => {
+    assert.strictEqual(formatSimilarity(0.8666), '0.87');
+  });
+});
+
+describe('pca2d', () => {
+  test('points on a line project onto the first axis and explain all the variance', () => {
+    const { points, explained } = pca2d([[0, 0, 0], [1, 2, 2], [2, 4, 4]]);
+    assert.ok(close(explained[0], 1));
+    assert.ok(close(explained[1], 0));
+    [-3, 0, 3].forEach((x, i) => assert.ok(close(points[i].x, x), `point ${i}`));
+    points.forEach(p => assert.ok(close(p.y, 0)));
+  });
+  test('recovers the two spread axes of 3D data, widest first', () => {
+    const vectors = [[4, 0, 0], [-4, 0, 0], [0, 1, 0], [0, -1, 0]];
+    const { points, explained } = pca2d(vectors);
+    assert.ok(close(explained[0], 32 / 34));
+    assert.ok(close(explained[1], 2 / 34));
+    [[4, 0], [-4, 0], [0, 1], [0, 1]].forEach(([x, y], i) => {
+      assert.ok(close(points[i].x, x) && close(Math.abs(points[i].y), y), `point ${i}`);
+    });
+  });
+  test('identical vectors collapse to the origin', () => {
+    const { points, explained } = pca2d([[1, 2], [1, 2]]);
+    assert.deepStrictEqual(points, [{ x: 0, y: 0 }, { x: 0, y: 0 }]);
+    assert.deepStrictEqual(explained, [0, 0]);
+  });
+  test('is deterministic', () => {
+    const vectors = [[0.1, 0.9, 0.2], [0.8, 0.1, 0.3], [0.4, 0.4, 0.9], [0.2, 0.3, 0.1]];
+    assert.deepStrictEqual(pca2d(vectors), pca2d(vectors));
+  });
+});
+
+describe('fitPoints', () => {
+  const box = { width: 200, height: 100, padding: 10 };
+  test('fills the box along the limiting side, centred, with y flipped', () => {
+    const fitted = fitPoints([{ x: 0, y: 0 }, { x: 1, y: 1 }], box);
+    assert.deepStrictEqual(fitted, [{ x: 60, y: 90 }, { x: 140, y: 10 }]);
+  });
+  test('a single point sits in the middle', () => {
+    assert.deepStrictEqual(fitPoints([{ x: 5, y: -3 }], box), [{ x: 100, y: 50 }]);
+  });
+});
+
+describe('toEmbeddingsJson', () => {
+  test('sentences with their embeddings', () => {
+    const json = toEmbeddingsJson({ model: 'Xenova/all-MiniLM-L6-v2', sentences: ['a', 'b'], vectors: [new Float32Array([0.5, 0.25]), new Float32Array([1, 0])] });
+    assert.deepStrictEqual(json, {
+      model: 'Xenova/all-MiniLM-L6-v2',
+      dimensions: 2,
+      pooling: 'mean',
+      normalized: true,
+      sentences: [{ text: 'a', embedding: [0.5, 0.25] }, { text: 'b', embedding: [1, 0] }],
+    });
+  });
+});
+
+describe('toNpy', () => {
+  test('writes an aligned .npy 1.0 header followed by little-endian float32 rows', () => {
+    const buffer = toNpy([new Float32Array([1, 2, 3]), new Float32Array([4, 5, 6])]);
+    const bytes = new Uint8Array(buffer);
+    assert.deepStrictEqual([...bytes.slice(0, 8)], [0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]);
+
+    const headerLength = new DataView(buffer).getUint16(8, true);
+    assert.strictEqual((10 + headerLength) % 64, 0);
+    const header = String.fromCharCode(...bytes.slice(10, 10 + headerLength));
+    assert.match(header, /^\{'descr': '<f4', 'fortran_order': False, 'shape': \(2, 3\), \} *\n$/);
+
+    assert.deepStrictEqual([...new Float32Array(buffer, 10 + headerLength)], [1, 2, 3, 4, 5, 6]);
+  });
+});
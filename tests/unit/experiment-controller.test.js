@@ -0,0 +1,306 @@
+import { describe, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExperimentController, loadEntry } from '../../lib/experiment-controller.js';
+
+const MODEL_A = { id: 'model-a', task: 't' };
+const MODEL_B = { id: 'model-b', task: 't' };
+
+// A loader whose loads settle only when the test says so
+function deferredLoader() {
+  const loads = [];
+  const loader = mock.fn((task, model, options) => new Promise((resolve) => {
+    loads.push({ model, options, resolve });
+  }));
+  loader.unload = mock.fn(async () => {});
+  return { loader, loads };
+}
+
+const tick = () => new Promise(r => setTimeout(r, 0));
+const loaded = (pipeline) => ({ pipeline, error: null });
+const failed = (kind = 'unknown') => ({ pipeline: null, error: { kind, message: 'boom' } });
+
+async function readyController(pipeline = async (x) => x) {
+  const loader = mock.fn(async () => loaded(pipeline));
+  loader.unload = mock.fn(async () => {});
+  const controller = createExperimentController({ task: 't', model: MODEL_A, loader });
+  await controller.load();
+  return { controller, loader };
+}
+
+describe('loading', () => {
+  test('idle -> loading -> ready with the loaded pipeline', async () => {
+    const { loader, loads } = deferredLoader();
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader });
+    assert.strictEqual(controller.state.status, 'idle');
+
+    const done = controller.load();
+    assert.strictEqual(controller.state.status, 'loading');
+    const pipe = async () => [];
+    loads[0].resolve(loaded(pipe));
+    await done;
+
+    assert.strictEqual(controller.state.status, 'ready');
+    assert.strictEqual(controller.state.pipeline, pipe);
+    assert.strictEqual(controller.state.loadedModelId, 'model-a');
+    assert.deepStrictEqual(loader.mock.calls[0].arguments.slice(0, 2), ['t', 'model-a']);
+  });
+
+  test('a failed load moves to error and retry loads again', async () => {
+    let calls = 0;
+    const loader = async () => (++calls === 1 ? failed('network') : loaded(async () => []));
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader });
+    await controller.load();
+    assert.strictEqual(controller.state.status, 'error');
+    assert.deepStrictEqual(controller.state.error, { kind: 'network', message: 'boom' });
+    await controller.retry();
+    assert.strictEqual(controller.state.status, 'ready');
+    assert.strictEqual(controller.state.error, null);
+  });
+
+  test('retry can switch the backend for this and later loads', async () => {
+    const loader = mock.fn(async (task, model, options) => (options.device === 'wasm' ? loaded(async () => []) : failed('unsupported-backend')));
+    loader.unload = mock.fn(async () => {});
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader });
+    await controller.load();
+    assert.strictEqual(controller.state.device, null);
+
+    await controller.retry({ device: 'wasm' });
+    assert.strictEqual(controller.state.status, 'ready');
+    assert.strictEqual(controller.state.device, 'wasm');
+    await controller.unload();
+    assert.deepStrictEqual(loader.unload.mock.calls[0].arguments, ['t', 'model-a', { device: 'wasm' }]);
+    await controller.load();
+    assert.strictEqual(loader.mock.calls[2].arguments[2].device, 'wasm');
+  });
+
+  test('load is ignored when the state machine has no transition for it', async () => {
+    const { controller, loader } = await readyController();
+    await controller.load();
+    assert.strictEqual(loader.mock.calls.length, 1);
+  });
+
+  test('progress events are aggregated into state.progress', async () => {
+    const { loader, loads } = deferredLoader();
+    let time = 0;
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader, now: () => time });
+    controller.load();
+    loads[0].options.onProgress({ status: 'initiate', name: 'model-a', file: 'a.onnx' });
+    time = 1000;
+    loads[0].options.onProgress({ status: 'progress', name: 'model-a', file: 'a.onnx', loaded: 50, total: 100 });
+    assert.strictEqual(controller.state.progress.percent, 50);
+    assert.strictEqual(controller.state.progress.bytesPerSecond, 50);
+  });
+
+  test('a custom loadPipeline can resolve to a fallback model', async () => {
+    const loadPipeline = async (loader, task, entry) => ({ pipeline: async () => [], model: `${entry.id}-fallback` });
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader: async () => failed(), loadPipeline });
+    await controller.load();
+    assert.strictEqual(controller.state.loadedModelId, 'model-a-fallback');
+  });
+
+  test('loads started offline only use downloaded files', async () => {
+    let offline = true;
+    const loader = mock.fn(async () => (offline ? failed('offline') : loaded(async () => [])));
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader, isOffline: () => offline });
+    await controller.load();
+    assert.strictEqual(loader.mock.calls[0].arguments[2].cacheOnly, true);
+    assert.strictEqual(controller.state.status, 'error');
+    assert.strictEqual(controller.state.cacheOnly, true);
+    assert.strictEqual(controller.state.error.kind, 'offline');
+
+    offline = false;
+    await controller.retry();
+    assert.strictEqual(loader.mock.calls[1].arguments[2].cacheOnly, false);
+    assert.strictEqual(controller.state.cacheOnly, false);
+  });
+});
+
+describe('load policy', () => {
+  const LARGE = { id: 'large', task: 't' };
+  const policies = { 'model-a': 'eager', 'model-b': 'on-input', large: 'on-click' };
+  const controllerFor = (model) => {
+    const loader = mock.fn(async () => loaded(async () => []));
+    const controller = createExperimentController({ task: 't', model, loader, loadPolicy: (entry) => policies[entry.id] });
+    return { controller, loader };
+  };
+
+  test('start loads eagerly by default', async () => {
+    const loader = mock.fn(async () => loaded(async () => []));
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader });
+    await controller.start();
+    assert.strictEqual(controller.state.status, 'ready');
+  });
+
+  test('an on-input model waits for the first input', async () => {
+    const { controller, loader } = controllerFor(MODEL_B);
+    await controller.start();
+    assert.strictEqual(controller.state.status, 'awaiting-input');
+    assert.strictEqual(loader.mock.calls.length, 0);
+    await controller.notifyInput();
+    assert.strictEqual(controller.state.status, 'ready');
+  });
+
+  test('input given before start loads an on-input model straight away', async () => {
+    const { controller } = controllerFor(MODEL_B);
+    controller.notifyInput();
+    await controller.start();
+    assert.strictEqual(controller.state.status, 'ready');
+  });
+
+  test('an on-click model ignores input and loads when asked', async () => {
+    const { controller, loader } = controllerFor(LARGE);
+    await controller.start();
+    await controller.notifyInput();
+    assert.strictEqual(controller.state.status, 'awaiting-consent');
+    assert.strictEqual(loader.mock.calls.length, 0);
+    await controller.load();
+    assert.strictEqual(controller.state.status, 'ready');
+  });
+
+  test('switching models while waiting applies the new model\'s policy', async () => {
+    const { controller } = controllerFor(LARGE);
+    await controller.start();
+    await controller.switchModel(MODEL_B);
+    assert.strictEqual(controller.state.status, 'awaiting-input');
+    await controller.switchModel(MODEL_A);
+    assert.strictEqual(controller.state.status, 'ready');
+  });
+
+  test('start only applies the policy once', async () => {
+    const { controller, loader } = controllerFor(MODEL_A);
+    await controller.start();
+    await controller.start();
+    assert.strictEqual(loader.mock.calls.length, 1);
+  });
+});
+
+describe('switchModel', () => {
+  test('a superseded load is dropped and its download aborted', async () => {
+    const { loader, loads } = deferredLoader();
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader });
+    const first = controller.load();
+    const second = controller.switchModel(MODEL_B);
+    assert.strictEqual(loads[0].options.signal.aborted, true);
+
+    const pipeB = async () => 'b';
+    loads[1].resolve(loaded(pipeB));
+    await second;
+    loads[0].resolve(loaded(async () => 'a'));
+    await first;
+
+    assert.strictEqual(controller.state.model, MODEL_B);
+    assert.strictEqual(controller.state.pipeline, pipeB);
+  });
+
+  test('switching from ready clears the old pipeline while loading', async () => {
+    const { controller } = await readyController();
+    controller.switchModel(MODEL_B);
+    assert.strictEqual(controller.state.status, 'loading');
+    assert.strictEqual(controller.state.pipeline, null);
+  });
+});
+
+describe('cancel and unload', () => {
+  test('cancel aborts the download and ignores the late result', async () => {
+    const { loader, loads } = deferredLoader();
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader });
+    const done = controller.load();
+    controller.cancel();
+    assert.strictEqual(controller.state.status, 'cancelled');
+    assert.strictEqual(loads[0].options.signal.aborted, true);
+
+    loads[0].resolve(loaded(async () => []));
+    await done;
+    assert.strictEqual(controller.state.status, 'cancelled');
+    assert.strictEqual(controller.state.pipeline, null);
+  });
+
+  test('cancel outside loading does nothing', async () => {
+    const { controller } = await readyController();
+    controller.cancel();
+    assert.strictEqual(controller.state.status, 'ready');
+  });
+
+  test('unload disposes the loaded model through the loader', async () => {
+    const { controller, loader } = await readyController();
+    await controller.unload();
+    assert.strictEqual(controller.state.status, 'unloaded');
+    assert.strictEqual(controller.state.pipeline, null);
+    assert.deepStrictEqual(loader.unload.mock.calls[0].arguments, ['t', 'model-a', {}]);
+  });
+
+  test('load after unload starts a fresh load', async () => {
+    const { controller, loader } = await readyController();
+    await controller.unload();
+    await controller.load();
+    assert.strictEqual(controller.state.status, 'ready');
+    assert.strictEqual(loader.mock.calls.length, 2);
+  });
+});
+
+describe('run', () => {
+  test('passes the pipeline and model, and returns the result', async () => {
+    const { controller } = await readyController(async (x) => `out:${x}`);
+    const result = await controller.run((pipe, model) => pipe(model.id));
+    assert.strictEqual(result, 'out:model-a');
+  });
+
+  test('holds the inference lock until the run settles', async () => {
+    const { controller } = await readyController();
+    let release;
+    const running = controller.run(() => new Promise((r) => { release = r; }));
+    assert.strictEqual(controller.state.inferring, true);
+    assert.strictEqual(controller.canRun(), false);
+    await assert.rejects(controller.run(async () => {}), /already running/);
+
+    release('done');
+    assert.strictEqual(await running, 'done');
+    assert.strictEqual(controller.canRun(), true);
+  });
+
+  test('releases the lock when the inference throws', async () => {
+    const { controller } = await readyController();
+    await assert.rejects(controller.run(async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(controller.state.inferring, false);
+  });
+
+  test('refuses to run before the model is ready', async () => {
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader: async () => failed() });
+    await assert.rejects(controller.run(async () => {}), /not ready/);
+  });
+
+  test('unload is refused while an inference is running', async () => {
+    const { controller, loader } = await readyController();
+    let release;
+    const running = controller.run(() => new Promise((r) => { release = r; }));
+    await controller.unload();
+    assert.strictEqual(controller.state.status, 'ready');
+    assert.strictEqual(loader.unload.mock.calls.length, 0);
+    release();
+    await running;
+  });
+});
+
+describe('subscribe', () => {
+  test('notifies listeners with each state snapshot until unsubscribed', async () => {
+    const { loader, loads } = deferredLoader();
+    const controller = createExperimentController({ task: 't', model: MODEL_A, loader });
+    const seen = [];
+    const unsubscribe = controller.subscribe(s => seen.push(s.status));
+    const done = controller.load();
+    loads[0].resolve(loaded(async () => []));
+    await done;
+    unsubscribe();
+    await controller.unload();
+    await tick();
+    assert.deepStrictEqual(seen, ['loading', 'ready']);
+  });
+});
+
+describe('loadEntry', () => {
+  test('adds the model id to the loader result, failed or not', async () => {
+    const pipe = async () => [];
+    assert.deepStrictEqual(await loadEntry(async () => loaded(pipe), 't', MODEL_A, {}), { pipeline: pipe, model: 'model-a', error: null });
+    assert.deepStrictEqual(await loadEntry(async () => failed('quota'), 't', MODEL_A, {}), { pipeline: null, model: 'model-a', error: { kind: 'quota', message: 'boom' } });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HISTORY_EXPORT_FORMAT, createHistoryEntry, sortHistory, filterHistory, entriesToPrune, formatHistoryTime,
+  historyToJson, parseHistoryImport, newHistoryEntries,
+} from '../../lib/history.js';
+
+const TASK = 'sentiment-analysis';
+
+function entry(overrides = {}) {
+  return {
+    id: '0b6f8a52-3c1d-4e8f-9a7b-2d5c6e1f0a93',
+    task: TASK,
+    createdAt: 1000,
+    model: 'Xenova/distilbert',
+    pinned: false,
+    durationMs: 12,
+    summary: 'POSITIVE 99.9%',
+    output: [{ label: 'POSITIVE', score: 0.999 }],
+    viewModel: { label: 'POSITIVE' },
+    input: { kind: 'text', text: 'I loved it' },
+    ...overrides,
+  };
+}
+
+const exportText = (entries, extra = {}) => JSON.stringify({ format: HISTORY_EXPORT_FORMAT, version: 1, task: TASK, entries, ...extra });
+
+describe('createHistoryEntry', () => {
+  test('starts unpinned with the given id and time', () => {
+    const e = createHistoryEntry(
+      { task: TASK, model: 'm', input: { kind: 'text', text: 'x' }, output: [], viewModel: {}, summary: 's', durationMs: 5 },
+      { id: 'id-1', now: 42 },
+    );
+    assert.strictEqual(e.id, 'id-1');
+    assert.strictEqual(e.createdAt, 42);
+    assert.strictEqual(e.pinned, false);
+  });
+});
+
+describe('sortHistory', () => {
+  test('pinned first, then newest first', () => {
+    const sorted = sortHistory([
+      entry({ id: 'old', createdAt: 1 }),
+      entry({ id: 'new', createdAt: 3 }),
+      entry({ id: 'pinned', createdAt: 2, pinned: true }),
+    ]);
+    assert.deepStrictEqual(sorted.map(e => e.id), ['pinned', 'new', 'old']);
+  });
+});
+
+describe('filterHistory', () => {
+  const entries = [
+    entry({ id: 't', input: { kind: 'text', text: 'The service was slow' }, summary: 'NEGATIVE 91.0%' }),
+    entry({ id: 'i', input: { kind: 'image', name: 'Dog.jpg', thumbnail: 'data:image/jpeg;base64,' }, summary: 'golden retriever 85.0%' }),
+  ];
+  test('empty query matches everything', () => {
+    assert.strictEqual(filterHistory(entries, '  ').length, 2);
+  });
+  test('matches input text, file names and summaries case-insensitively', () => {
+    assert.deepStrictEqual(filterHistory(entries, 'SLOW').map(e => e.id), ['t']);
+    assert.deepStrictEqual(filterHistory(entries, 'dog').map(e => e.id), ['i']);
+    assert.deepStrictEqual(filterHistory(entries, 'retriever').map(e => e.id), ['i']);
+  });
+  test('every word must match', () => {
+    assert.deepStrictEqual(filterHistory(entries, 'slow negative').map(e => e.id), ['t']);
+    assert.deepStrictEqual(filterHistory(entries, 'slow retriever'), []);
+  });
+  test('matches the model id', () => {
+    assert.strictEqual(filterHistory(entries, 'distilbert').length, 2);
+  });
+});
+
+describe('entriesToPrune', () => {
+  test('drops the oldest unpinned entries beyond the limit', () => {
+    const entries = [
+      entry({ id: '1', createdAt: 1 }),
+      entry({ id: '2', createdAt: 2 }),
+      entry({ id: '3', createdAt: 3 }),
+      entry({ id: 'p', createdAt: 0, pinned: true }),
+    ];
+    assert.deepStrictEqual(entriesToPrune(entries, 2), ['1']);
+  });
+  test('nothing to prune under the limit', () => {
+    assert.deepStrictEqual(entriesToPrune([entry()], 2), []);
+  });
+});
+
+describe('formatHistoryTime', () => {
+  const now = Date.UTC(2026, 0, 10, 12);
+  test('recent runs are relative', () => {
+    assert.strictEqual(formatHistoryTime(now - 10_000, now), 'just now');
+    assert.strictEqual(formatHistoryTime(now - 5 * 60_000, now), '5 min ago');
+    assert.strictEqual(formatHistoryTime(now - 3 * 3_600_000, now), '3 h ago');
+  });
+  test('older runs show the date', () => {
+    assert.strictEqual(formatHistoryTime(Date.UTC(2026, 0, 2), now), '2026-01-02');
+  });
+});
+
+describe('historyToJson', () => {
+  test('leaves out original image files', () => {
+    const image = entry({ input: { kind: 'image', name: 'a.png', thumbnail: 'data:image/jpeg;base64,', file: { size: 1 } } });
+    const json = historyToJson([image], { task: TASK, date: new Date(0) });
+    assert.strictEqual(json.format, HISTORY_EXPORT_FORMAT);
+    assert.deepStrictEqual(json.entries[0].input, { kind: 'image', name: 'a.png', thumbnail: 'data:image/jpeg;base64,' });
+  });
+  test('round-trips through parseHistoryImport', () => {
+    const json = historyToJson([entry()], { task: TASK, date: new Date(0) });
+    assert.deepStrictEqual(parseHistoryImport(JSON.stringify(json), TASK), { entries: [entry()], skipped: 0 });
+  });
+});
+
+describe('parseHistoryImport', () => {
+  test('rejects invalid JSON', () => {
+    assert.throws(() => parseHistoryImport('{', TASK), /not valid JSON/);
+  });
+  test('rejects other JSON files', () => {
+    assert.throws(() => parseHistoryImport('{"entries": []}', TASK), /not a history export/);
+  });
+  test('rejects another experiment’s history', () => {
+    assert.throws(() => parseHistoryImport(exportText([], { task: 'summarization' }), TASK), /different experiment/);
+  });
+  test('rejects unsupported versions', () => {
+    assert.throws(() => parseHistoryImport(exportText([], { version: 99 }), TASK), /unsupported version/);
+  });
+  test('skips malformed entries', () => {
+    const result = parseHistoryImport(exportText([
+      entry(),
+      entry({ id: 5 }),
+      entry({ id: '"><img src=x onerror=alert(1)>' }),
+      entry({ input: { kind: 'image', name: 'x', thumbnail: 'javascript:alert(1)' } }),
+      entry({ input: { kind: 'audio' } }),
+    ]), TASK);
+    assert.strictEqual(result.entries.length, 1);
+    assert.strictEqual(result.skipped, 4);
+  });
+  test('normalizes pinned and duration', () => {
+    const { entries } = parseHistoryImport(exportText([entry({ pinned: 'yes', durationMs: 'fast' })]), TASK);
+    assert.strictEqual(entries[0].pinned, false);
+    assert.strictEqual(entries[0].durationMs, null);
+  });
+});
+
+describe('newHistoryEntries', () => {
+  test('keeps only ids not already present', () => {
+    assert.deepStrictEqual(newHistoryEntries([entry({ id: 'a' })], [entry({ id: 'a' }), entry({ id: 'b' })]).map(e => e.id), ['b']);
+  });
+});
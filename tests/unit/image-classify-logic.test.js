@@ -1,6 +1,10 @@
-import { describe, test } from 'node:test';
+import { describe, test, mock } from 'node:test';
 import assert from 'node:assert/strict';
-import { formatClassificationResults, isValidImageFile } from '../../pages/image-classify/image-classify-logic.js';
+import {
+  formatClassificationResults, isValidImageFile, partitionImageFiles, runClassificationQueue, batchResultsToRows, batchResultsToJson,
+  nextFrameDelay, fitFrameSize, cameraOptions, cameraErrorMessage,
+  parseCandidateLabels, validateZeroShotInput, MAX_CANDIDATE_LABELS,
+} from '../../pages/image-classify/image-classify-logic.js';
 
 describe('formatClassificationResults', () => {
   const sample = [
@@ -55,3 +59,127 @@ describe('isValidImageFile', () => {
   test('rejects undefined', () => { assert.strictEqual(isValidImageFile(undefined), false); });
   test('rejects object without type', () => { assert.strictEqual(isValidImageFile({}), false); });
 });
+
+describe('partitionImageFiles', () => {
+  test('separates images from other files', () => {
+    const png = { type: 'image/png' };
+    const txt = { type: 'text/plain' };
+    const { images, rejected } = partitionImageFiles([png, txt]);
+    assert.deepStrictEqual(images, [png]);
+    assert.deepStrictEqual(rejected, [txt]);
+  });
+  test('handles an empty list', () => {
+    assert.deepStrictEqual(partitionImageFiles([]), { images: [], rejected: [] });
+  });
+});
+
+describe('runClassificationQueue', () => {
+  const raw = [{ label: 'cat', score: 0.9 }, { label: 'dog', score: 0.1 }];
+
+  test('classifies items in order and formats results', async () => {
+    const classify = mock.fn(async () => raw);
+    const entries = await runClassificationQueue(['a', 'b'], classify);
+    assert.deepStrictEqual(classify.mock.calls.map(c => c.arguments[0]), ['a', 'b']);
+    assert.strictEqual(entries[1].status, 'done');
+    assert.strictEqual(entries[1].results[0].label, 'cat');
+  });
+  test('records failures and keeps going', async () => {
+    let n = 0;
+    const entries = await runClassificationQueue(['a', 'b'], async () => { if (n++ === 0) throw new Error('x'); return raw; });
+    assert.deepStrictEqual(entries.map(e => e.status), ['error', 'done']);
+  });
+  test('stops between items once the signal aborts', async () => {
+    const controller = new AbortController();
+    const classify = mock.fn(async () => { controller.abort(); return raw; });
+    const entries = await runClassificationQueue(['a', 'b', 'c'], classify, { signal: controller.signal });
+    assert.strictEqual(classify.mock.calls.length, 1);
+    assert.deepStrictEqual(entries.map(e => e.status), ['done', 'cancelled', 'cancelled']);
+  });
+  test('reports start and completion per item', async () => {
+    const onItemStart = mock.fn();
+    const onItemDone = mock.fn();
+    await runClassificationQueue(['a', 'b'], async () => raw, { onItemStart, onItemDone });
+    assert.deepStrictEqual(onItemStart.mock.calls.map(c => c.arguments[0]), [0, 1]);
+    assert.deepStrictEqual(onItemDone.mock.calls.map(c => c.arguments[0]), [0, 1]);
+  });
+});
+
+describe('batch exports', () => {
+  const entries = [
+    { name: 'a.jpg', status: 'done', results: formatClassificationResults([{ label: 'cat', score: 0.9 }, { label: 'dog', score: 0.1 }]) },
+    { name: 'b.jpg', status: 'cancelled', results: [] },
+  ];
+
+  test('rows: one per prediction, ranked', () => {
+    const rows = batchResultsToRows(entries);
+    assert.deepStrictEqual(rows[0], { file: 'a.jpg', status: 'done', rank: 1, label: 'cat', score: 0.9 });
+    assert.strictEqual(rows[1].rank, 2);
+  });
+  test('rows: images without predictions keep a status row', () => {
+    assert.deepStrictEqual(batchResultsToRows(entries)[2], { file: 'b.jpg', status: 'cancelled', rank: '', label: '', score: '' });
+  });
+  test('json: predictions keep only rank, label and score', () => {
+    const json = batchResultsToJson(entries);
+    assert.deepStrictEqual(json[0].predictions[0], { rank: 1, label: 'cat', score: 0.9 });
+    assert.deepStrictEqual(json[1], { file: 'b.jpg', status: 'cancelled', predictions: [] });
+  });
+});
+
+describe('live camera mode', () => {
+  test('nextFrameDelay: waits out the rest of the interval', () => {
+    assert.strictEqual(nextFrameDelay(1000, 1200, 500), 300);
+  });
+  test('nextFrameDelay: slow inference samples the next frame immediately', () => {
+    assert.strictEqual(nextFrameDelay(1000, 2000, 500), 0);
+  });
+  test('fitFrameSize: scales the longest side down, keeping aspect ratio', () => {
+    assert.deepStrictEqual(fitFrameSize(1280, 720, 448), { width: 448, height: 252 });
+    assert.deepStrictEqual(fitFrameSize(720, 1280, 448), { width: 252, height: 448 });
+  });
+  test('fitFrameSize: small frames are not upscaled', () => {
+    assert.deepStrictEqual(fitFrameSize(320, 240, 448), { width: 320, height: 240 });
+  });
+  test('cameraOptions: keeps video inputs and labels unnamed cameras', () => {
+    const devices = [
+      { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+      { kind: 'videoinput', deviceId: 'front', label: 'Front camera' },
+      { kind: 'videoinput', deviceId: 'back', label: '' },
+    ];
+    assert.deepStrictEqual(cameraOptions(devices), [
+      { id: 'front', label: 'Front camera' },
+      { id: 'back', label: 'Camera 2' },
+    ]);
+  });
+  test('cameraErrorMessage: maps getUserMedia errors', () => {
+    assert.match(cameraErrorMessage({ name: 'NotAllowedError' }), /denied/);
+    assert.match(cameraErrorMessage({ name: 'NotFoundError' }), /No camera/);
+    assert.match(cameraErrorMessage({ name: 'NotReadableError' }), /in use/);
+    assert.strictEqual(cameraErrorMessage(new Error('x')), 'Could not start the camera.');
+  });
+});
+
+describe('zero-shot mode', () => {
+  test('parseCandidateLabels: splits on commas and newlines, trimming blanks', () => {
+    assert.deepStrictEqual(parseCandidateLabels(' cat, dog\n\n a red car ,'), ['cat', 'dog', 'a red car']);
+  });
+  test('parseCandidateLabels: drops case-insensitive duplicates, keeping the first spelling', () => {
+    assert.deepStrictEqual(parseCandidateLabels('Cat, cat, CAT, dog'), ['Cat', 'dog']);
+  });
+  test('parseCandidateLabels: empty input gives no labels', () => {
+    assert.deepStrictEqual(parseCandidateLabels(''), []);
+    assert.deepStrictEqual(parseCandidateLabels(undefined), []);
+  });
+  test('validateZeroShotInput: needs at least two labels', () => {
+    assert.deepStrictEqual(validateZeroShotInput({ labels: ['cat'], template: '{}' }), { valid: false, message: 'Enter at least two labels' });
+  });
+  test('validateZeroShotInput: caps the number of labels', () => {
+    const labels = Array.from({ length: MAX_CANDIDATE_LABELS + 1 }, (_, i) => `label ${i}`);
+    assert.strictEqual(validateZeroShotInput({ labels, template: '{}' }).valid, false);
+  });
+  test('validateZeroShotInput: the template needs a placeholder', () => {
+    assert.match(validateZeroShotInput({ labels: ['cat', 'dog'], template: 'a photo' }).message, /\{\}/);
+  });
+  test('validateZeroShotInput: valid input reports the label count', () => {
+    assert.deepStrictEqual(validateZeroShotInput({ labels: ['cat', 'dog'], template: 'a photo of {}' }), { valid: true, message: '2 labels' });
+  });
+});
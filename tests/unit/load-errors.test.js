@@ -0,0 +1,79 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOAD_ERRORS, LOAD_ACTIONS, classifyLoadError, loadErrorGuidance } from '../../lib/load-errors.js';
+
+const named = (name, message) => Object.assign(new Error(message), { name });
+
+describe('classifyLoadError', () => {
+  const cases = [
+    ['an aborted load', named('AbortError', 'Model load cancelled'), LOAD_ERRORS.CANCELLED],
+    ['a full storage quota', named('QuotaExceededError', 'The quota has been exceeded.'), LOAD_ERRORS.QUOTA],
+    ['a failed wasm allocation', new Error('RangeError: WebAssembly.Memory(): could not allocate memory (out of memory)'), LOAD_ERRORS.QUOTA],
+    ['a missing model file', new Error('Could not locate file: "https://huggingface.co/org/model/resolve/main/config.json".'), LOAD_ERRORS.NOT_FOUND],
+    ['a gated model', new Error('Unauthorized access to file: "https://huggingface.co/org/model/resolve/main/config.json".'), LOAD_ERRORS.NOT_FOUND],
+    ['a forbidden file', new Error('Forbidden access to file: "https://huggingface.co/org/model/resolve/main/config.json".'), LOAD_ERRORS.BLOCKED],
+    ['a server error', new Error('Internal server error when fetching file'), LOAD_ERRORS.NETWORK],
+    ['a refused fetch in Chrome', new TypeError('Failed to fetch'), LOAD_ERRORS.BLOCKED],
+    ['a refused fetch in Firefox', new TypeError('NetworkError when attempting to fetch resource.'), LOAD_ERRORS.BLOCKED],
+    ['a refused fetch in Safari', new TypeError('Load failed'), LOAD_ERRORS.BLOCKED],
+    ['a missing WebGPU adapter', new Error('no available backend found. ERR: [webgpu] backend not found.'), LOAD_ERRORS.UNSUPPORTED_BACKEND],
+    ['a truncated ONNX file', new Error('Can\'t create a session. ERROR_CODE: 7, ERROR_MESSAGE: Failed to load model because protobuf parsing failed.'), LOAD_ERRORS.CORRUPT_CACHE],
+    ['a garbled config', new SyntaxError('Unexpected end of JSON input'), LOAD_ERRORS.CORRUPT_CACHE],
+    ['anything else', new Error('Simulated model loading failure'), LOAD_ERRORS.UNKNOWN],
+  ];
+  for (const [name, err, kind] of cases) {
+    test(`${name} reads as ${kind}`, () => {
+      assert.deepStrictEqual(classifyLoadError(err), { kind, message: err.message });
+    });
+  }
+
+  test('a missing file on a cache-only load means the model was never downloaded', () => {
+    const err = new Error('Could not locate file: "onnx/model_quantized.onnx".');
+    assert.strictEqual(classifyLoadError(err, { cacheOnly: true }).kind, LOAD_ERRORS.OFFLINE);
+  });
+
+  test('a failed fetch without a connection is a network error', () => {
+    assert.strictEqual(classifyLoadError(new TypeError('Failed to fetch'), { online: false }).kind, LOAD_ERRORS.NETWORK);
+  });
+
+  test('accepts values that are not errors', () => {
+    assert.deepStrictEqual(classifyLoadError('boom'), { kind: LOAD_ERRORS.UNKNOWN, message: 'boom' });
+    assert.deepStrictEqual(classifyLoadError(undefined), { kind: LOAD_ERRORS.UNKNOWN, message: 'undefined' });
+  });
+});
+
+describe('loadErrorGuidance', () => {
+  const host = 'huggingface.co';
+
+  test('every kind has a title and at least one action', () => {
+    for (const kind of Object.values(LOAD_ERRORS).filter(k => k !== LOAD_ERRORS.CANCELLED)) {
+      const { title, actions } = loadErrorGuidance({ kind }, { host });
+      assert.ok(title, kind);
+      assert.ok(actions.length > 0, kind);
+    }
+  });
+
+  test('a blocked host names the host', () => {
+    const guidance = loadErrorGuidance({ kind: LOAD_ERRORS.BLOCKED }, { host: 'models.example.com' });
+    assert.match(guidance.detail, /models\.example\.com/);
+    assert.deepStrictEqual(guidance.actions, [LOAD_ACTIONS.RETRY]);
+  });
+
+  test('corrupt files are cleared before retrying', () => {
+    assert.deepStrictEqual(loadErrorGuidance({ kind: LOAD_ERRORS.CORRUPT_CACHE }, { host }).actions, [LOAD_ACTIONS.CLEAR_CACHE_RETRY]);
+  });
+
+  test('an unsupported backend offers WASM unless WASM already failed', () => {
+    const error = { kind: LOAD_ERRORS.UNSUPPORTED_BACKEND };
+    assert.deepStrictEqual(loadErrorGuidance(error, { host }).actions, [LOAD_ACTIONS.USE_WASM, LOAD_ACTIONS.SWITCH_MODEL]);
+    assert.deepStrictEqual(loadErrorGuidance(error, { host, device: 'wasm' }).actions, [LOAD_ACTIONS.SWITCH_MODEL]);
+  });
+
+  test('no error falls back to the generic message', () => {
+    assert.deepStrictEqual(loadErrorGuidance(null, { host }), {
+      title: 'Failed to load model',
+      detail: '',
+      actions: [LOAD_ACTIONS.RETRY, LOAD_ACTIONS.CLEAR_CACHE_RETRY],
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCacheUrl } from '../../lib/model-cache.js';
+import { resolveModelEnv } from '../../lib/model-env.js';
+
+const HUB = 'https://huggingface.co';
+
+describe('parseCacheUrl', () => {
+  test('splits a hub file URL into model, revision and file', () => {
+    assert.deepStrictEqual(parseCacheUrl(`${HUB}/Xenova/resnet-50/resolve/main/onnx/model_quantized.onnx`), {
+      modelId: 'Xenova/resnet-50',
+      revision: 'main',
+      file: 'onnx/model_quantized.onnx',
+    });
+  });
+  test('handles model ids without an organization', () => {
+    assert.strictEqual(parseCacheUrl(`${HUB}/gpt2/resolve/main/config.json`).modelId, 'gpt2');
+  });
+  test('decodes percent-encoded paths', () => {
+    assert.strictEqual(parseCacheUrl(`${HUB}/Xenova/bert/resolve/main/my%20file.json`).file, 'my file.json');
+  });
+  test('returns null for non-model URLs and garbage', () => {
+    assert.strictEqual(parseCacheUrl(`${HUB}/api/models`), null);
+    assert.strictEqual(parseCacheUrl('not a url'), null);
+  });
+  test('recognizes files served from the local model path', () => {
+    assert.deepStrictEqual(parseCacheUrl('https://app.example.com/models/Xenova/resnet-50/onnx/model_quantized.onnx'), {
+      modelId: 'Xenova/resnet-50',
+      revision: null,
+      file: 'onnx/model_quantized.onnx',
+    });
+  });
+  test('follows a mirror path template', () => {
+    const modelEnv = resolveModelEnv({ remoteHost: 'https://mirror.example.com/hf/', remotePathTemplate: 'repos/{model}@{revision}/' });
+    assert.deepStrictEqual(parseCacheUrl('https://mirror.example.com/hf/repos/Xenova/resnet-50@main/config.json', modelEnv), {
+      modelId: 'Xenova/resnet-50',
+      revision: 'main',
+      file: 'config.json',
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_MODEL_ENV, resolveModelEnv, modelEnvFromViteEnv, remoteFileUrl, modelSourceName, withModelEnv,
+} from '../../lib/model-env.js';
+
+describe('resolveModelEnv', () => {
+  test('defaults load from the Hugging Face Hub', () => {
+    assert.deepStrictEqual(resolveModelEnv(), DEFAULT_MODEL_ENV);
+  });
+  test('adds trailing slashes and parses flags', () => {
+    const config = resolveModelEnv({
+      remoteHost: 'https://mirror.example.com/hf',
+      remotePathTemplate: '{model}/{revision}',
+      localModelPath: '/weights',
+      allowLocalModels: 'true',
+      allowRemoteModels: '0',
+    });
+    assert.strictEqual(config.remoteHost, 'https://mirror.example.com/hf/');
+    assert.strictEqual(config.remotePathTemplate, '{model}/{revision}/');
+    assert.strictEqual(config.localModelPath, '/weights/');
+    assert.strictEqual(config.allowLocalModels, true);
+    assert.strictEqual(config.allowRemoteModels, false);
+  });
+  test('rejects invalid settings', () => {
+    assert.throws(() => resolveModelEnv({ remoteHost: 'mirror.example.com' }), /absolute URL/);
+    assert.throws(() => resolveModelEnv({ remoteHost: 'ftp://mirror.example.com/' }), /http\(s\)/);
+    assert.throws(() => resolveModelEnv({ remotePathTemplate: 'models/' }), /\{model\}/);
+    assert.throws(() => resolveModelEnv({ localModelPath: 'models/' }), /start with \//);
+    assert.throws(() => resolveModelEnv({ allowLocalModels: 'yes' }), /true or false/);
+  });
+  test('at least one source must be enabled', () => {
+    assert.throws(() => resolveModelEnv({ allowRemoteModels: false, allowLocalModels: false }), /At least one/);
+  });
+});
+
+describe('modelEnvFromViteEnv', () => {
+  test('reads VITE_MODEL_* variables, skipping unset and blank ones', () => {
+    assert.deepStrictEqual(modelEnvFromViteEnv({
+      VITE_MODEL_REMOTE_HOST: ' https://mirror.example.com/ ',
+      VITE_MODEL_ALLOW_LOCAL: 'true',
+      VITE_MODEL_LOCAL_PATH: '',
+      OTHER: 'x',
+    }), { remoteHost: 'https://mirror.example.com/', allowLocalModels: 'true' });
+  });
+});
+
+describe('remoteFileUrl', () => {
+  test('builds Hub URLs by default', () => {
+    assert.strictEqual(
+      remoteFileUrl(resolveModelEnv(), 'Xenova/resnet-50', 'onnx/model_quantized.onnx'),
+      'https://huggingface.co/Xenova/resnet-50/resolve/main/onnx/model_quantized.onnx',
+    );
+  });
+  test('follows a mirror path template', () => {
+    const config = resolveModelEnv({ remoteHost: 'https://mirror.example.com/hf/', remotePathTemplate: 'repos/{model}@{revision}/' });
+    assert.strictEqual(remoteFileUrl(config, 'Xenova/resnet-50', 'config.json', 'v1'), 'https://mirror.example.com/hf/repos/Xenova/resnet-50@v1/config.json');
+  });
+});
+
+describe('modelSourceName', () => {
+  test('names the remote host, or this site for local-only builds', () => {
+    assert.strictEqual(modelSourceName(resolveModelEnv()), 'huggingface.co');
+    assert.strictEqual(modelSourceName(resolveModelEnv({ allowRemoteModels: false, allowLocalModels: true })), 'this site');
+  });
+});
+
+describe('withModelEnv', () => {
+  test('applies the modelEnv option and strips it from the pipeline options', async () => {
+    const env = { allowLocalModels: false };
+    const pipelineFn = mock.fn(async () => 'pipe');
+    const wrapped = withModelEnv(pipelineFn, env);
+    await wrapped('t', 'm', { dtype: 'q8', modelEnv: { allowLocalModels: true } });
+    assert.strictEqual(env.allowLocalModels, true);
+    assert.deepStrictEqual(pipelineFn.mock.calls[0].arguments, ['t', 'm', { dtype: 'q8' }]);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectModelFiles } from '../../scripts/model-files.js';
+
+const CLASSIFIER = [
+  '.gitattributes',
+  'README.md',
+  'config.json',
+  'preprocessor_config.json',
+  'onnx/model.onnx',
+  'onnx/model_fp16.onnx',
+  'onnx/model_quantized.onnx',
+  'onnx/model_q4.onnx',
+  'onnx/model_q4f16.onnx',
+];
+
+const SEQ2SEQ = [
+  'config.json',
+  'generation_config.json',
+  'tokenizer.json',
+  'tokenizer_config.json',
+  'onnx/encoder_model.onnx',
+  'onnx/encoder_model_quantized.onnx',
+  'onnx/decoder_model_quantized.onnx',
+  'onnx/decoder_with_past_model_quantized.onnx',
+  'onnx/decoder_model_merged_quantized.onnx',
+];
+
+describe('selectModelFiles', () => {
+  test('root configs plus the weights for one dtype', () => {
+    assert.deepStrictEqual(selectModelFiles(CLASSIFIER, 'q8'), ['config.json', 'onnx/model_quantized.onnx', 'preprocessor_config.json']);
+  });
+  test('fp32 weights have no suffix', () => {
+    assert.deepStrictEqual(selectModelFiles(CLASSIFIER, 'fp32').filter(f => f.endsWith('.onnx')), ['onnx/model.onnx']);
+  });
+  test('q4 does not pick up q4f16', () => {
+    assert.deepStrictEqual(selectModelFiles(CLASSIFIER, 'q4').filter(f => f.endsWith('.onnx')), ['onnx/model_q4.onnx']);
+  });
+  test('only the merged decoder of a seq2seq model', () => {
+    assert.deepStrictEqual(selectModelFiles(SEQ2SEQ, 'q8').filter(f => f.endsWith('.onnx')), [
+      'onnx/decoder_model_merged_quantized.onnx',
+      'onnx/encoder_model_quantized.onnx',
+    ]);
+  });
+  test('includes external weight data', () => {
+    const files = selectModelFiles(['config.json', 'onnx/model.onnx', 'onnx/model.onnx_data', 'onnx/model_fp16.onnx_data'], 'fp32');
+    assert.deepStrictEqual(files, ['config.json', 'onnx/model.onnx', 'onnx/model.onnx_data']);
+  });
+  test('rejects unknown dtypes and missing weights', () => {
+    assert.throws(() => selectModelFiles(CLASSIFIER, 'q2'), /Unknown dtype/);
+    assert.throws(() => selectModelFiles(CLASSIFIER, 'bnb4'), /No bnb4 ONNX weights/);
+  });
+});
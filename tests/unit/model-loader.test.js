@@ -28,9 +28,9 @@ describe('model-loader', () => {
     const failing = mock.fn(async () => { calls++; if (calls === 1) throw new Error('fail'); return { ok: true }; });
     const loader = createLoader(failing);
     const first = await loader('task', 'model');
-    assert.strictEqual(first, null);
+    assert.strictEqual(first.pipeline, null);
     const second = await loader('task', 'model');
-    assert.notStrictEqual(second, null);
+    assert.deepStrictEqual(second, { pipeline: { ok: true }, error: null });
     assert.strictEqual(failing.mock.calls.length, 2);
   });
 
@@ -53,10 +53,92 @@ describe('model-loader', () => {
     assert.strictEqual(opts.revision, 'main');
   });
 
-  test('null return: failed pipeline returns null, does not throw', async () => {
+  test('model environment: the build default reaches the pipeline', async () => {
+    await loadModel('task', 'model');
+    const opts = fakePipeline.mock.calls[0].arguments[2];
+    assert.strictEqual(opts.modelEnv.remoteHost, 'https://huggingface.co/');
+  });
+
+  test('model environment: createLoader accepts a mirror and local files', async () => {
+    const loader = createLoader(fakePipeline, { env: { remoteHost: 'https://mirror.example.com', allowLocalModels: true } });
+    await loader('task', 'model');
+    const { modelEnv } = fakePipeline.mock.calls[0].arguments[2];
+    assert.strictEqual(modelEnv.remoteHost, 'https://mirror.example.com/');
+    assert.strictEqual(modelEnv.allowLocalModels, true);
+  });
+
+  test('model environment: invalid settings fail at createLoader', () => {
+    assert.throws(() => createLoader(fakePipeline, { env: { remotePathTemplate: 'no-model/' } }), /\{model\}/);
+  });
+
+  test('dtype and device are part of the cache key', async () => {
+    await loadModel('task', 'model');
+    await loadModel('task', 'model', { dtype: 'fp32' });
+    await loadModel('task', 'model', { dtype: 'fp32', device: 'webgpu' });
+    await loadModel('task', 'model', { dtype: 'q8' });
+    assert.strictEqual(fakePipeline.mock.calls.length, 3);
+    assert.strictEqual(fakePipeline.mock.calls[2].arguments[2].device, 'webgpu');
+  });
+
+  test('unload only drops the matching dtype and device', async () => {
+    const dispose = mock.fn(async () => {});
+    const pipelineFn = mock.fn(async () => ({ dispose }));
+    const loader = createLoader(pipelineFn);
+    await loader('task', 'model');
+    await loader('task', 'model', { dtype: 'fp16', device: 'webgpu' });
+    await loader.unload('task', 'model', { dtype: 'fp16', device: 'webgpu' });
+    assert.strictEqual(dispose.mock.calls.length, 1);
+    await loader('task', 'model');
+    assert.strictEqual(pipelineFn.mock.calls.length, 2);
+  });
+
+  test('cancelled load resolves to a cancelled error and is evicted', async () => {
+    const abortable = mock.fn(async (task, model, { signal }) => {
+      if (signal?.aborted) throw new DOMException('cancelled', 'AbortError');
+      return { ok: true };
+    });
+    const loader = createLoader(abortable);
+    const cancelled = await loader('task', 'model', { signal: AbortSignal.abort() });
+    assert.strictEqual(cancelled.pipeline, null);
+    assert.strictEqual(cancelled.error.kind, 'cancelled');
+    assert.deepStrictEqual((await loader('task', 'model')).pipeline, { ok: true });
+    assert.strictEqual(abortable.mock.calls.length, 2);
+  });
+
+  test('unload disposes the pipeline and drops it from the cache', async () => {
+    const dispose = mock.fn(async () => {});
+    const pipelineFn = mock.fn(async () => ({ dispose }));
+    const loader = createLoader(pipelineFn);
+    await loader('task', 'model');
+    await loader.unload('task', 'model');
+    assert.strictEqual(dispose.mock.calls.length, 1);
+    await loader('task', 'model');
+    assert.strictEqual(pipelineFn.mock.calls.length, 2);
+  });
+
+  test('unload of a model that was never loaded is a no-op', async () => {
+    await assert.doesNotReject(loadModel.unload('task', 'missing'));
+  });
+
+  test('typed failure: a failed pipeline resolves to a classified error, does not throw', async () => {
     const failing = mock.fn(async () => { throw new Error('boom'); });
     const loader = createLoader(failing);
     const result = await loader('task', 'model');
-    assert.strictEqual(result, null);
+    assert.deepStrictEqual(result, { pipeline: null, error: { kind: 'unknown', message: 'boom' } });
+  });
+
+  test('typed failure: a missing model file reads as not found', async () => {
+    const loader = createLoader(async () => { throw new Error('Could not locate file: "https://huggingface.co/org/model/resolve/main/onnx/model_quantized.onnx".'); });
+    assert.strictEqual((await loader('task', 'org/model')).error.kind, 'not-found');
+  });
+
+  test('typed failure: a missing file on a cache-only load reads as offline', async () => {
+    const loader = createLoader(async () => { throw new Error('Could not locate file: "onnx/model_quantized.onnx".'); });
+    assert.strictEqual((await loader('task', 'model', { cacheOnly: true })).error.kind, 'offline');
+  });
+
+  test('typed failure: a refused fetch reads as a blocked host', async () => {
+    const loader = createLoader(async () => { throw new TypeError('Failed to fetch'); });
+    assert.strictEqual((await loader('task', 'model')).error.kind, 'blocked');
   });
 });
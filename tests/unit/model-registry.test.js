@@ -0,0 +1,87 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MODELS, modelsForTask, findModel, defaultModel, resolveModelChoice, modelLoadChain, downloadSizeMB, formatSize, normalizeLabels,
+} from '../../lib/model-registry.js';
+
+describe('registry data', () => {
+  test('every task has exactly one default model', () => {
+    const tasks = [...new Set(MODELS.map(m => m.task))];
+    tasks.forEach(task => assert.strictEqual(modelsForTask(task).filter(m => m.default).length, 1, task));
+  });
+  test('ids are unique within a task', () => {
+    const keys = MODELS.map(m => `${m.task}::${m.id}`);
+    assert.strictEqual(new Set(keys).size, keys.length);
+  });
+  test('every model lists a size for each dtype it supports', () => {
+    MODELS.forEach(m => m.dtypes.forEach(d => assert.strictEqual(typeof m.sizes[d], 'number', `${m.id} ${d}`)));
+  });
+});
+
+describe('lookups', () => {
+  test('modelsForTask filters by task', () => {
+    modelsForTask('image-classification').forEach(m => assert.strictEqual(m.task, 'image-classification'));
+  });
+  test('findModel requires a matching task', () => {
+    assert.strictEqual(findModel('summarization', 'Xenova/vit-base-patch16-224'), undefined);
+    assert.strictEqual(findModel('image-classification', 'Xenova/vit-base-patch16-224').name, 'ViT Base');
+  });
+  test('defaultModel returns the flagged default', () => {
+    assert.strictEqual(defaultModel('sentiment-analysis').id, 'Xenova/distilbert-base-uncased-finetuned-sst-2-english');
+  });
+});
+
+describe('resolveModelChoice', () => {
+  const task = 'image-classification';
+  test('URL choice wins over stored choice', () => {
+    assert.strictEqual(resolveModelChoice(task, { fromUrl: 'Xenova/resnet-50', fromStorage: 'Xenova/convnext-tiny-224' }).id, 'Xenova/resnet-50');
+  });
+  test('stored choice used when URL has none', () => {
+    assert.strictEqual(resolveModelChoice(task, { fromUrl: null, fromStorage: 'Xenova/convnext-tiny-224' }).id, 'Xenova/convnext-tiny-224');
+  });
+  test('unknown ids fall through to the default', () => {
+    assert.strictEqual(resolveModelChoice(task, { fromUrl: 'evil/model', fromStorage: 'gone/model' }).id, 'Xenova/vit-base-patch16-224');
+  });
+  test('no choices gives the default', () => {
+    assert.strictEqual(resolveModelChoice(task).id, 'Xenova/vit-base-patch16-224');
+  });
+});
+
+describe('modelLoadChain', () => {
+  test('lists the model then its fallbacks', () => {
+    assert.deepStrictEqual(modelLoadChain(defaultModel('summarization')), [
+      'Xenova/distilbart-cnn-6-6', 'onnx-community/distilbart-cnn-6-6', 'Xenova/distilbart-cnn-12-6',
+    ]);
+  });
+  test('models without fallbacks load only themselves', () => {
+    assert.deepStrictEqual(modelLoadChain({ id: 'a/b' }), ['a/b']);
+  });
+});
+
+describe('sizes', () => {
+  test('downloadSizeMB defaults to q8', () => {
+    assert.strictEqual(downloadSizeMB(defaultModel('summarization')), 284);
+  });
+  test('downloadSizeMB reads other dtypes', () => {
+    assert.strictEqual(downloadSizeMB(defaultModel('sentiment-analysis'), 'fp32'), 268);
+  });
+  test('formatSize uses MB below 1000', () => { assert.strictEqual(formatSize(67), '~67 MB'); });
+  test('formatSize switches to GB', () => { assert.strictEqual(formatSize(1550), '~1.6 GB'); });
+});
+
+describe('normalizeLabels', () => {
+  const map = { positive: 'POSITIVE', negative: 'NEGATIVE' };
+  test('maps labels through the label map', () => {
+    assert.deepStrictEqual(normalizeLabels([{ label: 'positive', score: 0.9 }], map), [{ label: 'POSITIVE', score: 0.9 }]);
+  });
+  test('passes unmapped labels through', () => {
+    assert.strictEqual(normalizeLabels([{ label: 'other', score: 0.1 }], map)[0].label, 'other');
+  });
+  test('handles nested batch results', () => {
+    assert.strictEqual(normalizeLabels([[{ label: 'negative', score: 0.5 }]], map)[0][0].label, 'NEGATIVE');
+  });
+  test('returns input unchanged without a map', () => {
+    const raw = [{ label: 'x', score: 1 }];
+    assert.strictEqual(normalizeLabels(raw, null), raw);
+  });
+});
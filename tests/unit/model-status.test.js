@@ -1,14 +1,55 @@
 import { describe, test } from 'node:test';
 import assert from 'node:assert/strict';
-import { nextModelStatus, formatProgress } from '../../lib/model-status.js';
+import { nextModelStatus, formatProgress, trackProgress, chooseLoadPolicy, LOAD_POLICIES } from '../../lib/model-status.js';
 
 describe('nextModelStatus', () => {
   test('idle -> loading on LOAD_START', () => { assert.strictEqual(nextModelStatus('idle', 'LOAD_START'), 'loading'); });
   test('loading -> ready on LOAD_SUCCESS', () => { assert.strictEqual(nextModelStatus('loading', 'LOAD_SUCCESS'), 'ready'); });
   test('loading -> error on LOAD_FAILURE', () => { assert.strictEqual(nextModelStatus('loading', 'LOAD_FAILURE'), 'error'); });
   test('error -> loading on RETRY', () => { assert.strictEqual(nextModelStatus('error', 'RETRY'), 'loading'); });
+  test('ready -> loading on SWITCH_MODEL', () => { assert.strictEqual(nextModelStatus('ready', 'SWITCH_MODEL'), 'loading'); });
+  test('error -> loading on SWITCH_MODEL', () => { assert.strictEqual(nextModelStatus('error', 'SWITCH_MODEL'), 'loading'); });
+  test('loading stays loading on SWITCH_MODEL', () => { assert.strictEqual(nextModelStatus('loading', 'SWITCH_MODEL'), 'loading'); });
   test('ignores invalid transition (ready + LOAD_START)', () => { assert.strictEqual(nextModelStatus('ready', 'LOAD_START'), 'ready'); });
   test('ignores unknown event', () => { assert.strictEqual(nextModelStatus('idle', 'UNKNOWN'), 'idle'); });
+  test('loading -> cancelled on CANCEL', () => { assert.strictEqual(nextModelStatus('loading', 'CANCEL'), 'cancelled'); });
+  test('ready -> unloaded on UNLOAD', () => { assert.strictEqual(nextModelStatus('ready', 'UNLOAD'), 'unloaded'); });
+  test('cancelled -> loading on LOAD_START', () => { assert.strictEqual(nextModelStatus('cancelled', 'LOAD_START'), 'loading'); });
+  test('unloaded -> loading on LOAD_START', () => { assert.strictEqual(nextModelStatus('unloaded', 'LOAD_START'), 'loading'); });
+  test('unloaded -> loading on SWITCH_MODEL', () => { assert.strictEqual(nextModelStatus('unloaded', 'SWITCH_MODEL'), 'loading'); });
+  test('ignores CANCEL outside loading (ready + CANCEL)', () => { assert.strictEqual(nextModelStatus('ready', 'CANCEL'), 'ready'); });
+  test('ignores UNLOAD outside ready (loading + UNLOAD)', () => { assert.strictEqual(nextModelStatus('loading', 'UNLOAD'), 'loading'); });
+  test('idle -> awaiting-input on WAIT_FOR_INPUT', () => { assert.strictEqual(nextModelStatus('idle', 'WAIT_FOR_INPUT'), 'awaiting-input'); });
+  test('idle -> awaiting-consent on WAIT_FOR_CONSENT', () => { assert.strictEqual(nextModelStatus('idle', 'WAIT_FOR_CONSENT'), 'awaiting-consent'); });
+  test('awaiting-input -> loading on INPUT', () => { assert.strictEqual(nextModelStatus('awaiting-input', 'INPUT'), 'loading'); });
+  test('awaiting-input -> loading on LOAD_START', () => { assert.strictEqual(nextModelStatus('awaiting-input', 'LOAD_START'), 'loading'); });
+  test('awaiting-consent -> loading on LOAD_START', () => { assert.strictEqual(nextModelStatus('awaiting-consent', 'LOAD_START'), 'loading'); });
+  test('awaiting-consent ignores INPUT', () => { assert.strictEqual(nextModelStatus('awaiting-consent', 'INPUT'), 'awaiting-consent'); });
+  test('awaiting-consent -> awaiting-input on WAIT_FOR_INPUT', () => { assert.strictEqual(nextModelStatus('awaiting-consent', 'WAIT_FOR_INPUT'), 'awaiting-input'); });
+  test('ignores INPUT once loaded (ready + INPUT)', () => { assert.strictEqual(nextModelStatus('ready', 'INPUT'), 'ready'); });
+  test('ignores WAIT_FOR_CONSENT outside waiting (ready + WAIT_FOR_CONSENT)', () => { assert.strictEqual(nextModelStatus('ready', 'WAIT_FOR_CONSENT'), 'ready'); });
+});
+
+describe('chooseLoadPolicy', () => {
+  test('small models load eagerly', () => { assert.strictEqual(chooseLoadPolicy({ sizeMB: 67 }), LOAD_POLICIES.EAGER); });
+  test('unknown sizes load eagerly', () => { assert.strictEqual(chooseLoadPolicy({}), LOAD_POLICIES.EAGER); });
+  test('medium models wait for input', () => { assert.strictEqual(chooseLoadPolicy({ sizeMB: 153 }), LOAD_POLICIES.ON_INPUT); });
+  test('large models wait for a click', () => { assert.strictEqual(chooseLoadPolicy({ sizeMB: 284 }), LOAD_POLICIES.ON_CLICK); });
+  test('data saver waits for a click, whatever the size', () => {
+    assert.strictEqual(chooseLoadPolicy({ sizeMB: 8, connection: { saveData: true } }), LOAD_POLICIES.ON_CLICK);
+  });
+  test('a 2G connection waits for a click', () => {
+    assert.strictEqual(chooseLoadPolicy({ sizeMB: 8, connection: { effectiveType: 'slow-2g' } }), LOAD_POLICIES.ON_CLICK);
+  });
+  test('a 3G connection waits for input', () => {
+    assert.strictEqual(chooseLoadPolicy({ sizeMB: 8, connection: { effectiveType: '3g' } }), LOAD_POLICIES.ON_INPUT);
+  });
+  test('a fast connection does not change the size rule', () => {
+    assert.strictEqual(chooseLoadPolicy({ sizeMB: 284, connection: { effectiveType: '4g', saveData: false } }), LOAD_POLICIES.ON_CLICK);
+  });
+  test('"always load automatically" wins over size and data saver', () => {
+    assert.strictEqual(chooseLoadPolicy({ sizeMB: 1130, connection: { saveData: true }, alwaysLoad: true }), LOAD_POLICIES.EAGER);
+  });
 });
 
 describe('formatProgress', () => {
@@ -24,3 +65,80 @@ describe('formatProgress', () => {
     assert.strictEqual(r.file, 'model.onnx');
   });
 });
+
+describe('trackProgress', () => {
+  const MB = 1024 * 1024;
+  const encoder = (loaded, status = 'progress') => ({ status, name: 'm', file: 'onnx/encoder.onnx', progress: 0, loaded, total: 100 * MB });
+  const decoder = (loaded, status = 'progress') => ({ status, name: 'm', file: 'onnx/decoder.onnx', progress: 0, loaded, total: 300 * MB });
+
+  test('sums bytes across every file of a multi-file model', () => {
+    let t = trackProgress(null, encoder(50 * MB), 0);
+    t = trackProgress(t, decoder(50 * MB), 1000);
+    const p = formatProgress(t);
+    assert.strictEqual(p.loadedBytes, 100 * MB);
+    assert.strictEqual(p.totalBytes, 400 * MB);
+    assert.strictEqual(p.percent, 25);
+    assert.strictEqual(p.fileCount, 2);
+    assert.strictEqual(p.isIndeterminate, false);
+  });
+
+  test('later events for a file replace its earlier totals', () => {
+    let t = trackProgress(null, encoder(10 * MB), 0);
+    t = trackProgress(t, encoder(60 * MB), 1000);
+    assert.strictEqual(formatProgress(t).loadedBytes, 60 * MB);
+  });
+
+  test('done marks a file complete', () => {
+    let t = trackProgress(null, encoder(90 * MB), 0);
+    t = trackProgress(t, { status: 'done', name: 'm', file: 'onnx/encoder.onnx' }, 1000);
+    const p = formatProgress(t);
+    assert.strictEqual(p.loadedBytes, 100 * MB);
+    assert.strictEqual(p.filesDone, 1);
+  });
+
+  test('rate and ETA come from bytes over elapsed time', () => {
+    let t = trackProgress(null, { status: 'initiate', name: 'm', file: 'onnx/encoder.onnx' }, 0);
+    t = trackProgress(t, encoder(20 * MB), 2000);
+    const p = formatProgress(t);
+    assert.strictEqual(p.bytesPerSecond, 10 * MB);
+    assert.strictEqual(p.etaSeconds, 8);
+    assert.strictEqual(p.detailText, '20.0 MB of 100 MB · 10.0 MB/s · 8 s left');
+  });
+
+  test('files with the same path from different models are tracked separately', () => {
+    let t = trackProgress(null, { ...encoder(10 * MB), name: 'a' }, 0);
+    t = trackProgress(t, { ...encoder(10 * MB), name: 'b' }, 0);
+    assert.strictEqual(formatProgress(t).fileCount, 2);
+  });
+
+  test('ignores events without a file (e.g. ready)', () => {
+    const t = trackProgress(null, { status: 'ready', task: 'x', model: 'm' }, 0);
+    assert.deepStrictEqual(t.files, {});
+    assert.strictEqual(formatProgress(t).isIndeterminate, true);
+  });
+
+  test('does not mutate the previous tracker', () => {
+    const first = trackProgress(null, encoder(10 * MB), 0);
+    trackProgress(first, encoder(20 * MB), 1000);
+    assert.strictEqual(first.files['m/onnx/encoder.onnx'].loaded, 10 * MB);
+  });
+
+  test('breaks encoder/decoder downloads down per weight file', () => {
+    let t = trackProgress(null, { status: 'progress', name: 'm', file: 'tokenizer.json', loaded: 2000, total: 2000 }, 0);
+    t = trackProgress(t, encoder(100 * MB), 0);
+    t = trackProgress(t, { status: 'done', name: 'm', file: 'onnx/encoder.onnx' }, 0);
+    t = trackProgress(t, decoder(75 * MB), 1000);
+    const p = formatProgress(t);
+    assert.deepStrictEqual(p.weights, [
+      { label: 'encoder', percent: 100, done: true },
+      { label: 'decoder', percent: 25, done: false },
+    ]);
+    assert.strictEqual(p.weightsText, 'encoder done · decoder 25%');
+  });
+
+  test('a single weight file has no breakdown text', () => {
+    const p = formatProgress(trackProgress(null, encoder(10 * MB), 0));
+    assert.strictEqual(p.weights.length, 1);
+    assert.strictEqual(p.weightsText, '');
+  });
+});
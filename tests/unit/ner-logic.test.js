@@ -0,0 +1,168 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isInputValid, parseEntityTag, entityTypeInfo, alignTokens, mergeEntities, filterEntities, segmentText, summarizeEntityTypes, formatEntityLabel,
+  toEntitiesJson, ENTITY_TYPES,
+} from '../../pages/ner/ner-logic.js';
+
+const token = (index, entity, word, score = 0.9) => ({ index, entity, word, score });
+
+// Output of Xenova/bert-base-NER for TEXT (WordPiece, "O" tokens already dropped by the pipeline)
+const TEXT = 'Wolfgang Amadeus Mozart lived in Salzburg and Vienna.';
+const TOKENS = [
+  token(1, 'B-PER', 'Wolf', 0.99),
+  token(2, 'I-PER', '##gang', 0.97),
+  token(3, 'I-PER', 'Amadeus', 0.98),
+  token(4, 'I-PER', 'Mozart', 0.96),
+  token(7, 'B-LOC', 'Salzburg', 0.95),
+  token(9, 'B-LOC', 'Vienna', 0.93),
+];
+
+describe('isInputValid', () => {
+  test('rejects empty and whitespace-only text', () => {
+    assert.strictEqual(isInputValid(''), false);
+    assert.strictEqual(isInputValid('  \n'), false);
+    assert.strictEqual(isInputValid('Paris'), true);
+  });
+});
+
+describe('parseEntityTag', () => {
+  test('splits IOB tags', () => {
+    assert.deepStrictEqual(parseEntityTag('B-PER'), { prefix: 'B', type: 'PER' });
+    assert.deepStrictEqual(parseEntityTag('I-ORG'), { prefix: 'I', type: 'ORG' });
+  });
+  test('keeps tags without a prefix as the type', () => {
+    assert.deepStrictEqual(parseEntityTag('LOC'), { prefix: null, type: 'LOC' });
+  });
+  test('"O" is not an entity', () => {
+    assert.deepStrictEqual(parseEntityTag('O'), { prefix: null, type: null });
+  });
+});
+
+describe('entityTypeInfo', () => {
+  test('names the CoNLL types', () => {
+    assert.strictEqual(entityTypeInfo('PER'), ENTITY_TYPES.PER);
+  });
+  test('other types keep their tag as the name and a stable colour', () => {
+    const info = entityTypeInfo('DATE');
+    assert.strictEqual(info.name, 'DATE');
+    assert.strictEqual(entityTypeInfo('DATE').color, info.color);
+  });
+});
+
+describe('alignTokens', () => {
+  test('finds each token in order, including subword pieces', () => {
+    const aligned = alignTokens(TEXT, TOKENS.slice(0, 2));
+    assert.deepStrictEqual(aligned.map(t => [t.start, t.end]), [[0, 4], [4, 8]]);
+  });
+  test('matches lowercased output from uncased models', () => {
+    assert.deepStrictEqual(alignTokens('Hello Paris', [token(2, 'B-LOC', 'paris')]).map(t => t.start), [6]);
+  });
+  test('finds repeated words after the previous match', () => {
+    const aligned = alignTokens('Paris, not Paris', [token(1, 'B-LOC', 'Paris'), token(4, 'B-LOC', 'Paris')]);
+    assert.deepStrictEqual(aligned.map(t => t.start), [0, 11]);
+  });
+  test('strips SentencePiece and byte-level BPE word markers', () => {
+    const aligned = alignTokens('in Berlin', [token(2, 'B-LOC', '▁Berlin'), token(3, 'B-LOC', 'ĠBerlin')]);
+    assert.strictEqual(aligned[0].start, 3);
+    assert.strictEqual(aligned[1].start, null); // Only one Berlin to find
+  });
+  test('a word inside a longer word is not a match', () => {
+    assert.deepStrictEqual(alignTokens('We can afford a new Ford.', [token(6, 'B-ORG', 'ford')]).map(t => t.start), [20]);
+  });
+  test('skips earlier copies that lie before the token position', () => {
+    assert.deepStrictEqual(alignTokens('I ate an apple in the Apple store.', [token(7, 'B-ORG', 'apple')]).map(t => t.start), [22]);
+  });
+  test('continuation pieces follow their word directly', () => {
+    const aligned = alignTokens('burg Salzburg', [token(2, 'B-LOC', 'Salz'), token(3, 'I-LOC', '##burg')]);
+    assert.deepStrictEqual(aligned.map(t => [t.start, t.end]), [[5, 9], [9, 13]]);
+  });
+  test('keeps offsets the pipeline reports', () => {
+    const reported = { ...token(1, 'B-LOC', 'x'), start: 3, end: 9 };
+    assert.strictEqual(alignTokens('in Berlin', [reported])[0], reported);
+  });
+});
+
+describe('mergeEntities', () => {
+  test('merges B-/I- tokens and subword pieces into spans with averaged scores', () => {
+    const spans = mergeEntities(TEXT, TOKENS);
+    assert.deepStrictEqual(spans.map(s => [s.type, s.text, s.start, s.end]), [
+      ['PER', 'Wolfgang Amadeus Mozart', 0, 23],
+      ['LOC', 'Salzburg', 33, 41],
+      ['LOC', 'Vienna', 46, 52],
+    ]);
+    assert.ok(Math.abs(spans[0].score - (0.99 + 0.97 + 0.98 + 0.96) / 4) < 1e-9);
+  });
+  test('a B- tag after a space starts a new entity of the same type', () => {
+    const spans = mergeEntities('Paris London', [token(1, 'B-LOC', 'Paris'), token(2, 'B-LOC', 'London')]);
+    assert.deepStrictEqual(spans.map(s => s.text), ['Paris', 'London']);
+  });
+  test('a subword piece tagged B- continues its word', () => {
+    const spans = mergeEntities('Salzburg', [token(1, 'B-LOC', 'Salz'), token(2, 'B-LOC', '##burg')]);
+    assert.deepStrictEqual(spans.map(s => s.text), ['Salzburg']);
+  });
+  test('an I- tag of another type starts a new entity', () => {
+    const spans = mergeEntities('Acme Paris', [token(1, 'B-ORG', 'Acme'), token(2, 'I-LOC', 'Paris')]);
+    assert.deepStrictEqual(spans.map(s => s.type), ['ORG', 'LOC']);
+  });
+  test('tokens separated by a dropped "O" token do not merge', () => {
+    const spans = mergeEntities('Anna and Bob', [token(1, 'B-PER', 'Anna'), token(3, 'I-PER', 'Bob')]);
+    assert.deepStrictEqual(spans.map(s => s.text), ['Anna', 'Bob']);
+  });
+  test('skips "O" tokens and tokens that cannot be located', () => {
+    const spans = mergeEntities('in Rome', [token(1, 'O', 'in'), token(2, 'B-LOC', 'Rome'), token(3, 'B-LOC', 'Oslo')]);
+    assert.deepStrictEqual(spans.map(s => s.text), ['Rome']);
+  });
+  test('matches case-sensitively for cased models', () => {
+    assert.deepStrictEqual(mergeEntities('We can afford a new Ford.', [token(6, 'B-ORG', 'Ford')]), [
+      { type: 'ORG', start: 20, end: 24, text: 'Ford', score: 0.9 },
+    ]);
+    assert.deepStrictEqual(mergeEntities('I ate an apple in the Apple store.', [token(7, 'B-ORG', 'Apple')]).map(s => [s.start, s.text]), [[22, 'Apple']]);
+  });
+  test('no tokens, no entities', () => {
+    assert.deepStrictEqual(mergeEntities('nothing here', []), []);
+  });
+});
+
+describe('filterEntities', () => {
+  test('drops hidden types', () => {
+    const spans = mergeEntities(TEXT, TOKENS);
+    assert.deepStrictEqual(filterEntities(spans, new Set(['PER'])).map(s => s.text), ['Salzburg', 'Vienna']);
+    assert.strictEqual(filterEntities(spans).length, 3);
+  });
+});
+
+describe('segmentText', () => {
+  test('alternates plain text and entities, covering the whole text', () => {
+    const spans = mergeEntities(TEXT, TOKENS);
+    const segments = segmentText(TEXT, spans);
+    assert.strictEqual(segments.map(s => s.text).join(''), TEXT);
+    assert.deepStrictEqual(segments.map(s => s.span?.type ?? null), ['PER', null, 'LOC', null, 'LOC', null]);
+  });
+  test('text without entities is one plain segment', () => {
+    assert.deepStrictEqual(segmentText('plain', []), [{ text: 'plain', span: null }]);
+  });
+});
+
+describe('summarizeEntityTypes', () => {
+  test('counts each type, most frequent first', () => {
+    assert.deepStrictEqual(summarizeEntityTypes(mergeEntities(TEXT, TOKENS)), [{ type: 'LOC', count: 2 }, { type: 'PER', count: 1 }]);
+  });
+});
+
+describe('formatEntityLabel', () => {
+  test('type name and score', () => {
+    assert.strictEqual(formatEntityLabel({ type: 'ORG', score: 0.9234 }), 'Organization · 92.3%');
+  });
+});
+
+describe('toEntitiesJson', () => {
+  test('lists entities with offsets and rounded scores', () => {
+    const json = toEntitiesJson({ text: TEXT, spans: mergeEntities(TEXT, TOKENS).slice(1, 2), model: 'Xenova/bert-base-NER' });
+    assert.deepStrictEqual(json, {
+      model: 'Xenova/bert-base-NER',
+      text: TEXT,
+      entities: [{ type: 'LOC', text: 'Salzburg', start: 33, end: 41, score: 0.95 }],
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  filterDetections, scaleBox, fitToWidth, assignLabelColors, summarizeLabels, detectionSummary, formatDetectionLabel, toCocoJson, BOX_COLORS,
+} from '../../pages/object-detect/object-detect-logic.js';
+
+const box = (xmin, ymin, xmax, ymax) => ({ xmin, ymin, xmax, ymax });
+const DETECTIONS = [
+  { label: 'cat', score: 0.62, box: box(10, 20, 110, 220) },
+  { label: 'dog', score: 0.97, box: box(200, 40, 400, 300) },
+  { label: 'cat', score: 0.31, box: box(0, 0, 50, 50) },
+  { label: 'remote', score: 0.88, box: box(50, 60, 70, 80) },
+];
+
+describe('filterDetections', () => {
+  test('keeps detections at or above the threshold, highest score first', () => {
+    assert.deepStrictEqual(filterDetections(DETECTIONS, { threshold: 0.62 }).map(d => d.label), ['dog', 'remote', 'cat']);
+  });
+  test('drops hidden labels', () => {
+    const shown = filterDetections(DETECTIONS, { threshold: 0.1, hiddenLabels: new Set(['cat']) });
+    assert.deepStrictEqual(shown.map(d => d.label), ['dog', 'remote']);
+  });
+  test('does not reorder the input array', () => {
+    const input = [...DETECTIONS];
+    filterDetections(input, { threshold: 0 });
+    assert.deepStrictEqual(input, DETECTIONS);
+  });
+});
+
+describe('scaleBox', () => {
+  test('maps source pixels onto the drawn size', () => {
+    const scaled = scaleBox(box(100, 50, 300, 250), { width: 800, height: 600 }, { width: 400, height: 300 });
+    assert.deepStrictEqual(scaled, { x: 50, y: 25, width: 100, height: 100 });
+  });
+  test('identity when sizes match', () => {
+    const size = { width: 640, height: 480 };
+    assert.deepStrictEqual(scaleBox(box(1, 2, 3, 5), size, size), { x: 1, y: 2, width: 2, height: 3 });
+  });
+  test('clamps boxes that spill past the image edges', () => {
+    const size = { width: 100, height: 100 };
+    assert.deepStrictEqual(scaleBox(box(-5, -10, 120, 90), size, size), { x: 0, y: 0, width: 100, height: 90 });
+  });
+});
+
+describe('fitToWidth', () => {
+  test('scales wide images down to the available width', () => {
+    assert.deepStrictEqual(fitToWidth({ width: 1600, height: 900 }, 800), { width: 800, height: 450 });
+  });
+  test('never upscales', () => {
+    assert.deepStrictEqual(fitToWidth({ width: 320, height: 240 }, 800), { width: 320, height: 240 });
+  });
+});
+
+describe('assignLabelColors', () => {
+  test('assigns palette colours in order of first appearance', () => {
+    const colors = assignLabelColors(DETECTIONS);
+    assert.deepStrictEqual([...colors], [['cat', BOX_COLORS[0]], ['dog', BOX_COLORS[1]], ['remote', BOX_COLORS[2]]]);
+  });
+  test('wraps around the palette', () => {
+    const many = Array.from({ length: BOX_COLORS.length + 1 }, (_, i) => ({ label: `l${i}` }));
+    assert.strictEqual(assignLabelColors(many).get(`l${BOX_COLORS.length}`), BOX_COLORS[0]);
+  });
+});
+
+describe('summarizeLabels', () => {
+  test('counts detections above the threshold per label, most frequent first', () => {
+    assert.deepStrictEqual(summarizeLabels(DETECTIONS, 0.3), [
+      { label: 'cat', count: 2 },
+      { label: 'dog', count: 1 },
+      { label: 'remote', count: 1 },
+    ]);
+  });
+  test('labels with nothing above the threshold are left out', () => {
+    assert.deepStrictEqual(summarizeLabels(DETECTIONS, 0.9), [{ label: 'dog', count: 1 }]);
+  });
+});
+
+describe('detectionSummary', () => {
+  test('counts per label, most frequent first', () => {
+    assert.strictEqual(detectionSummary(DETECTIONS, 0.3), '2 cat · 1 dog · 1 remote');
+  });
+  test('nothing above the threshold', () => {
+    assert.strictEqual(detectionSummary(DETECTIONS, 0.99), 'No objects');
+  });
+});
+
+test('formatDetectionLabel: label and rounded percent', () => {
+  assert.strictEqual(formatDetectionLabel({ label: 'dog', score: 0.916 }), 'dog 92%');
+});
+
+describe('toCocoJson', () => {
+  const coco = toCocoJson({
+    detections: DETECTIONS.slice(0, 2),
+    image: { fileName: 'pets.jpg', width: 640, height: 480 },
+    model: 'Xenova/detr-resnet-50',
+  });
+
+  test('describes the single image', () => {
+    assert.deepStrictEqual(coco.images, [{ id: 1, file_name: 'pets.jpg', width: 640, height: 480 }]);
+  });
+  test('numbers categories in order of first appearance', () => {
+    assert.deepStrictEqual(coco.categories, [{ id: 1, name: 'cat' }, { id: 2, name: 'dog' }]);
+  });
+  test('annotations use [x, y, width, height] boxes with area and score', () => {
+    assert.deepStrictEqual(coco.annotations[1], {
+      id: 2, image_id: 1, category_id: 2, bbox: [200, 40, 200, 260], area: 52000, score: 0.97, iscrowd: 0,
+    });
+  });
+  test('records the model', () => {
+    assert.strictEqual(coco.info.model, 'Xenova/detr-resnet-50');
+  });
+});
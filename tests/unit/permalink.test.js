@@ -0,0 +1,77 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_INLINE_IMAGE_CHARS, encodeState, decodeState, readPermalinkHash, buildPermalink, canInlineImage, storedImageKey, storedImagesToPrune,
+} from '../../lib/permalink.js';
+
+describe('encodeState / decodeState', () => {
+  test('round-trips unicode text', async () => {
+    const state = { text: 'Café 👍 — “quoted” <b>tags</b>' };
+    assert.deepStrictEqual(await decodeState(await encodeState(state)), state);
+  });
+  test('output is URL-safe', async () => {
+    const encoded = await encodeState({ text: '?&#/+= '.repeat(50) });
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  });
+  test('compresses repetitive text', async () => {
+    const text = 'the same sentence again. '.repeat(200);
+    assert.ok((await encodeState({ text })).length < text.length / 10);
+  });
+  test('returns null for malformed payloads', async () => {
+    assert.strictEqual(await decodeState('not*base64'), null);
+    assert.strictEqual(await decodeState('AAAA'), null);
+  });
+  test('returns null for a truncated payload', async () => {
+    const encoded = await encodeState({ text: 'a long enough piece of text to truncate' });
+    assert.strictEqual(await decodeState(encoded.slice(0, encoded.length / 2)), null);
+  });
+});
+
+describe('readPermalinkHash', () => {
+  test('extracts the payload', () => {
+    assert.strictEqual(readPermalinkHash('#s=abc'), 'abc');
+  });
+  test('ignores other hashes', () => {
+    assert.strictEqual(readPermalinkHash(''), null);
+    assert.strictEqual(readPermalinkHash('#section'), null);
+    assert.strictEqual(readPermalinkHash('#s='), null);
+  });
+});
+
+describe('buildPermalink', () => {
+  test('sets the model and hash, keeping other parameters', () => {
+    const link = buildPermalink('https://example.com/pages/sentiment/?lang=en#old', { model: 'Xenova/model', encoded: 'xyz' });
+    const url = new URL(link);
+    assert.strictEqual(url.searchParams.get('model'), 'Xenova/model');
+    assert.strictEqual(url.searchParams.get('lang'), 'en');
+    assert.strictEqual(readPermalinkHash(url.hash), 'xyz');
+  });
+  test('replaces an existing model parameter', () => {
+    const link = buildPermalink('https://example.com/?model=old', { model: 'new', encoded: 'x' });
+    assert.deepStrictEqual(new URL(link).searchParams.getAll('model'), ['new']);
+  });
+});
+
+describe('canInlineImage', () => {
+  test('accepts data URLs up to the limit', () => {
+    assert.strictEqual(canInlineImage('x'.repeat(MAX_INLINE_IMAGE_CHARS)), true);
+    assert.strictEqual(canInlineImage('x'.repeat(MAX_INLINE_IMAGE_CHARS + 1)), false);
+  });
+});
+
+describe('storedImageKey', () => {
+  test('is the same for the same bytes and differs otherwise', async () => {
+    const key = await storedImageKey(new Uint8Array([1, 2, 3]));
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.strictEqual(await storedImageKey(new Uint8Array([1, 2, 3])), key);
+    assert.notStrictEqual(await storedImageKey(new Uint8Array([1, 2, 4])), key);
+  });
+});
+
+describe('storedImagesToPrune', () => {
+  test('keeps the most recently saved images', () => {
+    const records = [{ key: 'old', savedAt: 1 }, { key: 'new', savedAt: 3 }, { key: 'mid', savedAt: 2 }];
+    assert.deepStrictEqual(storedImagesToPrune(records, 2), ['old']);
+    assert.deepStrictEqual(storedImagesToPrune(records, 5), []);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileUrl, precacheUrls, buildVersion, renderServiceWorker } from '../../pwa/precache-manifest.js';
+
+describe('fileUrl', () => {
+  test('pages are served at their directory URL', () => {
+    assert.strictEqual(fileUrl('index.html'), '/');
+    assert.strictEqual(fileUrl('pages/sentiment/index.html'), '/pages/sentiment/');
+  });
+  test('other files keep their path', () => {
+    assert.strictEqual(fileUrl('assets/sentiment-abc123.js'), '/assets/sentiment-abc123.js');
+  });
+});
+
+describe('precacheUrls', () => {
+  test('includes pages, scripts, styles and public files, sorted and unique', () => {
+    const urls = precacheUrls(['pages/cache/index.html', 'assets/app-1.css', 'index.html', 'assets/app-1.css'], ['/manifest.webmanifest']);
+    assert.deepStrictEqual(urls, ['/', '/assets/app-1.css', '/manifest.webmanifest', '/pages/cache/']);
+  });
+  test('skips wasm binaries and source maps', () => {
+    assert.deepStrictEqual(precacheUrls(['assets/ort-wasm.wasm', 'assets/a.js.map', 'assets/a.js'], []), ['/assets/a.js']);
+  });
+});
+
+describe('buildVersion', () => {
+  const files = [{ name: 'a.js', source: 'one' }, { name: 'b.js', source: new Uint8Array([1, 2]) }];
+  test('does not depend on file order', () => {
+    assert.strictEqual(buildVersion(files), buildVersion([...files].reverse()));
+  });
+  test('changes when any file changes', () => {
+    assert.notStrictEqual(buildVersion(files), buildVersion([{ name: 'a.js', source: 'two' }, files[1]]));
+  });
+});
+
+describe('renderServiceWorker', () => {
+  test('fills in the precache list and version', () => {
+    const sw = renderServiceWorker("const V = '__BUILD_VERSION__';\nconst URLS = self.__PRECACHE_URLS;", { urls: ['/'], version: 'abc' });
+    assert.strictEqual(sw, "const V = 'abc';\nconst URLS = [\n  \"/\"\n];");
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isInputValid, slidingWindows, locateAnswer, answerQuestion, appendTurn, formatConfidence, highlightContext,
+} from '../../pages/qa/qa-logic.js';
+
+const words = (n, offset = 0) => Array.from({ length: n }, (_, i) => `w${i + offset}`).join(' ');
+
+// A fake pipeline that answers with a fixed span from whichever window contains it
+const fakeQa = (answer, score) => async (question, context) => (
+  context.includes(answer) ? { answer, score } : { answer: context.split(' ')[0], score: 0.01 }
+);
+
+describe('isInputValid', () => {
+  test('rejects empty and whitespace-only text', () => {
+    assert.strictEqual(isInputValid(''), false);
+    assert.strictEqual(isInputValid(' \n'), false);
+    assert.strictEqual(isInputValid('Who?'), true);
+  });
+});
+
+describe('slidingWindows', () => {
+  test('a short context is one window covering it', () => {
+    assert.deepStrictEqual(slidingWindows('  Ada wrote it.  '), [{ text: 'Ada wrote it.', start: 2, end: 15 }]);
+  });
+  test('long contexts are split into overlapping windows with offsets', () => {
+    const context = words(10);
+    const windows = slidingWindows(context, { windowWords: 4, overlapWords: 1 });
+    assert.deepStrictEqual(windows.map(w => w.text), ['w0 w1 w2 w3', 'w3 w4 w5 w6', 'w6 w7 w8 w9']);
+    windows.forEach(w => assert.strictEqual(context.slice(w.start, w.end), w.text));
+  });
+  test('the last window ends at the last word', () => {
+    const windows = slidingWindows(words(5), { windowWords: 4, overlapWords: 2 });
+    assert.deepStrictEqual(windows.map(w => w.text), ['w0 w1 w2 w3', 'w2 w3 w4']);
+  });
+  test('an empty context has no windows', () => {
+    assert.deepStrictEqual(slidingWindows('   '), []);
+  });
+  test('overlap must be smaller than the window', () => {
+    assert.throws(() => slidingWindows('a b', { windowWords: 2, overlapWords: 2 }), /overlapWords/);
+  });
+});
+
+describe('locateAnswer', () => {
+  test('finds the answer ignoring case', () => {
+    assert.deepStrictEqual(locateAnswer('Born in London.', 'london'), { start: 8, end: 14 });
+  });
+  test('ignores spacing differences around punctuation', () => {
+    assert.deepStrictEqual(locateAnswer('She moved to the U.S. in 1990', 'U . S .'), { start: 17, end: 21 });
+  });
+  test('treats the answer as text, not a pattern', () => {
+    assert.deepStrictEqual(locateAnswer('cost (approx) $5', '(approx) $5'), { start: 5, end: 16 });
+  });
+  test('prefers an occurrence with the same case', () => {
+    assert.deepStrictEqual(locateAnswer('The Bank of England is by the river bank.', 'bank'), { start: 36, end: 40 });
+  });
+  test('uses offsets the pipeline reports', () => {
+    const text = 'Paris is in France. She lived in Paris.';
+    assert.deepStrictEqual(locateAnswer(text, 'Paris', { start: 33, end: 38 }), { start: 33, end: 38 });
+    assert.deepStrictEqual(locateAnswer(text, 'Paris', { start: 33, end: 99 }), { start: 0, end: 5 });
+  });
+  test('null when the answer is not in the text', () => {
+    assert.strictEqual(locateAnswer('Born in London.', 'Paris'), null);
+    assert.strictEqual(locateAnswer('Born in London.', ' '), null);
+  });
+});
+
+describe('answerQuestion', () => {
+  test('returns the answer with offsets into the context', async () => {
+    const context = 'Ada Lovelace wrote the first program.';
+    const result = await answerQuestion(async () => ({ answer: 'ada lovelace', score: 0.9 }), 'Who?', context);
+    assert.deepStrictEqual(result, { answer: 'Ada Lovelace', score: 0.9, start: 0, end: 12, windowCount: 1 });
+  });
+  test('picks the best-scoring window and maps its offsets back', async () => {
+    const context = `${words(8)} target ${words(8, 8)}`;
+    const progress = [];
+    const result = await answerQuestion(fakeQa('target', 0.8), 'Where?', context, {
+      windowWords: 5, overlapWords: 1, onWindow: (done, total) => progress.push(`${done}/${total}`),
+    });
+    assert.strictEqual(result.answer, 'target');
+    assert.strictEqual(context.slice(result.start, result.end), 'target');
+    assert.strictEqual(result.windowCount, 4);
+    assert.deepStrictEqual(progress, ['1/4', '2/4', '3/4', '4/4']);
+  });
+  test('maps reported offsets of a repeated answer into the context', async () => {
+    const context = 'Paris is in France. She lived in Paris.';
+    const result = await answerQuestion(async () => ({ answer: 'paris', score: 0.7, start: 33, end: 38 }), 'Where?', context);
+    assert.deepStrictEqual([result.answer, result.start, result.end], ['Paris', 33, 38]);
+  });
+  test('accepts array output (topk)', async () => {
+    const result = await answerQuestion(async () => [{ answer: 'it', score: 0.5 }, { answer: 'x', score: 0.1 }], 'What?', 'Ada wrote it.');
+    assert.deepStrictEqual([result.answer, result.start], ['it', 10]);
+  });
+  test('passes the trimmed question to the pipeline', async () => {
+    const asked = [];
+    await answerQuestion(async (q) => { asked.push(q); return { answer: 'a', score: 1 }; }, '  Why?  ', 'a b');
+    assert.deepStrictEqual(asked, ['Why?']);
+  });
+  test('keeps answers that cannot be located, without offsets', async () => {
+    const result = await answerQuestion(async () => ({ answer: ' elsewhere ', score: 0.3 }), 'Where?', 'Ada wrote it.');
+    assert.deepStrictEqual(result, { answer: 'elsewhere', score: 0.3, start: null, end: null, windowCount: 1 });
+  });
+});
+
+describe('appendTurn', () => {
+  const turn = (question) => ({ question, answer: 'a', score: 0.5, start: 0, end: 1 });
+  test('questions about the same document extend the thread', () => {
+    const thread = appendTurn(appendTurn(null, 'doc', turn('one')), 'doc', turn('two'));
+    assert.deepStrictEqual(thread.turns.map(t => t.question), ['one', 'two']);
+  });
+  test('a different document starts a new thread', () => {
+    const first = appendTurn(null, 'doc', turn('one'));
+    const thread = appendTurn(first, 'other doc', turn('two'));
+    assert.deepStrictEqual(thread, { context: 'other doc', turns: [turn('two')] });
+    assert.strictEqual(first.turns.length, 1);
+  });
+});
+
+describe('formatConfidence', () => {
+  test('percentage with one decimal', () => {
+    assert.strictEqual(formatConfidence(0.8734), '87.3%');
+  });
+});
+
+describe('highlightContext', () => {
+  test('splits the context around the answer', () => {
+    assert.deepStrictEqual(highlightContext('Ada wrote it.', { start: 4, end: 9 }), { before: 'Ada ', answer: 'wrote', after: ' it.' });
+  });
+  test('unlocated answers highlight nothing', () => {
+    assert.deepStrictEqual(highlightContext('Ada wrote it.', { start: null, end: null }), { before: 'Ada wrote it.', answer: '', after: '' });
+  });
+});
@@ -1,6 +1,11 @@
 import { describe, test } from 'node:test';
 import assert from 'node:assert/strict';
-import { formatSentimentResult, isInputValid } from '../../pages/sentiment/sentiment-logic.js';
+import {
+  formatSentimentResult, isInputValid,
+  splitLines, extractCsvColumn, guessTextColumn, parseBatchSize, chunkItems, formatSentimentBatch, summarizeDistribution, sortSentimentRows,
+  DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE,
+  tokenizeForOcclusion, occlusionVariants, labelScore, occlusionDeltas, formatTokenExplanation,
+} from '../../pages/sentiment/sentiment-logic.js';
 
 describe('formatSentimentResult', () => {
   test('positive result has green color var', () => {
@@ -24,6 +29,9 @@ describe('formatSentimentResult', () => {
   test('handles near-100% score', () => {
     assert.strictEqual(formatSentimentResult([{ label: 'POSITIVE', score: 0.9997 }]).percentText, '100.0%');
   });
+  test('neutral result has neutral color var', () => {
+    assert.strictEqual(formatSentimentResult([{ label: 'NEUTRAL', score: 0.6 }]).colorVar, '--text-secondary');
+  });
   test('preserves original label string', () => {
     assert.strictEqual(formatSentimentResult([{ label: 'POSITIVE', score: 0.8 }]).label, 'POSITIVE');
   });
@@ -34,3 +42,185 @@ describe('isInputValid', () => {
   test('whitespace-only is invalid', () => { assert.strictEqual(isInputValid('   \n\t  '), false); });
   test('non-empty string is valid', () => { assert.strictEqual(isInputValid('hello'), true); });
 });
+
+describe('splitLines', () => {
+  test('one item per non-empty trimmed line', () => {
+    assert.deepStrictEqual(splitLines('  good \n\nbad\r\n   \nok'), ['good', 'bad', 'ok']);
+  });
+  test('empty text gives no items', () => { assert.deepStrictEqual(splitLines(''), []); });
+});
+
+describe('extractCsvColumn', () => {
+  const rows = [['id', 'text'], ['1', 'great'], ['2', '  '], ['3', 'awful']];
+  test('skips the header and empty values', () => {
+    assert.deepStrictEqual(extractCsvColumn(rows, 1), ['great', 'awful']);
+  });
+  test('tolerates short rows', () => {
+    assert.deepStrictEqual(extractCsvColumn([['a', 'b'], ['x']], 1), []);
+  });
+});
+
+describe('guessTextColumn', () => {
+  test('prefers a column named like text', () => {
+    assert.strictEqual(guessTextColumn([['id', 'Review', 'stars'], ['1', 'ok', '5']]), 1);
+  });
+  test('falls back to the longest average value', () => {
+    assert.strictEqual(guessTextColumn([['id', 'body_html', 'x'], ['1', 'a long piece of text', 'y']]), 1);
+  });
+  test('returns 0 for empty input', () => { assert.strictEqual(guessTextColumn([]), 0); });
+});
+
+describe('parseBatchSize', () => {
+  test('accepts numeric strings', () => { assert.strictEqual(parseBatchSize('16'), 16); });
+  test('defaults for junk and non-positive values', () => {
+    assert.strictEqual(parseBatchSize('abc'), DEFAULT_BATCH_SIZE);
+    assert.strictEqual(parseBatchSize(0), DEFAULT_BATCH_SIZE);
+  });
+  test('clamps to the maximum', () => { assert.strictEqual(parseBatchSize(1000), MAX_BATCH_SIZE); });
+});
+
+describe('chunkItems', () => {
+  test('splits into consecutive batches with a short tail', () => {
+    assert.deepStrictEqual(chunkItems([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  });
+});
+
+describe('formatSentimentBatch', () => {
+  test('pairs texts with results and numbers rows from the offset', () => {
+    const rows = formatSentimentBatch(['a', 'b'], [{ label: 'POSITIVE', score: 0.9 }, { label: 'NEGATIVE', score: 0.7 }], 4);
+    assert.deepStrictEqual(rows.map(r => [r.index, r.text, r.label]), [[5, 'a', 'POSITIVE'], [6, 'b', 'NEGATIVE']]);
+    assert.strictEqual(rows[1].percentText, '70.0%');
+    assert.strictEqual(rows[0].score, 0.9);
+  });
+  test('unwraps nested per-item results', () => {
+    const rows = formatSentimentBatch(['a'], [[{ label: 'NEGATIVE', score: 0.6 }]]);
+    assert.strictEqual(rows[0].colorVar, '--negative');
+  });
+  test('throws when result count does not match', () => {
+    assert.throws(() => formatSentimentBatch(['a', 'b'], [{ label: 'POSITIVE', score: 1 }]), /Expected 2 results/);
+  });
+});
+
+describe('summarizeDistribution', () => {
+  test('counts and percentages', () => {
+    const d = summarizeDistribution([{ label: 'POSITIVE' }, { label: 'POSITIVE' }, { label: 'POSITIVE' }, { label: 'NEGATIVE' }]);
+    assert.deepStrictEqual(d, { total: 4, positive: 3, negative: 1, neutral: 0, positivePercent: 75, negativePercent: 25, neutralPercent: 0 });
+  });
+  test('counts neutral labels from 3-class models', () => {
+    const d = summarizeDistribution([{ label: 'NEUTRAL' }, { label: 'POSITIVE' }]);
+    assert.strictEqual(d.neutral, 1);
+    assert.strictEqual(d.neutralPercent, 50);
+  });
+  test('empty rows give zero percentages', () => {
+    assert.strictEqual(summarizeDistribution([]).positivePercent, 0);
+  });
+});
+
+describe('sortSentimentRows', () => {
+  const rows = [
+    { index: 1, text: 'b', label: 'POSITIVE', score: 0.5 },
+    { index: 2, text: 'a', label: 'NEGATIVE', score: 0.9 },
+    { index: 3, text: 'c', label: 'POSITIVE', score: 0.7 },
+  ];
+  test('sorts numbers descending', () => {
+    assert.deepStrictEqual(sortSentimentRows(rows, 'score', 'desc').map(r => r.index), [2, 3, 1]);
+  });
+  test('sorts strings ascending', () => {
+    assert.deepStrictEqual(sortSentimentRows(rows, 'text', 'asc').map(r => r.text), ['a', 'b', 'c']);
+  });
+  test('breaks ties by original order', () => {
+    assert.deepStrictEqual(sortSentimentRows(rows, 'label', 'desc').map(r => r.index), [1, 3, 2]);
+  });
+  test('does not mutate the input', () => {
+    sortSentimentRows(rows, 'score', 'asc');
+    assert.strictEqual(rows[0].index, 1);
+  });
+});
+
+describe('tokenizeForOcclusion', () => {
+  test('splits words from spaces and punctuation', () => {
+    assert.deepStrictEqual(tokenizeForOcclusion('Great, fun!'), [
+      { text: 'Great', isWord: true },
+      { text: ', ', isWord: false },
+      { text: 'fun', isWord: true },
+      { text: '!', isWord: false },
+    ]);
+  });
+  test('keeps contractions, hyphenated words and non-Latin letters whole', () => {
+    const words = tokenizeForOcclusion("didn't well-made café 2nd").filter(t => t.isWord).map(t => t.text);
+    assert.deepStrictEqual(words, ["didn't", 'well-made', 'café', '2nd']);
+  });
+  test('tokens join back into the original text', () => {
+    const text = '  Not bad...\nactually good ';
+    assert.strictEqual(tokenizeForOcclusion(text).map(t => t.text).join(''), text);
+  });
+});
+
+describe('occlusionVariants', () => {
+  test('one variant per word, with that word removed and spacing tidied', () => {
+    assert.deepStrictEqual(occlusionVariants(tokenizeForOcclusion('not very good, honestly')), [
+      { tokenIndex: 0, text: 'very good, honestly' },
+      { tokenIndex: 2, text: 'not good, honestly' },
+      { tokenIndex: 4, text: 'not very, honestly' },
+      { tokenIndex: 6, text: 'not very good,' },
+    ]);
+  });
+});
+
+describe('labelScore', () => {
+  test('finds the label in a full distribution', () => {
+    assert.strictEqual(labelScore([{ label: 'NEGATIVE', score: 0.3 }, { label: 'POSITIVE', score: 0.7 }], 'POSITIVE'), 0.7);
+  });
+  test('accepts a single prediction', () => {
+    assert.strictEqual(labelScore({ label: 'POSITIVE', score: 0.9 }, 'POSITIVE'), 0.9);
+  });
+  test('a missing label scores 0', () => {
+    assert.strictEqual(labelScore([{ label: 'NEGATIVE', score: 1 }], 'POSITIVE'), 0);
+  });
+});
+
+describe('occlusionDeltas', () => {
+  test('aligns score drops with word tokens; other tokens are null', () => {
+    const variants = [{ tokenIndex: 0 }, { tokenIndex: 2 }];
+    assert.deepStrictEqual(occlusionDeltas(0.9, variants, [0.4, 0.95], 3).map(d => d && Number(d.toFixed(2))), [0.5, null, -0.05]);
+  });
+});
+
+describe('formatTokenExplanation', () => {
+  const tokens = tokenizeForOcclusion('not bad at all');
+  // not, bad, at, all
+  const deltas = [0.4, null, -0.2, null, 0.001, null, 0.1];
+  const explanation = formatTokenExplanation(tokens, deltas, 'POSITIVE');
+
+  test('supporting words take the label colour, opposing words the opposite one', () => {
+    assert.deepStrictEqual(explanation.tokens[0], {
+      text: 'not', effect: 'supports', intensity: 1, colorVar: '--positive', title: '+40.0 pts POSITIVE',
+    });
+    assert.strictEqual(explanation.tokens[2].effect, 'opposes');
+    assert.strictEqual(explanation.tokens[2].colorVar, '--negative');
+    assert.strictEqual(explanation.tokens[2].title, '−20.0 pts POSITIVE');
+  });
+  test('intensity is relative to the strongest effect', () => {
+    assert.strictEqual(explanation.tokens[2].intensity, 0.5);
+    assert.strictEqual(explanation.tokens[6].intensity, 0.25);
+  });
+  test('tiny effects and non-word tokens are uncoloured', () => {
+    assert.strictEqual(explanation.tokens[4].effect, 'none');
+    assert.deepStrictEqual(explanation.tokens[1], { text: ' ', effect: 'none', intensity: 0, colorVar: '', title: '' });
+  });
+  test('lists the three most influential words', () => {
+    assert.deepStrictEqual(explanation.top, [
+      { text: 'not', effect: 'supports', deltaText: '+40.0 pts' },
+      { text: 'bad', effect: 'opposes', deltaText: '−20.0 pts' },
+      { text: 'all', effect: 'supports', deltaText: '+10.0 pts' },
+    ]);
+  });
+  test('negative predictions flip the colours', () => {
+    const negative = formatTokenExplanation(tokens, deltas, 'NEGATIVE');
+    assert.strictEqual(negative.tokens[0].colorVar, '--negative');
+    assert.strictEqual(negative.tokens[2].colorVar, '--positive');
+  });
+  test('no effects at all gives no top words', () => {
+    assert.deepStrictEqual(formatTokenExplanation(tokens, [0, null, 0, null, 0, null, 0], 'POSITIVE').top, []);
+  });
+});
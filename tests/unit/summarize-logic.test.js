@@ -0,0 +1,156 @@
+import { describe, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeSummaryStats, isInputValid, isTooShort, loadWithFallback, splitIntoChunks, summarizeLongText,
+} from '../../pages/summarize/summarize-logic.js';
+import { defaultModel, modelLoadChain } from '../../lib/model-registry.js';
+
+const FALLBACK_MODELS = modelLoadChain(defaultModel('summarization'));
+
+describe('computeSummaryStats', () => {
+  test('calculates correct word counts', () => {
+    const s = computeSummaryStats('one two three four five', 'one two');
+    assert.strictEqual(s.originalWords, 5);
+    assert.strictEqual(s.summaryWords, 2);
+  });
+  test('calculates compression percentage', () => {
+    const s = computeSummaryStats('word '.repeat(100).trim(), 'word '.repeat(25).trim());
+    assert.strictEqual(s.compressionPercent, 75);
+  });
+  test('handles empty summary (100% compression)', () => {
+    const s = computeSummaryStats('some text here', '');
+    assert.strictEqual(s.summaryWords, 0);
+    assert.strictEqual(s.compressionPercent, 100);
+  });
+  test('handles empty original (0% compression)', () => {
+    const s = computeSummaryStats('', '');
+    assert.strictEqual(s.originalWords, 0);
+    assert.strictEqual(s.compressionPercent, 0);
+  });
+  test('handles multi-space and newlines in word counting', () => {
+    const s = computeSummaryStats('one  two\nthree\t\tfour', 'a');
+    assert.strictEqual(s.originalWords, 4);
+  });
+});
+
+describe('isInputValid', () => {
+  test('empty string is invalid', () => { assert.strictEqual(isInputValid(''), false); });
+  test('whitespace-only is invalid', () => { assert.strictEqual(isInputValid('  \n '), false); });
+  test('non-empty string is valid', () => { assert.strictEqual(isInputValid('hello'), true); });
+});
+
+describe('isTooShort', () => {
+  test('returns true for text under 30 words', () => { assert.strictEqual(isTooShort('hello world', 30), true); });
+  test('returns false for text at 30 words', () => { assert.strictEqual(isTooShort('word '.repeat(30).trim(), 30), false); });
+  test('returns false for text above 30 words', () => { assert.strictEqual(isTooShort('word '.repeat(50).trim(), 30), false); });
+  test('returns true for empty string', () => { assert.strictEqual(isTooShort('', 30), true); });
+  test('defaults to 30 words', () => { assert.strictEqual(isTooShort('word '.repeat(29).trim()), true); });
+});
+
+describe('default model load chain', () => {
+  test('contains exactly 3 models', () => { assert.strictEqual(FALLBACK_MODELS.length, 3); });
+  test('first is Xenova/distilbart-cnn-6-6', () => { assert.strictEqual(FALLBACK_MODELS[0], 'Xenova/distilbart-cnn-6-6'); });
+});
+
+describe('loadWithFallback', () => {
+  const loaded = () => ({ pipeline: { summarize: () => {} }, error: null });
+  const failed = (kind = 'not-found') => ({ pipeline: null, error: { kind, message: kind } });
+
+  test('returns first successful model', async () => {
+    const loader = mock.fn(async () => loaded());
+    const r = await loadWithFallback(loader, 'summarization', FALLBACK_MODELS, {});
+    assert.strictEqual(r.model, 'Xenova/distilbart-cnn-6-6');
+    assert.strictEqual(r.error, null);
+    assert.strictEqual(loader.mock.calls.length, 1);
+  });
+  test('tries next model when first fails', async () => {
+    let c = 0;
+    const loader = mock.fn(async () => (++c === 1 ? failed() : loaded()));
+    const r = await loadWithFallback(loader, 'summarization', FALLBACK_MODELS, {});
+    assert.strictEqual(r.model, 'onnx-community/distilbart-cnn-6-6');
+  });
+  test('reports the last error when all models fail', async () => {
+    let c = 0;
+    const loader = mock.fn(async () => failed(++c === 3 ? 'network' : 'not-found'));
+    const r = await loadWithFallback(loader, 'summarization', FALLBACK_MODELS, {});
+    assert.strictEqual(r.pipeline, null);
+    assert.strictEqual(r.error.kind, 'network');
+    assert.strictEqual(loader.mock.calls.length, 3);
+  });
+  test('forwards options to the loader', async () => {
+    const loader = mock.fn(async () => loaded());
+    const onProgress = () => {};
+    await loadWithFallback(loader, 'summarization', FALLBACK_MODELS, { onProgress });
+    assert.strictEqual(loader.mock.calls[0].arguments[2].onProgress, onProgress);
+  });
+  test('stops trying fallbacks once the load is cancelled', async () => {
+    const controller = new AbortController();
+    const loader = mock.fn(async () => { controller.abort(); return failed('cancelled'); });
+    const r = await loadWithFallback(loader, 'summarization', FALLBACK_MODELS, { signal: controller.signal });
+    assert.strictEqual(r.pipeline, null);
+    assert.strictEqual(loader.mock.calls.length, 1);
+  });
+});
+
+describe('splitIntoChunks', () => {
+  test('returns [] for empty text', () => { assert.deepStrictEqual(splitIntoChunks('   '), []); });
+  test('keeps short text as a single chunk', () => {
+    assert.deepStrictEqual(splitIntoChunks('One sentence. Another one!', 10), ['One sentence. Another one!']);
+  });
+  test('breaks on sentence boundaries', () => {
+    const chunks = splitIntoChunks('a b c. d e f. g h i.', 6);
+    assert.deepStrictEqual(chunks, ['a b c. d e f.', 'g h i.']);
+  });
+  test('splits a single over-long sentence on word boundaries', () => {
+    const chunks = splitIntoChunks('w '.repeat(25).trim(), 10);
+    assert.deepStrictEqual(chunks.map(c => c.split(' ').length), [10, 10, 5]);
+  });
+  test('keeps text without terminal punctuation', () => {
+    assert.deepStrictEqual(splitIntoChunks('First. trailing words', 2), ['First.', 'trailing words']);
+  });
+  test('no chunk exceeds maxWords', () => {
+    const text = 'This is a sentence of eight words total. '.repeat(40);
+    splitIntoChunks(text, 50).forEach(c => assert.ok(c.split(/\s+/).length <= 50));
+  });
+});
+
+describe('summarizeLongText', () => {
+  const fakeSummarizer = () => mock.fn(async (text) => [{ summary_text: text.split(' ').slice(0, 2).join(' ') }]);
+
+  test('summarizes short text in a single call', async () => {
+    const summarizer = fakeSummarizer();
+    const r = await summarizeLongText(summarizer, 'alpha beta gamma.', { maxWords: 10 });
+    assert.strictEqual(r.summary, 'alpha beta');
+    assert.strictEqual(r.chunkCount, 1);
+    assert.strictEqual(summarizer.mock.calls.length, 1);
+  });
+  test('maps over chunks then reduces the joined summaries', async () => {
+    const summarizer = fakeSummarizer();
+    const r = await summarizeLongText(summarizer, 'a b c d. e f g h. i j k l.', { maxWords: 4 });
+    assert.strictEqual(r.chunkCount, 3);
+    // 'a b e f i j' still exceeds 4 words, so it is reduced again to 'a b i j'
+    assert.strictEqual(summarizer.mock.calls.at(-1).arguments[0], 'a b i j');
+    assert.strictEqual(r.summary, 'a b');
+  });
+  test('forwards generate options to every call', async () => {
+    const summarizer = fakeSummarizer();
+    await summarizeLongText(summarizer, 'a b c. d e f.', { maxWords: 3, generateOptions: { max_new_tokens: 5 } });
+    summarizer.mock.calls.forEach(c => assert.deepStrictEqual(c.arguments[1], { max_new_tokens: 5 }));
+  });
+  test('reports map progress via onChunk', async () => {
+    const onChunk = mock.fn();
+    await summarizeLongText(fakeSummarizer(), 'a b c. d e f.', { maxWords: 3, onChunk });
+    assert.deepStrictEqual(onChunk.mock.calls.map(c => c.arguments), [[1, 2], [2, 2]]);
+  });
+  test('stops when chunk summaries do not shrink the text', async () => {
+    const echo = mock.fn(async (text) => [{ summary_text: text }]);
+    const r = await summarizeLongText(echo, 'a b c. d e f.', { maxWords: 3 });
+    assert.strictEqual(r.summary, 'a b c. d e f.');
+    assert.strictEqual(echo.mock.calls.length, 2);
+  });
+  test('returns empty summary for empty text', async () => {
+    const summarizer = fakeSummarizer();
+    assert.deepStrictEqual(await summarizeLongText(summarizer, ''), { summary: '', chunkCount: 0 });
+    assert.strictEqual(summarizer.mock.calls.length, 0);
+  });
+});
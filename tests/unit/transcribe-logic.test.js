@@ -0,0 +1,145 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SAMPLE_RATE, isValidAudioFile, mixToMono, resample, toSegments, transcriptText, formatTimestamp, formatClock, toSrt, toVtt,
+  recordingMimeType, microphoneErrorMessage,
+} from '../../pages/transcribe/transcribe-logic.js';
+
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+
+const SEGMENTS = [
+  { start: 0, end: 2.5, text: 'Hello there.' },
+  { start: 2.5, end: 65.04, text: 'General Kenobi.' },
+];
+
+describe('isValidAudioFile', () => {
+  test('accepts WAV and MP3 files', () => {
+    assert.strictEqual(isValidAudioFile({ name: 'a.wav', type: 'audio/wav' }), true);
+    assert.strictEqual(isValidAudioFile({ name: 'a.mp3', type: 'audio/mpeg' }), true);
+  });
+  test('falls back to the extension when there is no MIME type', () => {
+    assert.strictEqual(isValidAudioFile({ name: 'a.WAV', type: '' }), true);
+    assert.strictEqual(isValidAudioFile({ name: 'a.txt', type: '' }), false);
+  });
+  test('rejects other files', () => {
+    assert.strictEqual(isValidAudioFile({ name: 'a.png', type: 'image/png' }), false);
+    assert.strictEqual(isValidAudioFile(null), false);
+  });
+});
+
+describe('mixToMono', () => {
+  test('averages the channels', () => {
+    const mono = mixToMono([new Float32Array([1, 0.5]), new Float32Array([0, -0.5])]);
+    assert.deepStrictEqual([...mono], [0.5, 0]);
+  });
+  test('mono audio is returned as is', () => {
+    const samples = new Float32Array([0.1, 0.2]);
+    assert.strictEqual(mixToMono([samples]), samples);
+  });
+});
+
+describe('resample', () => {
+  test('keeps audio already at the target rate', () => {
+    const samples = new Float32Array([1, 2, 3]);
+    assert.strictEqual(resample(samples, SAMPLE_RATE), samples);
+  });
+  test('downsampling 48 kHz to 16 kHz averages each group of three', () => {
+    const out = resample(new Float32Array([1, 2, 3, 4, 5, 6]), 48000);
+    assert.deepStrictEqual([...out], [2, 5]);
+  });
+  test('keeps the duration at non-integer ratios', () => {
+    const out = resample(new Float32Array(44100), 44100);
+    assert.strictEqual(out.length, 16000);
+  });
+  test('downsampling removes a tone above the new Nyquist frequency', () => {
+    // 24 kHz at 48 kHz alternates +1/-1; it cannot exist at 16 kHz
+    const tone = Float32Array.from({ length: 48 }, (_, i) => (i % 2 ? -1 : 1));
+    const out = resample(tone, 48000);
+    assert.ok([...out].every(v => Math.abs(v) <= 1 / 3 + 1e-6));
+  });
+  test('upsampling interpolates linearly', () => {
+    const out = resample(new Float32Array([0, 1]), 8000);
+    assert.strictEqual(out.length, 4);
+    assert.ok(close(out[1], 0.5));
+    assert.strictEqual(out[3], 1); // Holds the last sample rather than reading past the end
+  });
+});
+
+describe('toSegments', () => {
+  test('turns timestamped chunks into trimmed segments', () => {
+    const output = { text: ' Hi. Bye.', chunks: [{ text: ' Hi.', timestamp: [0, 1.2] }, { text: ' Bye.', timestamp: [1.2, 2] }] };
+    assert.deepStrictEqual(toSegments(output, 3), [{ start: 0, end: 1.2, text: 'Hi.' }, { start: 1.2, end: 2, text: 'Bye.' }]);
+  });
+  test('an open final segment ends with the audio', () => {
+    const output = { text: 'Hi', chunks: [{ text: 'Hi', timestamp: [29.5, null] }] };
+    assert.deepStrictEqual(toSegments(output, 31.25), [{ start: 29.5, end: 31.25, text: 'Hi' }]);
+  });
+  test('an open segment before another ends where the next starts', () => {
+    const output = { chunks: [{ text: 'a', timestamp: [0, null] }, { text: 'b', timestamp: [4, 5] }] };
+    assert.strictEqual(toSegments(output, 10)[0].end, 4);
+  });
+  test('drops empty segments and clamps to the audio length', () => {
+    const output = { chunks: [{ text: ' ', timestamp: [0, 1] }, { text: 'end', timestamp: [1, 9] }] };
+    assert.deepStrictEqual(toSegments(output, 8), [{ start: 1, end: 8, text: 'end' }]);
+  });
+  test('output without chunks is one segment over the whole audio', () => {
+    assert.deepStrictEqual(toSegments([{ text: ' Hello' }], 2), [{ start: 0, end: 2, text: 'Hello' }]);
+  });
+});
+
+describe('transcriptText', () => {
+  test('joins the segments', () => {
+    assert.strictEqual(transcriptText(SEGMENTS), 'Hello there. General Kenobi.');
+  });
+});
+
+describe('formatTimestamp', () => {
+  test('SRT and VTT separators', () => {
+    assert.strictEqual(formatTimestamp(65.04), '00:01:05,040');
+    assert.strictEqual(formatTimestamp(3725.5, '.'), '01:02:05.500');
+  });
+  test('rounds to the millisecond', () => {
+    assert.strictEqual(formatTimestamp(1.9996), '00:00:02,000');
+  });
+});
+
+describe('formatClock', () => {
+  test('minutes and seconds, with hours when needed', () => {
+    assert.strictEqual(formatClock(5.9), '0:05');
+    assert.strictEqual(formatClock(65), '1:05');
+    assert.strictEqual(formatClock(3723), '1:02:03');
+  });
+});
+
+describe('toSrt', () => {
+  test('numbered cues separated by blank lines', () => {
+    assert.strictEqual(toSrt(SEGMENTS), '1\n00:00:00,000 --> 00:00:02,500\nHello there.\n\n2\n00:00:02,500 --> 00:01:05,040\nGeneral Kenobi.\n');
+  });
+});
+
+describe('toVtt', () => {
+  test('WEBVTT header and dotted timestamps', () => {
+    assert.strictEqual(toVtt(SEGMENTS), 'WEBVTT\n\n00:00:00.000 --> 00:00:02.500\nHello there.\n\n00:00:02.500 --> 00:01:05.040\nGeneral Kenobi.\n');
+  });
+  test('no segments is a valid empty file', () => {
+    assert.strictEqual(toVtt([]), 'WEBVTT\n');
+  });
+});
+
+describe('recordingMimeType', () => {
+  test('picks the first supported format', () => {
+    assert.strictEqual(recordingMimeType(type => type.startsWith('audio/ogg') || type === 'audio/mp4'), 'audio/ogg;codecs=opus');
+  });
+  test('empty when nothing is supported', () => {
+    assert.strictEqual(recordingMimeType(() => false), '');
+  });
+});
+
+describe('microphoneErrorMessage', () => {
+  test('maps getUserMedia failures', () => {
+    assert.match(microphoneErrorMessage({ name: 'NotAllowedError' }), /denied/);
+    assert.match(microphoneErrorMessage({ name: 'NotFoundError' }), /No microphone/);
+    assert.match(microphoneErrorMessage({ name: 'NotReadableError' }), /in use/);
+    assert.strictEqual(microphoneErrorMessage(null), 'Could not start recording.');
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LANGUAGES, isInputValid, languageOptions, chooseLanguages, translateOptions, reverseModel, splitSentences, joinTranslations, translateSentences,
+} from '../../pages/translate/translate-logic.js';
+import { modelsForTask } from '../../lib/model-registry.js';
+
+const MULTILINGUAL = { id: 'm2m', languageCodes: 'm2m100' };
+const NLLB = { id: 'nllb', languageCodes: 'nllb' };
+const EN_DE = { id: 'en-de', languagePair: ['en', 'de'] };
+const DE_EN = { id: 'de-en', languagePair: ['de', 'en'] };
+const EN_FR = { id: 'en-fr', languagePair: ['en', 'fr'] };
+
+describe('isInputValid', () => {
+  test('needs text and two different languages', () => {
+    assert.strictEqual(isInputValid({ text: 'Hello', source: 'en', target: 'fr' }), true);
+    assert.strictEqual(isInputValid({ text: '  ', source: 'en', target: 'fr' }), false);
+    assert.strictEqual(isInputValid({ text: 'Hello', source: 'en', target: 'en' }), false);
+  });
+});
+
+describe('languageOptions', () => {
+  test('multilingual models offer every language both ways', () => {
+    assert.deepStrictEqual(languageOptions(MULTILINGUAL), { sources: LANGUAGES, targets: LANGUAGES });
+  });
+  test('Opus-MT models offer their one direction', () => {
+    const { sources, targets } = languageOptions(EN_DE);
+    assert.deepStrictEqual([sources.map(l => l.name), targets.map(l => l.name)], [['English'], ['German']]);
+  });
+  test('every registry pair names a listed language', () => {
+    const ids = new Set(LANGUAGES.map(l => l.id));
+    modelsForTask('translation').filter(m => m.languagePair).forEach(m => m.languagePair.forEach(id => assert.ok(ids.has(id), m.id)));
+  });
+});
+
+describe('chooseLanguages', () => {
+  test('keeps the previous pair on a multilingual model', () => {
+    assert.deepStrictEqual(chooseLanguages(NLLB, { source: 'de', target: 'ja' }), { source: 'de', target: 'ja' });
+  });
+  test('defaults to English to French', () => {
+    assert.deepStrictEqual(chooseLanguages(MULTILINGUAL), { source: 'en', target: 'fr' });
+    assert.deepStrictEqual(chooseLanguages(MULTILINGUAL, { source: 'en', target: 'en' }), { source: 'en', target: 'fr' });
+  });
+  test('Opus-MT models use their own pair', () => {
+    assert.deepStrictEqual(chooseLanguages(EN_DE, { source: 'fr', target: 'es' }), { source: 'en', target: 'de' });
+  });
+});
+
+describe('translateOptions', () => {
+  test('M2M100 takes ISO codes', () => {
+    assert.deepStrictEqual(translateOptions(MULTILINGUAL, 'en', 'ja'), { src_lang: 'en', tgt_lang: 'ja' });
+  });
+  test('NLLB takes FLORES-200 codes', () => {
+    assert.deepStrictEqual(translateOptions(NLLB, 'en', 'uk'), { src_lang: 'eng_Latn', tgt_lang: 'ukr_Cyrl' });
+  });
+  test('Opus-MT takes none', () => {
+    assert.deepStrictEqual(translateOptions(EN_DE, 'en', 'de'), {});
+  });
+});
+
+describe('reverseModel', () => {
+  const models = [MULTILINGUAL, EN_DE, DE_EN, EN_FR];
+  test('a multilingual model translates both ways itself', () => {
+    assert.strictEqual(reverseModel(MULTILINGUAL, models), MULTILINGUAL);
+  });
+  test('finds the Opus-MT model for the opposite direction', () => {
+    assert.strictEqual(reverseModel(EN_DE, models), DE_EN);
+    assert.strictEqual(reverseModel(EN_FR, models), null);
+  });
+});
+
+describe('splitSentences', () => {
+  test('splits sentences and records what separated them', () => {
+    assert.deepStrictEqual(splitSentences('Hello there. How are you?\n\nFine!'), [
+      { text: 'Hello there.', separator: ' ' },
+      { text: 'How are you?', separator: '\n\n' },
+      { text: 'Fine!', separator: '' },
+    ]);
+  });
+  test('splits text written without spaces', () => {
+    assert.deepStrictEqual(splitSentences('こんにちは。元気ですか？', 'ja').map(p => p.text), ['こんにちは。', '元気ですか？']);
+  });
+  test('whitespace-only text has no sentences', () => {
+    assert.deepStrictEqual(splitSentences(' \n '), []);
+  });
+});
+
+describe('joinTranslations', () => {
+  const parts = splitSentences('Hallo. Wie geht es?\nGut.', 'de');
+  test('keeps line breaks and spaces sentences', () => {
+    assert.strictEqual(joinTranslations(parts, ['Hello.', 'How are you?', 'Good.'], 'en'), 'Hello. How are you?\nGood.');
+  });
+  test('joins partial results while translating', () => {
+    assert.strictEqual(joinTranslations(parts, ['Hello.'], 'en'), 'Hello.');
+  });
+  test('no spaces between sentences in Japanese and Chinese', () => {
+    assert.strictEqual(joinTranslations(parts, ['こんにちは。', '元気ですか？', '元気です。'], 'ja'), 'こんにちは。元気ですか？\n元気です。');
+  });
+});
+
+describe('translateSentences', () => {
+  test('translates each sentence in order, reporting progress', async () => {
+    const calls = [];
+    const seen = [];
+    const translator = async (text, options) => {
+      calls.push([text, options]);
+      return [{ translation_text: ` ${text.toUpperCase()} ` }];
+    };
+    const result = await translateSentences(translator, splitSentences('One. Two.'), { src_lang: 'en', tgt_lang: 'fr' }, (done, total) => seen.push(`${done.length}/${total}`));
+    assert.deepStrictEqual(result, ['ONE.', 'TWO.']);
+    assert.deepStrictEqual(calls, [['One.', { src_lang: 'en', tgt_lang: 'fr' }], ['Two.', { src_lang: 'en', tgt_lang: 'fr' }]]);
+    assert.deepStrictEqual(seen, ['1/2', '2/2']);
+  });
+  test('accepts single-object output', async () => {
+    assert.deepStrictEqual(await translateSentences(async () => ({ translation_text: 'Salut' }), [{ text: 'Hi', separator: '' }], {}), ['Salut']);
+  });
+});
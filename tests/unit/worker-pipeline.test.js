@@ -0,0 +1,297 @@
+import { describe, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createWorkerPipeline, createWorkerHandler, createAbortableFetch, collectTransferables, serializeInput, serializeOutput, pipelineKey,
+} from '../../lib/worker-pipeline.js';
+
+// Connects createWorkerPipeline to createWorkerHandler in-process, standing in for a real Worker.
+function fakeWorker(pipelineFn, fetchControl = null) {
+  const listeners = { message: [], error: [] };
+  const posted = [];
+  const handler = createWorkerHandler(pipelineFn, (message) => {
+    queueMicrotask(() => listeners.message.forEach(fn => fn({ data: message })));
+  }, undefined, fetchControl);
+  return {
+    posted,
+    addEventListener: (type, fn) => listeners[type].push(fn),
+    postMessage(message, transfer) {
+      posted.push({ message, transfer });
+      handler({ data: structuredClone(message) });
+    },
+    crash: (message) => listeners.error.forEach(fn => fn({ message })),
+  };
+}
+
+describe('createWorkerPipeline', () => {
+  test('creates the worker lazily on first load', async () => {
+    const createWorker = mock.fn(() => fakeWorker(async () => async () => []));
+    const workerPipeline = createWorkerPipeline(createWorker);
+    assert.strictEqual(createWorker.mock.calls.length, 0);
+    await workerPipeline('task', 'model');
+    await workerPipeline('task', 'other');
+    assert.strictEqual(createWorker.mock.calls.length, 1);
+  });
+
+  test('forwards task, model and options to the worker pipeline', async () => {
+    const realPipeline = mock.fn(async () => async () => []);
+    const workerPipeline = createWorkerPipeline(() => fakeWorker(realPipeline));
+    await workerPipeline('sentiment-analysis', 'model-a', { dtype: 'q8' });
+    const [task, model, opts] = realPipeline.mock.calls[0].arguments;
+    assert.strictEqual(task, 'sentiment-analysis');
+    assert.strictEqual(model, 'model-a');
+    assert.strictEqual(opts.dtype, 'q8');
+  });
+
+  test('relays progress events to progress_callback', async () => {
+    const realPipeline = async (task, model, { progress_callback }) => {
+      progress_callback({ status: 'progress', file: 'model.onnx', progress: 50 });
+      return async () => [];
+    };
+    const onProgress = mock.fn();
+    await createWorkerPipeline(() => fakeWorker(realPipeline))('task', 'model', { progress_callback: onProgress });
+    assert.deepStrictEqual(onProgress.mock.calls[0].arguments[0], { status: 'progress', file: 'model.onnx', progress: 50 });
+  });
+
+  test('does not post the progress callback function to the worker', async () => {
+    const worker = fakeWorker(async () => async () => []);
+    await createWorkerPipeline(() => worker)('task', 'model', { progress_callback: () => {} });
+    assert.strictEqual('progress_callback' in worker.posted[0].message.options, false);
+  });
+
+  test('returned proxy runs inference in the worker', async () => {
+    const inner = mock.fn(async (input) => [{ label: 'POSITIVE', score: 0.9, input }]);
+    const pipe = await createWorkerPipeline(() => fakeWorker(async () => inner))('task', 'model');
+    const result = await pipe('hello', { top_k: 5 });
+    assert.deepStrictEqual(result, [{ label: 'POSITIVE', score: 0.9, input: 'hello' }]);
+    assert.deepStrictEqual(inner.mock.calls[0].arguments[1], { top_k: 5 });
+  });
+
+  test('load failure rejects with the worker error message', async () => {
+    const workerPipeline = createWorkerPipeline(() => fakeWorker(async () => { throw new Error('boom'); }));
+    await assert.rejects(workerPipeline('task', 'model'), /boom/);
+  });
+
+  test('load failure keeps the error name across the worker boundary', async () => {
+    const quota = () => Object.assign(new Error('storage full'), { name: 'QuotaExceededError' });
+    const workerPipeline = createWorkerPipeline(() => fakeWorker(async () => { throw quota(); }));
+    await assert.rejects(workerPipeline('task', 'model'), { name: 'QuotaExceededError', message: 'storage full' });
+  });
+
+  test('inference failure rejects the run call', async () => {
+    const pipe = await createWorkerPipeline(() => fakeWorker(async () => async () => { throw new Error('bad input'); }))('task', 'model');
+    await assert.rejects(pipe('x'), /bad input/);
+  });
+
+  test('worker crash rejects pending requests', async () => {
+    let worker;
+    const workerPipeline = createWorkerPipeline(() => (worker = fakeWorker(() => new Promise(() => {}))));
+    const pending = workerPipeline('task', 'model');
+    worker.crash('out of memory');
+    await assert.rejects(pending, /out of memory/);
+  });
+
+  test('transfers input buffers instead of copying them', async () => {
+    const worker = fakeWorker(async () => async () => []);
+    const pipe = await createWorkerPipeline(() => worker)('task', 'model');
+    const pixels = new Uint8ClampedArray(16);
+    await pipe({ kind: 'image', data: pixels, width: 2, height: 2, channels: 4 });
+    assert.deepStrictEqual(worker.posted[1].transfer, [pixels.buffer]);
+  });
+
+  test('aborting the signal rejects the load and tells the worker to cancel', async () => {
+    const worker = fakeWorker(() => new Promise(() => {}));
+    const controller = new AbortController();
+    const pending = createWorkerPipeline(() => worker)('task', 'model', { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.deepStrictEqual(worker.posted[1].message, { type: 'cancel', id: worker.posted[0].message.id });
+  });
+
+  test('does not post the signal to the worker', async () => {
+    const worker = fakeWorker(async () => async () => []);
+    await createWorkerPipeline(() => worker)('task', 'model', { signal: new AbortController().signal });
+    assert.strictEqual('signal' in worker.posted[0].message.options, false);
+  });
+
+  test('an already-aborted signal rejects without loading', async () => {
+    const worker = fakeWorker(async () => async () => []);
+    await assert.rejects(createWorkerPipeline(() => worker)('task', 'model', { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    assert.strictEqual(worker.posted.length, 0);
+  });
+
+  test('cancel aborts the downloads of the model being loaded', async () => {
+    let downloadSignal;
+    const fetchControl = createAbortableFetch(async (url, init) => {
+      downloadSignal = init.signal;
+      return new Promise(() => {});
+    });
+    const realPipeline = (task, model) => fetchControl.fetch(`https://huggingface.co/${model}/resolve/main/model.onnx`);
+    const controller = new AbortController();
+    const pending = createWorkerPipeline(() => fakeWorker(realPipeline, fetchControl))('task', 'org/model', { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.strictEqual(downloadSignal.aborted, true);
+  });
+
+  test('forwards every argument after the input', async () => {
+    const inner = mock.fn(async () => []);
+    const pipe = await createWorkerPipeline(() => fakeWorker(async () => inner))('t', 'm');
+    await pipe('image', ['cat', 'dog'], { hypothesis_template: 'a photo of a {}' });
+    assert.deepStrictEqual(inner.mock.calls[0].arguments.slice(1), [['cat', 'dog'], { hypothesis_template: 'a photo of a {}' }]);
+  });
+
+  test('dispose frees the pipeline in the worker', async () => {
+    const dispose = mock.fn(async () => {});
+    const inner = Object.assign(async () => [], { dispose });
+    const pipe = await createWorkerPipeline(() => fakeWorker(async () => inner))('task', 'model');
+    await pipe.dispose();
+    assert.strictEqual(dispose.mock.calls.length, 1);
+    await assert.rejects(pipe('x'), /not loaded/);
+  });
+});
+
+describe('createAbortableFetch', () => {
+  test('attaches an abort signal to downloads of tracked models only', async () => {
+    const fetchFn = mock.fn(async () => 'ok');
+    const control = createAbortableFetch(fetchFn);
+    control.track('Xenova/resnet-50');
+    await control.fetch('https://huggingface.co/Xenova/resnet-50/resolve/main/config.json', { headers: {} });
+    await control.fetch('https://huggingface.co/Xenova/other/resolve/main/config.json');
+    assert.ok(fetchFn.mock.calls[0].arguments[1].signal instanceof AbortSignal);
+    assert.strictEqual(fetchFn.mock.calls[1].arguments[1].signal, undefined);
+  });
+
+  test('abort aborts the tracked signal and stops tracking', async () => {
+    const fetchFn = mock.fn(async () => 'ok');
+    const control = createAbortableFetch(fetchFn);
+    control.track('m/x');
+    await control.fetch('https://h/m/x/resolve/main/a');
+    control.abort('m/x');
+    assert.strictEqual(fetchFn.mock.calls[0].arguments[1].signal.aborted, true);
+    await control.fetch('https://h/m/x/resolve/main/b');
+    assert.strictEqual(fetchFn.mock.calls[1].arguments[1].signal, undefined);
+  });
+
+  test('untrack leaves a newer tracker for the same model in place', async () => {
+    const fetchFn = mock.fn(async () => 'ok');
+    const control = createAbortableFetch(fetchFn);
+    const untrackOld = control.track('m/x');
+    control.track('m/x');
+    untrackOld();
+    await control.fetch('https://h/m/x/resolve/main/a');
+    assert.ok(fetchFn.mock.calls[0].arguments[1].signal);
+  });
+
+  test('cache-only models never reach the network', async () => {
+    const fetchFn = mock.fn(async () => 'ok');
+    const control = createAbortableFetch(fetchFn);
+    control.track('m/x', { cacheOnly: true });
+    const response = await control.fetch('https://h/m/x/resolve/main/a');
+    assert.strictEqual(response.status, 404);
+    await control.fetch('https://h/m/other/resolve/main/a');
+    assert.strictEqual(fetchFn.mock.calls.length, 1);
+  });
+});
+
+describe('createWorkerHandler', () => {
+  test('tracks cache-only loads without passing the flag to the pipeline', async () => {
+    const realPipeline = mock.fn(async () => async () => []);
+    const fetchControl = { track: mock.fn(() => () => {}), abort() {} };
+    const handler = createWorkerHandler(realPipeline, () => {}, undefined, fetchControl);
+    await handler({ data: { type: 'load', id: 1, task: 't', model: 'm', options: { dtype: 'q8', cacheOnly: true } } });
+    assert.deepStrictEqual(fetchControl.track.mock.calls[0].arguments, ['m', { cacheOnly: true }]);
+    assert.strictEqual('cacheOnly' in realPipeline.mock.calls[0].arguments[2], false);
+    assert.strictEqual(realPipeline.mock.calls[0].arguments[2].dtype, 'q8');
+  });
+
+  test('reuses a pipeline already loaded for the same task and model', async () => {
+    const realPipeline = mock.fn(async () => async () => []);
+    const handler = createWorkerHandler(realPipeline, () => {});
+    await handler({ data: { type: 'load', id: 1, task: 't', model: 'm', options: {} } });
+    await handler({ data: { type: 'load', id: 2, task: 't', model: 'm', options: {} } });
+    assert.strictEqual(realPipeline.mock.calls.length, 1);
+  });
+
+  test('evicts failed loads so a retry can succeed', async () => {
+    let calls = 0;
+    const realPipeline = async () => { if (++calls === 1) throw new Error('fail'); return async () => []; };
+    const post = mock.fn();
+    const handler = createWorkerHandler(realPipeline, post);
+    await handler({ data: { type: 'load', id: 1, task: 't', model: 'm', options: {} } });
+    await handler({ data: { type: 'load', id: 2, task: 't', model: 'm', options: {} } });
+    assert.deepStrictEqual(post.mock.calls.map(c => c.arguments[0].type), ['error', 'loaded']);
+  });
+
+  test('keeps one pipeline per dtype and device', async () => {
+    const pipelineFn = mock.fn(async (task, model, { dtype }) => async () => dtype);
+    const post = mock.fn();
+    const handler = createWorkerHandler(pipelineFn, post);
+    await handler({ data: { type: 'load', id: 1, task: 't', model: 'm', options: { dtype: 'q8' } } });
+    await handler({ data: { type: 'load', id: 2, task: 't', model: 'm', options: { dtype: 'fp32', device: 'webgpu' } } });
+    await handler({ data: { type: 'run', id: 3, pipelineId: pipelineKey('t', 'm', { dtype: 'fp32', device: 'webgpu' }), input: 'x' } });
+    assert.strictEqual(pipelineFn.mock.calls.length, 2);
+    assert.strictEqual(post.mock.calls.at(-1).arguments[0].output, 'fp32');
+  });
+
+  test('reports an error when running an unknown pipeline', async () => {
+    const post = mock.fn();
+    await createWorkerHandler(async () => async () => [], post)({ data: { type: 'run', id: 7, pipelineId: 'x::y', input: 'hi' } });
+    assert.strictEqual(post.mock.calls[0].arguments[0].type, 'error');
+    assert.strictEqual(post.mock.calls[0].arguments[0].id, 7);
+  });
+
+  test('deserializes input before running', async () => {
+    const inner = mock.fn(async () => []);
+    const handler = createWorkerHandler(async () => inner, () => {}, async (p) => `decoded:${p}`);
+    await handler({ data: { type: 'load', id: 1, task: 't', model: 'm', options: {} } });
+    await handler({ data: { type: 'run', id: 2, pipelineId: 't::m', input: 'raw' } });
+    assert.strictEqual(inner.mock.calls[0].arguments[0], 'decoded:raw');
+  });
+});
+
+describe('collectTransferables', () => {
+  test('finds nested ArrayBuffers and typed array buffers', () => {
+    const a = new ArrayBuffer(4);
+    const b = new Float32Array(2);
+    assert.deepStrictEqual(collectTransferables({ a, nested: [b] }), [a, b.buffer]);
+  });
+  test('dedupes shared buffers', () => {
+    const buf = new ArrayBuffer(8);
+    assert.strictEqual(collectTransferables([new Uint8Array(buf), new Uint8Array(buf, 4)]).length, 1);
+  });
+  test('returns [] for primitives', () => {
+    assert.deepStrictEqual(collectTransferables('blob:http://x/1'), []);
+  });
+});
+
+describe('serializeInput', () => {
+  test('reads Blobs into a transferable buffer', async () => {
+    const payload = await serializeInput(new Blob(['abc'], { type: 'image/png' }));
+    assert.strictEqual(payload.kind, 'blob');
+    assert.strictEqual(payload.mimeType, 'image/png');
+    assert.strictEqual(payload.buffer.byteLength, 3);
+  });
+  test('passes strings through unchanged', async () => {
+    assert.strictEqual(await serializeInput('some text'), 'some text');
+  });
+});
+
+describe('serializeOutput', () => {
+  test('reduces tensors to dims, type and data', () => {
+    const tensor = { dims: [1, 2], type: 'float32', data: new Float32Array([1, 2]), tolist() {} };
+    assert.deepStrictEqual(serializeOutput(tensor), { dims: [1, 2], type: 'float32', data: new Float32Array([1, 2]) });
+  });
+  test('leaves plain results untouched', () => {
+    const raw = [{ label: 'cat', score: 0.5 }];
+    assert.deepStrictEqual(serializeOutput(raw), raw);
+  });
+});
+
+describe('pipelineKey', () => {
+  test('is task::model without dtype or device', () => {
+    assert.strictEqual(pipelineKey('t', 'm'), 't::m');
+  });
+  test('appends dtype and device when given', () => {
+    assert.strictEqual(pipelineKey('t', 'm', { dtype: 'q4', device: 'webgpu' }), 't::m::q4::webgpu');
+  });
+});
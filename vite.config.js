@@ -1,11 +1,13 @@
 import { resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
+import { serviceWorkerPlugin } from './pwa/vite-plugin.js';
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
 
 export default defineConfig({
   appType: 'mpa',
+  plugins: [serviceWorkerPlugin()],
   build: {
     rollupOptions: {
       input: {
@@ -13,9 +15,19 @@ export default defineConfig({
         sentiment: resolve(__dirname, 'pages/sentiment/index.html'),
         'image-classify': resolve(__dirname, 'pages/image-classify/index.html'),
         summarize: resolve(__dirname, 'pages/summarize/index.html'),
+        'object-detect': resolve(__dirname, 'pages/object-detect/index.html'),
+        ner: resolve(__dirname, 'pages/ner/index.html'),
+        qa: resolve(__dirname, 'pages/qa/index.html'),
+        transcribe: resolve(__dirname, 'pages/transcribe/index.html'),
+        embeddings: resolve(__dirname, 'pages/embeddings/index.html'),
+        translate: resolve(__dirname, 'pages/translate/index.html'),
+        cache: resolve(__dirname, 'pages/cache/index.html'),
       },
     },
   },
+  worker: {
+    format: 'es',
+  },
   optimizeDeps: {
     exclude: ['@huggingface/transformers', 'onnxruntime-web', '@huggingface/jinja'],
   },